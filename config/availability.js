@@ -0,0 +1,35 @@
+// config/availability.js
+
+// Rules used by services/availability.js when deciding whether a vehicle is free.
+export const DEFAULT_AVAILABILITY_RULES = {
+  // Gap kept free between two trips of the same vehicle (cleaning, refuelling, getting to the next pickup)
+  bufferMinutes: 30,
+
+  // Immediate bookings have no end date; they hold the vehicle for the route
+  // estimate plus this margin, or for defaultTripMinutes when there is no estimate
+  tripMarginMinutes: 30,
+  defaultTripMinutes: 120,
+
+  // How long create-order holds the slot while the customer pays
+  checkoutHoldMinutes: 15,
+};
+
+// Overrides per vehicle type (keys are lower-case Vehicle.type values)
+export const VEHICLE_TYPE_AVAILABILITY_RULES = {
+  bike: { bufferMinutes: 10 },
+  motorcycle: { bufferMinutes: 10 },
+  van: { bufferMinutes: 45 },
+  truck: { bufferMinutes: 60, defaultTripMinutes: 240 },
+};
+
+export const getAvailabilityRules = (vehicleType) => ({
+  ...DEFAULT_AVAILABILITY_RULES,
+  ...VEHICLE_TYPE_AVAILABILITY_RULES[String(vehicleType || "").toLowerCase()],
+});
+
+// Availability calendar and fleet utilisation (services/availability.js)
+export const CALENDAR_SETTINGS = {
+  timeZone: "Asia/Kolkata", // utilisation days run midnight to midnight here
+  defaultDays: 7,
+  maxDays: 92,
+};
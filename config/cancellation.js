@@ -0,0 +1,60 @@
+// config/cancellation.js
+
+// Cancellation policies used by services/cancellation.js.
+// Tiers are checked top to bottom; the first one whose minHoursBeforePickup the
+// cancellation meets applies. minHoursBeforePickup null = catch-all (also after pickup).
+export const DEFAULT_CANCELLATION_POLICY = {
+  name: "standard",
+
+  // Full refund when cancelled this soon after booking (0 = no grace period)
+  graceMinutes: 0,
+
+  tiers: [
+    { minHoursBeforePickup: 48, refundPercent: 100, label: "More than 48 hours before pickup" },
+    { minHoursBeforePickup: 12, refundPercent: 50, label: "12 to 48 hours before pickup" },
+    { minHoursBeforePickup: null, refundPercent: 0, label: "Less than 12 hours before pickup" },
+  ],
+
+  // Flat fee (INR) kept from any partial refund
+  cancellationFee: 0,
+};
+
+// Overrides per booking type
+export const BOOKING_TYPE_CANCELLATION_POLICIES = {
+  // Pickup is "now", so only the grace period after booking is refundable
+  immediate: {
+    name: "immediate",
+    graceMinutes: 5,
+    tiers: [{ minHoursBeforePickup: null, refundPercent: 0, label: "After the 5 minute free cancellation window" }],
+  },
+};
+
+// Overrides per vehicle type (keys are lower-case Vehicle.type values); applied after booking type
+export const VEHICLE_TYPE_CANCELLATION_POLICIES = {
+  van: {
+    name: "van",
+    tiers: [
+      { minHoursBeforePickup: 72, refundPercent: 100, label: "More than 72 hours before pickup" },
+      { minHoursBeforePickup: 24, refundPercent: 50, label: "24 to 72 hours before pickup" },
+      { minHoursBeforePickup: null, refundPercent: 0, label: "Less than 24 hours before pickup" },
+    ],
+  },
+  truck: {
+    name: "truck",
+    tiers: [
+      { minHoursBeforePickup: 72, refundPercent: 100, label: "More than 72 hours before pickup" },
+      { minHoursBeforePickup: 24, refundPercent: 50, label: "24 to 72 hours before pickup" },
+      { minHoursBeforePickup: null, refundPercent: 0, label: "Less than 24 hours before pickup" },
+    ],
+  },
+};
+
+export const getCancellationPolicy = ({ bookingType, vehicleType } = {}) => {
+  const byBookingType = BOOKING_TYPE_CANCELLATION_POLICIES[bookingType];
+  // Immediate trips keep their own policy whatever the vehicle
+  const byVehicleType = bookingType === "immediate"
+    ? null
+    : VEHICLE_TYPE_CANCELLATION_POLICIES[String(vehicleType || "").toLowerCase()];
+
+  return { ...DEFAULT_CANCELLATION_POLICY, ...byBookingType, ...byVehicleType };
+};
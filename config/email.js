@@ -0,0 +1,15 @@
+// config/email.js
+
+// Branding shared by every email layout (services/email)
+export const EMAIL_BRANDING = {
+  name: "RideInBalasore",
+  supportEmail: "rideinbls@gmail.com",
+  timeZone: "Asia/Kolkata",
+  colors: {
+    header: "#000000",
+    primary: "#667eea",
+    success: "#28a745",
+    danger: "#e74c3c",
+    warning: "#ffc107",
+  },
+};
@@ -0,0 +1,71 @@
+// config/invoices.js
+import { EMAIL_BRANDING } from "./email.js";
+
+// Tax invoices, receipts and credit notes (services/invoices)
+export const INVOICE_SETTINGS = {
+  // INV/26-27/00001: a series per financial year, at most 16 characters as GST requires
+  invoicePrefix: "INV",
+  creditNotePrefix: "CN",
+  sequenceDigits: 5,
+  financialYearStartMonth: 4, // April
+  timeZone: "Asia/Kolkata",
+
+  // SAC codes and descriptions come from the service category (config/tax.js)
+
+  // Invoices rendered into one PDF by the admin bulk download
+  bulkExportLimit: 500,
+};
+
+// GST state codes (first two digits of a GSTIN)
+export const GST_STATE_CODES = {
+  "01": "Jammu and Kashmir",
+  "02": "Himachal Pradesh",
+  "03": "Punjab",
+  "04": "Chandigarh",
+  "05": "Uttarakhand",
+  "06": "Haryana",
+  "07": "Delhi",
+  "08": "Rajasthan",
+  "09": "Uttar Pradesh",
+  "10": "Bihar",
+  "11": "Sikkim",
+  "12": "Arunachal Pradesh",
+  "13": "Nagaland",
+  "14": "Manipur",
+  "15": "Mizoram",
+  "16": "Tripura",
+  "17": "Meghalaya",
+  "18": "Assam",
+  "19": "West Bengal",
+  "20": "Jharkhand",
+  "21": "Odisha",
+  "22": "Chhattisgarh",
+  "23": "Madhya Pradesh",
+  "24": "Gujarat",
+  "26": "Dadra and Nagar Haveli and Daman and Diu",
+  "27": "Maharashtra",
+  "29": "Karnataka",
+  "30": "Goa",
+  "31": "Lakshadweep",
+  "32": "Kerala",
+  "33": "Tamil Nadu",
+  "34": "Puducherry",
+  "35": "Andaman and Nicobar Islands",
+  "36": "Telangana",
+  "37": "Andhra Pradesh",
+  "38": "Ladakh",
+};
+
+export const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// The business issuing the invoices; read when an invoice is issued so .env is loaded
+export const getSupplier = () => ({
+  name: process.env.COMPANY_LEGAL_NAME || EMAIL_BRANDING.name,
+  address: process.env.COMPANY_ADDRESS || "Balasore, Odisha",
+  stateCode: process.env.COMPANY_STATE_CODE || "21",
+  state: GST_STATE_CODES[process.env.COMPANY_STATE_CODE || "21"],
+  gstin: process.env.COMPANY_GSTIN || null,
+  pan: process.env.COMPANY_PAN || null,
+  email: EMAIL_BRANDING.supportEmail,
+  phone: process.env.COMPANY_PHONE || null,
+});
@@ -0,0 +1,61 @@
+// config/notifications.js
+import { PERMISSIONS } from "./permissions.js";
+
+export const NOTIFICATION_CHANNELS = ["email", "sms", "whatsapp"];
+
+/**
+ * Customer / driver facing events and the order channels are tried in.
+ *
+ * The first channel the recipient can be reached on is used; if delivery there
+ * fails for good the next one takes over. A user's preferences can move their
+ * preferred channel first and switch channels off, except for `required` events
+ * (OTPs), which always keep at least email.
+ *
+ * Events with audience "driver" go to Driver records and are not shown in the
+ * customer's preference settings.
+ *
+ * Every event is also a template name in services/email/templates; SMS and
+ * WhatsApp use the template's short() text. Apart from OTPs (inApp: false) each
+ * event is also kept in the recipient's in-app inbox, shown with `level`
+ * ("info" | "success" | "warning" | "danger").
+ */
+export const NOTIFICATION_EVENTS = {
+  "auth.otp": { label: "Login and verification codes", channels: ["email", "sms", "whatsapp"], required: true, inApp: false },
+  "booking.confirmation": { label: "Booking confirmations", channels: ["email", "whatsapp", "sms"], level: "success" },
+  "booking.driver-assigned": { label: "Driver assigned to your booking", channels: ["sms", "whatsapp", "email"], level: "info" },
+  "booking.cancelled": { label: "Cancellation notices", channels: ["email", "whatsapp", "sms"], level: "warning" },
+  "booking.refund": { label: "Refunds", channels: ["email", "whatsapp", "sms"], level: "success" },
+  "booking.pickup-reminder": { label: "Pickup reminders", channels: ["email", "whatsapp", "sms"], level: "info" },
+  "driver.trip-assigned": { label: "New trip assigned", channels: ["sms", "whatsapp", "email"], audience: "driver", level: "info" },
+  "driver.pickup-reminder": { label: "Upcoming trip reminders", channels: ["sms", "whatsapp", "email"], audience: "driver", level: "info" },
+};
+
+/**
+ * Staff events: emailed to ADMIN_EMAIL and posted to the in-app activity feed of
+ * every user whose role has `permission`.
+ */
+export const STAFF_EVENTS = {
+  "booking.admin-alert": { label: "New bookings", permission: PERMISSIONS.BOOKINGS_READ, level: "info" },
+  "booking.cancelled-admin": { label: "Cancelled bookings", permission: PERMISSIONS.BOOKINGS_READ, level: "warning" },
+  "booking.pickup-reminder-admin": { label: "Upcoming pickups", permission: PERMISSIONS.BOOKINGS_READ, level: "info" },
+  "drivers.license-expiry": { label: "Driver license expiry", permission: PERMISSIONS.DRIVERS_READ, level: "warning" },
+};
+
+// Applied to users who never saved preferences
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  channels: { email: true, sms: true, whatsapp: false }, // WhatsApp needs an explicit opt-in
+  preferred: null,
+};
+
+// Stored mobiles are 10-digit Indian numbers; providers want E.164
+export const DEFAULT_COUNTRY_CODE = "91";
+
+/**
+ * Reminders sent before a pickup, to the rider, the assigned driver and/or the
+ * admin mailbox. PICKUP_REMINDER_OFFSETS overrides the offsets ("24h,1h", "90m");
+ * kinds not listed here go to the rider and the driver.
+ */
+export const PICKUP_REMINDERS = [
+  { kind: "24h", offsetMinutes: 24 * 60, audiences: ["rider", "driver", "admin"] },
+  { kind: "1h", offsetMinutes: 60, audiences: ["rider", "driver"] },
+];
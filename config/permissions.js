@@ -0,0 +1,78 @@
+// config/permissions.js
+
+// All permissions known to the API
+export const PERMISSIONS = {
+  USERS_READ: "users:read",
+  USERS_UPDATE: "users:update",
+  USERS_ASSIGN_ROLE: "users:assign-role",
+  USERS_BLOCK: "users:block",
+  USERS_DELETE: "users:delete",
+
+  VEHICLES_READ: "vehicles:read",
+  VEHICLES_CREATE: "vehicles:create",
+  VEHICLES_UPDATE: "vehicles:update",
+  VEHICLES_DELETE: "vehicles:delete",
+
+  BOOKINGS_READ: "bookings:read",
+  BOOKINGS_UPDATE: "bookings:update",
+  BOOKINGS_DELETE: "bookings:delete",
+  BOOKINGS_CANCEL: "bookings:cancel",
+  BOOKINGS_REFUND: "bookings:refund",
+  BOOKINGS_ANNOTATE: "bookings:annotate",
+
+  DRIVERS_READ: "drivers:read",
+  DRIVERS_CREATE: "drivers:create",
+  DRIVERS_UPDATE: "drivers:update",
+  DRIVERS_DELETE: "drivers:delete",
+  DRIVERS_ASSIGN_VEHICLE: "drivers:assign-vehicle",
+  TRIPS_UPDATE: "trips:update",
+
+  PAYMENTS_RECONCILE: "payments:reconcile",
+  PAYMENTS_COLLECT_CASH: "payments:collect-cash",
+  INVOICES_READ: "invoices:read",
+
+  JOBS_MANAGE: "jobs:manage",
+  NOTIFICATIONS_MANAGE: "notifications:manage",
+
+  DASHBOARD_READ: "dashboard:read",
+};
+
+const P = PERMISSIONS;
+
+// Roles match the enum in models/User.js. "*" grants everything.
+export const ROLE_PERMISSIONS = {
+  admin: ["*"],
+  manager: [
+    P.USERS_READ,
+    P.VEHICLES_READ, P.VEHICLES_CREATE, P.VEHICLES_UPDATE, P.VEHICLES_DELETE,
+    P.BOOKINGS_READ, P.BOOKINGS_UPDATE, P.BOOKINGS_CANCEL, P.BOOKINGS_ANNOTATE,
+    P.DRIVERS_READ, P.DRIVERS_CREATE, P.DRIVERS_UPDATE, P.DRIVERS_ASSIGN_VEHICLE,
+    P.TRIPS_UPDATE, P.PAYMENTS_COLLECT_CASH, P.INVOICES_READ,
+    P.NOTIFICATIONS_MANAGE,
+    P.DASHBOARD_READ,
+  ],
+  moderator: [
+    P.USERS_READ, P.USERS_BLOCK,
+    P.VEHICLES_READ,
+    P.BOOKINGS_READ, P.BOOKINGS_ANNOTATE,
+    P.DASHBOARD_READ,
+  ],
+  driver: [P.TRIPS_UPDATE, P.PAYMENTS_COLLECT_CASH],
+  user: [],
+};
+
+// Seniority of roles: staff may only act on accounts ranked below their own
+export const ROLE_RANKS = {
+  user: 0,
+  driver: 1,
+  moderator: 2,
+  manager: 3,
+  admin: 4,
+};
+
+export const outranks = (role, otherRole) => (ROLE_RANKS[role] ?? -1) > (ROLE_RANKS[otherRole] ?? 0);
+
+export const hasPermission = (role, permission) => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes("*") || granted.includes(permission);
+};
@@ -0,0 +1,60 @@
+// config/pricing.js
+
+// Fare rules used by services/pricing.js. Amounts are in INR.
+export const DEFAULT_PRICING_RULES = {
+  baseFare: 50,
+  minimumFare: 150,
+
+  // Used when the vehicle has no pricePerKM / pricePerHour of its own
+  defaultPerKmRate: 12,
+  defaultPerHourRate: 0,
+
+  // "greater": bill whichever of the distance and time charges is higher
+  // "sum":     bill both
+  timeBilling: "greater",
+
+  // Return leg is billed as this multiple of the one-way distance charge
+  roundTripMultiplier: 1.8,
+
+  // Surcharge on the trip charges when pickup is between these local hours
+  night: {
+    startHour: 22,
+    endHour: 6,
+    surchargePercent: 20,
+    timeZone: "Asia/Kolkata",
+  },
+
+  waiting: {
+    freeMinutes: 15,
+    ratePerMinute: 2,
+  },
+
+  // Per-day allowance for the driver on trips longer than thresholdKm one way
+  outstation: {
+    thresholdKm: 80,
+    driverAllowancePerDay: 300,
+  },
+
+  // GST and TDS: see config/tax.js
+};
+
+// Overrides per vehicle type (keys are lower-case Vehicle.type values)
+export const VEHICLE_TYPE_PRICING_RULES = {
+  bike: { baseFare: 20, minimumFare: 50, outstation: { driverAllowancePerDay: 0 } },
+  motorcycle: { baseFare: 20, minimumFare: 50, outstation: { driverAllowancePerDay: 0 } },
+  suv: { baseFare: 80, minimumFare: 250 },
+  van: { baseFare: 100, minimumFare: 300 },
+  truck: { baseFare: 150, minimumFare: 500 },
+};
+
+export const getPricingRules = (vehicleType) => {
+  const overrides = VEHICLE_TYPE_PRICING_RULES[String(vehicleType || "").toLowerCase()] || {};
+  const rules = { ...DEFAULT_PRICING_RULES, ...overrides };
+
+  // Merge nested rule groups instead of replacing them
+  for (const key of ["night", "waiting", "outstation"]) {
+    rules[key] = { ...DEFAULT_PRICING_RULES[key], ...overrides[key] };
+  }
+
+  return rules;
+};
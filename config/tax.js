@@ -0,0 +1,35 @@
+// config/tax.js
+
+// Tax rules applied to fares by services/tax.js. Rates are percentages.
+export const TAX_SETTINGS = {
+  // GST rate and SAC code per service category
+  serviceCategories: {
+    "passenger-transport": {
+      label: "Passenger vehicle rental with driver",
+      sacCode: "996601",
+      gstPercent: 5,
+    },
+    "goods-transport": {
+      label: "Goods transport by road",
+      sacCode: "996511",
+      gstPercent: 12,
+    },
+  },
+  defaultServiceCategory: "passenger-transport",
+
+  // Categories per vehicle type (keys are lower-case Vehicle.type values); others use the default
+  vehicleTypeCategories: {
+    truck: "goods-transport",
+  },
+
+  // TDS deducted at source by corporate clients (rate set per client by an admin, see User.billing.tdsPercent)
+  tds: {
+    maxPercent: 10,
+  },
+};
+
+export const getServiceCategory = (vehicleType) => {
+  const code =
+    TAX_SETTINGS.vehicleTypeCategories[String(vehicleType || "").toLowerCase()] || TAX_SETTINGS.defaultServiceCategory;
+  return { code, ...TAX_SETTINGS.serviceCategories[code] };
+};
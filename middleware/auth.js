@@ -1,5 +1,7 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import { isSessionActive } from "../services/tokenService.js";
+import { hasPermission } from "../config/permissions.js";
 
 export const authMiddleware = async (req, res, next) => {
   try {
@@ -31,8 +33,27 @@ export const authMiddleware = async (req, res, next) => {
       });
     }
 
-    // ✅ Attach user to req
+    // ✅ Blocked accounts are locked out immediately
+    if (await user.checkBlocked()) {
+      return res.status(403).json({
+        success: false,
+        code: "ACCOUNT_BLOCKED",
+        error: "Your account has been blocked. Contact support.",
+        blockedUntil: user.blockedUntil,
+      });
+    }
+
+    // ✅ Reject tokens whose session was logged out or revoked
+    if (!(await isSessionActive(user._id, decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        error: "Session has been logged out or revoked. Please login again.",
+      });
+    }
+
+    // ✅ Attach user and session to req
     req.user = user;
+    req.sessionId = decoded.sid;
 
     next();
   } catch (err) {
@@ -52,3 +73,37 @@ export const authMiddleware = async (req, res, next) => {
     return res.status(500).json({ success: false, error: "Authentication failed" });
   }
 };
+
+// ✅ Allow only the listed roles (use after authMiddleware)
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ success: false, error: "Authentication required" });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      error: "Access denied. You do not have the required role.",
+    });
+  }
+
+  next();
+};
+
+// ✅ Require every listed permission (see config/permissions.js)
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ success: false, error: "Authentication required" });
+  }
+
+  const missing = permissions.filter((permission) => !hasPermission(req.user.role, permission));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      error: "Access denied. You do not have permission to perform this action.",
+      missingPermissions: missing,
+    });
+  }
+
+  next();
+};
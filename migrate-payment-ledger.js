@@ -0,0 +1,68 @@
+// Move existing BookingPayment payment data into the payment ledger.
+// Safe to run more than once: gateway entries are upserted by their reference.
+//   node migrate-payment-ledger.js [--dry-run]
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { connectDB } from "./config/db.js";
+import BookingPayment from "./models/BookingPayment.js";
+import LedgerEntry from "./models/LedgerEntry.js";
+import { recordCharge, recordRefund } from "./services/ledger.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+await connectDB();
+
+const stats = { bookings: 0, charges: 0, refunds: 0, skipped: 0, failed: 0 };
+
+const cursor = BookingPayment.find({ "payment.status": "paid" }).cursor();
+
+for await (const booking of cursor) {
+  stats.bookings++;
+  const { payment } = booking;
+
+  try {
+    if (!payment.providerPaymentId || !(payment.amount > 0)) {
+      stats.skipped++;
+      console.warn(`⚠️ ${booking.bookingCode}: no gateway payment id or amount, skipped`);
+      continue;
+    }
+
+    if (!dryRun) await recordCharge(booking);
+    stats.charges++;
+
+    const refundedAmount = payment.refundedAmount || (payment.isRefunded ? payment.amount : 0);
+    if (refundedAmount > 0) {
+      const refund = {
+        // Old refunds without an id still get a stable reference so reruns do not duplicate them
+        id: payment.refundId || `legacy-refund-${booking._id}`,
+        amount: Math.round(refundedAmount * 100),
+        currency: payment.currency,
+        status: payment.refundStatus || "processed",
+        error_description: payment.refundFailureReason,
+        created_at: Math.floor((payment.refundedAt || booking.updatedAt).getTime() / 1000),
+      };
+      if (!dryRun) await recordRefund(booking, refund, { reason: "Migrated from booking payment" });
+      stats.refunds++;
+    }
+  } catch (err) {
+    stats.failed++;
+    console.error(`❌ ${booking.bookingCode}:`, err.message);
+  }
+}
+
+// The old Payment / Order models were never written by the API; report leftovers only
+const collections = (await mongoose.connection.db.listCollections().toArray()).map((c) => c.name);
+for (const name of ["payments", "orders"]) {
+  if (collections.includes(name)) {
+    const count = await mongoose.connection.db.collection(name).countDocuments();
+    console.log(`ℹ️ Legacy "${name}" collection has ${count} documents (not migrated)`);
+  }
+}
+
+console.log(`${dryRun ? "[dry run] " : ""}Ledger migration done:`, stats);
+console.log("Ledger entries now:", await LedgerEntry.countDocuments());
+
+await mongoose.disconnect();
+process.exit(stats.failed ? 1 : 0);
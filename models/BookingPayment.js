@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+import fareBreakdownSchema from "./schemas/fareBreakdown.js";
+import { syncReminderSchedule } from "../services/reminderSchedule.js";
+import { publishBookingUpdate } from "../services/realtime.js";
 
 // Booking + Payment Schema
 const bookingPaymentSchema = new mongoose.Schema(
@@ -21,10 +24,14 @@ const bookingPaymentSchema = new mongoose.Schema(
     origin: { type: String },
     destination: { type: String },
     isRoundTrip: { type: Boolean, default: false },
+    bookingType: { type: String, enum: ["immediate", "scheduled"], default: "immediate" },
 
     // Time details
     startDate: { type: Date },
     endDate: { type: Date },
+    // End of the period the vehicle is held: endDate, or the estimated trip end
+    // for immediate bookings (see services/availability.js)
+    blockedUntil: { type: Date },
 
     // Unique booking code
     bookingCode: {
@@ -37,6 +44,8 @@ const bookingPaymentSchema = new mongoose.Schema(
 
     // Pricing & Payment
     totalPrice: { type: Number, required: true },
+    quote: { type: mongoose.Schema.Types.ObjectId, ref: "FareQuote", default: null },
+    fareBreakdown: { type: fareBreakdownSchema, default: null },
 
     payment: {
       provider: {
@@ -44,10 +53,15 @@ const bookingPaymentSchema = new mongoose.Schema(
         required: true,
         trim: true,
         lowercase: true,
-        enum: ["razorpay", "stripe", "paypal", "other"],
+        enum: ["razorpay", "stripe", "paypal", "cash", "fake", "other"],
         index: true
       },
-      providerPaymentId: { type: String, required: true, trim: true },
+      // Set once money is received (cash bookings have none until pickup)
+      providerPaymentId: {
+        type: String,
+        trim: true,
+        required: function () { return this.payment?.status === "paid"; },
+      },
       orderId: { type: String, unique: true, required: true, trim: true, index: true },
       amount: { type: Number, required: true, min: [1, "Amount must be greater than 0"] },
       currency: { type: String, required: true, uppercase: true, default: "INR", match: /^[A-Z]{3}$/ },
@@ -56,6 +70,12 @@ const bookingPaymentSchema = new mongoose.Schema(
       failureReason: { type: String, trim: true },
       refundId: { type: String, trim: true },
       isRefunded: { type: Boolean, default: false },
+      refundStatus: { type: String, enum: ["pending", "processed", "failed"] },
+      refundedAmount: { type: Number, default: 0 },
+      refundedAt: { type: Date },
+      refundFailureReason: { type: String, trim: true },
+      // Held while a refund is sent (services/bookingService.js refundBooking)
+      refundLockedUntil: { type: Date },
       metadata: { type: mongoose.Schema.Types.Mixed },
       bookedByName: { type: String, trim: true, maxlength: 100 },
     },
@@ -63,30 +83,125 @@ const bookingPaymentSchema = new mongoose.Schema(
     // Payment status (for quick reference)
     paymentStatus: {
       type: String,
-      enum: ["Pending", "Paid", "Failed", "Refunded", "No Refund"],
+      enum: ["Pending", "Paid", "Failed", "Partially Refunded", "Refunded", "Refund Failed", "No Refund"],
       default: "Pending",
       index: true,
     },
 
-    // Booking status
+    // Booking status (transitions are guarded by services/bookingLifecycle.js)
     bookingStatus: {
       type: String,
-      enum: ["Pending", "Confirmed", "Cancelled", "Completed"],
+      enum: ["Pending", "Confirmed", "DriverAssigned", "EnRoute", "InProgress", "Completed", "Cancelled", "NoShow"],
       default: "Pending",
       index: true,
     },
 
+    // When each status was entered
+    lifecycle: {
+      confirmedAt: { type: Date },
+      driverAssignedAt: { type: Date },
+      enRouteAt: { type: Date },
+      startedAt: { type: Date },
+      completedAt: { type: Date },
+      cancelledAt: { type: Date },
+      noShowAt: { type: Date },
+    },
+
+    // Assigned driver
+    driver: { type: mongoose.Schema.Types.ObjectId, ref: "Driver", default: null, index: true },
+    driverName: { type: String, trim: true },
+
+    // Pickup reminder schedule (kind = how long before pickup, e.g. "24h"); see services/reminderSchedule.js
+    reminders: [
+      {
+        kind: { type: String, required: true },
+        dueAt: { type: Date },
+        status: { type: String, enum: ["scheduled", "sent", "cancelled"], default: "scheduled" },
+        sentAt: { type: Date },
+        cancelledAt: { type: Date },
+        _id: false,
+      },
+    ],
+
+    // Set when the booking is cancelled (refund decided by services/cancellation.js)
+    cancellation: {
+      cancelledAt: { type: Date },
+      cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      reason: { type: String, trim: true, maxlength: 500 },
+      policy: { type: String },
+      tier: { type: String },
+      hoursBeforePickup: { type: Number },
+      refundPercent: { type: Number },
+      refundAmount: { type: Number },
+    },
+
     // Admin tracking
     createdByAdmin: { type: Boolean, default: false },
     notes: { type: String },
+    adminNotes: [
+      {
+        text: { type: String, required: true, trim: true, maxlength: 2000 },
+        author: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        authorName: { type: String },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    // Everything done to the booking after creation (cancellations, refunds, notes...)
+    history: [
+      {
+        action: { type: String, required: true }, // e.g. cancelled, refund_initiated, note_added
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // null for system / gateway
+        byName: { type: String },
+        note: { type: String, trim: true },
+        amount: { type: Number },
+        reference: { type: String }, // refund id etc.
+        at: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
   },
   { timestamps: true, versionKey: false }
 );
 
 // Indexes for performance
 bookingPaymentSchema.index({ user: 1, vehicle: 1, "payment.orderId": 1 });
-bookingPaymentSchema.index({ vehicle: 1, startDate: 1 });
+bookingPaymentSchema.index({ vehicle: 1, startDate: 1, blockedUntil: 1 });
 bookingPaymentSchema.index({ bookingCode: 1 });
+bookingPaymentSchema.index({ "reminders.status": 1, "reminders.dueAt": 1 });
+
+// ✅ Keep the reminder schedule in step with the pickup time and status
+bookingPaymentSchema.pre("save", function (next) {
+  if (this.isNew || this.isModified("startDate") || this.isModified("bookingStatus")) {
+    syncReminderSchedule(this);
+  }
+  next();
+});
+
+// ✅ Push status, driver and refund changes to live sessions (services/realtime.js)
+bookingPaymentSchema.post("init", function () {
+  this.$locals.loadedStatus = this.bookingStatus;
+});
+
+bookingPaymentSchema.pre("save", function (next) {
+  const changes = {};
+  if (!this.isNew && this.isModified("bookingStatus")) changes.statusFrom = this.$locals.loadedStatus ?? null;
+  if (this.isModified("driver") && this.driver) changes.driver = true;
+  if (this.isModified("payment.refundStatus") || this.isModified("payment.refundedAmount")) changes.refund = true;
+  this.$locals.streamChanges = Object.keys(changes).length ? changes : null;
+  next();
+});
+
+bookingPaymentSchema.post("save", function () {
+  const changes = this.$locals.streamChanges;
+  this.$locals.loadedStatus = this.bookingStatus;
+  this.$locals.streamChanges = null;
+  if (!changes) return;
+
+  publishBookingUpdate(this, changes).catch((err) =>
+    console.error(`Live update for booking ${this.bookingCode} failed:`, err.message)
+  );
+});
 
 const BookingPayment = mongoose.model("BookingPayment", bookingPaymentSchema);
 
@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+// Named sequences (invoice numbers...). _id is the sequence name, seq the last value handed out.
+const counterSchema = new mongoose.Schema(
+  {
+    _id: { type: String },
+    seq: { type: Number, default: 0 },
+  },
+  { versionKey: false }
+);
+
+// Next value of a sequence, created at 1 on first use
+counterSchema.statics.next = async function (name, { session } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+  return counter.seq;
+};
+
+export default mongoose.models.Counter || mongoose.model("Counter", counterSchema);
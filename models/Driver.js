@@ -0,0 +1,135 @@
+import mongoose from "mongoose";
+
+// Driver Schema
+const driverSchema = new mongoose.Schema(
+  {
+    // Personal Information
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: 100,
+    },
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    mobile: {
+      type: String,
+      required: [true, "Mobile number is required"],
+      unique: true,
+      trim: true,
+      match: /^[0-9]{10}$/,
+    },
+    dateOfBirth: {
+      type: Date,
+      required: [true, "Date of birth is required"],
+    },
+    address: {
+      street: { type: String, trim: true },
+      city: { type: String, trim: true },
+      state: { type: String, trim: true },
+      pincode: { type: String, trim: true, match: /^[0-9]{6}$/ },
+    },
+
+    // License Information
+    licenseNumber: {
+      type: String,
+      required: [true, "License number is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    licenseType: {
+      type: String,
+      required: [true, "License type is required"],
+      enum: ["Light Motor Vehicle", "Heavy Motor Vehicle", "Commercial"],
+    },
+    licenseExpiry: {
+      type: Date,
+      required: [true, "License expiry date is required"],
+    },
+    licenseIssueDate: {
+      type: Date,
+      required: [true, "License issue date is required"],
+    },
+
+    // Documents
+    documents: {
+      photo: { type: String }, // URL or file path
+      licenseImage: { type: String },
+      aadharImage: { type: String },
+      panImage: { type: String },
+    },
+
+    // Employment Details
+    joinDate: {
+      type: Date,
+      default: Date.now,
+    },
+    status: {
+      type: String,
+      enum: ["Active", "Inactive", "On Leave", "Suspended"],
+      default: "Active",
+      index: true,
+    },
+    assignedVehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vehicle",
+      default: null,
+    },
+
+    // Experience & Rating
+    yearsOfExperience: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    rating: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 5,
+    },
+    totalTrips: {
+      type: Number,
+      default: 0,
+    },
+
+    // Last position reported by the driver app (POST /api/drivers/me/location)
+    lastLocation: {
+      lat: { type: Number, min: -90, max: 90 },
+      lng: { type: Number, min: -180, max: 180 },
+      heading: { type: Number, min: 0, max: 360 },
+      speed: { type: Number, min: 0 }, // km/h
+      at: { type: Date },
+    },
+
+    // Emergency Contact
+    emergencyContact: {
+      name: { type: String, trim: true },
+      relation: { type: String, trim: true },
+      mobile: { type: String, trim: true, match: /^[0-9]{10}$/ },
+    },
+
+    // Additional Info
+    notes: { type: String },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+// Indexes
+driverSchema.index({ email: 1 });
+driverSchema.index({ mobile: 1 });
+driverSchema.index({ licenseNumber: 1 });
+driverSchema.index({ status: 1 });
+
+export default mongoose.models.Driver || mongoose.model("Driver", driverSchema);
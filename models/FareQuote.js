@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+import fareBreakdownSchema from "./schemas/fareBreakdown.js";
+
+// Server-issued price for a trip; create-order only charges what a quote says
+const fareQuoteSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vehicle",
+      required: true,
+    },
+
+    // Route
+    origin: { type: String, required: true, trim: true },
+    destination: { type: String, required: true, trim: true },
+    distance: {
+      km: { type: Number, required: true },
+      meters: { type: Number },
+      text: { type: String },
+    },
+    duration: {
+      seconds: { type: Number },
+      text: { type: String },
+    },
+
+    // Trip window
+    bookingType: { type: String, enum: ["immediate", "scheduled"], required: true },
+    startDate: { type: Date },
+    endDate: { type: Date },
+    isRoundTrip: { type: Boolean, default: false },
+
+    // Price
+    waitingMinutes: { type: Number, default: 0 },
+    fare: { type: fareBreakdownSchema, required: true },
+    amount: { type: Number, required: true, min: [1, "Amount must be greater than 0"] },
+    currency: { type: String, default: "INR", uppercase: true },
+
+    signature: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    purgeAt: { type: Date }, // unset once used, so booked quotes are kept
+
+    // Set once a payment order has been created from this quote
+    usedAt: { type: Date, default: null },
+    orderId: { type: String, default: null, index: true },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+// ✅ Unused quotes are dropped by MongoDB once purgeAt passes
+fareQuoteSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.FareQuote || mongoose.model("FareQuote", fareQuoteSchema);
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+/**
+ * In-app inbox item (the bell icon).
+ *
+ * Personal items belong to one `user` (rider or driver account) and are read
+ * once. Staff items have no user but a `permission`: they show in the activity
+ * feed of every account whose role grants it, and each reader is tracked in
+ * `readBy`. Items are written by services/notifications alongside the outbox
+ * message of the same event, so title and body are the template's subject and
+ * short() text.
+ */
+const inAppNotificationSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    permission: { type: String, default: null }, // staff items only
+
+    event: { type: String, required: true },
+    level: { type: String, enum: ["info", "success", "warning", "danger"], default: "info" },
+    title: { type: String, required: true, trim: true },
+    body: { type: String, default: "" },
+
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "BookingPayment", default: null },
+    bookingCode: { type: String },
+
+    // Same idempotency key as the outbox message, suffixed ":inbox"
+    key: { type: String },
+
+    readAt: { type: Date, default: null }, // personal items
+    readBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], // staff items
+  },
+  { timestamps: true, versionKey: false }
+);
+
+inAppNotificationSchema.index({ user: 1, createdAt: -1 });
+inAppNotificationSchema.index({ permission: 1, createdAt: -1 });
+inAppNotificationSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $type: "string" } } });
+// ✅ Old items are dropped by MongoDB after 180 days
+inAppNotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+export default mongoose.models.InAppNotification || mongoose.model("InAppNotification", inAppNotificationSchema);
@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+import { fareLineSchema } from "./schemas/fareBreakdown.js";
+
+const partySchema = new mongoose.Schema(
+  {
+    name: { type: String },
+    companyName: { type: String },
+    gstin: { type: String },
+    pan: { type: String },
+    address: { type: String },
+    state: { type: String },
+    stateCode: { type: String },
+    email: { type: String },
+    phone: { type: String },
+  },
+  { _id: false }
+);
+
+/**
+ * Tax invoice or credit note of a booking (services/invoices).
+ *
+ * Issued documents are never edited: supplier, customer, trip and amounts are
+ * copied in when the document is numbered, so a re-rendered PDF is identical to
+ * the one first sent. A booking has one invoice; every refund that reaches the
+ * customer gets a credit note against it. Receipts are the invoice rendered as
+ * an acknowledgement of payment and have no number of their own.
+ */
+const invoiceSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["invoice", "credit-note"], required: true },
+    // INV/26-27/00001; null while the document is claimed but not numbered yet
+    number: { type: String, default: null },
+    financialYear: { type: String, required: true }, // "2026-27"
+    issuedAt: { type: Date, default: Date.now },
+    // Claim of the call numbering it (see services/invoices issueNumbered)
+    numberingUntil: { type: Date },
+
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "BookingPayment", required: true, index: true },
+    bookingCode: { type: String },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    // Credit notes: the invoice they reduce and the refund they record
+    invoice: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice", default: null },
+    refundRef: { type: String },
+    reason: { type: String },
+
+    supplier: { type: partySchema, required: true },
+    customer: { type: partySchema, required: true },
+    placeOfSupply: { type: String },
+    supplyType: { type: String, enum: ["intra-state", "inter-state"] }, // CGST + SGST or IGST
+
+    sacCode: { type: String },
+    description: { type: String },
+    trip: {
+      origin: { type: String },
+      destination: { type: String },
+      startDate: { type: Date },
+      endDate: { type: Date },
+      vehicle: { type: String },
+    },
+
+    items: { type: [fareLineSchema], default: [] },
+    subtotal: { type: Number, required: true },
+    taxes: { type: [fareLineSchema], default: [] },
+    taxTotal: { type: Number, default: 0 },
+    roundOff: { type: Number, default: 0 },
+    total: { type: Number, required: true },
+    // TDS deducted by the customer: the amount paid (or refunded) is total - tds.amount
+    tds: {
+      type: new mongoose.Schema({ rate: { type: Number }, amount: { type: Number } }, { _id: false }),
+      default: null,
+    },
+    currency: { type: String, default: "INR", uppercase: true },
+
+    payment: {
+      provider: { type: String },
+      method: { type: String },
+      reference: { type: String },
+      orderId: { type: String },
+      paidAt: { type: Date },
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+invoiceSchema.index({ issuedAt: 1, type: 1 }); // date-range listings and the monthly tax report
+invoiceSchema.index({ number: 1 }, { unique: true, partialFilterExpression: { number: { $type: "string" } } });
+// ✅ One invoice per booking, one credit note per refund
+invoiceSchema.index({ booking: 1 }, { unique: true, partialFilterExpression: { type: "invoice" } });
+invoiceSchema.index({ refundRef: 1 }, { unique: true, partialFilterExpression: { refundRef: { $type: "string" } } });
+
+export default mongoose.models.Invoice || mongoose.model("Invoice", invoiceSchema);
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// One execution of a background job (history shown in the admin panel)
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["running", "succeeded", "failed"],
+      default: "running",
+    },
+    trigger: { type: String, enum: ["schedule", "retry", "manual"], required: true },
+    attempt: { type: Number, default: 1 }, // 1 = first try, 2+ = retries
+    instance: { type: String }, // hostname:pid that ran it
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date },
+    durationMs: { type: Number },
+
+    result: { type: mongoose.Schema.Types.Mixed }, // summary returned by the job
+    error: { type: String },
+    nextRetryAt: { type: Date },
+  },
+  { versionKey: false }
+);
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+// ✅ History is kept for 30 days
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.models.JobRun || mongoose.model("JobRun", jobRunSchema);
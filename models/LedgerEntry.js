@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+/**
+ * Payment ledger: one entry per money movement on a booking.
+ *
+ *   charge      customer paid us                      (direction "in")
+ *   refund      we returned money to the customer     (direction "out")
+ *   adjustment  manual correction, either direction
+ *   payout      we paid a driver / vehicle owner      (direction "out")
+ *
+ * Entries are append-only; only the status of pending gateway entries changes.
+ * Booking balances are derived from these entries (see services/ledger.js).
+ */
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BookingPayment",
+      required: true,
+      index: true,
+    },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+
+    type: {
+      type: String,
+      enum: ["charge", "refund", "adjustment", "payout"],
+      required: true,
+      index: true,
+    },
+    direction: { type: String, enum: ["in", "out"], required: true },
+    amount: { type: Number, required: true, min: [0.01, "Amount must be greater than 0"] },
+    currency: { type: String, required: true, uppercase: true, default: "INR", match: /^[A-Z]{3}$/ },
+
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "succeeded",
+      index: true,
+    },
+
+    // Gateway references
+    provider: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      enum: ["razorpay", "stripe", "paypal", "cash", "fake", "manual", "other"],
+      default: "manual",
+    },
+    providerRef: { type: String, trim: true }, // payment id, refund id, payout reference
+    orderId: { type: String, trim: true, index: true },
+    paymentMethod: { type: String, enum: ["card", "upi", "netbanking", "wallet", "cash"] },
+
+    reason: { type: String, trim: true, maxlength: 500 },
+    failureReason: { type: String, trim: true },
+    payee: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // payouts only
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // null for system entries
+    occurredAt: { type: Date, default: Date.now },
+    metadata: { type: mongoose.Schema.Types.Mixed },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+// A gateway object is recorded once per entry type (webhook, verify and reconciliation may all see it)
+ledgerEntrySchema.index(
+  { provider: 1, type: 1, providerRef: 1 },
+  { unique: true, partialFilterExpression: { providerRef: { $type: "string" } } }
+);
+ledgerEntrySchema.index({ booking: 1, occurredAt: 1 });
+
+export default mongoose.models.LedgerEntry || mongoose.model("LedgerEntry", ledgerEntrySchema);
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// Period a vehicle is taken out of service (servicing, repairs, inspection...)
+const maintenanceBlockSchema = new mongoose.Schema(
+  {
+    vehicle: { type: mongoose.Schema.Types.ObjectId, ref: "Vehicle", required: true },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    reason: { type: String, trim: true, maxlength: 500 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    createdByName: { type: String },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+maintenanceBlockSchema.pre("validate", function (next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate("endDate", "End time must be after start time");
+  }
+  next();
+});
+
+// Overlap lookups: vehicle + startDate < windowEnd, then endDate > windowStart
+maintenanceBlockSchema.index({ vehicle: 1, startDate: 1, endDate: 1 });
+
+export default mongoose.models.MaintenanceBlock || mongoose.model("MaintenanceBlock", maintenanceBlockSchema);
@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+import { NOTIFICATION_CHANNELS } from "../config/notifications.js";
+
+/**
+ * Outbox of customer / admin notifications.
+ *
+ * Messages are stored first and delivered by services/notifications: a failed
+ * attempt is retried with exponential backoff ("failed" + nextAttemptAt) until
+ * maxAttempts, then the message is dead-lettered ("dead") for an admin to look
+ * at and resend, or handed to the next channel in `fallback` (an SMS that cannot
+ * be delivered goes out as email...). `data` is a snapshot of what the template
+ * needs, so a retry renders the same message even if the booking changed since.
+ * Messages that no longer make sense (reminders of a cancelled booking) are
+ * "cancelled" before delivery.
+ */
+const notificationSchema = new mongoose.Schema(
+  {
+    channel: { type: String, enum: NOTIFICATION_CHANNELS, default: "email" },
+    template: { type: String, required: true },
+    templateVersion: { type: Number }, // pinned version; latest when unset
+    to: { type: String, required: true, trim: true }, // email address or E.164 mobile
+    data: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "BookingPayment", default: null, index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    // Optional idempotency key, e.g. "booking.confirmation:<bookingId>"
+    key: { type: String },
+
+    status: {
+      type: String,
+      enum: ["queued", "sending", "sent", "failed", "dead", "cancelled"],
+      default: "queued",
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 6 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date },
+
+    lastError: { type: String },
+    failures: [
+      {
+        _id: false,
+        attempt: { type: Number },
+        at: { type: Date },
+        message: { type: String },
+      },
+    ],
+
+    sentAt: { type: Date },
+    messageId: { type: String }, // transport's id for the delivered message
+
+    // Channels still to try once this one is dead, in order
+    fallback: [
+      {
+        _id: false,
+        channel: { type: String, enum: NOTIFICATION_CHANNELS },
+        to: { type: String },
+      },
+    ],
+    fallbackTo: { type: mongoose.Schema.Types.ObjectId, ref: "Notification", default: null },
+
+    resendOf: { type: mongoose.Schema.Types.ObjectId, ref: "Notification", default: null },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    purgeAt: { type: Date }, // set once sent; dead messages are kept
+  },
+  { timestamps: true, versionKey: false }
+);
+
+// Worker pickup: due messages in delivery order
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $type: "string" } } });
+// ✅ Delivered messages are dropped by MongoDB once purgeAt passes
+notificationSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.Notification || mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// Pending OTP challenge (register / login / forgot password)
+const otpSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    otpHash: { type: String, required: true },
+    type: {
+      type: String,
+      enum: ["register", "login", "forgot"],
+      required: true,
+    },
+    userData: { type: mongoose.Schema.Types.Mixed, default: null }, // pending registration payload
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    attempts: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+// ✅ MongoDB removes the document once expiresAt has passed
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.Otp || mongoose.model("Otp", otpSchema);
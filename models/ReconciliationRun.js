@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+const mismatchSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      enum: [
+        "PAID_WITHOUT_BOOKING",
+        "BOOKING_PAID_BUT_REFUNDED",
+        "REFUND_STATUS_MISMATCH",
+        "PAYMENT_NOT_CAPTURED",
+        "AMOUNT_MISMATCH",
+        "PAYMENT_DISPUTED",
+      ],
+    },
+    severity: { type: String, enum: ["info", "warning", "critical"], default: "warning" },
+    orderId: { type: String },
+    paymentId: { type: String },
+    refundId: { type: String },
+    disputeId: { type: String },
+    bookingCode: { type: String },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "BookingPayment" },
+    details: { type: String },
+
+    // Auto-heal outcome
+    healed: { type: Boolean, default: false },
+    healAction: { type: String },
+    healError: { type: String },
+  },
+  { _id: false }
+);
+
+// One run of the payment reconciliation job
+const reconciliationRunSchema = new mongoose.Schema(
+  {
+    provider: { type: String, default: "razorpay" },
+    window: {
+      from: { type: Date, required: true },
+      to: { type: Date, required: true },
+    },
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed"],
+      default: "running",
+      index: true,
+    },
+    autoHeal: { type: Boolean, default: true },
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null = scheduled
+
+    summary: {
+      ordersChecked: { type: Number, default: 0 },
+      paymentsChecked: { type: Number, default: 0 },
+      refundsChecked: { type: Number, default: 0 },
+      disputesChecked: { type: Number, default: 0 },
+      bookingsChecked: { type: Number, default: 0 },
+      mismatches: { type: Number, default: 0 },
+      healed: { type: Number, default: 0 },
+    },
+    mismatches: { type: [mismatchSchema], default: [] },
+
+    error: { type: String },
+    finishedAt: { type: Date },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+reconciliationRunSchema.index({ createdAt: -1 });
+
+export default mongoose.models.ReconciliationRun ||
+  mongoose.model("ReconciliationRun", reconciliationRunSchema);
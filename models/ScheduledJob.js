@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// Schedule, lock and retry state of a background job (one document per job name).
+// Job code lives in services/jobs; this only tracks when and where it runs.
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    description: { type: String },
+    schedule: { type: String, required: true }, // cron expression
+    timeZone: { type: String, default: "Asia/Kolkata" },
+    enabled: { type: Boolean, default: true },
+
+    nextRunAt: { type: Date, index: true },
+
+    // Lock held by the instance running the job; stale once lockedUntil passes
+    lockedBy: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+
+    // Retries of the current failing run (reset after a success or giving up)
+    retryCount: { type: Number, default: 0 },
+
+    lastRunAt: { type: Date },
+    lastFinishedAt: { type: Date },
+    lastStatus: { type: String, enum: ["succeeded", "failed", null], default: null },
+    lastError: { type: String },
+    lastDurationMs: { type: Number },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+export default mongoose.models.ScheduledJob || mongoose.model("ScheduledJob", scheduledJobSchema);
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// One login per device; holds the current (hashed) refresh token
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: { type: String, required: true },
+
+    // Device details
+    deviceName: { type: String, trim: true, maxlength: 100 },
+    userAgent: { type: String, trim: true },
+    ip: { type: String, trim: true },
+
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+
+    // Revocation
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, trim: true },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// ✅ Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export default mongoose.models.Session || mongoose.model("Session", sessionSchema);
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+/**
+ * Event pushed to live sessions by services/realtime.js (/api/stream).
+ *
+ * Events are stored before they are pushed so a client that reconnects can
+ * replay what it missed (Last-Event-ID = _id), and so every instance can pick
+ * up events published by the others. A session receives an event when its user
+ * is in `users` or its role grants `permission` (staff). Kept for a day.
+ */
+const streamEventSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true }, // "booking.status", "driver.location"...
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "BookingPayment", default: null },
+    users: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    permission: { type: String, default: null },
+    data: { type: mongoose.Schema.Types.Mixed, default: {} },
+    source: { type: String }, // instance that published it
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, versionKey: false }
+);
+
+// ✅ Dropped by MongoDB after 24 hours
+streamEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.models.StreamEvent || mongoose.model("StreamEvent", streamEventSchema);
@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { NOTIFICATION_CHANNELS } from "../config/notifications.js";
+import { GSTIN_PATTERN, GST_STATE_CODES } from "../config/invoices.js";
+import { TAX_SETTINGS } from "../config/tax.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -14,7 +17,34 @@ const userSchema = new mongoose.Schema(
     },
     isActive: { type: Boolean, default: true }, // ✅ Track if user is active
     lastLoginAt: { type: Date },               // ✅ Track last login timestamp
+    lastLogout: { type: Date },                // ✅ Track last logout timestamp
     avatar: { type: String },                  // ✅ Added avatar field for profile pictures
+
+    // ✅ Account blocking (isActive: false while blocked)
+    blockedAt: { type: Date, default: null },
+    blockedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    blockReason: { type: String, trim: true, maxlength: 500, default: null },
+    blockedUntil: { type: Date, default: null }, // null = until manually unblocked
+
+    // ✅ Where booking updates and OTPs go (routing rules in config/notifications.js)
+    notificationPreferences: {
+      channels: {
+        email: { type: Boolean, default: true },
+        sms: { type: Boolean, default: true },
+        whatsapp: { type: Boolean, default: false },
+      },
+      preferred: { type: String, enum: [...NOTIFICATION_CHANNELS, null], default: null },
+    },
+
+    // ✅ Printed on tax invoices; a GSTIN makes the customer a registered (B2B) recipient
+    billing: {
+      companyName: { type: String, trim: true, maxlength: 200 },
+      gstin: { type: String, trim: true, uppercase: true, match: [GSTIN_PATTERN, "Invalid GSTIN"] },
+      address: { type: String, trim: true, maxlength: 500 },
+      stateCode: { type: String, enum: [...Object.keys(GST_STATE_CODES), null] },
+      // ✅ Corporate clients deducting TDS on our invoices; set by an admin, not by the user
+      tdsPercent: { type: Number, min: 0, max: TAX_SETTINGS.tds.maxPercent, default: undefined },
+    },
   },
   { timestamps: true }
 );
@@ -24,6 +54,49 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+const BLOCK_FIELDS_CLEARED = {
+  isActive: true,
+  blockedAt: null,
+  blockedBy: null,
+  blockReason: null,
+  blockedUntil: null,
+};
+
+// Returns true while the account is blocked; lifts a temporary block once blockedUntil has passed
+userSchema.methods.checkBlocked = async function () {
+  if (this.isActive !== false) return false;
+
+  const now = new Date();
+  if (this.blockedUntil && this.blockedUntil <= now) {
+    // Only lifts the expired block: one placed since then stays
+    const { matchedCount } = await this.constructor.updateOne(
+      { _id: this._id, isActive: false, blockedUntil: { $lte: now } },
+      BLOCK_FIELDS_CLEARED
+    );
+    if (matchedCount) {
+      Object.assign(this, BLOCK_FIELDS_CLEARED);
+      return false;
+    }
+
+    const current = await this.constructor.findById(this._id).select("isActive").lean();
+    return current?.isActive === false;
+  }
+
+  return true;
+};
+
+// Unblock every account whose temporary block has expired
+userSchema.statics.liftExpiredBlocks = function () {
+  return this.updateMany(
+    { isActive: false, blockedUntil: { $ne: null, $lte: new Date() } },
+    BLOCK_FIELDS_CLEARED
+  );
+};
+
+userSchema.statics.unblock = function (userId) {
+  return this.findByIdAndUpdate(userId, BLOCK_FIELDS_CLEARED, { new: true });
+};
+
 // ✅ Hash password before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
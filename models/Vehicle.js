@@ -33,6 +33,7 @@ const vehicleSchema = new mongoose.Schema(
 
     // Availability
     isAvailable: { type: Boolean, default: true },
+    available: { type: Boolean, default: true }, // older flag, still read by listings and bookings
     isBooked: { type: Boolean, default: false },
 
     // Booking details
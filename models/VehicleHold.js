@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+/**
+ * Slot reserved for a customer between create-order and payment.
+ *
+ * An active hold blocks the vehicle for other checkouts until expiresAt; after
+ * that it simply stops counting (the expire-checkout-holds job then marks it
+ * "expired" for the record). /verify or the webhook turns it
+ * into a booking ("converted"). "lost" means the payment arrived after the slot
+ * was taken by someone else and the customer was refunded.
+ */
+const vehicleHoldSchema = new mongoose.Schema(
+  {
+    vehicle: { type: mongoose.Schema.Types.ObjectId, ref: "Vehicle", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    quote: { type: mongoose.Schema.Types.ObjectId, ref: "FareQuote" },
+    bookingCode: { type: String, required: true, unique: true },
+    orderId: { type: String, default: null, index: true },
+    provider: { type: String },
+
+    // Window held, same meaning as BookingPayment startDate / blockedUntil
+    startDate: { type: Date, required: true },
+    blockedUntil: { type: Date, required: true },
+
+    status: {
+      type: String,
+      enum: ["active", "converted", "released", "expired", "lost"],
+      default: "active",
+    },
+    expiresAt: { type: Date, required: true },
+
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "BookingPayment", default: null },
+    convertedAt: { type: Date },
+
+    // Automatic refund of a lost slot
+    lostReason: { type: String },
+    refund: {
+      id: { type: String },
+      amount: { type: Number }, // rupees
+      status: { type: String },
+      at: { type: Date },
+      error: { type: String },
+    },
+
+    purgeAt: { type: Date }, // unset on conversion / refund, so those are kept
+  },
+  { timestamps: true, versionKey: false }
+);
+
+// Overlap lookups for active holds of a vehicle
+vehicleHoldSchema.index({ vehicle: 1, status: 1, startDate: 1, blockedUntil: 1 });
+// ✅ Abandoned holds are dropped by MongoDB once purgeAt passes
+vehicleHoldSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.VehicleHold || mongoose.model("VehicleHold", vehicleHoldSchema);
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// Every gateway webhook we receive, keyed by the provider's event id (idempotency)
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true, lowercase: true, trim: true },
+    eventId: { type: String, required: true, trim: true },
+    event: { type: String, required: true, index: true },
+    payload: { type: mongoose.Schema.Types.Mixed },
+
+    status: {
+      type: String,
+      enum: ["processing", "processed", "failed", "ignored"],
+      default: "processing",
+      index: true,
+    },
+    attempts: { type: Number, default: 0 },
+    error: { type: String },
+    result: { type: mongoose.Schema.Types.Mixed },
+    processedAt: { type: Date },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+export default mongoose.models.WebhookEvent || mongoose.model("WebhookEvent", webhookEventSchema);
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// One line of a fare (see services/pricing.js)
+export const fareLineSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true },
+    label: { type: String, required: true },
+    quantity: { type: Number },
+    unit: { type: String },
+    rate: { type: Number },
+    amount: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// How the taxes of a fare were worked out (see services/tax.js)
+const fareTaxSchema = new mongoose.Schema(
+  {
+    serviceCategory: { type: String },
+    sacCode: { type: String },
+    description: { type: String },
+    gstPercent: { type: Number },
+    placeOfSupply: { type: String }, // GST state code
+    supplyType: { type: String, enum: ["intra-state", "inter-state"] },
+    customerGstin: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+// Itemised fare shared by quotes, bookings and invoices
+const fareBreakdownSchema = new mongoose.Schema(
+  {
+    pricingModel: { type: String },
+    items: { type: [fareLineSchema], default: [] },
+    subtotal: { type: Number },
+    taxes: { type: [fareLineSchema], default: [] },
+    taxTotal: { type: Number, default: 0 },
+    total: { type: Number },
+    tax: { type: fareTaxSchema, default: null },
+    // TDS the customer deducts at source; payable = total - tds.amount
+    tds: {
+      type: new mongoose.Schema({ rate: { type: Number }, amount: { type: Number } }, { _id: false }),
+      default: null,
+    },
+    payable: { type: Number },
+    currency: { type: String, default: "INR", uppercase: true },
+  },
+  { _id: false }
+);
+
+export default fareBreakdownSchema;
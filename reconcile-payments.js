@@ -0,0 +1,20 @@
+// Run the payment reconciliation job once: node reconcile-payments.js [hours]
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { connectDB } from "./config/db.js";
+import { runReconciliation } from "./services/reconciliation.js";
+
+dotenv.config();
+
+const hours = parseInt(process.argv[2]) || 48;
+
+await connectDB();
+
+const run = await runReconciliation({ from: new Date(Date.now() - hours * 60 * 60 * 1000) });
+console.log(`Reconciliation ${run.status}:`, run.summary);
+for (const m of run.mismatches) {
+  console.log(` - [${m.severity}] ${m.type} ${m.bookingCode || m.orderId || m.paymentId}${m.healed ? ` (healed: ${m.healAction})` : ""}`);
+}
+
+await mongoose.disconnect();
+process.exit(run.status === "completed" ? 0 : 1);
@@ -3,7 +3,47 @@ import User from "../models/User.js";
 import Vehicle from "../models/Vehicle.js";
 import Booking from "../models/BookingPayment.js";
 import multer from 'multer';
-import { authMiddleware } from "../middleware/auth.js";
+import { authMiddleware, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS, hasPermission, outranks } from "../config/permissions.js";
+import { revokeAllSessions } from "../services/tokenService.js";
+import ReconciliationRun from "../models/ReconciliationRun.js";
+import { runReconciliation } from "../services/reconciliation.js";
+import JobRun from "../models/JobRun.js";
+import { listJobs, triggerJob, setJobEnabled, getJobDefinition } from "../services/jobs/index.js";
+import { getBookingLedger, getBookingBalance } from "../services/ledger.js";
+import { cancelBooking, refundBooking, isBookingConflict } from "../services/bookingService.js";
+import {
+  ACTIVE_STATUSES,
+  addBookingEvent,
+  allowedTransitions,
+  canTransition,
+  transitionBooking
+} from "../services/bookingLifecycle.js";
+import Driver from "../models/Driver.js";
+import MaintenanceBlock from "../models/MaintenanceBlock.js";
+import {
+  findConflicts,
+  parseDateRange,
+  getVehicleCalendar,
+  getFleetUtilisation
+} from "../services/availability.js";
+import { evaluateCancellation } from "../services/cancellation.js";
+import {
+  sendRefundEmail,
+  sendCancellationEmails,
+  sendDriverAssignedNotifications
+} from "../services/bookingEmails.js";
+import Notification from "../models/Notification.js";
+import Invoice from "../models/Invoice.js";
+import { INVOICE_SETTINGS } from "../config/invoices.js";
+import { listDocuments, renderDocumentPdf, issuedOnly } from "../services/invoices/index.js";
+import { parseMonthRange, getMonthlyTaxReport } from "../services/invoices/taxReport.js";
+import { TAX_SETTINGS } from "../config/tax.js";
+import {
+  NOTIFICATION_SUMMARY_FIELDS,
+  getBookingNotifications,
+  resendNotification
+} from "../services/notifications/index.js";
 import mongoose from "mongoose";
 import path from 'path';
 import fs from 'fs';
@@ -190,7 +230,7 @@ const parseFeatures = (features) => {
    USER MANAGEMENT ROUTES
 ========================================================= */
 
-router.get("/users", authMiddleware, asyncHandler(async (req, res) => {
+router.get("/users", authMiddleware, requirePermission(PERMISSIONS.USERS_READ), asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 50;
   const skip = (page - 1) * limit;
@@ -216,7 +256,7 @@ router.get("/users", authMiddleware, asyncHandler(async (req, res) => {
         Booking.countDocuments({ user: user._id }),
         Booking.countDocuments({ 
           user: user._id, 
-          status: { $in: ['Pending', 'Confirmed'] } 
+          bookingStatus: { $in: ACTIVE_STATUSES } 
         })
       ]);
       
@@ -241,7 +281,7 @@ router.get("/users", authMiddleware, asyncHandler(async (req, res) => {
   });
 }));
 
-router.get("/users/:id", authMiddleware, asyncHandler(async (req, res) => {
+router.get("/users/:id", authMiddleware, requirePermission(PERMISSIONS.USERS_READ), asyncHandler(async (req, res) => {
   validateObjectId(req.params.id);
   
   const user = await User.findById(req.params.id).select("-password").lean();
@@ -253,7 +293,7 @@ router.get("/users/:id", authMiddleware, asyncHandler(async (req, res) => {
     Booking.countDocuments({ user: user._id }),
     Booking.countDocuments({ 
       user: user._id, 
-      status: { $in: ['Pending', 'Confirmed'] } 
+      bookingStatus: { $in: ACTIVE_STATUSES } 
     }),
     Booking.find({ user: user._id })
       .populate('vehicle', 'name brand type')
@@ -273,34 +313,85 @@ router.get("/users/:id", authMiddleware, asyncHandler(async (req, res) => {
   });
 }));
 
-router.patch("/users/:id/block", authMiddleware, asyncHandler(async (req, res) => {
+router.patch("/users/:id/block", authMiddleware, requirePermission(PERMISSIONS.USERS_BLOCK), asyncHandler(async (req, res) => {
   validateObjectId(req.params.id);
   
+  if (req.user._id.equals(req.params.id)) {
+    return res.status(400).json({ success: false, error: "You cannot block your own account" });
+  }
+  
+  const reason = sanitizeString(req.body.reason);
+  if (!reason) {
+    return res.status(400).json({ success: false, error: "A reason for blocking is required" });
+  }
+  
+  let blockedUntil = null;
+  if (req.body.until) {
+    blockedUntil = new Date(req.body.until);
+    if (isNaN(blockedUntil.getTime()) || blockedUntil <= new Date()) {
+      return res.status(400).json({ success: false, error: "Unblock date must be a valid future date" });
+    }
+  }
+  
+  const target = await User.findById(req.params.id).select("role").lean();
+  if (!target) {
+    return res.status(404).json({ success: false, error: "User not found" });
+  }
+  
+  // ✅ Only accounts below your own role can be blocked
+  if (!outranks(req.user.role, target.role)) {
+    return res.status(403).json({
+      success: false,
+      error: "Access denied. You cannot block an account with the same or a higher role."
+    });
+  }
+  
   const user = await User.findByIdAndUpdate(
     req.params.id,
-    { isActive: false, updatedAt: new Date() },
+    {
+      isActive: false,
+      blockedAt: new Date(),
+      blockedBy: req.user._id,
+      blockReason: reason,
+      blockedUntil,
+      updatedAt: new Date()
+    },
     { new: true }
-  ).select("_id name email isActive");
+  ).select("_id name email isActive blockedAt blockedBy blockReason blockedUntil");
   
   if (!user) {
     return res.status(404).json({ success: false, error: "User not found" });
   }
   
+  // Kill every session so existing tokens stop working right away
+  const revokedSessions = await revokeAllSessions(user._id, "account_blocked");
+  
   res.json({
     success: true,
     message: "User blocked successfully",
-    user
+    user,
+    revokedSessions
   });
 }));
 
-router.patch("/users/:id/unblock", authMiddleware, asyncHandler(async (req, res) => {
+router.patch("/users/:id/unblock", authMiddleware, requirePermission(PERMISSIONS.USERS_BLOCK), asyncHandler(async (req, res) => {
   validateObjectId(req.params.id);
   
-  const user = await User.findByIdAndUpdate(
-    req.params.id,
-    { isActive: true, updatedAt: new Date() },
-    { new: true }
-  ).select("_id name email isActive");
+  const target = await User.findById(req.params.id).select("role").lean();
+  if (!target) {
+    return res.status(404).json({ success: false, error: "User not found" });
+  }
+  
+  // ✅ Same rule as blocking: only accounts below your own role
+  if (!outranks(req.user.role, target.role)) {
+    return res.status(403).json({
+      success: false,
+      error: "Access denied. You cannot unblock an account with the same or a higher role."
+    });
+  }
+  
+  const user = await User.unblock(req.params.id)
+    .select("_id name email isActive blockedAt blockedBy blockReason blockedUntil");
   
   if (!user) {
     return res.status(404).json({ success: false, error: "User not found" });
@@ -313,12 +404,12 @@ router.patch("/users/:id/unblock", authMiddleware, asyncHandler(async (req, res)
   });
 }));
 
-router.delete("/users/:id", authMiddleware, asyncHandler(async (req, res) => {
+router.delete("/users/:id", authMiddleware, requirePermission(PERMISSIONS.USERS_DELETE), asyncHandler(async (req, res) => {
   validateObjectId(req.params.id);
   
   const activeBookings = await Booking.countDocuments({
     user: req.params.id,
-    status: { $in: ['Pending', 'Confirmed'] }
+    bookingStatus: { $in: ACTIVE_STATUSES }
   });
   
   if (activeBookings > 0) {
@@ -340,11 +431,18 @@ router.delete("/users/:id", authMiddleware, asyncHandler(async (req, res) => {
   });
 }));
 
-router.put("/users/:id", authMiddleware, asyncHandler(async (req, res) => {
+router.put("/users/:id", authMiddleware, requirePermission(PERMISSIONS.USERS_UPDATE), asyncHandler(async (req, res) => {
   validateObjectId(req.params.id);
   
   const { name, email, phone, mobile, role } = req.body;
   
+  if (role !== undefined && !hasPermission(req.user.role, PERMISSIONS.USERS_ASSIGN_ROLE)) {
+    return res.status(403).json({
+      success: false,
+      error: "Access denied. You do not have permission to change user roles."
+    });
+  }
+  
   const user = await User.findByIdAndUpdate(
     req.params.id,
     { 
@@ -369,11 +467,45 @@ router.put("/users/:id", authMiddleware, asyncHandler(async (req, res) => {
   });
 }));
 
+// TDS deducted by a corporate client; applies to fares quoted afterwards
+router.put("/users/:id/tax-profile", authMiddleware, requirePermission(PERMISSIONS.USERS_UPDATE), asyncHandler(async (req, res) => {
+  validateObjectId(req.params.id);
+  
+  const { tdsPercent } = req.body;
+  const rate = tdsPercent === null || tdsPercent === undefined || tdsPercent === "" ? 0 : Number(tdsPercent);
+  if (!Number.isFinite(rate) || rate < 0 || rate > TAX_SETTINGS.tds.maxPercent) {
+    return res.status(400).json({
+      success: false,
+      error: `tdsPercent must be between 0 and ${TAX_SETTINGS.tds.maxPercent}`
+    });
+  }
+  
+  const user = await User.findById(req.params.id).select("name email billing");
+  if (!user) {
+    return res.status(404).json({ success: false, error: "User not found" });
+  }
+  if (rate > 0 && !user.billing?.companyName) {
+    return res.status(400).json({
+      success: false,
+      error: "TDS applies to corporate clients. The user has no company billing details."
+    });
+  }
+  
+  user.set("billing.tdsPercent", rate > 0 ? rate : undefined);
+  await user.save();
+  
+  res.json({
+    success: true,
+    message: rate > 0 ? `TDS of ${rate}% will be deducted on new bookings` : "TDS removed",
+    user
+  });
+}));
+
 /* =========================================================
    VEHICLE MANAGEMENT ROUTES
 ========================================================= */
 
-router.get("/vehicles", authMiddleware, asyncHandler(async (req, res) => {
+router.get("/vehicles", authMiddleware, requirePermission(PERMISSIONS.VEHICLES_READ), asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 50;
   const skip = (page - 1) * limit;
@@ -405,17 +537,17 @@ router.get("/vehicles", authMiddleware, asyncHandler(async (req, res) => {
         Booking.countDocuments({ vehicle: vehicle._id }),
         Booking.countDocuments({
           vehicle: vehicle._id,
-          status: { $in: ["Pending", "Confirmed"] },
+          bookingStatus: { $in: ACTIVE_STATUSES },
         }),
         Booking.countDocuments({
           vehicle: vehicle._id,
-          status: "Completed"
+          bookingStatus: "Completed"
         }),
         Booking.aggregate([
           { 
             $match: { 
               vehicle: vehicle._id,
-              status: "Completed",
+              bookingStatus: "Completed",
               "payment.status": "Success"
             }
           },
@@ -455,7 +587,7 @@ router.get("/vehicles", authMiddleware, asyncHandler(async (req, res) => {
   });
 }));
 
-router.get("/vehicles/:id", authMiddleware, asyncHandler(async (req, res) => {
+router.get("/vehicles/:id", authMiddleware, requirePermission(PERMISSIONS.VEHICLES_READ), asyncHandler(async (req, res) => {
   validateObjectId(req.params.id);
   
   const vehicle = await Vehicle.findById(req.params.id).lean();
@@ -467,7 +599,7 @@ router.get("/vehicles/:id", authMiddleware, asyncHandler(async (req, res) => {
     Booking.countDocuments({ vehicle: vehicle._id }),
     Booking.countDocuments({
       vehicle: vehicle._id,
-      status: { $in: ['Pending', 'Confirmed'] }
+      bookingStatus: { $in: ACTIVE_STATUSES }
     }),
     Booking.find({ vehicle: vehicle._id })
       .populate('user', 'name email')
@@ -492,7 +624,7 @@ router.get("/vehicles/:id", authMiddleware, asyncHandler(async (req, res) => {
   });
 }));
 
-router.post("/vehicles", authMiddleware, upload.array('images', MAX_FILES), asyncHandler(async (req, res) => {
+router.post("/vehicles", authMiddleware, requirePermission(PERMISSIONS.VEHICLES_CREATE), upload.array('images', MAX_FILES), asyncHandler(async (req, res) => {
   const validationErrors = validateVehicleData(req.body);
   if (validationErrors.length > 0) {
     if (req.files) {
@@ -568,7 +700,7 @@ router.post("/vehicles", authMiddleware, upload.array('images', MAX_FILES), asyn
   }
 }));
 
-router.put("/vehicles/:id", authMiddleware, upload.array('images', MAX_FILES), asyncHandler(async (req, res) => {
+router.put("/vehicles/:id", authMiddleware, requirePermission(PERMISSIONS.VEHICLES_UPDATE), upload.array('images', MAX_FILES), asyncHandler(async (req, res) => {
   validateObjectId(req.params.id);
   
   const existingVehicle = await Vehicle.findById(req.params.id);
@@ -654,7 +786,7 @@ router.put("/vehicles/:id", authMiddleware, upload.array('images', MAX_FILES), a
   }
 }));
 
-router.delete("/vehicles/:id", authMiddleware, asyncHandler(async (req, res) => {
+router.delete("/vehicles/:id", authMiddleware, requirePermission(PERMISSIONS.VEHICLES_DELETE), asyncHandler(async (req, res) => {
   validateObjectId(req.params.id);
   
   const vehicle = await Vehicle.findById(req.params.id);
@@ -667,7 +799,7 @@ router.delete("/vehicles/:id", authMiddleware, asyncHandler(async (req, res) =>
   
   const activeBookings = await Booking.countDocuments({
     vehicle: req.params.id,
-    status: { $in: ['Pending', 'Confirmed'] }
+    bookingStatus: { $in: ACTIVE_STATUSES }
   });
   
   if (activeBookings > 0) {
@@ -687,7 +819,7 @@ router.delete("/vehicles/:id", authMiddleware, asyncHandler(async (req, res) =>
   });
 }));
 
-router.patch("/vehicles/:id/toggle-availability", authMiddleware, asyncHandler(async (req, res) => {
+router.patch("/vehicles/:id/toggle-availability", authMiddleware, requirePermission(PERMISSIONS.VEHICLES_UPDATE), asyncHandler(async (req, res) => {
   validateObjectId(req.params.id);
   
   const vehicle = await Vehicle.findById(req.params.id);
@@ -714,17 +846,160 @@ router.patch("/vehicles/:id/toggle-availability", authMiddleware, asyncHandler(a
   });
 }));
 
+/* =========================================================
+   VEHICLE MAINTENANCE BLOCKS
+========================================================= */
+
+router.get("/vehicles/:id/maintenance", authMiddleware, requirePermission(PERMISSIONS.VEHICLES_READ), asyncHandler(async (req, res) => {
+  validateObjectId(req.params.id);
+  
+  const filter = { vehicle: req.params.id };
+  if (req.query.upcoming === 'true') {
+    filter.endDate = { $gt: new Date() };
+  }
+  
+  const blocks = await MaintenanceBlock.find(filter)
+    .populate('createdBy', 'name email')
+    .sort({ startDate: -1 })
+    .lean();
+  
+  res.json({
+    success: true,
+    blocks
+  });
+}));
+
+// Block a vehicle for maintenance. Clashing bookings are refused unless force=true.
+router.post("/vehicles/:id/maintenance", authMiddleware, requirePermission(PERMISSIONS.VEHICLES_UPDATE), asyncHandler(async (req, res) => {
+  validateObjectId(req.params.id);
+  
+  const vehicle = await Vehicle.findById(req.params.id).select('type name licensePlate');
+  if (!vehicle) {
+    return res.status(404).json({
+      success: false,
+      error: "Vehicle not found"
+    });
+  }
+  
+  const startDate = new Date(req.body.startDate);
+  const endDate = new Date(req.body.endDate);
+  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime()) || endDate <= startDate) {
+    return res.status(400).json({
+      success: false,
+      error: "Valid startDate and endDate (after startDate) are required"
+    });
+  }
+  
+  const { bookings } = await findConflicts(vehicle._id, { start: startDate, end: endDate }, { bufferMinutes: 0 });
+  if (bookings.length && req.body.force !== true) {
+    return res.status(409).json({
+      success: false,
+      error: "Vehicle has bookings during this period",
+      code: "BOOKING_CONFLICT",
+      bookings
+    });
+  }
+  
+  const block = await MaintenanceBlock.create({
+    vehicle: vehicle._id,
+    startDate,
+    endDate,
+    reason: sanitizeString(String(req.body.reason || '')),
+    createdBy: req.user._id,
+    createdByName: req.user.name || req.user.email
+  });
+  
+  res.status(201).json({
+    success: true,
+    message: `${vehicle.name} blocked for maintenance`,
+    block,
+    conflictingBookings: bookings
+  });
+}));
+
+router.delete("/vehicles/:id/maintenance/:blockId", authMiddleware, requirePermission(PERMISSIONS.VEHICLES_UPDATE), asyncHandler(async (req, res) => {
+  validateObjectId(req.params.id);
+  validateObjectId(req.params.blockId);
+  
+  const block = await MaintenanceBlock.findOneAndDelete({ _id: req.params.blockId, vehicle: req.params.id });
+  if (!block) {
+    return res.status(404).json({
+      success: false,
+      error: "Maintenance block not found"
+    });
+  }
+  
+  res.json({
+    success: true,
+    message: "Maintenance block removed"
+  });
+}));
+
+/* =========================================================
+   AVAILABILITY CALENDAR & FLEET UTILISATION
+========================================================= */
+
+router.get("/vehicles/:id/calendar", authMiddleware, requirePermission(PERMISSIONS.VEHICLES_READ), asyncHandler(async (req, res) => {
+  validateObjectId(req.params.id);
+  
+  const vehicle = await Vehicle.findById(req.params.id).select('name licensePlate type isAvailable isBooked').lean();
+  if (!vehicle) {
+    return res.status(404).json({
+      success: false,
+      error: "Vehicle not found"
+    });
+  }
+  
+  const range = parseDateRange(req.query.from, req.query.to);
+  if (range.error) {
+    return res.status(400).json({
+      success: false,
+      error: range.error
+    });
+  }
+  
+  const calendar = await getVehicleCalendar(vehicle, range, { details: true });
+  
+  res.json({
+    success: true,
+    vehicle,
+    calendar
+  });
+}));
+
+// Daily utilisation per vehicle and for the fleet (default: last 7 days)
+router.get("/fleet/utilisation", authMiddleware, requirePermission(PERMISSIONS.DASHBOARD_READ), asyncHandler(async (req, res) => {
+  const range = parseDateRange(
+    req.query.from || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
+    req.query.to || new Date(),
+    { maxDays: 62 }
+  );
+  if (range.error) {
+    return res.status(400).json({
+      success: false,
+      error: range.error
+    });
+  }
+  
+  const utilisation = await getFleetUtilisation(range);
+  
+  res.json({
+    success: true,
+    utilisation
+  });
+}));
+
 /* =========================================================
    BOOKING MANAGEMENT ROUTES
 ========================================================= */
 
-router.get("/bookings", authMiddleware, asyncHandler(async (req, res) => {
+router.get("/bookings", authMiddleware, requirePermission(PERMISSIONS.BOOKINGS_READ), asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 50;
   const skip = (page - 1) * limit;
   const status = req.query.status;
   
-  const query = status ? { status } : {};
+  const query = status ? { bookingStatus: status } : {};
   
   const [bookings, totalBookings] = await Promise.all([
     Booking.find(query)
@@ -749,7 +1024,7 @@ router.get("/bookings", authMiddleware, asyncHandler(async (req, res) => {
   });
 }));
 
-router.get("/bookings/:id", authMiddleware, asyncHandler(async (req, res) => {
+router.get("/bookings/:id", authMiddleware, requirePermission(PERMISSIONS.BOOKINGS_READ), asyncHandler(async (req, res) => {
   validateObjectId(req.params.id);
   
   const booking = await Booking.findById(req.params.id)
@@ -764,33 +1039,72 @@ router.get("/bookings/:id", authMiddleware, asyncHandler(async (req, res) => {
     });
   }
   
+  const notifications = await getBookingNotifications(booking._id);
+  
   res.json({
     success: true,
-    booking
+    booking,
+    notifications
   });
 }));
 
-router.put("/bookings/:id/status", authMiddleware, asyncHandler(async (req, res) => {
+router.get("/bookings/:id/notifications", authMiddleware, requirePermission(PERMISSIONS.BOOKINGS_READ), asyncHandler(async (req, res) => {
   validateObjectId(req.params.id);
   
-  const { status } = req.body;
-  const validStatuses = ['Pending', 'Confirmed', 'Completed', 'Cancelled'];
+  const booking = await Booking.findById(req.params.id).select("bookingCode").lean();
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      error: "Booking not found"
+    });
+  }
+  
+  const notifications = await getBookingNotifications(booking._id);
   
-  if (!validStatuses.includes(status)) {
-    return res.status(400).json({
+  res.json({
+    success: true,
+    bookingCode: booking.bookingCode,
+    notifications
+  });
+}));
+
+router.get("/bookings/:id/ledger", authMiddleware, requirePermission(PERMISSIONS.BOOKINGS_READ), asyncHandler(async (req, res) => {
+  validateObjectId(req.params.id);
+  
+  const booking = await Booking.findById(req.params.id).select("bookingCode").lean();
+  if (!booking) {
+    return res.status(404).json({
       success: false,
-      error: "Invalid status",
-      validStatuses
+      error: "Booking not found"
     });
   }
   
-  const booking = await Booking.findByIdAndUpdate(
-    req.params.id,
-    { status, updatedAt: new Date() },
-    { new: true }
-  ).populate("user", "name email")
-   .populate("vehicle", "name brand");
+  const { entries, balance } = await getBookingLedger(booking._id);
   
+  res.json({
+    success: true,
+    bookingCode: booking.bookingCode,
+    balance,
+    entries
+  });
+}));
+
+router.put("/bookings/:id/status", authMiddleware, requirePermission(PERMISSIONS.BOOKINGS_UPDATE), asyncHandler(async (req, res) => {
+  validateObjectId(req.params.id);
+  
+  const { status, note } = req.body;
+  
+  // These need more than a status change (refunds, a driver)
+  if (status === 'Cancelled' || status === 'DriverAssigned') {
+    return res.status(400).json({
+      success: false,
+      error: status === 'Cancelled'
+        ? "Use POST /bookings/:id/cancel to cancel a booking"
+        : "Use POST /bookings/:id/assign-driver to assign a driver"
+    });
+  }
+  
+  const booking = await Booking.findById(req.params.id);
   if (!booking) {
     return res.status(404).json({
       success: false,
@@ -798,6 +1112,25 @@ router.put("/bookings/:id/status", authMiddleware, asyncHandler(async (req, res)
     });
   }
   
+  const result = await transitionBooking(booking, status, {
+    by: req.user,
+    note: note ? sanitizeString(String(note)) : undefined
+  });
+  if (result.error) {
+    return res.status(result.status).json({
+      success: false,
+      error: result.error,
+      code: result.code,
+      allowedStatuses: allowedTransitions(booking.bookingStatus)
+    });
+  }
+  
+  await booking.save();
+  await booking.populate([
+    { path: "user", select: "name email" },
+    { path: "vehicle", select: "name brand" }
+  ]);
+  
   res.json({
     success: true,
     message: `Booking status updated to ${status}`,
@@ -805,10 +1138,15 @@ router.put("/bookings/:id/status", authMiddleware, asyncHandler(async (req, res)
   });
 }));
 
-router.delete("/bookings/:id", authMiddleware, asyncHandler(async (req, res) => {
+router.post("/bookings/:id/assign-driver", authMiddleware, requirePermission(PERMISSIONS.BOOKINGS_UPDATE), asyncHandler(async (req, res) => {
   validateObjectId(req.params.id);
+  validateObjectId(req.body.driverId);
+  
+  const [booking, driver] = await Promise.all([
+    Booking.findById(req.params.id),
+    Driver.findById(req.body.driverId)
+  ]);
   
-  const booking = await Booking.findById(req.params.id);
   if (!booking) {
     return res.status(404).json({
       success: false,
@@ -816,19 +1154,641 @@ router.delete("/bookings/:id", authMiddleware, asyncHandler(async (req, res) =>
     });
   }
   
-  if (booking.status === 'Confirmed') {
+  if (!driver) {
+    return res.status(404).json({
+      success: false,
+      error: "Driver not found"
+    });
+  }
+  
+  if (driver.status !== 'Active') {
     return res.status(400).json({
       success: false,
-      error: "Cannot delete confirmed booking",
-      details: "Please cancel the booking first"
+      error: `Driver is ${driver.status}`
     });
   }
   
-  await Booking.findByIdAndDelete(req.params.id);
+  const result = await transitionBooking(booking, "DriverAssigned", { by: req.user, driver });
+  if (result.error) {
+    return res.status(result.status).json({
+      success: false,
+      error: result.error,
+      code: result.code,
+      allowedStatuses: allowedTransitions(booking.bookingStatus)
+    });
+  }
+  
+  await booking.save();
+  await booking.populate([
+    { path: "user", select: "name email mobile notificationPreferences" },
+    { path: "vehicle", select: "name brand type licensePlate" }
+  ]);
+  await sendDriverAssignedNotifications(booking, driver);
   
   res.json({
     success: true,
-    message: "Booking deleted successfully"
+    message: `Driver ${driver.name} assigned`,
+    booking
+  });
+}));
+
+router.post("/bookings/:id/cancel", authMiddleware, requirePermission(PERMISSIONS.BOOKINGS_CANCEL), asyncHandler(async (req, res) => {
+  validateObjectId(req.params.id);
+  
+  const reason = sanitizeString(String(req.body.reason || ''));
+  // refund: "policy" (default), "full", "none" or an amount in rupees
+  const refund = req.body.refund ?? "policy";
+  
+  if (!reason) {
+    return res.status(400).json({
+      success: false,
+      error: "Cancellation reason is required"
+    });
+  }
+  
+  const booking = await Booking.findById(req.params.id)
+    .populate("user", "name email mobile notificationPreferences")
+    .populate("vehicle");
+  
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      error: "Booking not found"
+    });
+  }
+  
+  if (!canTransition(booking.bookingStatus, 'Cancelled')) {
+    return res.status(400).json({
+      success: false,
+      error: `A ${booking.bookingStatus} booking cannot be cancelled`
+    });
+  }
+  
+  const evaluation = await evaluateCancellation(booking);
+  let refundAmount = 0;
+  let refundKind = "policy";
+  
+  if (refund === "policy") {
+    refundAmount = evaluation.refundAmount;
+  } else if (refund === "full") {
+    refundAmount = evaluation.paidAmount;
+    refundKind = "full";
+  } else if (refund !== "none") {
+    refundAmount = Number(refund);
+    refundKind = refundAmount > evaluation.refundAmount ? "goodwill" : "partial";
+    if (isNaN(refundAmount) || refundAmount < 0 || refundAmount > evaluation.paidAmount) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid refund amount",
+        details: `Refund must be between 0 and ${evaluation.paidAmount}`
+      });
+    }
+  }
+  
+  if (refundAmount > 0 && booking.payment.status !== "paid") {
+    return res.status(400).json({
+      success: false,
+      error: "Booking has not been paid, nothing to refund"
+    });
+  }
+  
+  let refundInfo;
+  try {
+    refundInfo = await cancelBooking(booking, {
+      cancelledBy: req.user,
+      reason,
+      refundAmount,
+      refundKind,
+      evaluation: refund === "policy" ? evaluation : null
+    });
+  } catch (error) {
+    if (!isBookingConflict(error)) throw error;
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  
+  if (refundInfo) {
+    await sendRefundEmail(booking, booking.user, refundInfo);
+  }
+  await sendCancellationEmails(booking, booking.user, refundInfo, { cancelledBy: "admin" });
+  
+  res.json({
+    success: true,
+    message: refundInfo ? `Booking cancelled, ₹${refundInfo.amount / 100} refund initiated` : "Booking cancelled without refund",
+    booking,
+    refund: refundInfo,
+    policy: evaluation
+  });
+}));
+
+router.post("/bookings/:id/refunds", authMiddleware, requirePermission(PERMISSIONS.BOOKINGS_REFUND), asyncHandler(async (req, res) => {
+  validateObjectId(req.params.id);
+  
+  // type: "full" | "partial" | "goodwill" (goodwill = outside the cancellation policy)
+  const { type = "partial" } = req.body;
+  const reason = sanitizeString(String(req.body.reason || ''));
+  
+  if (!['full', 'partial', 'goodwill'].includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid refund type",
+      validTypes: ['full', 'partial', 'goodwill']
+    });
+  }
+  
+  if (!reason) {
+    return res.status(400).json({
+      success: false,
+      error: "Refund reason is required"
+    });
+  }
+  
+  const booking = await Booking.findById(req.params.id).populate("user", "name email mobile");
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      error: "Booking not found"
+    });
+  }
+  
+  if (booking.payment.status !== "paid") {
+    return res.status(400).json({
+      success: false,
+      error: "Booking has not been paid, nothing to refund"
+    });
+  }
+  
+  const { refundable } = await getBookingBalance(booking._id);
+  const amount = type === "full" ? refundable : Number(req.body.amount);
+  
+  if (isNaN(amount) || amount <= 0 || amount > refundable) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid refund amount",
+      details: `Refund must be more than 0 and at most ${refundable}`
+    });
+  }
+  
+  // refundBooking checks the amount again under the booking's refund lock
+  let refundInfo;
+  try {
+    refundInfo = await refundBooking(booking, {
+      amount,
+      reason,
+      createdBy: req.user,
+      kind: type
+    });
+  } catch (error) {
+    if (!isBookingConflict(error)) throw error;
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  await booking.save();
+  
+  await sendRefundEmail(booking, booking.user, refundInfo);
+  
+  res.json({
+    success: true,
+    message: `₹${refundInfo.amount / 100} ${type} refund initiated`,
+    refund: refundInfo,
+    paymentStatus: booking.paymentStatus,
+    balance: await getBookingBalance(booking._id)
+  });
+}));
+
+router.post("/bookings/:id/notes", authMiddleware, requirePermission(PERMISSIONS.BOOKINGS_ANNOTATE), asyncHandler(async (req, res) => {
+  validateObjectId(req.params.id);
+  
+  const text = sanitizeString(String(req.body.text || ''));
+  if (!text) {
+    return res.status(400).json({
+      success: false,
+      error: "Note text is required"
+    });
+  }
+  
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      error: "Booking not found"
+    });
+  }
+  
+  booking.adminNotes.push({
+    text,
+    author: req.user._id,
+    authorName: req.user.name || req.user.email
+  });
+  addBookingEvent(booking, { action: "note_added", by: req.user, note: text });
+  await booking.save();
+  
+  res.status(201).json({
+    success: true,
+    message: "Note added",
+    notes: booking.adminNotes
+  });
+}));
+
+router.delete("/bookings/:id", authMiddleware, requirePermission(PERMISSIONS.BOOKINGS_DELETE), asyncHandler(async (req, res) => {
+  validateObjectId(req.params.id);
+  
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      error: "Booking not found"
+    });
+  }
+  
+  if (ACTIVE_STATUSES.includes(booking.bookingStatus) && booking.bookingStatus !== 'Pending') {
+    return res.status(400).json({
+      success: false,
+      error: `Cannot delete ${booking.bookingStatus} booking`,
+      details: "Please cancel the booking first"
+    });
+  }
+  
+  await Booking.findByIdAndDelete(req.params.id);
+  
+  res.json({
+    success: true,
+    message: "Booking deleted successfully"
+  });
+}));
+
+/* =========================================================
+   PAYMENT RECONCILIATION
+========================================================= */
+
+router.post("/reconciliation/run", authMiddleware, requirePermission(PERMISSIONS.PAYMENTS_RECONCILE), asyncHandler(async (req, res) => {
+  const { from, to, autoHeal } = req.body;
+  
+  const windowTo = to ? new Date(to) : new Date();
+  const windowFrom = from ? new Date(from) : undefined;
+  if (isNaN(windowTo.getTime()) || (windowFrom && (isNaN(windowFrom.getTime()) || windowFrom >= windowTo))) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid reconciliation window"
+    });
+  }
+  
+  const run = await runReconciliation({
+    from: windowFrom,
+    to: windowTo,
+    autoHeal: autoHeal !== false && autoHeal !== 'false',
+    triggeredBy: req.user._id
+  });
+  
+  res.status(run.status === "failed" ? 502 : 200).json({
+    success: run.status === "completed",
+    run
+  });
+}));
+
+router.get("/reconciliation/runs", authMiddleware, requirePermission(PERMISSIONS.PAYMENTS_RECONCILE), asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+  
+  const [runs, totalRuns] = await Promise.all([
+    ReconciliationRun.find()
+      .select("-mismatches")
+      .populate("triggeredBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    ReconciliationRun.countDocuments()
+  ]);
+  
+  res.json({
+    success: true,
+    runs,
+    pagination: {
+      page,
+      limit,
+      totalPages: Math.ceil(totalRuns / limit),
+      totalRuns
+    }
+  });
+}));
+
+router.get("/reconciliation/runs/:id", authMiddleware, requirePermission(PERMISSIONS.PAYMENTS_RECONCILE), asyncHandler(async (req, res) => {
+  validateObjectId(req.params.id);
+  
+  const run = await ReconciliationRun.findById(req.params.id)
+    .populate("triggeredBy", "name email")
+    .lean();
+  
+  if (!run) {
+    return res.status(404).json({
+      success: false,
+      error: "Reconciliation run not found"
+    });
+  }
+  
+  // Optional filters for the report view
+  let mismatches = run.mismatches;
+  if (req.query.type) mismatches = mismatches.filter(m => m.type === req.query.type);
+  if (req.query.unhealed === 'true') mismatches = mismatches.filter(m => !m.healed);
+  
+  res.json({
+    success: true,
+    run: { ...run, mismatches }
+  });
+}));
+
+/* =========================================================
+   BACKGROUND JOBS
+========================================================= */
+
+router.get("/jobs", authMiddleware, requirePermission(PERMISSIONS.JOBS_MANAGE), asyncHandler(async (req, res) => {
+  const jobs = await listJobs();
+  
+  res.json({
+    success: true,
+    jobs
+  });
+}));
+
+router.get("/jobs/:name/runs", authMiddleware, requirePermission(PERMISSIONS.JOBS_MANAGE), asyncHandler(async (req, res) => {
+  if (!getJobDefinition(req.params.name)) {
+    return res.status(404).json({
+      success: false,
+      error: "Job not found"
+    });
+  }
+  
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+  
+  const filter = { job: req.params.name };
+  if (req.query.status) filter.status = req.query.status;
+  
+  const [runs, totalRuns] = await Promise.all([
+    JobRun.find(filter)
+      .populate("triggeredBy", "name email")
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    JobRun.countDocuments(filter)
+  ]);
+  
+  res.json({
+    success: true,
+    runs,
+    pagination: {
+      page,
+      limit,
+      totalPages: Math.ceil(totalRuns / limit),
+      totalRuns
+    }
+  });
+}));
+
+// Run a job now; it finishes in the background (poll the run history for the result)
+router.post("/jobs/:name/run", authMiddleware, requirePermission(PERMISSIONS.JOBS_MANAGE), asyncHandler(async (req, res) => {
+  const { run, status, error } = await triggerJob(req.params.name, { triggeredBy: req.user._id });
+  if (!run) {
+    return res.status(status).json({
+      success: false,
+      error
+    });
+  }
+  
+  res.status(202).json({
+    success: true,
+    message: `Job ${req.params.name} started`,
+    run
+  });
+}));
+
+router.patch("/jobs/:name", authMiddleware, requirePermission(PERMISSIONS.JOBS_MANAGE), asyncHandler(async (req, res) => {
+  if (typeof req.body.enabled !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      error: "enabled (true/false) is required"
+    });
+  }
+  
+  const job = await setJobEnabled(req.params.name, req.body.enabled);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: "Job not found"
+    });
+  }
+  
+  res.json({
+    success: true,
+    message: `Job ${job.name} ${job.enabled ? "resumed" : "paused"}`,
+    job
+  });
+}));
+
+/* =========================================================
+   NOTIFICATION OUTBOX
+========================================================= */
+
+const NOTIFICATION_STATUSES = ["queued", "sending", "sent", "failed", "dead", "cancelled"];
+
+router.get("/notifications", authMiddleware, requirePermission(PERMISSIONS.NOTIFICATIONS_MANAGE), asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const skip = (page - 1) * limit;
+  
+  const filter = {};
+  if (req.query.status) {
+    if (!NOTIFICATION_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${NOTIFICATION_STATUSES.join(", ")}`
+      });
+    }
+    filter.status = req.query.status;
+  }
+  if (req.query.template) filter.template = sanitizeString(String(req.query.template));
+  if (req.query.to) filter.to = sanitizeString(String(req.query.to));
+  if (req.query.booking) {
+    validateObjectId(req.query.booking);
+    filter.booking = req.query.booking;
+  }
+  
+  const [notifications, totalNotifications, counts] = await Promise.all([
+    Notification.find(filter)
+      .select(NOTIFICATION_SUMMARY_FIELDS)
+      .populate("booking", "bookingCode")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Notification.countDocuments(filter),
+    Notification.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }])
+  ]);
+  
+  res.json({
+    success: true,
+    notifications,
+    statusCounts: Object.fromEntries(counts.map((c) => [c._id, c.count])),
+    pagination: {
+      page,
+      limit,
+      totalPages: Math.ceil(totalNotifications / limit),
+      totalNotifications
+    }
+  });
+}));
+
+router.get("/notifications/:id", authMiddleware, requirePermission(PERMISSIONS.NOTIFICATIONS_MANAGE), asyncHandler(async (req, res) => {
+  validateObjectId(req.params.id);
+  
+  const notification = await Notification.findById(req.params.id)
+    .populate("booking", "bookingCode")
+    .populate("requestedBy", "name email")
+    .lean();
+  
+  if (!notification) {
+    return res.status(404).json({
+      success: false,
+      error: "Notification not found"
+    });
+  }
+  
+  res.json({
+    success: true,
+    notification
+  });
+}));
+
+// Queue a fresh copy of a message (dead-lettered, failed or already sent)
+router.post("/notifications/:id/resend", authMiddleware, requirePermission(PERMISSIONS.NOTIFICATIONS_MANAGE), asyncHandler(async (req, res) => {
+  validateObjectId(req.params.id);
+  
+  const { notification, status, error } = await resendNotification(req.params.id, { requestedBy: req.user._id });
+  if (!notification) {
+    return res.status(status).json({
+      success: false,
+      error
+    });
+  }
+  
+  res.status(202).json({
+    success: true,
+    message: "Notification queued for delivery",
+    notification
+  });
+}));
+
+/* =========================================================
+   INVOICES & CREDIT NOTES
+========================================================= */
+
+const INVOICE_TYPES = ["invoice", "credit-note"];
+
+// from / to are required; up to a year per request
+const parseInvoiceQuery = (query) => {
+  if (!query.from || !query.to) {
+    return { error: "from and to are required" };
+  }
+  const range = parseDateRange(String(query.from), String(query.to), { maxDays: 366 });
+  if (range.error) return range;
+  
+  if (query.type && !INVOICE_TYPES.includes(query.type)) {
+    return { error: `type must be one of: ${INVOICE_TYPES.join(", ")}` };
+  }
+  return { ...range, type: query.type };
+};
+
+router.get("/invoices", authMiddleware, requirePermission(PERMISSIONS.INVOICES_READ), asyncHandler(async (req, res) => {
+  const query = parseInvoiceQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({
+      success: false,
+      error: query.error
+    });
+  }
+  
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const filter = issuedOnly({ issuedAt: { $gte: query.from, $lt: query.to } });
+  if (query.type) filter.type = query.type;
+  
+  const [invoices, totalInvoices, totals] = await Promise.all([
+    listDocuments({ ...query, limit, skip: (page - 1) * limit }),
+    Invoice.countDocuments(filter),
+    Invoice.aggregate([
+      { $match: filter },
+      { $group: { _id: "$type", count: { $sum: 1 }, taxable: { $sum: "$subtotal" }, tax: { $sum: "$taxTotal" }, total: { $sum: "$total" } } }
+    ])
+  ]);
+  
+  res.json({
+    success: true,
+    invoices: invoices.map(({ supplier, items, taxes, ...summary }) => summary),
+    totals: Object.fromEntries(totals.map(({ _id, ...sums }) => [_id, sums])),
+    pagination: {
+      page,
+      limit,
+      totalPages: Math.ceil(totalInvoices / limit),
+      totalInvoices
+    }
+  });
+}));
+
+// Every document of the range in one PDF, one per page
+router.get("/invoices/export", authMiddleware, requirePermission(PERMISSIONS.INVOICES_READ), asyncHandler(async (req, res) => {
+  const query = parseInvoiceQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({
+      success: false,
+      error: query.error
+    });
+  }
+  
+  const documents = await listDocuments({ ...query, limit: INVOICE_SETTINGS.bulkExportLimit + 1 });
+  if (!documents.length) {
+    return res.status(404).json({
+      success: false,
+      error: "No invoices in this date range"
+    });
+  }
+  if (documents.length > INVOICE_SETTINGS.bulkExportLimit) {
+    return res.status(400).json({
+      success: false,
+      error: `More than ${INVOICE_SETTINGS.bulkExportLimit} documents in this range. Choose a shorter one.`
+    });
+  }
+  
+  const pdf = await renderDocumentPdf(documents);
+  const day = (date) => date.toISOString().slice(0, 10);
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${query.type || "invoices"}-${day(query.from)}-to-${day(query.to)}.pdf"`,
+    "Content-Length": pdf.length
+  });
+  res.send(pdf);
+}));
+
+/* =========================================================
+   TAX REPORT
+========================================================= */
+
+// GST and TDS per month from the invoices and credit notes issued; from / to are YYYY-MM (default: this month)
+router.get("/reports/tax", authMiddleware, requirePermission(PERMISSIONS.INVOICES_READ), asyncHandler(async (req, res) => {
+  const range = parseMonthRange(req.query.from, req.query.to);
+  if (range.error) {
+    return res.status(400).json({
+      success: false,
+      error: range.error
+    });
+  }
+  
+  const report = await getMonthlyTaxReport(range);
+  
+  res.json({
+    success: true,
+    ...report
   });
 }));
 
@@ -836,7 +1796,7 @@ router.delete("/bookings/:id", authMiddleware, asyncHandler(async (req, res) =>
    ANALYTICS & DASHBOARD
 ========================================================= */
 
-router.get("/dashboard/stats", authMiddleware, asyncHandler(async (req, res) => {
+router.get("/dashboard/stats", authMiddleware, requirePermission(PERMISSIONS.DASHBOARD_READ), asyncHandler(async (req, res) => {
   const [
     totalUsers,
     totalVehicles,
@@ -849,12 +1809,12 @@ router.get("/dashboard/stats", authMiddleware, asyncHandler(async (req, res) =>
     User.countDocuments(),
     Vehicle.countDocuments(),
     Booking.countDocuments(),
-    Booking.countDocuments({ status: { $in: ['Pending', 'Confirmed'] } }),
-    Booking.countDocuments({ status: 'Completed' }),
+    Booking.countDocuments({ bookingStatus: { $in: ACTIVE_STATUSES } }),
+    Booking.countDocuments({ bookingStatus: 'Completed' }),
     Booking.aggregate([
       {
         $match: {
-          status: 'Completed',
+          bookingStatus: 'Completed',
           'payment.status': 'Success'
         }
       },
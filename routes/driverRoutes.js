@@ -1,134 +1,13 @@
 import express from "express";
-import mongoose from "mongoose";
-import { authMiddleware, adminMiddleware } from "../middleware/auth.js";
+import { authMiddleware, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS, hasPermission } from "../config/permissions.js";
+import Driver from "../models/Driver.js";
+import BookingPayment from "../models/BookingPayment.js";
+import { transitionBooking, allowedTransitions } from "../services/bookingLifecycle.js";
+import { LOCATION_SHARING_STATUSES, publishDriverLocation } from "../services/realtime.js";
 
 const router = express.Router();
 
-// Driver Schema
-const driverSchema = new mongoose.Schema(
-  {
-    // Personal Information
-    name: {
-      type: String,
-      required: [true, "Name is required"],
-      trim: true,
-      maxlength: 100,
-    },
-    email: {
-      type: String,
-      required: [true, "Email is required"],
-      unique: true,
-      lowercase: true,
-      trim: true,
-    },
-    mobile: {
-      type: String,
-      required: [true, "Mobile number is required"],
-      unique: true,
-      trim: true,
-      match: /^[0-9]{10}$/,
-    },
-    dateOfBirth: {
-      type: Date,
-      required: [true, "Date of birth is required"],
-    },
-    address: {
-      street: { type: String, trim: true },
-      city: { type: String, trim: true },
-      state: { type: String, trim: true },
-      pincode: { type: String, trim: true, match: /^[0-9]{6}$/ },
-    },
-
-    // License Information
-    licenseNumber: {
-      type: String,
-      required: [true, "License number is required"],
-      unique: true,
-      uppercase: true,
-      trim: true,
-    },
-    licenseType: {
-      type: String,
-      required: [true, "License type is required"],
-      enum: ["Light Motor Vehicle", "Heavy Motor Vehicle", "Commercial"],
-    },
-    licenseExpiry: {
-      type: Date,
-      required: [true, "License expiry date is required"],
-    },
-    licenseIssueDate: {
-      type: Date,
-      required: [true, "License issue date is required"],
-    },
-
-    // Documents
-    documents: {
-      photo: { type: String }, // URL or file path
-      licenseImage: { type: String },
-      aadharImage: { type: String },
-      panImage: { type: String },
-    },
-
-    // Employment Details
-    joinDate: {
-      type: Date,
-      default: Date.now,
-    },
-    status: {
-      type: String,
-      enum: ["Active", "Inactive", "On Leave", "Suspended"],
-      default: "Active",
-      index: true,
-    },
-    assignedVehicle: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "Vehicle",
-      default: null,
-    },
-
-    // Experience & Rating
-    yearsOfExperience: {
-      type: Number,
-      default: 0,
-      min: 0,
-    },
-    rating: {
-      type: Number,
-      default: 0,
-      min: 0,
-      max: 5,
-    },
-    totalTrips: {
-      type: Number,
-      default: 0,
-    },
-
-    // Emergency Contact
-    emergencyContact: {
-      name: { type: String, trim: true },
-      relation: { type: String, trim: true },
-      mobile: { type: String, trim: true, match: /^[0-9]{10}$/ },
-    },
-
-    // Additional Info
-    notes: { type: String },
-    createdBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "User",
-      required: true,
-    },
-  },
-  { timestamps: true, versionKey: false }
-);
-
-// Indexes
-driverSchema.index({ email: 1 });
-driverSchema.index({ mobile: 1 });
-driverSchema.index({ licenseNumber: 1 });
-driverSchema.index({ status: 1 });
-
-const Driver = mongoose.model("Driver", driverSchema);
-
 // Helper function for responses
 const sendResponse = (res, statusCode, success, message, data = null) => {
   return res.status(statusCode).json({
@@ -138,8 +17,127 @@ const sendResponse = (res, statusCode, success, message, data = null) => {
   });
 };
 
-// CREATE DRIVER - Admin only
-router.post("/", authMiddleware, adminMiddleware, async (req, res) => {
+// Driver profile of the logged-in user (driver accounts share the email)
+const findDriverForUser = (user) => Driver.findOne({ email: user.email });
+
+// MY TRIPS (logged-in driver)
+router.get("/me/trips", authMiddleware, requirePermission(PERMISSIONS.TRIPS_UPDATE), async (req, res) => {
+  try {
+    const driver = await findDriverForUser(req.user);
+    if (!driver) {
+      return sendResponse(res, 404, false, "No driver profile for this account");
+    }
+
+    const query = { driver: driver._id };
+    query.bookingStatus = req.query.status || { $in: ["DriverAssigned", "EnRoute", "InProgress"] };
+
+    const trips = await BookingPayment.find(query)
+      .populate("user", "name mobile")
+      .populate("vehicle", "name brand licensePlate type")
+      .sort({ startDate: 1 })
+      .lean();
+
+    return sendResponse(res, 200, true, "Trips retrieved successfully", { trips });
+  } catch (err) {
+    console.error("Get driver trips error:", err);
+    return sendResponse(res, 500, false, "Failed to retrieve trips");
+  }
+});
+
+// TRIP PROGRESS: en-route / start / complete / no-show
+const TRIP_ACTIONS = {
+  "en-route": "EnRoute",
+  start: "InProgress",
+  complete: "Completed",
+  "no-show": "NoShow",
+};
+
+router.post("/trips/:bookingId/:action", authMiddleware, requirePermission(PERMISSIONS.TRIPS_UPDATE), async (req, res) => {
+  try {
+    const to = TRIP_ACTIONS[req.params.action];
+    if (!to) {
+      return sendResponse(res, 404, false, "Unknown trip action", { actions: Object.keys(TRIP_ACTIONS) });
+    }
+
+    const booking = await BookingPayment.findById(req.params.bookingId).catch(() => null);
+    if (!booking) {
+      return sendResponse(res, 404, false, "Booking not found");
+    }
+
+    // Drivers may only move their own trips; staff who can edit bookings may move any
+    if (!hasPermission(req.user.role, PERMISSIONS.BOOKINGS_UPDATE)) {
+      const driver = await findDriverForUser(req.user);
+      if (!driver || !booking.driver || !booking.driver.equals(driver._id)) {
+        return sendResponse(res, 403, false, "This trip is not assigned to you");
+      }
+    }
+
+    const result = await transitionBooking(booking, to, { by: req.user, note: req.body?.note });
+    if (result.error) {
+      return sendResponse(res, result.status, false, result.error, {
+        code: result.code,
+        allowedStatuses: allowedTransitions(booking.bookingStatus),
+      });
+    }
+
+    await booking.save();
+
+    return sendResponse(res, 200, true, `Trip marked ${to}`, {
+      bookingCode: booking.bookingCode,
+      bookingStatus: booking.bookingStatus,
+      lifecycle: booking.lifecycle,
+    });
+  } catch (err) {
+    console.error("Trip update error:", err);
+    return sendResponse(res, 500, false, "Failed to update trip");
+  }
+});
+
+// LOCATION UPDATE (driver app): shared live with the riders of trips under way
+const parseCoordinate = (value, min, max) => {
+  const number = Number(value);
+  return value !== undefined && value !== null && value !== "" && Number.isFinite(number) && number >= min && number <= max
+    ? number
+    : null;
+};
+
+router.post("/me/location", authMiddleware, requirePermission(PERMISSIONS.TRIPS_UPDATE), async (req, res) => {
+  try {
+    const lat = parseCoordinate(req.body?.lat, -90, 90);
+    const lng = parseCoordinate(req.body?.lng, -180, 180);
+    if (lat === null || lng === null) {
+      return sendResponse(res, 400, false, "lat and lng must be valid coordinates");
+    }
+
+    const driver = await findDriverForUser(req.user);
+    if (!driver) {
+      return sendResponse(res, 404, false, "No driver profile for this account");
+    }
+
+    const location = {
+      lat,
+      lng,
+      heading: parseCoordinate(req.body.heading, 0, 360) ?? undefined,
+      speed: parseCoordinate(req.body.speed, 0, 500) ?? undefined,
+      at: new Date(),
+    };
+    driver.lastLocation = location;
+    await driver.save();
+
+    const trips = await BookingPayment.find({ driver: driver._id, bookingStatus: { $in: LOCATION_SHARING_STATUSES } })
+      .select("user bookingCode")
+      .lean();
+    const shared = await publishDriverLocation(driver, location, trips);
+
+    return sendResponse(res, 200, true, "Location updated", { location, sharedWith: shared });
+  } catch (err) {
+    console.error("Driver location update error:", err);
+    return sendResponse(res, 500, false, "Failed to update location");
+  }
+});
+
+// CREATE DRIVER
+router.post("/", authMiddleware, requirePermission(PERMISSIONS.DRIVERS_CREATE), async (req, res) => {
   try {
     const {
       name,
@@ -204,8 +202,8 @@ router.post("/", authMiddleware, adminMiddleware, async (req, res) => {
   }
 });
 
-// GET ALL DRIVERS - Admin only
-router.get("/", authMiddleware, adminMiddleware, async (req, res) => {
+// GET ALL DRIVERS
+router.get("/", authMiddleware, requirePermission(PERMISSIONS.DRIVERS_READ), async (req, res) => {
   try {
     const { status, search, page = 1, limit = 10 } = req.query;
     
@@ -252,8 +250,8 @@ router.get("/", authMiddleware, adminMiddleware, async (req, res) => {
   }
 });
 
-// GET SINGLE DRIVER - Admin only
-router.get("/:id", authMiddleware, adminMiddleware, async (req, res) => {
+// GET SINGLE DRIVER
+router.get("/:id", authMiddleware, requirePermission(PERMISSIONS.DRIVERS_READ), async (req, res) => {
   try {
     const driver = await Driver.findById(req.params.id)
       .populate("assignedVehicle", "name brand licensePlate type")
@@ -271,8 +269,8 @@ router.get("/:id", authMiddleware, adminMiddleware, async (req, res) => {
   }
 });
 
-// UPDATE DRIVER - Admin only
-router.put("/:id", authMiddleware, adminMiddleware, async (req, res) => {
+// UPDATE DRIVER
+router.put("/:id", authMiddleware, requirePermission(PERMISSIONS.DRIVERS_UPDATE), async (req, res) => {
   try {
     const updates = req.body;
     
@@ -308,8 +306,8 @@ router.put("/:id", authMiddleware, adminMiddleware, async (req, res) => {
   }
 });
 
-// DELETE DRIVER - Admin only
-router.delete("/:id", authMiddleware, adminMiddleware, async (req, res) => {
+// DELETE DRIVER
+router.delete("/:id", authMiddleware, requirePermission(PERMISSIONS.DRIVERS_DELETE), async (req, res) => {
   try {
     const driver = await Driver.findByIdAndDelete(req.params.id);
 
@@ -324,8 +322,8 @@ router.delete("/:id", authMiddleware, adminMiddleware, async (req, res) => {
   }
 });
 
-// ASSIGN VEHICLE TO DRIVER - Admin only
-router.post("/:id/assign-vehicle", authMiddleware, adminMiddleware, async (req, res) => {
+// ASSIGN VEHICLE TO DRIVER
+router.post("/:id/assign-vehicle", authMiddleware, requirePermission(PERMISSIONS.DRIVERS_ASSIGN_VEHICLE), async (req, res) => {
   try {
     const { vehicleId } = req.body;
 
@@ -1,6 +1,9 @@
 import express from "express";
 import axios from "axios";
 import Vehicle from "../models/Vehicle.js";
+import { getRouteDistance } from "../services/maps.js";
+import { calculateFare } from "../services/pricing.js";
+import { parseBookingWindow } from "../services/quoteService.js";
 
 const router = express.Router();
 
@@ -134,7 +137,7 @@ router.get("/details", async (req, res) => {
  * ============================================================
  */
 router.post("/distance-calculate", async (req, res) => {
-  const { source, destination } = req.body;
+  const { source, destination, isRoundTrip, startDate, endDate } = req.body;
 
   if (!source || !destination || source.trim() === "" || destination.trim() === "") {
     return res.status(400).json({
@@ -143,52 +146,19 @@ router.post("/distance-calculate", async (req, res) => {
     });
   }
 
-  try {
-    const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
-    if (!GOOGLE_MAPS_API_KEY) {
-      return res.status(500).json({
-        success: false,
-        error: "Service configuration error"
-      });
-    }
-
-    const distanceRes = await axios.get(
-      "https://maps.googleapis.com/maps/api/distancematrix/json",
-      {
-        params: {
-          origins: source.trim(),
-          destinations: destination.trim(),
-          units: "metric",
-          key: GOOGLE_MAPS_API_KEY,
-          mode: "driving",
-          region: "in" // ✅ restrict calculations towards India
-        },
-        timeout: 15000,
-      }
-    );
-
-    if (distanceRes.data.status !== "OK") {
-      return res.status(400).json({
-        success: false,
-        error: "Google Distance Matrix API error",
-        details: distanceRes.data.status,
-        message: distanceRes.data.error_message || "Unknown error"
-      });
-    }
+  const window = parseBookingWindow(startDate, endDate);
+  if (window.error) {
+    return res.status(400).json({ success: false, error: window.error });
+  }
 
-    const element = distanceRes?.data?.rows?.[0]?.elements?.[0];
-    if (!element || element.status !== "OK") {
-      return res.status(400).json({
-        success: false,
-        error: "Could not calculate route",
-        details: element?.status || "No data"
-      });
+  try {
+    const { route, status, ...routeError } = await getRouteDistance(source, destination);
+    if (!route) {
+      return res.status(status).json({ success: false, ...routeError });
     }
 
-    const distanceInKm = parseFloat((element.distance.value / 1000).toFixed(2));
-    const distanceText = element.distance?.text || "";
-    const durationText = element.duration?.text || "";
-    const durationInSeconds = element.duration?.value || 0;
+    const { distanceKm: distanceInKm, distanceMeters, distanceText, durationText } = route;
+    const durationInSeconds = route.durationSeconds;
 
     // ✅ Only fetch AVAILABLE vehicles (removed fallback)
    const vehicles = await Vehicle.find({
@@ -199,7 +169,15 @@ router.post("/distance-calculate", async (req, res) => {
 
     // Map vehicles with price
     const vehiclesWithPrice = vehicles.map(vehicle => {
-      const totalPrice = parseFloat((distanceInKm * vehicle.pricePerKM).toFixed(2));
+      const { fare } = calculateFare({
+        vehicle,
+        distanceKm: distanceInKm,
+        durationSeconds: durationInSeconds,
+        startDate: window.startDate,
+        endDate: window.endDate,
+        isRoundTrip: Boolean(isRoundTrip),
+      });
+      const totalPrice = fare.total;
       return {
         _id: vehicle._id,
         name: vehicle.name,
@@ -217,14 +195,18 @@ router.post("/distance-calculate", async (req, res) => {
         isBooked: vehicle.isBooked,
         baseLocation: vehicle.baseLocation,
         currentLocation: vehicle.currentLocation,
-        totalDistance: { km: distanceInKm, text: distanceText, meters: element.distance.value },
+        totalDistance: { km: distanceInKm, text: distanceText, meters: distanceMeters },
         estimatedDuration: { text: durationText, seconds: durationInSeconds, minutes: Math.round(durationInSeconds / 60) },
         totalPrice,
         priceBreakdown: {
           rate: vehicle.pricePerKM,
           distance: distanceInKm,
-          total: totalPrice,
-          pricingModel: "per-kilometer"
+          pricingModel: fare.pricingModel,
+          items: fare.items,
+          subtotal: fare.subtotal,
+          taxes: fare.taxes,
+          taxTotal: fare.taxTotal,
+          total: totalPrice
         }
       };
     });
@@ -0,0 +1,26 @@
+// routes/index.js
+import imageRoutes from "./imageRoutes.js";
+import userRoutes from "./userRoutes.js";
+import vehicleRoutes from "./vehicleRoutes.js";
+import googleRoutes from "./googleRoutes.js";
+import adminRoutes from "./admin.js";
+import paymentRoutes from "./paymentRoutes.js";
+import driverRoutes from "./driverRoutes.js";
+import notificationRoutes from "./notificationRoutes.js";
+import streamRoutes from "./streamRoutes.js";
+
+// API routers in mount order (server.js). The vehicle router is mounted again at
+// /api (my-bookings...) and its GET /:id takes any single segment, so that mount
+// comes after every /api/<name> one: GET /api/drivers would otherwise be a vehicle id.
+export const API_ROUTES = [
+  ["/api/auth", userRoutes],
+  ["/api/google", googleRoutes],
+  ["/api/vehicles", vehicleRoutes],
+  ["/api/notifications", notificationRoutes],
+  ["/api/stream", streamRoutes],
+  ["/api/payments", paymentRoutes],
+  ["/api/admin", adminRoutes],
+  ["/api/drivers", driverRoutes],
+  ["/api/images", imageRoutes],
+  ["/api", vehicleRoutes],
+];
@@ -0,0 +1,95 @@
+import express from "express";
+import { authMiddleware } from "../middleware/auth.js";
+import { INBOX_SCOPES, listInbox, unreadCount, markRead, markAllRead } from "../services/notifications/inbox.js";
+
+// In-app inbox of the logged-in user: their own notifications plus, for staff,
+// the activity feed of the permissions their role has (scope=staff).
+const router = express.Router();
+
+// Helper function for responses
+const sendResponse = (res, statusCode, success, message, data = null) => {
+  return res.status(statusCode).json({
+    success,
+    message,
+    ...(data && { data }),
+  });
+};
+
+const parseScope = (value) => (value === undefined ? "all" : INBOX_SCOPES.includes(value) ? value : null);
+
+// LIST: ?page=&limit=&unread=true&scope=all|personal|staff&since=<ISO date>
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const scope = parseScope(req.query.scope);
+    if (!scope) {
+      return sendResponse(res, 400, false, `scope must be one of: ${INBOX_SCOPES.join(", ")}`);
+    }
+
+    const since = req.query.since ? new Date(String(req.query.since)) : undefined;
+    if (since && isNaN(since.getTime())) {
+      return sendResponse(res, 400, false, "since must be a valid date");
+    }
+
+    const inbox = await listInbox(req.user, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20,
+      unreadOnly: req.query.unread === "true",
+      scope,
+      since,
+    });
+
+    return sendResponse(res, 200, true, "Notifications retrieved successfully", inbox);
+  } catch (err) {
+    console.error("Get notifications error:", err);
+    return sendResponse(res, 500, false, "Failed to retrieve notifications");
+  }
+});
+
+// UNREAD COUNT (bell badge)
+router.get("/unread-count", authMiddleware, async (req, res) => {
+  try {
+    const scope = parseScope(req.query.scope);
+    if (!scope) {
+      return sendResponse(res, 400, false, `scope must be one of: ${INBOX_SCOPES.join(", ")}`);
+    }
+
+    const unread = await unreadCount(req.user, scope);
+    return sendResponse(res, 200, true, "Unread count retrieved", { unread });
+  } catch (err) {
+    console.error("Get unread count error:", err);
+    return sendResponse(res, 500, false, "Failed to retrieve unread count");
+  }
+});
+
+// MARK ALL READ
+router.post("/read-all", authMiddleware, async (req, res) => {
+  try {
+    const scope = parseScope(req.body?.scope ?? req.query.scope);
+    if (!scope) {
+      return sendResponse(res, 400, false, `scope must be one of: ${INBOX_SCOPES.join(", ")}`);
+    }
+
+    const marked = await markAllRead(req.user, scope);
+    return sendResponse(res, 200, true, "Notifications marked as read", { marked });
+  } catch (err) {
+    console.error("Mark all notifications read error:", err);
+    return sendResponse(res, 500, false, "Failed to mark notifications as read");
+  }
+});
+
+// MARK ONE READ
+router.patch("/:id/read", authMiddleware, async (req, res) => {
+  try {
+    const result = await markRead(req.user, req.params.id);
+    if (result.error) {
+      return sendResponse(res, result.status, false, result.error);
+    }
+
+    return sendResponse(res, 200, true, "Notification marked as read", { notification: result.notification });
+  } catch (err) {
+    console.error("Mark notification read error:", err);
+    return sendResponse(res, 500, false, "Failed to mark notification as read");
+  }
+});
+
+export default router;
@@ -0,0 +1,125 @@
+import express from "express";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import { authMiddleware } from "../middleware/auth.js";
+import { isSessionActive } from "../services/tokenService.js";
+import { STREAM_SETTINGS, subscribe, replayEvents, toStreamMessage, recentEventFilter } from "../services/realtime.js";
+
+// Server-Sent Events stream of live updates (see services/realtime.js):
+// booking.status, booking.driver-assigned, booking.refund, driver.location, notification.
+const router = express.Router();
+
+// EventSource cannot send headers: accept the same JWT as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers["authorization"] && req.query.token) {
+    req.headers["authorization"] = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+const writeEvent = (res, event) => {
+  const message = toStreamMessage(event);
+  res.write(`id: ${message.id}\nevent: ${message.type}\ndata: ${JSON.stringify(message.data)}\n\n`);
+};
+
+// authMiddleware only runs when the stream opens: the heartbeat repeats its checks
+// so a logout, a revoked session, a block or an expired token ends the stream.
+// Returns why access was lost, or null.
+const accessLostReason = async (req, tokenExpiresAt) => {
+  if (tokenExpiresAt && tokenExpiresAt <= Date.now()) return "Token has expired";
+  if (!(await isSessionActive(req.user._id, req.sessionId))) return "Session has been logged out or revoked";
+
+  const user = await User.findById(req.user._id).select("-password");
+  if (!user) return "User not found or account has been deleted";
+  if (await user.checkBlocked()) return "Your account has been blocked";
+  return null;
+};
+
+// STREAM: ?booking=<id> limits it to one booking. Reconnects send Last-Event-ID
+// (or ?lastEventId=) and get the events they missed first; "reset" means too much
+// was missed and the client should reload its data; "end" means access was lost.
+router.get("/", tokenFromQuery, authMiddleware, async (req, res) => {
+  const booking = req.query.booking ? String(req.query.booking) : undefined;
+  if (booking && !mongoose.Types.ObjectId.isValid(booking)) {
+    return res.status(400).json({ success: false, message: "Invalid booking ID" });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx: do not buffer the stream
+  });
+  res.write(`retry: ${STREAM_SETTINGS.retryMs}\n\n`);
+
+  // Live events wait in `pending` until the replay is written, so none is lost.
+  // Events of other instances can arrive out of id order: duplicates are caught by id.
+  let lastSentId = String(req.headers["last-event-id"] || req.query.lastEventId || "");
+  let pending = [];
+  const isNew = recentEventFilter();
+  const send = (event) => {
+    if (!isNew(event)) return;
+    writeEvent(res, event);
+    const id = event._id.toString();
+    if (!lastSentId || id > lastSentId) lastSentId = id;
+  };
+
+  const unsubscribe = subscribe(req.user, (event) => (pending ? pending.push(event) : send(event)), { booking });
+  const { exp } = jwt.decode(req.headers["authorization"].split(" ")[1]) || {};
+  let closed = false;
+
+  const close = () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  const heartbeat = setInterval(async () => {
+    let reason;
+    try {
+      reason = await accessLostReason(req, exp && exp * 1000);
+    } catch (err) {
+      console.error("Stream access check error:", err);
+      reason = "Session could not be verified";
+    }
+    if (closed) return;
+    if (!reason) {
+      res.write(": ping\n\n");
+      return;
+    }
+
+    // EventSource reconnects, and the reconnect is refused by authMiddleware
+    res.write(`event: end\ndata: ${JSON.stringify({ reason })}\n\n`);
+    close();
+    res.end();
+  }, STREAM_SETTINGS.heartbeatMs);
+
+  req.on("close", () => {
+    if (!closed) close();
+  });
+
+  try {
+    if (lastSentId) {
+      const { events, complete } = await replayEvents(req.user, lastSentId, { booking });
+      if (complete) {
+        events.forEach(send);
+      } else {
+        res.write(`event: reset\ndata: ${JSON.stringify({ reason: "Too many missed events, reload the data" })}\n\n`);
+        lastSentId = "";
+      }
+    }
+  } catch (err) {
+    console.error("Stream replay error:", err);
+    lastSentId = "";
+    res.write(`event: reset\ndata: ${JSON.stringify({ reason: "Missed events could not be loaded" })}\n\n`);
+  }
+
+  if (closed) return;
+  const queued = pending;
+  pending = null;
+  queued.forEach(send);
+  res.write(`event: ready\ndata: ${JSON.stringify({ lastEventId: lastSentId || null })}\n\n`);
+});
+
+export default router;
@@ -1,132 +1,39 @@
 // routes/auth.js
 import express from "express";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
-import nodemailer from "nodemailer";
 import User from "../models/User.js";
 import { authMiddleware } from "../middleware/auth.js";
 import crypto from "crypto";
 import dotenv from "dotenv";
 import Booking from "../models/BookingPayment.js"
 import mongoose from "mongoose";
+import { getOtpStore, hashOTP, compareOTP } from "../services/otpStore.js";
+import {
+  issueTokens,
+  rotateRefreshToken,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+} from "../services/tokenService.js";
+import { sendNotificationNow, resolveChannels } from "../services/notifications/index.js";
+import { NOTIFICATION_CHANNELS, NOTIFICATION_EVENTS } from "../config/notifications.js";
+import { GSTIN_PATTERN, GST_STATE_CODES } from "../config/invoices.js";
 const router = express.Router();
 dotenv.config();
 
 // -------------------- OTP store --------------------
-const otpStore = new Map();
 const OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes
 const MAX_OTP_ATTEMPTS = 3;
 
-// -------------------- Nodemailer --------------------
-const createTransporter = () => {
-  return nodemailer.createTransport({
-    service: "gmail",
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS,
-    },
-    pool: true,
-    maxConnections: 5,
-    maxMessages: 100,
-    tls: { rejectUnauthorized: true },
-  });
-};
+// -------------------- OTP delivery --------------------
+const OTP_DESTINATIONS = { email: "email", sms: "mobile number", whatsapp: "WhatsApp" };
 
-// Email HTML template generator
-const getOTPEmailTemplate = (otp, type, userName = "") => {
-  const isLogin = type === "login";
-  const isForgot = type === "forgot";
-
-  return {
-    subject: isLogin
-      ? "Login OTP - RideInBls"
-      : isForgot
-      ? "Reset Password OTP - RideInBls"
-      : "Registration OTP - RideInBls",
-
-    html: `
-      <!DOCTYPE html>
-      <html lang="en">
-        <head>
-          <meta charset="UTF-8" />
-          <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-          <title>RideInBls OTP</title>
-          <style>
-            @media only screen and (max-width: 600px) {
-              h1 { font-size: 20px !important; }
-              h2 { font-size: 18px !important; }
-              p { font-size: 14px !important; }
-              .otp-box h1 { font-size: 26px !important; letter-spacing: 4px !important; }
-              .container { padding: 15px !important; }
-            }
-          </style>
-        </head>
-        <body style="margin:0; padding:0; font-family: Arial, sans-serif; background-color:#f4f4f4;">
-          <table width="100%" cellspacing="0" cellpadding="0" style="background-color:#f4f4f4; padding:20px 0;">
-            <tr>
-              <td>
-                <table class="main-wrapper" width="100%" style="max-width:600px; margin:0 auto; background:#ffffff; border-radius:8px; overflow:hidden;" cellspacing="0" cellpadding="0">
-                  <tr>
-                    <td style="background-color:#007bff; padding:20px; text-align:center;">
-                      <h1 style="color:#ffffff; margin:0; font-size:24px;">RideInBls</h1>
-                    </td>
-                  </tr>
-                  <tr>
-                    <td class="container" style="padding:30px;">
-                      <h2 style="color:#333; margin-bottom:15px; font-size:20px;">
-                        ${isLogin ? `Welcome back${userName ? `, ${userName}` : ""}!` : isForgot ? "Password Reset Request" : "Welcome to RideInBls!"}
-                      </h2>
-                      <p style="color:#555; font-size:15px; line-height:1.6; margin-bottom:20px;">
-                        ${isLogin ? "You requested to login to your account. Please use the OTP below to complete your login:" : isForgot ? "You requested to reset your password. Please use the OTP below to reset your password:" : "Thank you for registering with RideInBls. Please use the OTP below to verify your email and complete your registration:"}
-                      </p>
-                      <div class="otp-box" style="background-color:#f8f9fa; padding:25px; text-align:center; border-radius:6px; margin:25px 0;">
-                        <h1 style="color:#007bff; font-size:32px; margin:0; letter-spacing:6px; font-weight:bold;">${otp}</h1>
-                        <p style="color:#777; margin-top:12px; font-size:14px;">This OTP is valid for 10 minutes</p>
-                      </div>
-                      <p style="color:#666; font-size:14px; line-height:1.5;">
-                        <strong>Security Note:</strong> Never share this OTP with anyone. RideInBls team will never ask for your OTP over phone or email.
-                      </p>
-                      <p style="color:#999; font-size:12px; margin-top:25px;">
-                        If you didn't request this OTP, please ignore this email or contact our support team.
-                      </p>
-                    </td>
-                  </tr>
-                  <tr>
-                    <td style="background-color:#f8f9fa; text-align:center; padding:15px; font-size:12px; color:#666;">
-                      <p style="margin:5px 0;">© ${new Date().getFullYear()} RideInBls. All rights reserved.</p>
-                      <p style="margin:5px 0;">For support, contact us at <a href="mailto:rideinbls@gmail.com" style="color:#007bff; text-decoration:none;">rideinbls@gmail.com</a></p>
-                    </td>
-                  </tr>
-                </table>
-              </td>
-            </tr>
-          </table>
-        </body>
-      </html>
-    `,
-  };
-};
+// recipient: { email, mobile, notificationPreferences? } — tries the user's channels in order
+const sendOTP = (recipient, otp, type = "register", userName = "") =>
+  sendNotificationNow("auth.otp", { recipient, data: { otp, type, userName } });
 
-const sendOTPEmail = async (email, otp, type = "register", userName = "") => {
-  try {
-    const transporter = createTransporter();
-    const template = getOTPEmailTemplate(otp, type, userName);
-
-    const mailOptions = {
-      from: `${process.env.EMAIL_FROM_NAME || "RideInBls"} <${process.env.EMAIL_USER}>`,
-      to: email,
-      subject: template.subject,
-      html: template.html,
-    };
-
-    const info = await transporter.sendMail(mailOptions);
-    console.log("OTP email sent:", info.messageId);
-    return { success: true, messageId: info.messageId };
-  } catch (err) {
-    console.error("sendOTPEmail error:", err);
-    return { success: false, error: err.message };
-  }
-};
+const otpSentMessage = (result, suffix = "") =>
+  `OTP sent to your ${OTP_DESTINATIONS[result.channel] || "email"}${suffix}`;
 
 // -------------------- Helpers --------------------
 const generateOTP = (length = 6) => {
@@ -139,28 +46,31 @@ const generateOTP = (length = 6) => {
   return otp;
 };
 
-const storeOTP = (email, otp, userData = null, type = "register") => {
-  const expiry = Date.now() + OTP_TTL_MS;
-  otpStore.set(email, { otp, userData, type, expiry, attempts: 0 });
+const storeOTP = async (email, otp, userData = null, type = "register", userId = null) => {
+  await getOtpStore().set(email, {
+    otpHash: hashOTP(email, otp),
+    userData,
+    userId,
+    type,
+    attempts: 0,
+    expiresAt: new Date(Date.now() + OTP_TTL_MS),
+  });
 };
 
-const validateOTP = (email, inputOtp) => {
-  const record = otpStore.get(email);
-  if (!record) return { valid: false, error: "No OTP found for this email" };
-
-  if (Date.now() > record.expiry) {
-    otpStore.delete(email);
-    return { valid: false, error: "OTP has expired" };
-  }
-
-  if (record.attempts >= MAX_OTP_ATTEMPTS) {
-    otpStore.delete(email);
+const validateOTP = async (email, inputOtp) => {
+  const otpStore = getOtpStore();
+  // Every check uses up an attempt before the code is compared
+  const record = await otpStore.claimAttempt(email, MAX_OTP_ATTEMPTS);
+  if (!record) {
+    // Expired records are never returned by the store
+    if (!(await otpStore.get(email))) {
+      return { valid: false, error: "No OTP found for this email or it has expired" };
+    }
+    await otpStore.delete(email);
     return { valid: false, error: "Too many failed attempts. Please request a new OTP." };
   }
 
-  if (record.otp !== inputOtp) {
-    record.attempts++;
-    otpStore.set(email, record);
+  if (!compareOTP(email, inputOtp, record.otpHash)) {
     return { valid: false, error: "Invalid OTP" };
   }
 
@@ -170,13 +80,12 @@ const validateOTP = (email, inputOtp) => {
 const sendResponse = (res, status, success, message, data = null) =>
   res.status(status).json({ success, message, data });
 
-// Cleanup expired OTPs periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [email, record] of otpStore.entries()) {
-    if (now > record.expiry) otpStore.delete(email);
-  }
-}, 15 * 60 * 1000);
+const sendBlockedResponse = (res, user) =>
+  sendResponse(res, 403, false, "Your account has been blocked. Contact support.", {
+    code: "ACCOUNT_BLOCKED",
+    reason: user.blockReason || undefined,
+    blockedUntil: user.blockedUntil || undefined,
+  });
 
 // -------------------- Routes --------------------
 
@@ -246,16 +155,17 @@ const role = isAdmin ? "admin" : "user";
       role,
     };
 
-    storeOTP(email.toLowerCase(), otp, userData, "register");
+    await storeOTP(email.toLowerCase(), otp, userData, "register");
 
-    const emailResult = await sendOTPEmail(email.toLowerCase(), otp, "register", name.trim());
-    if (!emailResult.success) {
-      console.error("Registration OTP send failed:", emailResult.error);
+    const otpResult = await sendOTP({ email: userData.email, mobile: userData.mobile }, otp, "register", name.trim());
+    if (!otpResult.success) {
+      console.error("Registration OTP send failed:", otpResult.error);
     }
 
-    return sendResponse(res, 200, true, "OTP sent to your email. Please verify to complete registration.", {
+    return sendResponse(res, 200, true, otpSentMessage(otpResult, ". Please verify to complete registration."), {
       email: email.toLowerCase(),
-      emailSent: emailResult.success,
+      emailSent: otpResult.success,
+      channel: otpResult.channel,
       otp: process.env.NODE_ENV === "development" ? otp : undefined,
     });
   } catch (err) {
@@ -269,7 +179,7 @@ router.post("/register/verify", async (req, res) => {
     const { email, otp } = req.body;
     if (!email || !otp) return sendResponse(res, 400, false, "Email and OTP are required");
 
-    const validation = validateOTP(email.toLowerCase(), otp);
+    const validation = await validateOTP(email.toLowerCase(), otp);
     if (!validation.valid) return sendResponse(res, 400, false, validation.error);
 
     const { userData, type } = validation.record;
@@ -280,13 +190,9 @@ router.post("/register/verify", async (req, res) => {
     // Create user with mobile number
     const user = await User.create(userData);
 
-    const token = jwt.sign(
-      { _id: user._id, email: user.email, role: user.role, name: user.name },
-      process.env.JWT_SECRET,
-      { expiresIn: "48h" }
-    );
+    const tokens = await issueTokens(user, req);
 
-    otpStore.delete(email.toLowerCase());
+    await getOtpStore().delete(email.toLowerCase());
     
     res.status(200).json({
       success: true,
@@ -298,7 +204,7 @@ router.post("/register/verify", async (req, res) => {
         role: user.role,
         name: user.name,
       },
-      token,
+      ...tokens,
     });
   } catch (err) {
     console.error("Register verify error:", err);
@@ -324,24 +230,22 @@ router.post("/login", async (req, res) => {
       return sendResponse(res, 400, false, "Incorrect password. Please try again.");
     }
 
-    if (user.status && user.status === "inactive") {
-      return sendResponse(res, 400, false, "Your account has been suspended. Contact support.");
+    if (await user.checkBlocked()) {
+      return sendBlockedResponse(res, user);
     }
 
     const otp = generateOTP();
-    storeOTP(email.toLowerCase(), otp, null, "login");
-
-    const rec = otpStore.get(email.toLowerCase());
-    if (rec) rec.userId = user._id;
+    await storeOTP(email.toLowerCase(), otp, null, "login", user._id);
 
-    const emailResult = await sendOTPEmail(email.toLowerCase(), otp, "login", user.name);
-    if (!emailResult.success) {
-      console.error("Login OTP send failed:", emailResult.error);
+    const otpResult = await sendOTP(user, otp, "login", user.name);
+    if (!otpResult.success) {
+      console.error("Login OTP send failed:", otpResult.error);
     }
 
-    return sendResponse(res, 200, true, "OTP sent to your email. Please verify to complete login.", {
+    return sendResponse(res, 200, true, otpSentMessage(otpResult, ". Please verify to complete login."), {
       email: email.toLowerCase(),
-      emailSent: emailResult.success,
+      emailSent: otpResult.success,
+      channel: otpResult.channel,
       otp: process.env.NODE_ENV === "development" ? otp : undefined,
     });
   } catch (err) {
@@ -358,7 +262,7 @@ router.post("/login/verify", async (req, res) => {
       return sendResponse(res, 400, false, "Email and OTP are required");
     }
 
-    const validation = validateOTP(email.toLowerCase(), otp);
+    const validation = await validateOTP(email.toLowerCase(), otp);
     if (!validation.valid) {
       return sendResponse(res, 400, false, validation.error);
     }
@@ -373,18 +277,20 @@ router.post("/login/verify", async (req, res) => {
       return sendResponse(res, 400, false, "User account not found");
     }
 
+    // Account may have been blocked after the OTP was sent
+    if (await user.checkBlocked()) {
+      await getOtpStore().delete(email.toLowerCase());
+      return sendBlockedResponse(res, user);
+    }
+
     user.lastLoginAt = new Date();
     await user.save();
 
-    const token = jwt.sign(
-      { _id: user._id, email: user.email, role: user.role, name: user.name },
-      process.env.JWT_SECRET,
-      { expiresIn: "48h" }
-    );
+    const tokens = await issueTokens(user, req);
 
     await User.findByIdAndUpdate(userId, { $inc: { loginCount: 1 } });
 
-    otpStore.delete(email.toLowerCase());
+    await getOtpStore().delete(email.toLowerCase());
 
     res.status(200).json({
       success: true,
@@ -398,7 +304,7 @@ router.post("/login/verify", async (req, res) => {
         isActive: user.isActive,
         lastLoginAt: user.lastLoginAt,
       },
-      token,
+      ...tokens,
     });
   } catch (err) {
     console.error("Login verify error:", err);
@@ -412,25 +318,27 @@ router.post("/resend-otp", async (req, res) => {
     const { email } = req.body;
     if (!email) return sendResponse(res, 400, false, "Email is required");
 
-    const rec = otpStore.get(email.toLowerCase());
+    const rec = await getOtpStore().get(email.toLowerCase());
     if (!rec) {
       return sendResponse(res, 400, false, "No active OTP request found for this email");
     }
 
     const newOTP = generateOTP();
-    rec.otp = newOTP;
-    rec.expiry = Date.now() + OTP_TTL_MS;
-    rec.attempts = 0;
-    otpStore.set(email.toLowerCase(), rec);
+    await storeOTP(email.toLowerCase(), newOTP, rec.userData, rec.type, rec.userId);
 
-    const emailResult = await sendOTPEmail(email.toLowerCase(), newOTP, rec.type, rec.userData?.name || "");
-    if (!emailResult.success) {
-      console.error("Resend OTP email failed:", emailResult.error);
+    // Existing accounts use their saved preferences; a pending registration its form data
+    const recipient = (await User.findOne({ email: email.toLowerCase() }).select("email mobile notificationPreferences")) ||
+      { email: email.toLowerCase(), mobile: rec.userData?.mobile };
+
+    const otpResult = await sendOTP(recipient, newOTP, rec.type, rec.userData?.name || "");
+    if (!otpResult.success) {
+      console.error("Resend OTP failed:", otpResult.error);
     }
 
     return sendResponse(res, 200, true, "New OTP sent successfully", {
       email: email.toLowerCase(),
-      emailSent: emailResult.success,
+      emailSent: otpResult.success,
+      channel: otpResult.channel,
       otp: process.env.NODE_ENV === "development" ? newOTP : undefined,
     });
   } catch (err) {
@@ -497,9 +405,160 @@ router.get("/me", authMiddleware, async (req, res) => {
   }
 });
 
-// LOGOUT - protected
+// NOTIFICATION PREFERENCES - channels for booking updates and OTPs
+const preferencesView = (user) => ({
+  channels: {
+    email: user.notificationPreferences.channels.email,
+    sms: user.notificationPreferences.channels.sms,
+    whatsapp: user.notificationPreferences.channels.whatsapp,
+  },
+  preferred: user.notificationPreferences.preferred,
+  hasMobile: Boolean(user.mobile),
+  // Effective routing per event with these settings
+  events: Object.entries(NOTIFICATION_EVENTS)
+    .filter(([, config]) => config.audience !== "driver")
+    .map(([event, config]) => ({
+      event,
+      label: config.label,
+      required: Boolean(config.required),
+      channels: resolveChannels(event, user).map((target) => target.channel),
+    })),
+});
+
+router.get("/me/notification-preferences", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("email mobile notificationPreferences");
+    if (!user) return sendResponse(res, 404, false, "User not found");
+
+    return sendResponse(res, 200, true, "Notification preferences retrieved", preferencesView(user));
+  } catch (err) {
+    console.error("Get notification preferences error:", err);
+    return sendResponse(res, 500, false, "Failed to get notification preferences");
+  }
+});
+
+router.put("/me/notification-preferences", authMiddleware, async (req, res) => {
+  try {
+    const { channels = {}, preferred } = req.body;
+
+    const user = await User.findById(req.user._id).select("email mobile notificationPreferences");
+    if (!user) return sendResponse(res, 404, false, "User not found");
+
+    for (const [channel, enabled] of Object.entries(channels)) {
+      if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        return sendResponse(res, 400, false, `Unknown channel "${channel}"`);
+      }
+      if (typeof enabled !== "boolean") {
+        return sendResponse(res, 400, false, `channels.${channel} must be true or false`);
+      }
+      if (enabled && channel !== "email" && !user.mobile) {
+        return sendResponse(res, 400, false, "Add a mobile number to your profile to receive SMS or WhatsApp messages");
+      }
+      user.notificationPreferences.channels[channel] = enabled;
+    }
+
+    if (preferred !== undefined) {
+      if (preferred !== null && !NOTIFICATION_CHANNELS.includes(preferred)) {
+        return sendResponse(res, 400, false, `preferred must be one of: ${NOTIFICATION_CHANNELS.join(", ")} or null`);
+      }
+      user.notificationPreferences.preferred = preferred;
+    }
+
+    const current = user.notificationPreferences;
+    if (current.preferred && !current.channels[current.preferred]) {
+      return sendResponse(res, 400, false, `Enable ${current.preferred} to make it your preferred channel`);
+    }
+
+    await user.save();
+    return sendResponse(res, 200, true, "Notification preferences updated", preferencesView(user));
+  } catch (err) {
+    console.error("Update notification preferences error:", err);
+    return sendResponse(res, 500, false, "Failed to update notification preferences");
+  }
+});
+
+// BILLING DETAILS - company name and GSTIN printed on tax invoices
+const billingView = (user) => ({
+  companyName: user.billing?.companyName || null,
+  gstin: user.billing?.gstin || null,
+  address: user.billing?.address || null,
+  stateCode: user.billing?.stateCode || null,
+  state: GST_STATE_CODES[user.billing?.stateCode] || null,
+  tdsPercent: user.billing?.tdsPercent || null,
+});
+
+router.get("/me/billing", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("billing");
+    if (!user) return sendResponse(res, 404, false, "User not found");
+
+    return sendResponse(res, 200, true, "Billing details retrieved", billingView(user));
+  } catch (err) {
+    console.error("Get billing details error:", err);
+    return sendResponse(res, 500, false, "Failed to get billing details");
+  }
+});
+
+// Applies to invoices issued afterwards; issued invoices keep the details they were issued with
+router.put("/me/billing", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("billing");
+    if (!user) return sendResponse(res, 404, false, "User not found");
+
+    const clean = (value) => (value === null || value === undefined ? undefined : String(value).trim() || undefined);
+    const billing = {
+      companyName: clean(req.body.companyName),
+      gstin: clean(req.body.gstin)?.toUpperCase(),
+      address: clean(req.body.address),
+      stateCode: clean(req.body.stateCode),
+      tdsPercent: user.billing?.tdsPercent, // managed by admins
+    };
+
+    if (billing.gstin) {
+      if (!GSTIN_PATTERN.test(billing.gstin)) {
+        return sendResponse(res, 400, false, "Invalid GSTIN");
+      }
+      if (!billing.companyName) {
+        return sendResponse(res, 400, false, "Company name is required with a GSTIN");
+      }
+      // The state is part of the GSTIN
+      billing.stateCode = billing.gstin.slice(0, 2);
+    }
+    if (billing.stateCode && !GST_STATE_CODES[billing.stateCode]) {
+      return sendResponse(res, 400, false, "Unknown state code");
+    }
+
+    user.billing = billing;
+    await user.save();
+    return sendResponse(res, 200, true, "Billing details updated", billingView(user));
+  } catch (err) {
+    console.error("Update billing details error:", err);
+    return sendResponse(res, 500, false, "Failed to update billing details");
+  }
+});
+
+// REFRESH - exchange a refresh token for a new access/refresh token pair
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return sendResponse(res, 400, false, "Refresh token is required");
+
+    const result = await rotateRefreshToken(refreshToken, req, (userId) =>
+      User.findById(userId).select("-password")
+    );
+    if (result.error) return sendResponse(res, 401, false, result.error);
+
+    return sendResponse(res, 200, true, "Token refreshed successfully", result.tokens);
+  } catch (err) {
+    console.error("Refresh token error:", err);
+    return sendResponse(res, 500, false, "Failed to refresh token");
+  }
+});
+
+// LOGOUT - protected, ends the current session only
 router.post("/logout", authMiddleware, async (req, res) => {
   try {
+    await revokeSession(req.user._id, req.sessionId, "logout");
     await User.findByIdAndUpdate(req.user._id, { lastLogout: new Date() });
     return sendResponse(res, 200, true, "Logged out successfully");
   } catch (err) {
@@ -508,6 +567,52 @@ router.post("/logout", authMiddleware, async (req, res) => {
   }
 });
 
+// LOGOUT ALL - protected, ends every session (including the current one)
+router.post("/logout-all", authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id, "logout_all");
+    await User.findByIdAndUpdate(req.user._id, { lastLogout: new Date() });
+    return sendResponse(res, 200, true, "Logged out from all devices", { revoked });
+  } catch (err) {
+    console.error("Logout all error:", err);
+    return sendResponse(res, 500, false, "Logout failed");
+  }
+});
+
+// LIST SESSIONS - protected
+router.get("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+    return sendResponse(res, 200, true, "Active sessions retrieved successfully", {
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session._id.toString() === req.sessionId,
+      })),
+    });
+  } catch (err) {
+    console.error("List sessions error:", err);
+    return sendResponse(res, 500, false, "Failed to retrieve sessions");
+  }
+});
+
+// REVOKE SESSION - protected
+router.delete("/sessions/:sessionId", authMiddleware, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return sendResponse(res, 400, false, "Invalid session ID");
+    }
+
+    const session = await revokeSession(req.user._id, sessionId, "revoked_by_user");
+    if (!session) return sendResponse(res, 404, false, "Active session not found");
+
+    return sendResponse(res, 200, true, "Session revoked successfully", { session });
+  } catch (err) {
+    console.error("Revoke session error:", err);
+    return sendResponse(res, 500, false, "Failed to revoke session");
+  }
+});
+
 // FORGOT PASSWORD
 router.post("/forgot-password", async (req, res) => {
   try {
@@ -519,17 +624,22 @@ router.post("/forgot-password", async (req, res) => {
       return sendResponse(res, 404, false, "No user found with this email");
     }
 
+    if (await user.checkBlocked()) {
+      return sendBlockedResponse(res, user);
+    }
+
     const otp = generateOTP();
-    storeOTP(email.toLowerCase(), otp, null, "forgot");
+    await storeOTP(email.toLowerCase(), otp, null, "forgot");
 
-    const emailResult = await sendOTPEmail(email.toLowerCase(), otp, "forgot", user.name);
-    if (!emailResult.success) {
-      console.error("Forgot password OTP send failed:", emailResult.error);
+    const otpResult = await sendOTP(user, otp, "forgot", user.name);
+    if (!otpResult.success) {
+      console.error("Forgot password OTP send failed:", otpResult.error);
     }
 
-    return sendResponse(res, 200, true, "OTP sent to your email", {
+    return sendResponse(res, 200, true, otpSentMessage(otpResult), {
       email: email.toLowerCase(),
-      emailSent: emailResult.success,
+      emailSent: otpResult.success,
+      channel: otpResult.channel,
       otp: process.env.NODE_ENV === "development" ? otp : undefined,
     });
   } catch (err) {
@@ -550,7 +660,7 @@ router.post("/reset-password", async (req, res) => {
       return sendResponse(res, 400, false, "Password must be at least 6 characters long");
     }
 
-    const validation = validateOTP(email.toLowerCase(), otp);
+    const validation = await validateOTP(email.toLowerCase(), otp);
     if (!validation.valid) {
       return sendResponse(res, 400, false, validation.error);
     }
@@ -560,10 +670,23 @@ router.post("/reset-password", async (req, res) => {
       return sendResponse(res, 400, false, "Invalid password reset attempt");
     }
 
+    const user = await User.findOne({ email: email.toLowerCase() }).select("-password");
+    if (!user) {
+      return sendResponse(res, 404, false, "No user found with this email");
+    }
+
+    if (await user.checkBlocked()) {
+      await getOtpStore().delete(email.toLowerCase());
+      return sendBlockedResponse(res, user);
+    }
+
     const hashedPassword = await bcrypt.hash(newPassword, 12);
-    await User.findOneAndUpdate({ email: email.toLowerCase() }, { password: hashedPassword });
+    await User.updateOne({ _id: user._id }, { password: hashedPassword });
+
+    // Sign out every device still using the old password
+    await revokeAllSessions(user._id, "password_reset");
 
-    otpStore.delete(email.toLowerCase());
+    await getOtpStore().delete(email.toLowerCase());
 
     return sendResponse(res, 200, true, "Password reset successfully");
   } catch (err) {
@@ -6,6 +6,12 @@ import axios from "axios";
 import Booking from "../models/BookingPayment.js";
 import { authMiddleware } from "../middleware/auth.js";
 import multer from "multer";
+import {
+  getTripWindow,
+  checkAvailability,
+  parseDateRange,
+  getVehicleCalendar,
+} from "../services/availability.js";
 
 const router = express.Router();
 const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
@@ -32,17 +38,20 @@ router.get("/my-bookings", authMiddleware, async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    // Count total paid bookings
-    const total = await Booking.countDocuments({
+    // Only show paid bookings (and pay-on-pickup bookings awaiting cash)
+    const filter = {
       user: req.user._id,
-      paymentStatus: "Paid", // Only show paid bookings
-    });
+      $or: [
+        { paymentStatus: "Paid" },
+        { "payment.provider": "cash", "payment.status": "pending" },
+      ],
+    };
+
+    // Count total paid bookings
+    const total = await Booking.countDocuments(filter);
 
     // Fetch paginated bookings
-    const bookings = await Booking.find({
-      user: req.user._id,
-      paymentStatus: "Paid",
-    })
+    const bookings = await Booking.find(filter)
       .populate(
         "vehicle",
         "name brand type seats licensePlate images pricePerKM pricePerHour"
@@ -233,6 +242,72 @@ router.post(
   }
 );
 
+// ----------------------
+// GET /api/vehicles/:id/availability?startDate=&endDate= - is the vehicle free
+// (no dates = immediate trip starting now)
+// ----------------------
+router.get(
+  "/:id/availability",
+  [
+    param("id").custom((v) => isValidObjectId(v)).withMessage("Invalid vehicle id"),
+    query("startDate").optional().isISO8601(),
+    query("endDate").optional().isISO8601(),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const vehicle = await Vehicle.findById(req.params.id).select("type isAvailable").lean();
+      if (!vehicle) return res.status(404).json({ error: "Vehicle not found" });
+
+      const { startDate, endDate } = req.query;
+      const window = getTripWindow({ startDate, endDate, vehicleType: vehicle.type });
+      if (window.end <= window.start) {
+        return res.status(422).json({ error: "endDate must be after startDate" });
+      }
+
+      if (!vehicle.isAvailable) {
+        return res.json({ available: false, reason: "Vehicle is not available for booking", window });
+      }
+
+      // Only the verdict - other customers' bookings are not exposed
+      const { available, reason } = await checkAvailability(vehicle._id, window, { vehicleType: vehicle.type });
+      res.json({ available, reason, window });
+    } catch (err) {
+      console.error("GET /api/vehicles/:id/availability error:", err);
+      res.status(500).json({ error: "Failed to check availability" });
+    }
+  }
+);
+
+// ----------------------
+// GET /api/vehicles/:id/calendar?from=&to= - busy and free intervals (default: next 7 days)
+// ----------------------
+router.get(
+  "/:id/calendar",
+  [
+    param("id").custom((v) => isValidObjectId(v)).withMessage("Invalid vehicle id"),
+    query("from").optional().isISO8601(),
+    query("to").optional().isISO8601(),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const vehicle = await Vehicle.findById(req.params.id).select("name type isAvailable").lean();
+      if (!vehicle) return res.status(404).json({ error: "Vehicle not found" });
+
+      const range = parseDateRange(req.query.from, req.query.to);
+      if (range.error) return res.status(422).json({ error: range.error });
+
+      // Riders only see interval types, never other customers' bookings
+      const calendar = await getVehicleCalendar(vehicle, range);
+      res.json({ vehicleId: vehicle._id, isAvailable: vehicle.isAvailable, ...calendar });
+    } catch (err) {
+      console.error("GET /api/vehicles/:id/calendar error:", err);
+      res.status(500).json({ error: "Failed to fetch vehicle calendar" });
+    }
+  }
+);
+
 // ----------------------
 // GET /api/vehicles/:id - fetch single vehicle
 // ----------------------
@@ -5,24 +5,30 @@ import morgan from "morgan";
 import cors from "cors";
 import helmet from "helmet";
 import rateLimit from "express-rate-limit";
-import imageRoutes from "./routes/imageRoutes.js";
-import userRoutes from "./routes/userRoutes.js";
-import vehicleRoutes from "./routes/vehicleRoutes.js";
-import googleRoutes from "./routes/googleRoutes.js";
-import protectedRoute from "./routes/vehicleRoutes.js";
-import adminRoutes from "./routes/admin.js";
-import paymentRoutes from "./routes/paymentRoutes.js";
+import { API_ROUTES } from "./routes/index.js";
+import { startScheduler } from "./services/jobs/index.js";
+import { getMailTransport } from "./services/email/index.js";
 
 dotenv.config();
 
+// Fail at startup, not at the first OTP, when email is not configured
+getMailTransport();
+
 const app = express();
 
 // ----------------------
 // Middleware
 // ----------------------
 
-// Body parser
-app.use(express.json({ limit: "10mb" }));
+// Body parser (raw body kept for webhook signature checks)
+app.use(
+  express.json({
+    limit: "10mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Security headers
@@ -59,11 +65,13 @@ const apiLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   message: { error: "Too many requests from this IP, try again later." },
+  skip: (req) => req.path.startsWith("/payments/webhook"), // gateway retries must not be throttled
 });
 app.use("/api/", apiLimiter);
 
 // Logger
 morgan.token("date", () => new Date().toLocaleString());
+morgan.token("url", (req) => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/, "$1[redacted]")); // /api/stream?token=
 app.use(
   morgan(":method :url :status :res[content-length] - :response-time ms :date")
 );
@@ -77,7 +85,14 @@ mongoose
     useUnifiedTopology: true,
     serverSelectionTimeoutMS: 30000,
   })
-  .then(() => console.log("✅ MongoDB connected"))
+  .then(() => {
+    console.log("✅ MongoDB connected");
+
+    // Background jobs (set JOBS_ENABLED=false on serverless deployments)
+    if (process.env.JOBS_ENABLED !== "false") {
+      startScheduler().catch((err) => console.error("❌ Job scheduler failed to start:", err));
+    }
+  })
   .catch((err) => {
     console.error("❌ MongoDB connection error:", err.message);
     process.exit(1);
@@ -98,13 +113,10 @@ if (process.env.NODE_ENV === "production") {
 // ----------------------
 // Routes
 // ----------------------
-app.use("/api/auth", userRoutes);
-app.use("/api/google", googleRoutes);
-app.use("/api/vehicles", vehicleRoutes);
-app.use("/api", protectedRoute);
-app.use("/api/payments", paymentRoutes);
-app.use("/api/admin", adminRoutes);
-app.use("/api/images", imageRoutes);
+// Mount order matters, see routes/index.js
+for (const [path, router] of API_ROUTES) {
+  app.use(path, router);
+}
 // Root API check
 app.get("/", (req, res) => {
   res.send("🚀 API is running...");
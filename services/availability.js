@@ -0,0 +1,437 @@
+// services/availability.js
+import BookingPayment from "../models/BookingPayment.js";
+import Vehicle from "../models/Vehicle.js";
+import MaintenanceBlock from "../models/MaintenanceBlock.js";
+import VehicleHold from "../models/VehicleHold.js";
+import {
+  getAvailabilityRules,
+  DEFAULT_AVAILABILITY_RULES,
+  VEHICLE_TYPE_AVAILABILITY_RULES,
+  CALENDAR_SETTINGS,
+} from "../config/availability.js";
+import { ACTIVE_STATUSES } from "./bookingLifecycle.js";
+import { startOfDay } from "./timeZone.js";
+
+/**
+ * Vehicle availability: "is vehicle X free between A and B".
+ *
+ * Windows are half-open [start, end), so a trip ending at 10:00 does not clash
+ * with one starting at 10:00 - apart from the buffer kept between two trips.
+ * A booking holds the vehicle from startDate to blockedUntil (its endDate, or
+ * the estimated end of an immediate trip). Checkout holds (see
+ * services/vehicleHolds.js) block their window like bookings until they expire.
+ * Maintenance blocks take the vehicle out of service with no buffer around them.
+ */
+
+const MINUTE = 60 * 1000;
+
+// Trips under way keep the vehicle until they are completed, even past their estimate
+const ONGOING_STATUSES = ["EnRoute", "InProgress"];
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * MINUTE);
+
+/**
+ * Window a trip holds the vehicle for.
+ * Trips without an end date end after the route estimate (both legs for a round
+ * trip) plus a margin, or after defaultTripMinutes when there is no estimate.
+ *
+ * @param {object} trip
+ * @param {Date|string} [trip.startDate]       defaults to now
+ * @param {Date|string} [trip.endDate]
+ * @param {number} [trip.durationSeconds]      one-way route estimate
+ * @param {boolean} [trip.isRoundTrip]
+ * @param {string} [trip.vehicleType]
+ * @returns {{ start: Date, end: Date, estimated: boolean }}
+ */
+export const getTripWindow = ({ startDate, endDate, durationSeconds, isRoundTrip, vehicleType } = {}) => {
+  const start = startDate ? new Date(startDate) : new Date();
+  if (endDate) {
+    return { start, end: new Date(endDate), estimated: false };
+  }
+
+  const rules = getAvailabilityRules(vehicleType);
+  const minutes = durationSeconds > 0
+    ? Math.ceil((durationSeconds * (isRoundTrip ? 2 : 1)) / 60) + rules.tripMarginMinutes
+    : rules.defaultTripMinutes;
+
+  return { start, end: addMinutes(start, minutes), estimated: true };
+};
+
+// True when the two windows overlap once `bufferMinutes` is kept between them
+export const windowsOverlap = (a, b, bufferMinutes = 0) => {
+  const gap = bufferMinutes * MINUTE;
+  return new Date(a.start).getTime() < new Date(b.end).getTime() + gap &&
+    new Date(b.start).getTime() < new Date(a.end).getTime() + gap;
+};
+
+// End of the period a booking holds its vehicle
+const bookingEnd = (booking, rules) =>
+  booking.blockedUntil || booking.endDate || addMinutes(booking.startDate, rules.defaultTripMinutes);
+
+// BookingPayment filter for bookings holding the vehicle at some point in [from, to)
+const overlapFilter = (from, to, defaultTripMinutes) => {
+  const heldPast = [
+    { blockedUntil: { $gt: from } },
+    // Bookings made before blockedUntil existed
+    { blockedUntil: null, endDate: { $gt: from } },
+    { blockedUntil: null, endDate: null, startDate: { $gt: addMinutes(from, -defaultTripMinutes) } },
+  ];
+  if (from < new Date()) {
+    heldPast.push({ bookingStatus: { $in: ONGOING_STATUSES } });
+  }
+  return { startDate: { $lt: to }, $or: heldPast };
+};
+
+/**
+ * Active bookings, checkout holds and maintenance blocks of a vehicle that clash with a window.
+ *
+ * @param {string|object} vehicleId
+ * @param {{ start: Date, end: Date }} window
+ * @param {object} [options]
+ * @param {string} [options.vehicleType]        picks the buffer rules
+ * @param {number} [options.bufferMinutes]      overrides the rules
+ * @param {string|object} [options.excludeBookingId]  booking being moved / re-checked
+ * @param {string} [options.excludeHoldCode]    bookingCode of the caller's own hold
+ * @param {object} [options.session]            mongoose session (inside a transaction)
+ * @returns {Promise<{ bookings: object[], holds: object[], maintenance: object[] }>}
+ */
+export const findConflicts = async (vehicleId, { start, end }, {
+  vehicleType,
+  bufferMinutes,
+  excludeBookingId,
+  excludeHoldCode,
+  session = null,
+} = {}) => {
+  const rules = getAvailabilityRules(vehicleType);
+  const buffer = bufferMinutes ?? rules.bufferMinutes;
+  const from = addMinutes(start, -buffer);
+  const to = addMinutes(end, buffer);
+
+  const bookingQuery = {
+    vehicle: vehicleId,
+    bookingStatus: { $in: ACTIVE_STATUSES },
+    ...overlapFilter(from, to, rules.defaultTripMinutes),
+  };
+  if (excludeBookingId) {
+    bookingQuery._id = { $ne: excludeBookingId };
+  }
+
+  // Sequential: operations sharing a transaction session must not run in parallel
+  const bookings = await BookingPayment.find(bookingQuery)
+    .select("bookingCode bookingType bookingStatus startDate endDate blockedUntil")
+    .sort({ startDate: 1 })
+    .session(session)
+    .lean();
+
+  const holdQuery = {
+    vehicle: vehicleId,
+    status: "active",
+    expiresAt: { $gt: new Date() },
+    startDate: { $lt: to },
+    blockedUntil: { $gt: from },
+  };
+  if (excludeHoldCode) {
+    holdQuery.bookingCode = { $ne: excludeHoldCode };
+  }
+
+  const holds = await VehicleHold.find(holdQuery)
+    .select("bookingCode startDate blockedUntil expiresAt")
+    .sort({ _id: 1 })
+    .session(session)
+    .lean();
+
+  const maintenance = await MaintenanceBlock.find({
+    vehicle: vehicleId,
+    startDate: { $lt: end },
+    endDate: { $gt: start },
+  })
+    .select("startDate endDate reason")
+    .sort({ startDate: 1 })
+    .session(session)
+    .lean();
+
+  return { bookings, holds, maintenance };
+};
+
+/**
+ * Check whether a vehicle is free for a window.
+ * Resolves to { available: true, window } or { available: false, window, reason, conflicts }.
+ */
+export const checkAvailability = async (vehicleId, window, options = {}) => {
+  const conflicts = await findConflicts(vehicleId, window, options);
+
+  if (conflicts.maintenance.length) {
+    return { available: false, window, reason: "Vehicle is under maintenance during the selected time", conflicts };
+  }
+  if (conflicts.bookings.length) {
+    return { available: false, window, reason: "Vehicle is already booked for the selected time period", conflicts };
+  }
+  if (conflicts.holds.length) {
+    return {
+      available: false,
+      window,
+      reason: "Another customer is booking this vehicle for the selected time. Please try again in a few minutes",
+      conflicts,
+    };
+  }
+  return { available: true, window };
+};
+
+/* ---------------- Calendar & utilisation ---------------- */
+
+const DAY = 24 * 60 * MINUTE;
+
+// The extra hours absorb daylight-saving shifts
+const nextDay = (day, timeZone) => startOfDay(new Date(day.getTime() + DAY + 3 * 60 * MINUTE), timeZone);
+
+const dayKey = (date, timeZone) => new Intl.DateTimeFormat("en-CA", { timeZone }).format(date); // YYYY-MM-DD
+
+/**
+ * Parse ?from=&to= query values. Defaults to the next `defaultDays` days from now.
+ * Resolves to { from, to } or { error }.
+ */
+export const parseDateRange = (fromValue, toValue, { defaultDays = CALENDAR_SETTINGS.defaultDays, maxDays = CALENDAR_SETTINGS.maxDays } = {}) => {
+  const from = fromValue ? new Date(fromValue) : new Date();
+  const to = toValue ? new Date(toValue) : new Date(from.getTime() + defaultDays * DAY);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: "Invalid date format" };
+  }
+  if (to <= from) {
+    return { error: "'to' must be after 'from'" };
+  }
+  if (to - from > maxDays * DAY) {
+    return { error: `Date range cannot be longer than ${maxDays} days` };
+  }
+  return { from, to };
+};
+
+// Sort and merge overlapping / touching intervals, clipped to [from, to)
+const mergeIntervals = (intervals, from, to) => {
+  const clipped = intervals
+    .map((i) => ({ start: Math.max(i.start.getTime(), from.getTime()), end: Math.min(i.end.getTime(), to.getTime()) }))
+    .filter((i) => i.start < i.end)
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const interval of clipped) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+};
+
+const totalMs = (merged) => merged.reduce((total, i) => total + (i.end - i.start), 0);
+
+const toHours = (ms) => Math.round((ms / (60 * MINUTE)) * 100) / 100;
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+/**
+ * Busy and free intervals of a vehicle over [from, to).
+ *
+ * Busy intervals are the bookings, checkout holds and maintenance blocks touching
+ * the range, as stored. Free intervals are what is left of the range once the
+ * buffer is kept around bookings and holds - a new trip fits in any of them.
+ * With `details` busy entries carry the booking code / status / maintenance reason
+ * (admin view); without, riders only see the type of each interval.
+ *
+ * @param {object} vehicle   Vehicle document or lean object (_id, type)
+ * @param {{ from: Date, to: Date }} range
+ * @param {object} [options]
+ * @param {boolean} [options.details=false]
+ */
+export const getVehicleCalendar = async (vehicle, { from, to }, { details = false } = {}) => {
+  const rules = getAvailabilityRules(vehicle.type);
+  const now = new Date();
+
+  const bookings = await BookingPayment.find({
+    vehicle: vehicle._id,
+    bookingStatus: { $in: ACTIVE_STATUSES },
+    ...overlapFilter(addMinutes(from, -rules.bufferMinutes), addMinutes(to, rules.bufferMinutes), rules.defaultTripMinutes),
+  })
+    .select("bookingCode bookingType bookingStatus startDate endDate blockedUntil driverName")
+    .sort({ startDate: 1 })
+    .lean();
+
+  const holds = await VehicleHold.find({
+    vehicle: vehicle._id,
+    status: "active",
+    expiresAt: { $gt: now },
+    startDate: { $lt: to },
+    blockedUntil: { $gt: from },
+  })
+    .select("bookingCode startDate blockedUntil expiresAt")
+    .lean();
+
+  const maintenance = await MaintenanceBlock.find({
+    vehicle: vehicle._id,
+    startDate: { $lt: to },
+    endDate: { $gt: from },
+  })
+    .select("startDate endDate reason")
+    .lean();
+
+  const busy = [
+    ...bookings.map((b) => {
+      let end = bookingEnd(b, rules);
+      // A trip under way keeps the vehicle until it is completed
+      if (ONGOING_STATUSES.includes(b.bookingStatus) && end < now) end = now;
+      return {
+        type: "booking",
+        start: b.startDate,
+        end,
+        ...(details && {
+          booking: b._id,
+          bookingCode: b.bookingCode,
+          bookingType: b.bookingType,
+          bookingStatus: b.bookingStatus,
+          driverName: b.driverName,
+        }),
+      };
+    }),
+    ...holds.map((h) => ({
+      type: "hold",
+      start: h.startDate,
+      end: h.blockedUntil,
+      ...(details && { bookingCode: h.bookingCode, expiresAt: h.expiresAt }),
+    })),
+    ...maintenance.map((m) => ({
+      type: "maintenance",
+      start: m.startDate,
+      end: m.endDate,
+      ...(details && { maintenanceBlock: m._id, reason: m.reason }),
+    })),
+  ].sort((a, b) => a.start - b.start);
+
+  const blocked = mergeIntervals(
+    busy.map((i) => (i.type === "maintenance"
+      ? i
+      : { start: addMinutes(i.start, -rules.bufferMinutes), end: addMinutes(i.end, rules.bufferMinutes) })),
+    from,
+    to
+  );
+
+  const free = [];
+  let cursor = from.getTime();
+  for (const interval of blocked) {
+    if (interval.start > cursor) free.push({ start: new Date(cursor), end: new Date(interval.start) });
+    cursor = Math.max(cursor, interval.end);
+  }
+  if (cursor < to.getTime()) free.push({ start: new Date(cursor), end: to });
+
+  return { from, to, bufferMinutes: rules.bufferMinutes, busy, free };
+};
+
+/**
+ * Daily utilisation of the whole fleet over [from, to), widened to whole local days.
+ *
+ * A vehicle's utilisation for a day is the time it spent on bookings (active or
+ * completed) divided by the time it was not in maintenance. Fleet figures are
+ * totals over all vehicles, not an average of percentages.
+ */
+export const getFleetUtilisation = async ({ from, to }, { timeZone = CALENDAR_SETTINGS.timeZone } = {}) => {
+  const rangeStart = startOfDay(from, timeZone);
+  const lastDay = startOfDay(new Date(to.getTime() - 1), timeZone);
+  const days = [];
+  for (let day = rangeStart; day <= lastDay; day = nextDay(day, timeZone)) {
+    days.push({ date: dayKey(day, timeZone), start: day, end: nextDay(day, timeZone) });
+  }
+  const rangeEnd = days[days.length - 1].end;
+  const longestDefaultTrip = Math.max(
+    DEFAULT_AVAILABILITY_RULES.defaultTripMinutes,
+    ...Object.values(VEHICLE_TYPE_AVAILABILITY_RULES).map((r) => r.defaultTripMinutes || 0)
+  );
+
+  const [vehicles, bookings, maintenance] = await Promise.all([
+    Vehicle.find().select("name brand licensePlate type isAvailable").sort({ name: 1 }).lean(),
+    BookingPayment.find({
+      bookingStatus: { $in: [...ACTIVE_STATUSES, "Completed"] },
+      ...overlapFilter(rangeStart, rangeEnd, longestDefaultTrip),
+    })
+      .select("vehicle bookingStatus startDate endDate blockedUntil lifecycle.completedAt")
+      .lean(),
+    MaintenanceBlock.find({ startDate: { $lt: rangeEnd }, endDate: { $gt: rangeStart } })
+      .select("vehicle startDate endDate")
+      .lean(),
+  ]);
+
+  const groupByVehicle = (rows) => rows.reduce((groups, row) => {
+    const key = row.vehicle?.toString();
+    (groups[key] = groups[key] || []).push(row);
+    return groups;
+  }, {});
+  const bookingsByVehicle = groupByVehicle(bookings);
+  const maintenanceByVehicle = groupByVehicle(maintenance);
+
+  const now = new Date();
+  const fleetDays = days.map((d) => ({ date: d.date, bookedMs: 0, availableMs: 0 }));
+
+  const vehicleRows = vehicles.map((vehicle) => {
+    const rules = getAvailabilityRules(vehicle.type);
+    const tripIntervals = (bookingsByVehicle[vehicle._id.toString()] || []).map((b) => {
+      let end = b.lifecycle?.completedAt || bookingEnd(b, rules);
+      if (ONGOING_STATUSES.includes(b.bookingStatus) && end < now) end = now;
+      return { start: b.startDate, end };
+    });
+    const maintenanceIntervals = (maintenanceByVehicle[vehicle._id.toString()] || [])
+      .map((m) => ({ start: m.startDate, end: m.endDate }));
+
+    let bookedTotal = 0;
+    let availableTotal = 0;
+
+    const vehicleDays = days.map((day, index) => {
+      const bookedMs = totalMs(mergeIntervals(tripIntervals, day.start, day.end));
+      const availableMs = (day.end - day.start) - totalMs(mergeIntervals(maintenanceIntervals, day.start, day.end));
+
+      bookedTotal += bookedMs;
+      availableTotal += availableMs;
+      fleetDays[index].bookedMs += bookedMs;
+      fleetDays[index].availableMs += availableMs;
+
+      return {
+        date: day.date,
+        bookedHours: toHours(bookedMs),
+        availableHours: toHours(availableMs),
+        utilisationPercent: percent(bookedMs, availableMs),
+      };
+    });
+
+    return {
+      vehicle: {
+        _id: vehicle._id,
+        name: vehicle.name,
+        brand: vehicle.brand,
+        licensePlate: vehicle.licensePlate,
+        type: vehicle.type,
+        isAvailable: vehicle.isAvailable,
+      },
+      bookedHours: toHours(bookedTotal),
+      availableHours: toHours(availableTotal),
+      utilisationPercent: percent(bookedTotal, availableTotal),
+      days: vehicleDays,
+    };
+  });
+
+  const fleetBooked = fleetDays.reduce((total, d) => total + d.bookedMs, 0);
+  const fleetAvailable = fleetDays.reduce((total, d) => total + d.availableMs, 0);
+
+  return {
+    from: rangeStart,
+    to: rangeEnd,
+    timeZone,
+    vehicleCount: vehicles.length,
+    utilisationPercent: percent(fleetBooked, fleetAvailable),
+    days: fleetDays.map((d) => ({
+      date: d.date,
+      bookedHours: toHours(d.bookedMs),
+      availableHours: toHours(d.availableMs),
+      utilisationPercent: percent(d.bookedMs, d.availableMs),
+    })),
+    vehicles: vehicleRows,
+  };
+};
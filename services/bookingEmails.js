@@ -0,0 +1,215 @@
+// services/bookingEmails.js
+import { notify, notifyStaff, snapshot, cancelPendingNotifications } from "./notifications/index.js";
+import { getPickupReminders, formatOffset } from "./reminderSchedule.js";
+import { issueInvoice, isInvoiceable } from "./invoices/index.js";
+
+// Booking notifications (confirmation, driver assignment, refund, cancellation, reminders),
+// shared by the customer and admin paths and the background jobs. They are queued in the
+// notification outbox, which delivers and retries them; a failure to queue is logged and
+// never fails the caller. Customer and driver messages go out on the channel picked by
+// notify() (email, SMS or WhatsApp) and kept in their in-app inbox; admin alerts go to
+// the admin mailbox and the staff activity feed (notifyStaff()).
+
+// What the booking templates read, so the outbox stores a small snapshot
+const bookingData = (booking) => {
+  const b = snapshot(booking);
+  const vehicle = snapshot(b.vehicle);
+
+  return {
+    _id: b._id,
+    bookingCode: b.bookingCode,
+    bookingStatus: b.bookingStatus,
+    bookingType: b.bookingType,
+    origin: b.origin,
+    destination: b.destination,
+    startDate: b.startDate,
+    endDate: b.endDate,
+    isRoundTrip: b.isRoundTrip,
+    totalPrice: b.totalPrice,
+    payment: b.payment,
+    cancellation: b.cancellation,
+    createdAt: b.createdAt,
+    vehicle: vehicle?.name
+      ? { name: vehicle.name, brand: vehicle.brand, type: vehicle.type, licensePlate: vehicle.licensePlate }
+      : null,
+  };
+};
+
+const userData = (user) => ({ _id: user._id, name: user.name, email: user.email, mobile: user.mobile });
+
+const refundData = (refund) => refund && { id: refund.id, amount: refund.amount };
+
+const PICKUP_REMINDER_TEMPLATES = ["booking.pickup-reminder", "driver.pickup-reminder", "booking.pickup-reminder-admin"];
+
+// Customer confirmation (with the tax invoice of paid bookings) + admin alert for a new booking
+export const sendBookingConfirmationEmails = async (booking, user) => {
+  const data = { booking: bookingData(booking), user: userData(user) };
+
+  let invoice = null;
+  if (isInvoiceable(booking)) {
+    try {
+      ({ invoice } = await issueInvoice(booking._id));
+    } catch (err) {
+      console.error("Failed to issue invoice:", err);
+    }
+  }
+
+  try {
+    await notify("booking.confirmation", {
+      recipient: user,
+      data: { ...data, invoice: invoice && { number: invoice.number } },
+      booking: booking._id,
+      user: user._id,
+      key: `booking.confirmation:${booking._id}`,
+    });
+  } catch (emailError) {
+    console.error("Failed to queue booking confirmation:", emailError);
+  }
+
+  // 🚀 QUEUE ADMIN NOTIFICATION EMAIL
+  try {
+    await notifyStaff("booking.admin-alert", {
+      data,
+      booking: booking._id,
+      key: `booking.admin-alert:${booking._id}`,
+    });
+  } catch (adminEmailError) {
+    console.error("Failed to queue admin notification:", adminEmailError);
+  }
+};
+
+// Driver details to the customer and the trip sheet to the driver (booking with user and vehicle populated)
+export const sendDriverAssignedNotifications = async (booking, driver) => {
+  const user = booking.user;
+  const data = {
+    booking: bookingData(booking),
+    user: userData(user),
+    driver: { name: driver.name, mobile: driver.mobile },
+  };
+
+  try {
+    await notify("booking.driver-assigned", {
+      recipient: user,
+      data,
+      booking: booking._id,
+      user: user._id,
+    });
+  } catch (err) {
+    console.error("Failed to queue driver assignment notice:", err);
+  }
+
+  try {
+    await notify("driver.trip-assigned", {
+      recipient: driver,
+      data,
+      booking: booking._id,
+    });
+  } catch (err) {
+    console.error("Failed to queue driver trip notice:", err);
+  }
+};
+
+// Customer notice of a refund (refund amount in paise, as returned by the provider)
+export const sendRefundEmail = async (booking, user, refund) => {
+  try {
+    await notify("booking.refund", {
+      recipient: user,
+      data: { booking: bookingData(booking), user: userData(user), refund: refundData(refund) },
+      booking: booking._id,
+      user: user._id,
+      key: refund.id ? `booking.refund:${refund.id}` : undefined,
+    });
+  } catch (emailErr) {
+    console.error("Failed to queue refund notice:", emailErr);
+  }
+};
+
+// Cancellation email to the customer + notification to the admin
+export const sendCancellationEmails = async (booking, user, refund, { cancelledBy = "customer" } = {}) => {
+  const data = { booking: bookingData(booking), user: userData(user), refund: refundData(refund) };
+
+  // Reminders still waiting in the outbox would now be wrong
+  try {
+    await cancelPendingNotifications(booking._id, { templates: PICKUP_REMINDER_TEMPLATES });
+  } catch (err) {
+    console.error("Failed to cancel queued pickup reminders:", err);
+  }
+
+  try {
+    await notify("booking.cancelled", {
+      recipient: user,
+      data,
+      booking: booking._id,
+      user: user._id,
+      key: `booking.cancelled:${booking._id}`,
+    });
+  } catch (emailErr) {
+    console.error("Failed to queue cancellation notice:", emailErr);
+  }
+
+  // 🚀 QUEUE ADMIN NOTIFICATION ABOUT CANCELLATION
+  try {
+    await notifyStaff("booking.cancelled-admin", {
+      data: { ...data, cancelledBy },
+      booking: booking._id,
+      key: `booking.cancelled-admin:${booking._id}`,
+    });
+  } catch (adminEmailErr) {
+    console.error("Failed to queue admin cancellation notification:", adminEmailErr);
+  }
+};
+
+/**
+ * Pickup reminder (an entry of booking.reminders) to the rider, the assigned driver
+ * and the admin mailbox, as configured for its kind. Booking with user, vehicle and
+ * driver populated.
+ * @returns {Promise<number>} messages queued
+ */
+export const sendPickupReminders = async (booking, reminder) => {
+  const config = getPickupReminders().find((r) => r.kind === reminder.kind);
+  const audiences = config?.audiences || ["rider", "driver"];
+  const offsetMinutes = Math.round((new Date(booking.startDate) - new Date(reminder.dueAt)) / 60000);
+
+  const driver = booking.driver?.name ? booking.driver : null;
+  const data = {
+    booking: bookingData(booking),
+    user: userData(booking.user),
+    driver: driver && { name: driver.name, mobile: driver.mobile },
+    reminder: { kind: reminder.kind, label: formatOffset(config?.offsetMinutes || offsetMinutes) },
+  };
+  // One message per reminder and pickup time; a rescheduled pickup gets new ones
+  const key = (event) => `${event}:${booking._id}:${reminder.kind}:${new Date(reminder.dueAt).getTime()}`;
+
+  const sends = [];
+  if (audiences.includes("rider") && booking.user) {
+    sends.push(notify("booking.pickup-reminder", {
+      recipient: booking.user,
+      data,
+      booking: booking._id,
+      user: booking.user._id,
+      key: key("booking.pickup-reminder"),
+    }));
+  }
+  if (audiences.includes("driver") && driver) {
+    sends.push(notify("driver.pickup-reminder", {
+      recipient: driver,
+      data,
+      booking: booking._id,
+      key: key("driver.pickup-reminder"),
+    }));
+  }
+  if (audiences.includes("admin")) {
+    sends.push(notifyStaff("booking.pickup-reminder-admin", {
+      data,
+      booking: booking._id,
+      key: key("booking.pickup-reminder-admin"),
+    }));
+  }
+
+  const results = await Promise.allSettled(sends);
+  results
+    .filter((result) => result.status === "rejected")
+    .forEach((result) => console.error("Failed to queue pickup reminder:", result.reason));
+
+  return results.filter((result) => result.status === "fulfilled" && result.value).length;
+};
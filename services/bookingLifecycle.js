@@ -0,0 +1,151 @@
+// services/bookingLifecycle.js
+import Vehicle from "../models/Vehicle.js";
+import Driver from "../models/Driver.js";
+
+/**
+ * Booking lifecycle:
+ *
+ *   Pending -> Confirmed -> DriverAssigned -> EnRoute -> InProgress -> Completed
+ *
+ * Cancelled is reachable until the trip starts, NoShow once a driver is on the way
+ * (or from Confirmed for trips that were never dispatched). Completed, Cancelled
+ * and NoShow are final and release the vehicle.
+ */
+export const BOOKING_STATUSES = [
+  "Pending",
+  "Confirmed",
+  "DriverAssigned",
+  "EnRoute",
+  "InProgress",
+  "Completed",
+  "Cancelled",
+  "NoShow",
+];
+
+const TRANSITIONS = {
+  Pending: ["Confirmed", "Cancelled"],
+  Confirmed: ["DriverAssigned", "Cancelled", "NoShow"],
+  DriverAssigned: ["DriverAssigned", "EnRoute", "Cancelled", "NoShow"], // same state = reassign
+  EnRoute: ["InProgress", "Cancelled", "NoShow"],
+  InProgress: ["Completed"],
+  Completed: [],
+  Cancelled: [],
+  NoShow: [],
+};
+
+// bookingStatus -> field in booking.lifecycle set when it is entered
+const TIMESTAMP_FIELDS = {
+  Confirmed: "confirmedAt",
+  DriverAssigned: "driverAssignedAt",
+  EnRoute: "enRouteAt",
+  InProgress: "startedAt",
+  Completed: "completedAt",
+  Cancelled: "cancelledAt",
+  NoShow: "noShowAt",
+};
+
+export const FINAL_STATUSES = ["Completed", "Cancelled", "NoShow"];
+
+// Statuses a booking can still be cancelled from
+export const CANCELLABLE_STATUSES = BOOKING_STATUSES.filter((s) => TRANSITIONS[s].includes("Cancelled"));
+
+// Statuses that hold the vehicle
+export const ACTIVE_STATUSES = ["Pending", "Confirmed", "DriverAssigned", "EnRoute", "InProgress"];
+
+/**
+ * Append an entry to the booking's history (not saved here).
+ * `by` is the user who acted; leave it out for system / gateway events.
+ */
+export const addBookingEvent = (booking, { action, by = null, note, amount, reference }) => {
+  booking.history.push({
+    action,
+    by: by?._id || null,
+    byName: by ? by.name || by.email : undefined,
+    note,
+    amount,
+    reference,
+    at: new Date(),
+  });
+};
+
+export const canTransition = (from, to) => Boolean(TRANSITIONS[from]?.includes(to));
+
+export const allowedTransitions = (from) => TRANSITIONS[from] || [];
+
+/**
+ * Give the vehicle back after a trip ends. Only undoes the hold placed for this
+ * booking, so an admin-disabled vehicle or another customer's booking is left alone.
+ * Returns true when the vehicle was released.
+ */
+export const releaseVehicle = async (booking) => {
+  const vehicle = booking.vehicle?.save ? booking.vehicle : await Vehicle.findById(booking.vehicle);
+  if (!vehicle || !vehicle.isBooked) return false;
+
+  const bookedBy = vehicle.bookedBy?.toString();
+  const bookingUser = (booking.user?._id || booking.user)?.toString();
+  if (bookedBy && bookedBy !== bookingUser) return false;
+
+  // createBookingFromOrder clears both flags
+  vehicle.isAvailable = true;
+  vehicle.available = true;
+  vehicle.isBooked = false;
+  vehicle.bookedBy = null;
+  vehicle.bookedByName = null;
+  await vehicle.save();
+  return true;
+};
+
+/**
+ * Move a booking to another status (not saved here).
+ *
+ * Sets the lifecycle timestamp, records the change in the booking history and
+ * releases the vehicle when the new status is final.
+ *
+ * @param {object} booking  BookingPayment document
+ * @param {string} to       target status
+ * @param {object} [options]
+ * @param {object} [options.by]      user making the change (null for system)
+ * @param {string} [options.note]
+ * @param {object} [options.driver]  Driver document, required for DriverAssigned
+ * @returns {Promise<{ booking } | { status, code, error, allowed }>}
+ */
+export const transitionBooking = async (booking, to, { by = null, note, driver } = {}) => {
+  const from = booking.bookingStatus;
+
+  if (!BOOKING_STATUSES.includes(to)) {
+    return { status: 400, code: "INVALID_STATUS", error: `Unknown booking status "${to}"`, allowed: allowedTransitions(from) };
+  }
+  if (!canTransition(from, to)) {
+    return {
+      status: 409,
+      code: "INVALID_TRANSITION",
+      error: `Booking cannot go from ${from} to ${to}`,
+      allowed: allowedTransitions(from),
+    };
+  }
+  if (to === "DriverAssigned") {
+    if (!driver) {
+      return { status: 400, code: "DRIVER_REQUIRED", error: "A driver is required to assign the booking" };
+    }
+    booking.driver = driver._id;
+    booking.driverName = driver.name;
+  }
+
+  booking.bookingStatus = to;
+  booking.set(`lifecycle.${TIMESTAMP_FIELDS[to]}`, new Date());
+
+  addBookingEvent(booking, {
+    action: "status_changed",
+    by,
+    note: `${from} -> ${to}${to === "DriverAssigned" ? ` (${driver.name})` : ""}${note ? `: ${note}` : ""}`,
+  });
+
+  if (FINAL_STATUSES.includes(to)) {
+    await releaseVehicle(booking);
+  }
+  if (to === "Completed" && booking.driver) {
+    await Driver.updateOne({ _id: booking.driver }, { $inc: { totalTrips: 1 } });
+  }
+
+  return { booking };
+};
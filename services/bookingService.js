@@ -0,0 +1,447 @@
+// services/bookingService.js
+import mongoose from "mongoose";
+import Vehicle from "../models/Vehicle.js";
+import BookingPayment from "../models/BookingPayment.js";
+import FareQuote from "../models/FareQuote.js";
+import { recordCharge, recordRefund, getBookingBalance } from "./ledger.js";
+import { getPaymentProvider } from "./paymentProviders/index.js";
+import { addBookingEvent, canTransition, transitionBooking } from "./bookingLifecycle.js";
+import { getTripWindow, findConflicts } from "./availability.js";
+import { convertHold, claimLostHold } from "./vehicleHolds.js";
+import { issueInvoice, issueCreditNotes } from "./invoices/index.js";
+
+// Razorpay payment methods we record as-is; anything else is stored as the default
+const KNOWN_PAYMENT_METHODS = ["card", "upi", "netbanking", "wallet", "cash"];
+
+// Business-rule failure: retrying will not help (the slot is gone, the order is unknown...)
+const bookingError = (message) => Object.assign(new Error(message), { code: "BOOKING_CONFLICT" });
+
+export const isBookingConflict = (err) => err?.code === "BOOKING_CONFLICT";
+
+// Invoices and credit notes are issued as money moves; a failure is logged and the
+// document is issued the next time the booking's documents are requested
+const issueDocuments = async (issue, bookingId) => {
+  try {
+    await issue(bookingId);
+  } catch (err) {
+    console.error(`Failed to issue invoice documents for booking ${bookingId}:`, err.message);
+  }
+};
+
+/**
+ * Create the booking for a paid gateway order. Shared by POST /verify and the webhook,
+ * so whichever arrives first creates the booking and the other one finds it.
+ *
+ * Pay-on-pickup providers call it with paid=false right after create-order: the booking
+ * is confirmed with its payment still pending.
+ *
+ * @param {object} params
+ * @param {object} params.order      provider order (with the booking notes set by create-order)
+ * @param {string} params.paymentId  provider payment id (null when unpaid)
+ * @param {object} params.user       user document that owns the order
+ * @param {string} [params.paymentMethod]
+ * @param {string} [params.provider="razorpay"]
+ * @param {boolean} [params.paid=true]
+ * @returns {Promise<{ booking: object, created: boolean }>}
+ */
+export const createBookingFromOrder = async ({
+  order,
+  paymentId,
+  user,
+  paymentMethod,
+  provider = "razorpay",
+  paid = true,
+}) => {
+  const {
+    vehicleId,
+    origin,
+    destination,
+    startDate,
+    endDate,
+    isRoundTrip,
+    bookingType,
+    bookingCode,
+    quoteId
+  } = order.notes || {};
+
+  if (!bookingCode || !vehicleId) {
+    throw bookingError("Order has no booking details");
+  }
+
+  // Fare breakdown comes from the quote the order was created for
+  const quote = quoteId ? await FareQuote.findById(quoteId).lean() : null;
+
+  const session = await mongoose.startSession();
+
+  try {
+    let created = false;
+
+    const booking = await session.withTransaction(async () => {
+      // Check if booking already exists (prevent duplicate creation)
+      const existingBooking = await BookingPayment.findOne({
+        bookingCode: bookingCode
+      }).session(session);
+
+      if (existingBooking) {
+        if (existingBooking.payment.status === "paid" || !paid) {
+          return existingBooking; // Already processed
+        }
+        throw bookingError("Booking exists but payment not completed");
+      }
+
+      // Verify vehicle is still available
+      const vehicle = await Vehicle.findById(vehicleId).session(session);
+      if (!vehicle) {
+        throw bookingError("Vehicle not found");
+      }
+      if (!vehicle.isAvailable && !vehicle.available) {
+        throw bookingError("Vehicle no longer available");
+      }
+
+      // Check the slot again - our checkout hold may have expired and the slot been
+      // taken during payment (callers refund such orders with refundLostOrder)
+      const tripWindow = getTripWindow({
+        startDate,
+        endDate,
+        durationSeconds: quote?.duration?.seconds,
+        isRoundTrip: isRoundTrip === true || isRoundTrip === "true",
+        vehicleType: vehicle.type,
+      });
+      const { bookings, holds, maintenance } = await findConflicts(vehicleId, tripWindow, {
+        vehicleType: vehicle.type,
+        excludeHoldCode: bookingCode,
+        session,
+      });
+
+      if (maintenance.length) {
+        throw bookingError("Vehicle went into maintenance during payment process");
+      }
+      if (bookings.length || holds.length) {
+        throw bookingError("Vehicle has been booked by someone else during payment process");
+      }
+
+      // NOW CREATE THE BOOKING (after successful payment)
+      const bookingPayment = await BookingPayment.create([{
+        user: user._id,
+        vehicle: vehicleId,
+        origin: origin,
+        destination: destination,
+        startDate: tripWindow.start,
+        endDate: endDate ? new Date(endDate) : null,
+        blockedUntil: tripWindow.end,
+        isRoundTrip: isRoundTrip === true || isRoundTrip === "true",
+        totalPrice: order.amount / 100,
+        quote: quoteId || null,
+        fareBreakdown: quote ? quote.fare : null,
+        bookingCode: bookingCode,
+        bookingType: bookingType,
+        payment: {
+          provider,
+          providerPaymentId: paid ? paymentId : undefined,
+          orderId: order.id,
+          amount: order.amount / 100,
+          currency: order.currency || "INR",
+          status: paid ? "paid" : "pending",
+          paymentMethod: KNOWN_PAYMENT_METHODS.includes(paymentMethod) ? paymentMethod : undefined,
+          bookedByName: user.name || user.email,
+        },
+        paymentStatus: paid ? "Paid" : "Pending",
+        bookingStatus: "Confirmed",
+        lifecycle: { confirmedAt: new Date() },
+      }], { session });
+
+      if (paid) {
+        await recordCharge(bookingPayment[0], { session });
+      }
+      await convertHold(bookingCode, bookingPayment[0]._id, { session });
+
+      // Update vehicle status for immediate bookings or close scheduled bookings
+      if (bookingType === "immediate") {
+        vehicle.isAvailable = false;
+        vehicle.available = false;
+        vehicle.isBooked = true;
+        vehicle.bookedBy = user._id;
+        vehicle.bookedByName = user.name || user.email;
+        await vehicle.save({ session });
+      }
+      // For scheduled bookings, we might keep vehicle available until booking starts
+
+      created = true;
+      return bookingPayment[0];
+    });
+
+    await booking.populate([
+      { path: 'vehicle', select: 'name brand type licensePlate images pricePerDay' },
+      { path: 'user', select: 'name email mobile' }
+    ]);
+
+    return { booking, created };
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Refund a paid order that could not be booked because its slot was lost
+ * (createBookingFromOrder threw a booking conflict after the customer paid).
+ * Safe to call from /verify, the webhook and reconciliation at once: only the
+ * first call refunds. Returns the provider refund, or null if already handled.
+ *
+ * @param {object} params
+ * @param {object} params.order      provider order with the booking notes
+ * @param {string} params.paymentId
+ * @param {string} [params.provider="razorpay"]
+ * @param {string} params.reason     why the booking failed
+ */
+export const refundLostOrder = async ({ order, paymentId, provider = "razorpay", reason }) => {
+  const hold = await claimLostHold(order, reason);
+  if (!hold) return null;
+
+  try {
+    const refund = await getPaymentProvider(provider).refund({
+      paymentId,
+      amount: order.amount,
+      notes: { reason: `Slot no longer available: ${reason}`, bookingCode: order.notes?.bookingCode },
+    });
+    hold.refund = { id: refund.id, amount: refund.amount / 100, status: refund.status, at: new Date() };
+    await hold.save();
+    return refund;
+  } catch (err) {
+    // Kept on the hold; the next verify / webhook retry or reconciliation run tries again
+    hold.refund = { error: err.message, at: new Date() };
+    await hold.save();
+    throw err;
+  }
+};
+
+// "Refunded" once everything paid has gone back, otherwise "Partially Refunded"
+const refundPaymentStatus = (balance) =>
+  balance.refunded + balance.pendingRefunds >= balance.charged ? "Refunded" : "Partially Refunded";
+
+// Refund through the provider and record it (see refundBooking)
+const sendRefund = async (booking, { amount, reason, createdBy, kind = "policy" }) => {
+  const refund = await getPaymentProvider(booking.payment.provider).refund({
+    paymentId: booking.payment.providerPaymentId,
+    amount: Math.round(amount * 100),
+    notes: { reason, bookingCode: booking.bookingCode },
+  });
+
+  await recordRefund(booking, refund, { reason, createdBy: createdBy?._id });
+  if (refund.status === "processed") {
+    await issueDocuments(issueCreditNotes, booking._id);
+  }
+  const balance = await getBookingBalance(booking._id);
+
+  booking.payment.isRefunded = true;
+  booking.payment.refundId = refund.id;
+  // Completion is confirmed by the refund.processed / refund.failed webhook
+  booking.payment.refundStatus = refund.status === "processed" ? "processed" : "pending";
+  booking.payment.refundedAmount = Math.round((balance.refunded + balance.pendingRefunds) * 100) / 100;
+  if (refund.status === "processed") {
+    booking.payment.refundedAt = new Date();
+  }
+  booking.paymentStatus = refundPaymentStatus(balance);
+
+  addBookingEvent(booking, {
+    action: "refund_initiated",
+    by: createdBy,
+    note: `${kind} refund: ${reason}`,
+    amount: refund.amount / 100,
+    reference: refund.id,
+  });
+
+  return refund;
+};
+
+// A refund holds the booking's refund lock at most this long (the gateway call and the ledger entry)
+const REFUND_LOCK_MS = 60 * 1000;
+
+/**
+ * Refund part or all of a paid booking through its payment provider.
+ * Records the refund in the ledger and on the booking (not saved here).
+ *
+ * Refunds of a booking are sent one at a time under a lock, and the amount is
+ * checked against the ledger under that lock, so concurrent refunds cannot add
+ * up to more than was paid. Throws a BOOKING_CONFLICT error when another refund
+ * holds the lock or the amount is more than is left to refund.
+ *
+ * @param {object} booking
+ * @param {object} params
+ * @param {number} params.amount     refund in rupees
+ * @param {string} params.reason
+ * @param {object} [params.createdBy] user who triggered it
+ * @param {string} [params.kind="policy"] policy | full | partial | goodwill
+ * @returns {Promise<object>} provider refund
+ */
+export const refundBooking = async (booking, params) => {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + REFUND_LOCK_MS);
+  const locked = await BookingPayment.findOneAndUpdate(
+    {
+      _id: booking._id,
+      $or: [{ "payment.refundLockedUntil": null }, { "payment.refundLockedUntil": { $lte: now } }],
+    },
+    { $set: { "payment.refundLockedUntil": lockedUntil } },
+    { projection: { _id: 1 } }
+  );
+  if (!locked) {
+    throw bookingError("Another refund of this booking is in progress, try again shortly");
+  }
+
+  try {
+    // Earlier refunds, pending ones included, are in the ledger by now
+    const { refundable } = await getBookingBalance(booking._id);
+    if (params.amount > refundable) {
+      throw bookingError(`Refund must be at most ${refundable}`);
+    }
+    return await sendRefund(booking, params);
+  } finally {
+    await BookingPayment.updateOne(
+      { _id: booking._id, "payment.refundLockedUntil": lockedUntil },
+      { $unset: { "payment.refundLockedUntil": 1 } }
+    );
+  }
+};
+
+/**
+ * Cancel a booking: refund through its provider (if any amount is given), move it
+ * to Cancelled (which releases the vehicle) and record the cancellation. Saves the booking.
+ *
+ * The status is claimed with a conditional update before refunding, so of two
+ * concurrent cancels only one refunds; the other throws a BOOKING_CONFLICT error.
+ * A failed refund hands the status back and throws, leaving the booking unchanged.
+ *
+ * @param {object} booking     BookingPayment document
+ * @param {object} params
+ * @param {object} params.cancelledBy        customer or admin user
+ * @param {string} params.reason
+ * @param {number} [params.refundAmount=0]   rupees
+ * @param {string} [params.refundKind]       see refundBooking
+ * @param {object} [params.evaluation]       evaluateCancellation() result when a policy applied
+ * @returns {Promise<object|null>} provider refund
+ */
+export const cancelBooking = async (booking, { cancelledBy, reason, refundAmount = 0, refundKind = "policy", evaluation = null }) => {
+  if (!canTransition(booking.bookingStatus, "Cancelled")) {
+    throw bookingError(`A ${booking.bookingStatus} booking cannot be cancelled`);
+  }
+
+  // Only matches while the booking is still in the status we checked
+  const previousStatus = booking.bookingStatus;
+  const claimed = await BookingPayment.findOneAndUpdate(
+    { _id: booking._id, bookingStatus: previousStatus },
+    { $set: { bookingStatus: "Cancelled" } },
+    { projection: { _id: 1 } }
+  );
+  if (!claimed) {
+    throw bookingError("Booking is already being cancelled or has changed, reload it and try again");
+  }
+
+  const isPaid = booking.payment.status === "paid";
+  let refund = null;
+
+  if (isPaid && refundAmount > 0) {
+    try {
+      refund = await refundBooking(booking, {
+        amount: refundAmount,
+        reason: evaluation ? `${reason} - ${evaluation.tier.label} (${evaluation.refundPercent}%)` : reason,
+        createdBy: cancelledBy,
+        kind: refundKind,
+      });
+    } catch (err) {
+      await BookingPayment.updateOne(
+        { _id: booking._id, bookingStatus: "Cancelled" },
+        { $set: { bookingStatus: previousStatus } }
+      );
+      throw err;
+    }
+  } else if (isPaid) {
+    booking.payment.failureReason = evaluation ? `No refund: ${evaluation.tier.label}` : "No refund issued";
+    booking.paymentStatus = "No Refund";
+  } else {
+    booking.payment.status = "cancelled"; // nothing was collected
+  }
+
+  booking.cancellation = {
+    cancelledAt: new Date(),
+    cancelledBy: cancelledBy._id,
+    reason,
+    policy: evaluation?.policy.name,
+    tier: evaluation?.tier.label,
+    hoursBeforePickup: evaluation?.hoursBeforePickup,
+    refundPercent: evaluation?.refundPercent,
+    refundAmount: refund ? refund.amount / 100 : 0,
+  };
+
+  await transitionBooking(booking, "Cancelled", { by: cancelledBy, note: reason });
+  await booking.save();
+
+  return refund;
+};
+
+/**
+ * Apply a gateway refund (processed or failed) to a booking and save it.
+ * The refund is written to the ledger; refundedAmount is the ledger total.
+ * Returns false when the booking already reflects the refund.
+ */
+export const applyRefundUpdate = async (booking, refund) => {
+  const processed = refund.status === "processed";
+  const failed = refund.status === "failed";
+  if (!processed && !failed) return false;
+
+  const refundStatus = processed ? "processed" : "failed";
+  if (booking.payment.refundId === refund.id && booking.payment.refundStatus === refundStatus) {
+    return false;
+  }
+
+  await recordRefund(booking, refund);
+
+  booking.payment.refundId = refund.id;
+  if (processed) {
+    const balance = await getBookingBalance(booking._id);
+    booking.payment.isRefunded = true;
+    booking.payment.refundStatus = "processed";
+    booking.payment.refundedAmount = balance.refunded;
+    booking.payment.refundedAt = refund.created_at ? new Date(refund.created_at * 1000) : new Date();
+    booking.payment.refundFailureReason = undefined;
+    booking.paymentStatus = refundPaymentStatus(balance);
+  } else {
+    booking.payment.refundStatus = "failed";
+    booking.payment.refundFailureReason = refund.error_description || "Refund failed";
+    booking.paymentStatus = "Refund Failed";
+  }
+  addBookingEvent(booking, {
+    action: processed ? "refund_processed" : "refund_failed",
+    note: processed ? undefined : booking.payment.refundFailureReason,
+    amount: refund.amount / 100,
+    reference: refund.id,
+  });
+
+  await booking.save();
+  if (processed) {
+    await issueDocuments(issueCreditNotes, booking._id);
+  }
+  return true;
+};
+
+/**
+ * Pay-on-pickup fare handed to the driver: mark the booking paid and
+ * write the charge to the ledger.
+ */
+export const recordCashCollection = async (booking, { collectedBy }) => {
+  booking.payment.status = "paid";
+  booking.payment.providerPaymentId = `cash_${booking.bookingCode}`;
+  booking.payment.paymentMethod = "cash";
+  booking.payment.metadata = {
+    ...booking.payment.metadata,
+    collectedBy: collectedBy._id,
+    collectedByName: collectedBy.name || collectedBy.email,
+    collectedAt: new Date(),
+  };
+  booking.paymentStatus = "Paid";
+  addBookingEvent(booking, { action: "payment_collected", by: collectedBy, amount: booking.payment.amount });
+  await booking.save();
+
+  await recordCharge(booking);
+  await issueDocuments(issueInvoice, booking._id);
+  return booking;
+};
@@ -0,0 +1,60 @@
+// services/cancellation.js
+import { getCancellationPolicy } from "../config/cancellation.js";
+import { getBookingBalance } from "./ledger.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * What cancelling a booking now would refund, per the policy for its booking
+ * and vehicle type (see config/cancellation.js).
+ *
+ * The refund is a percentage of what the customer has actually paid (from the
+ * ledger), less the policy's cancellation fee for partial refunds.
+ *
+ * @param {object} booking   BookingPayment document with vehicle populated (for its type)
+ * @param {Date}   [now]
+ * @returns {Promise<{ policy, tier, hoursBeforePickup, withinGracePeriod, paidAmount,
+ *   refundPercent, refundAmount, cancellationFee, currency }>}
+ */
+export const evaluateCancellation = async (booking, now = new Date()) => {
+  const policy = getCancellationPolicy({
+    bookingType: booking.bookingType,
+    vehicleType: booking.vehicle?.type,
+  });
+
+  const pickupAt = booking.startDate || booking.createdAt;
+  const hoursBeforePickup = round2((new Date(pickupAt) - now) / HOUR_MS);
+  const minutesSinceBooking = (now - new Date(booking.createdAt)) / 60000;
+  const withinGracePeriod = policy.graceMinutes > 0 && minutesSinceBooking <= policy.graceMinutes;
+
+  const tier = withinGracePeriod
+    ? { minHoursBeforePickup: null, refundPercent: 100, label: `Within ${policy.graceMinutes} minutes of booking` }
+    : policy.tiers.find((t) => t.minHoursBeforePickup === null || hoursBeforePickup >= t.minHoursBeforePickup);
+
+  // Unpaid (pay on pickup) bookings have nothing to refund
+  const balance = booking.payment.status === "paid" ? await getBookingBalance(booking._id) : null;
+  const paidAmount = balance ? balance.refundable : 0;
+
+  let refundAmount = round2((paidAmount * tier.refundPercent) / 100);
+  const cancellationFee = tier.refundPercent < 100 && refundAmount > 0 ? Math.min(policy.cancellationFee, refundAmount) : 0;
+  refundAmount = round2(refundAmount - cancellationFee);
+
+  return {
+    policy: {
+      name: policy.name,
+      graceMinutes: policy.graceMinutes,
+      tiers: policy.tiers,
+      cancellationFee: policy.cancellationFee,
+    },
+    tier,
+    hoursBeforePickup,
+    withinGracePeriod,
+    paidAmount,
+    refundPercent: tier.refundPercent,
+    refundAmount,
+    cancellationFee,
+    currency: booking.payment.currency || "INR",
+  };
+};
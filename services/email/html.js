@@ -0,0 +1,82 @@
+// services/email/html.js
+import { EMAIL_BRANDING } from "../../config/email.js";
+
+/**
+ * Escaping helpers for email templates.
+ *
+ * Write markup with the `html` tag: every interpolated value is escaped unless it
+ * is itself `html` output (or wrapped in `raw`), so customer names, addresses and
+ * reasons can never inject markup. Arrays are joined; null, undefined and false
+ * render nothing, which keeps `${cond && html`...`}` readable.
+ */
+
+const ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+export const escapeHtml = (value) => String(value ?? "").replace(/[&<>"']/g, (c) => ENTITIES[c]);
+
+// Trusted markup only - never pass user input here
+export const raw = (value) => new SafeHtml(String(value ?? ""));
+
+const renderValue = (value) => {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join("");
+  if (value === null || value === undefined || value === false) return "";
+  return escapeHtml(value);
+};
+
+export const html = (strings, ...values) =>
+  new SafeHtml(strings.reduce((out, text, i) => out + text + (i < values.length ? renderValue(values[i]) : ""), ""));
+
+/* ---------------- Formatting ---------------- */
+
+export const formatDateTime = (date) =>
+  date ? new Date(date).toLocaleString("en-IN", { timeZone: EMAIL_BRANDING.timeZone }) : "N/A";
+
+export const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString("en-IN", { timeZone: EMAIL_BRANDING.timeZone }) : "N/A";
+
+export const formatMoney = (amount) => `₹${Number(amount || 0).toLocaleString("en-IN")}`;
+
+/* ---------------- Building blocks ---------------- */
+
+/**
+ * Label / value table. Rows are [label, value] pairs (falsy rows are skipped);
+ * a value may be `html` output for badges and links.
+ */
+export const detailsTable = (rows) => html`
+  <table width="100%" cellpadding="10" cellspacing="0" style="border-collapse:collapse; margin-top:15px; background-color:#f8f9fa;">
+    ${rows.filter(Boolean).map(([label, value]) => html`
+    <tr>
+      <td style="border:1px solid #dee2e6; width:40%; font-weight:bold; background-color:#e9ecef;">${label}</td>
+      <td style="border:1px solid #dee2e6;">${value}</td>
+    </tr>`)}
+  </table>`;
+
+// Plain-text version of detailsTable
+export const detailsText = (rows) =>
+  rows
+    .filter(Boolean)
+    .map(([label, value]) => `${label}: ${value instanceof SafeHtml ? value.value.replace(/<[^>]+>/g, "").trim() : value ?? ""}`)
+    .join("\n");
+
+export const sectionTitle = (title, color = EMAIL_BRANDING.colors.primary) => html`
+  <h3 style="border-bottom:2px solid ${color}; padding-bottom:8px; color:${color}; font-size:18px; margin-top:25px;">${title}</h3>`;
+
+export const badge = (label, color) => html`
+  <span style="background-color:${color}; color:white; padding:4px 12px; border-radius:12px; font-size:12px; font-weight:bold;">${label}</span>`;
+
+// Highlighted box (alerts, next steps, security notes)
+export const callout = (content, { background = "#fff3cd", border = EMAIL_BRANDING.colors.warning, color = "#856404" } = {}) => html`
+  <div style="background-color:${background}; border-left:4px solid ${border}; padding:15px; margin-top:20px; border-radius:4px; color:${color};">
+    ${content}
+  </div>`;
@@ -0,0 +1,68 @@
+// services/email/ics.js
+import { EMAIL_BRANDING } from "../../config/email.js";
+
+/**
+ * Minimal iCalendar (RFC 5545) event, for "add to calendar" attachments.
+ * Times are written in UTC; calendar apps show them in the reader's zone.
+ */
+
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const utc = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const fold = (line) => {
+  const chunks = [];
+  let rest = Buffer.from(line);
+  while (rest.length > 75) {
+    let cut = chunks.length ? 74 : 75;
+    while (cut > 0 && (rest[cut] & 0xc0) === 0x80) cut--; // don't split a UTF-8 character
+    chunks.push(rest.subarray(0, cut).toString());
+    rest = rest.subarray(cut);
+  }
+  chunks.push(rest.toString());
+  return chunks.join("\r\n ");
+};
+
+/**
+ * @param {object} event
+ * @param {string} event.uid           stable per booking, so a newer file updates the same event
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {number} [event.alarmMinutes]  pop-up reminder before start
+ * @returns {string}
+ */
+export const buildIcsEvent = ({ uid, start, end, summary, description, location, alarmMinutes }) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//${EMAIL_BRANDING.name}//Bookings//EN`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${utc(new Date())}`,
+    // Increases with every file sent, so a rescheduled pickup replaces the old entry
+    `SEQUENCE:${Math.floor(Date.now() / 1000)}`,
+    `DTSTART:${utc(start)}`,
+    `DTEND:${utc(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    location && `LOCATION:${escapeText(location)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    ...(alarmMinutes
+      ? ["BEGIN:VALARM", "ACTION:DISPLAY", `DESCRIPTION:${escapeText(summary)}`, `TRIGGER:-PT${alarmMinutes}M`, "END:VALARM"]
+      : []),
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].filter(Boolean);
+
+  return `${lines.map(fold).join("\r\n")}\r\n`;
+};
@@ -0,0 +1,88 @@
+// services/email/index.js
+import { EMAIL_BRANDING } from "../../config/email.js";
+import { getTemplate, listTemplates } from "./templates/index.js";
+import { createTransportFromEnv } from "./transports.js";
+
+/**
+ * Transactional email.
+ *
+ *   await sendEmail("booking.confirmation", { to: user.email, data: { booking, user } });
+ *
+ * Templates live in ./templates (named and versioned) and render an HTML body on
+ * the shared layout plus a plain-text alternative. sendEmail throws on unknown
+ * templates and transport errors; callers decide whether a failure matters.
+ */
+
+let transport = null;
+
+// Created lazily so .env has been loaded before the transport settings are read
+export const getMailTransport = () => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  return transport;
+};
+
+// Swap the transport (tests, scripts)
+export const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Render a template without sending it.
+ * @returns {{ template: string, version: number, subject: string, html: string, text: string, attachments: object[] }}
+ */
+export const renderEmail = (name, data = {}, { version } = {}) => {
+  const template = getTemplate(name, version);
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"${version !== undefined ? ` v${version}` : ""}`);
+  }
+
+  return {
+    template: template.name,
+    version: template.version,
+    fromName: template.fromName,
+    subject: template.subject(data),
+    html: template.html(data).toString(),
+    text: template.text(data),
+    attachments: template.attachments ? template.attachments(data) : [],
+  };
+};
+
+/**
+ * Render and send a template.
+ *
+ * @param {string} name              template name, e.g. "booking.refund"
+ * @param {object} options
+ * @param {string|string[]} options.to
+ * @param {object} [options.data]    template data
+ * @param {number} [options.version] pin a template version (default: latest)
+ * @param {object[]} [options.attachments]  nodemailer attachments
+ * @param {string} [options.replyTo]
+ * @returns {Promise<{ messageId: string, template: string, version: number }>}
+ */
+export const sendEmail = async (name, { to, data, version, attachments = [], replyTo }) => {
+  if (!to || (Array.isArray(to) && !to.length)) {
+    throw new Error(`No recipient for email "${name}"`);
+  }
+
+  const rendered = renderEmail(name, data, { version });
+  const template = getTemplate(rendered.template, rendered.version);
+  const loaded = template.loadAttachments ? await template.loadAttachments(data) : [];
+  const fromName = rendered.fromName || process.env.EMAIL_FROM_NAME || EMAIL_BRANDING.name;
+
+  const info = await getMailTransport().sendMail({
+    from: `"${fromName}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+    to,
+    replyTo,
+    subject: rendered.subject,
+    html: rendered.html,
+    text: rendered.text,
+    attachments: [...rendered.attachments, ...loaded, ...attachments],
+    headers: { "X-Template": `${rendered.template}@${rendered.version}` },
+  });
+
+  return { messageId: info.messageId, template: rendered.template, version: rendered.version };
+};
+
+export { listTemplates };
@@ -0,0 +1,83 @@
+// services/email/layout.js
+import { EMAIL_BRANDING } from "../../config/email.js";
+import { html, raw } from "./html.js";
+
+/**
+ * Shared HTML shell for every email: branded header, white card, footer.
+ *
+ * @param {object} params
+ * @param {string} params.title          <title> of the document
+ * @param {string} params.heading        header line
+ * @param {string} [params.subheading]
+ * @param {string} [params.headerBackground]  CSS background of the header
+ * @param {string} [params.preheader]    inbox preview text
+ * @param {object} params.body           `html` output
+ * @param {string} [params.footerNote]
+ */
+export const renderLayout = ({
+  title,
+  heading,
+  subheading,
+  headerBackground = EMAIL_BRANDING.colors.header,
+  preheader,
+  body,
+  footerNote,
+}) => html`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>
+      @media only screen and (max-width: 600px) {
+        .container { padding: 15px !important; }
+        h2 { font-size: 20px !important; }
+        p, td { font-size: 14px !important; }
+      }
+    </style>
+  </head>
+  <body style="margin:0; padding:0; font-family: Arial, sans-serif; background-color:#f4f4f4;">
+    ${preheader && html`<div style="display:none; max-height:0; overflow:hidden;">${preheader}</div>`}
+    <table width="100%" cellpadding="0" cellspacing="0" style="padding:20px 0; background-color:#f4f4f4;">
+      <tr>
+        <td>
+          <table width="100%" style="max-width:650px; margin:auto; background-color:#ffffff; border-radius:10px; overflow:hidden; box-shadow:0 4px 8px rgba(0,0,0,0.1);">
+            <tr>
+              <td style="background:${raw(headerBackground)}; color:#ffffff; padding:25px; text-align:center;">
+                <h2 style="margin:0; font-size:24px;">${heading}</h2>
+                <p style="margin:8px 0 0 0; font-size:14px; opacity:0.9;">${subheading || EMAIL_BRANDING.name}</p>
+              </td>
+            </tr>
+            <tr>
+              <td class="container" style="padding:25px; color:#333; line-height:1.6;">
+                ${body}
+              </td>
+            </tr>
+            <tr>
+              <td style="background-color:#f4f4f4; text-align:center; padding:15px; font-size:12px; color:#777;">
+                ${footerNote && html`<p style="margin:0 0 8px 0;">${footerNote}</p>`}
+                <p style="margin:0;">&copy; ${new Date().getFullYear()} ${EMAIL_BRANDING.name}. All rights reserved.</p>
+                <p style="margin:8px 0 0 0;">For support, contact us at <a href="mailto:${EMAIL_BRANDING.supportEmail}" style="color:#007bff; text-decoration:none;">${EMAIL_BRANDING.supportEmail}</a></p>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+// Plain-text counterpart: heading, body paragraphs, signature
+export const renderTextLayout = ({ heading, body, footerNote }) =>
+  [
+    heading,
+    "=".repeat(heading.length),
+    "",
+    body.trim(),
+    "",
+    footerNote,
+    `-- ${EMAIL_BRANDING.name}`,
+    `Support: ${EMAIL_BRANDING.supportEmail}`,
+  ]
+    .filter((line) => line !== undefined && line !== null)
+    .join("\n");
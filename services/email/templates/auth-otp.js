@@ -0,0 +1,70 @@
+// services/email/templates/auth-otp.js
+import { EMAIL_BRANDING } from "../../../config/email.js";
+import { html, callout } from "../html.js";
+import { renderLayout, renderTextLayout } from "../layout.js";
+
+// One-time password for registration, login and password reset.
+// data: { otp, type: "register" | "login" | "forgot", userName }
+
+const COPY = {
+  login: {
+    subject: "Login OTP",
+    purpose: "login",
+    heading: (name) => `Welcome back${name ? `, ${name}` : ""}!`,
+    intro: "You requested to login to your account. Please use the OTP below to complete your login:",
+  },
+  forgot: {
+    subject: "Reset Password OTP",
+    purpose: "password reset",
+    heading: () => "Password Reset Request",
+    intro: "You requested to reset your password. Please use the OTP below to reset your password:",
+  },
+  register: {
+    subject: "Registration OTP",
+    purpose: "registration",
+    heading: () => `Welcome to ${EMAIL_BRANDING.name}!`,
+    intro: `Thank you for registering with ${EMAIL_BRANDING.name}. Please use the OTP below to verify your email and complete your registration:`,
+  },
+};
+
+const SECURITY_NOTE = `Never share this OTP with anyone. ${EMAIL_BRANDING.name} team will never ask for your OTP over phone or email.`;
+
+const copyFor = (type) => COPY[type] || COPY.register;
+
+export default {
+  name: "auth.otp",
+  version: 1,
+
+  subject: ({ type }) => `${copyFor(type).subject} - ${EMAIL_BRANDING.name}`,
+
+  html: ({ otp, type, userName }) => {
+    const copy = copyFor(type);
+    return renderLayout({
+      title: `${EMAIL_BRANDING.name} OTP`,
+      heading: EMAIL_BRANDING.name,
+      subheading: copy.subject,
+      headerBackground: "#007bff",
+      preheader: `Your OTP is ${otp}`,
+      body: html`
+        <h2 style="color:#333; margin-top:0; font-size:20px;">${copy.heading(userName)}</h2>
+        <p style="color:#555;">${copy.intro}</p>
+        <div style="background-color:#f8f9fa; padding:25px; text-align:center; border-radius:6px; margin:25px 0;">
+          <h1 style="color:#007bff; font-size:32px; margin:0; letter-spacing:6px; font-weight:bold;">${otp}</h1>
+          <p style="color:#777; margin-top:12px; font-size:14px;">This OTP is valid for 10 minutes</p>
+        </div>
+        ${callout(html`<strong>Security Note:</strong> ${SECURITY_NOTE}`)}
+        <p style="color:#999; font-size:12px; margin-top:25px;">If you didn't request this OTP, please ignore this email or contact our support team.</p>`,
+    });
+  },
+
+  text: ({ otp, type, userName }) => {
+    const copy = copyFor(type);
+    return renderTextLayout({
+      heading: copy.heading(userName),
+      body: `${copy.intro}\n\n    ${otp}\n\nThis OTP is valid for 10 minutes.\n\nSecurity note: ${SECURITY_NOTE}\nIf you didn't request this OTP, please ignore this email.`,
+    });
+  },
+
+  short: ({ otp, type }) =>
+    `${otp} is your ${EMAIL_BRANDING.name} ${copyFor(type).purpose} OTP. Valid for 10 minutes. Never share it with anyone.`,
+};
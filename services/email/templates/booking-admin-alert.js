@@ -0,0 +1,86 @@
+// services/email/templates/booking-admin-alert.js
+import { EMAIL_BRANDING } from "../../../config/email.js";
+import { html, detailsTable, detailsText, sectionTitle, badge, callout, formatDateTime, formatMoney } from "../html.js";
+import { renderLayout, renderTextLayout } from "../layout.js";
+import { customerRows, tripRows, paymentReference, vehicleLabel } from "./shared.js";
+
+// Admin alert for a new booking. data: { booking, user }
+
+const { colors } = EMAIL_BRANDING;
+
+const bookingRows = (booking) => [
+  ["Booking Code", booking.bookingCode],
+  ["Booking Type", booking.bookingType === "immediate" ? "⚡ IMMEDIATE" : "📅 SCHEDULED"],
+  ["Trip Type", booking.isRoundTrip ? "🔄 Round Trip" : "➡️ One Way"],
+  ["License Plate", booking.vehicle?.licensePlate || "N/A"],
+];
+
+const paymentRows = (booking) => {
+  const isPaid = booking.payment.status === "paid";
+  return [
+    ["Total Amount", formatMoney(booking.totalPrice)],
+    ["Payment Status", isPaid ? "✓ PAID" : "PAY ON PICKUP"],
+    ["Payment ID", paymentReference(booking)],
+    ["Order ID", booking.payment.orderId],
+    ["Payment Provider", booking.payment.provider],
+    ["Booking Date", formatDateTime(booking.createdAt)],
+  ];
+};
+
+const nextSteps = (booking, user) => [
+  "Assign a driver for this booking",
+  `Contact the customer at ${user.email}${user.mobile ? ` or ${user.mobile}` : ""}`,
+  booking.bookingType === "immediate" ? "Arrange immediate pickup" : "Schedule pickup as per booking time",
+];
+
+export default {
+  name: "booking.admin-alert",
+  version: 1,
+  fromName: `${EMAIL_BRANDING.name} Booking System`,
+
+  subject: ({ booking }) => `🚗 New Booking Alert - ${booking.bookingCode}`,
+
+  html: ({ booking, user }) =>
+    renderLayout({
+      title: "New Booking Notification",
+      heading: "🚗 New Booking Received!",
+      subheading: `${EMAIL_BRANDING.name} Admin Dashboard`,
+      headerBackground: "linear-gradient(135deg, #667eea 0%, #764ba2 100%)",
+      footerNote: `This is an automated notification from ${EMAIL_BRANDING.name} Booking System`,
+      body: html`
+        <p style="font-size:16px; margin-top:0;">Dear Admin,</p>
+        <p>A new vehicle booking has been confirmed. Please review the details below:</p>
+        ${sectionTitle("📋 Booking Information")}
+        ${detailsTable([
+          ...bookingRows(booking),
+          ["Status", badge("✓ CONFIRMED", colors.success)],
+        ])}
+        ${sectionTitle("👤 Customer Information")}
+        ${detailsTable(customerRows(user))}
+        ${sectionTitle("🚙 Vehicle & Trip Details")}
+        ${detailsTable(tripRows(booking))}
+        ${sectionTitle("💳 Payment Information")}
+        ${detailsTable(paymentRows(booking))}
+        ${callout(
+          html`<p style="margin:0; font-weight:bold;">📞 Next Steps:</p>
+          <ul style="margin:10px 0 0 20px;">${nextSteps(booking, user).map((step) => html`<li>${step}</li>`)}</ul>`,
+          { background: "#e3f2fd", border: "#2196f3", color: "#0d47a1" }
+        )}`,
+    }),
+
+  text: ({ booking, user }) =>
+    renderTextLayout({
+      heading: `New booking ${booking.bookingCode}`,
+      body: [
+        "A new vehicle booking has been confirmed.",
+        detailsText(bookingRows(booking)),
+        `Customer\n${detailsText(customerRows(user))}`,
+        `Trip\n${detailsText(tripRows(booking))}`,
+        `Payment\n${detailsText(paymentRows(booking))}`,
+        `Next steps:\n${nextSteps(booking, user).map((step) => `- ${step}`).join("\n")}`,
+      ].join("\n\n"),
+    }),
+
+  short: ({ booking, user }) =>
+    `${user.name || user.email} booked ${vehicleLabel(booking.vehicle)} for ${formatDateTime(booking.startDate)}, ${booking.origin} → ${booking.destination}. ${formatMoney(booking.payment.amount)} ${booking.payment.status === "paid" ? "paid" : "due at pickup"}.`,
+};
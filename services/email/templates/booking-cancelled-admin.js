@@ -0,0 +1,83 @@
+// services/email/templates/booking-cancelled-admin.js
+import { EMAIL_BRANDING } from "../../../config/email.js";
+import { html, detailsTable, detailsText, sectionTitle, badge, callout, formatDateTime, formatMoney } from "../html.js";
+import { renderLayout, renderTextLayout } from "../layout.js";
+import { customerRows, vehicleLabel, refundAmount } from "./shared.js";
+
+// Admin notice of a cancellation. data: { booking, user, refund, cancelledBy: "customer" | "admin" }
+
+const { colors } = EMAIL_BRANDING;
+
+const cancellationRows = (booking, refund) => [
+  ["Booking Code", booking.bookingCode],
+  ["Reason", booking.cancellation?.reason || "Not given"],
+  ["Cancellation Time", formatDateTime(booking.cancellation?.cancelledAt || new Date())],
+  refund && [
+    "Refund Amount",
+    `${refundAmount(refund)}${booking.cancellation?.refundPercent != null ? ` (${booking.cancellation.refundPercent}%)` : ""}`,
+  ],
+  refund && ["Refund ID", refund.id],
+];
+
+const bookingRows = (booking) => [
+  ["Vehicle", vehicleLabel(booking.vehicle)],
+  ["Origin", booking.origin],
+  ["Destination", booking.destination],
+  ["Booking Created", formatDateTime(booking.createdAt)],
+  ["Total Amount", formatMoney(booking.totalPrice)],
+];
+
+const actions = (refund) => [
+  "Cancel any driver assignments for this booking",
+  refund ? "Monitor refund processing" : "Note: No refund applicable for this cancellation",
+  "Update booking records and analytics",
+];
+
+const byLine = (cancelledBy) => (cancelledBy === "admin" ? "an admin" : "the customer");
+
+export default {
+  name: "booking.cancelled-admin",
+  version: 1,
+  fromName: `${EMAIL_BRANDING.name} Booking System`,
+
+  subject: ({ booking }) => `⚠️ Booking Cancelled - ${booking.bookingCode}`,
+
+  html: ({ booking, user, refund, cancelledBy }) =>
+    renderLayout({
+      title: "Booking Cancellation Notification",
+      heading: "⚠️ Booking Cancelled",
+      subheading: `${EMAIL_BRANDING.name} Admin Dashboard`,
+      headerBackground: "linear-gradient(135deg, #e74c3c 0%, #c0392b 100%)",
+      footerNote: `This is an automated notification from ${EMAIL_BRANDING.name} Booking System`,
+      body: html`
+        ${callout(html`<strong>📢 A booking has been cancelled by ${byLine(cancelledBy)}</strong>`)}
+        <p style="font-size:16px;">Dear Admin,</p>
+        <p>Please review the details below:</p>
+        ${sectionTitle("🚫 Cancellation Information", colors.danger)}
+        ${detailsTable([
+          ...cancellationRows(booking, refund),
+          ["Refund Status", refund ? badge("✓ REFUND INITIATED", colors.success) : badge("✗ NO REFUND", "#dc3545")],
+        ])}
+        ${sectionTitle("👤 Customer Information", colors.danger)}
+        ${detailsTable(customerRows(user))}
+        ${sectionTitle("📋 Original Booking Details", colors.danger)}
+        ${detailsTable(bookingRows(booking))}
+        ${callout(html`<p style="margin:0; font-weight:bold;">📌 Required Actions:</p>
+          <ul style="margin:10px 0 0 20px;">${actions(refund).map((action) => html`<li>${action}</li>`)}</ul>`)}`,
+    }),
+
+  text: ({ booking, user, refund, cancelledBy }) =>
+    renderTextLayout({
+      heading: `Booking ${booking.bookingCode} cancelled`,
+      body: [
+        `A booking has been cancelled by ${byLine(cancelledBy)}.`,
+        detailsText(cancellationRows(booking, refund)),
+        `Customer\n${detailsText(customerRows(user))}`,
+        `Booking\n${detailsText(bookingRows(booking))}`,
+        `Required actions:\n${actions(refund).map((action) => `- ${action}`).join("\n")}`,
+      ].join("\n\n"),
+    }),
+
+  short: ({ booking, user, refund, cancelledBy }) =>
+    `${booking.bookingCode} (${user.name || user.email}) was cancelled by ${cancelledBy === "admin" ? "an admin" : "the customer"}. ${refund ? `Refund ${refundAmount(refund)} initiated.` : "No refund."}`,
+};
@@ -0,0 +1,41 @@
+// services/email/templates/booking-cancelled.js
+import { EMAIL_BRANDING } from "../../../config/email.js";
+import { html, detailsTable, detailsText } from "../html.js";
+import { renderLayout, renderTextLayout } from "../layout.js";
+import { tripRows, refundAmount } from "./shared.js";
+
+// Customer confirmation of a cancellation. data: { booking, user, refund }
+
+const rows = (booking, refund) => [
+  ["Booking Code", booking.bookingCode],
+  ...tripRows(booking),
+  ["Refund Status", refund ? "Initiated" : "Not applicable"],
+];
+
+export default {
+  name: "booking.cancelled",
+  version: 1,
+
+  subject: ({ booking }) => `Booking Cancelled: ${booking.bookingCode}`,
+
+  html: ({ booking, user, refund }) =>
+    renderLayout({
+      title: `Booking Cancelled - ${EMAIL_BRANDING.name}`,
+      heading: EMAIL_BRANDING.name,
+      subheading: "Booking Cancellation Confirmation",
+      body: html`
+        <p>Hi <b>${user.name || user.email}</b>,</p>
+        <p>Your booking has been successfully <span style="color:${EMAIL_BRANDING.colors.danger}; font-weight:bold;">cancelled</span>.</p>
+        ${detailsTable(rows(booking, refund))}
+        <p style="margin-top:20px;">Thank you for choosing <b>${EMAIL_BRANDING.name}</b>. We hope to serve you again soon!</p>`,
+    }),
+
+  text: ({ booking, user, refund }) =>
+    renderTextLayout({
+      heading: "Booking Cancelled",
+      body: `Hi ${user.name || user.email},\n\nYour booking has been cancelled.\n\n${detailsText(rows(booking, refund))}`,
+    }),
+
+  short: ({ booking, refund }) =>
+    `${EMAIL_BRANDING.name}: booking ${booking.bookingCode} has been cancelled.${refund ? ` Refund of ${refundAmount(refund)} initiated to your original payment method.` : ""}`,
+};
@@ -0,0 +1,103 @@
+// services/email/templates/booking-confirmation.js
+import { EMAIL_BRANDING } from "../../../config/email.js";
+import { html, detailsTable, detailsText, formatMoney, formatDateTime } from "../html.js";
+import { renderLayout, renderTextLayout } from "../layout.js";
+import { tripRows, paymentReference, vehicleLabel } from "./shared.js";
+import { invoiceAttachment } from "../../invoices/index.js";
+
+// Customer confirmation of a new booking.
+// v1 data: { booking, user }
+// v2 data: { booking, user, invoice: { number } | null } — attaches the tax invoice PDF
+
+const rows = (booking) => {
+  const isPaid = booking.payment.status === "paid";
+  return [
+    ["Booking Code", booking.bookingCode],
+    ...tripRows(booking),
+    [isPaid ? "Total Paid" : "Pay on Pickup", formatMoney(booking.payment.amount)],
+    ["Payment ID", paymentReference(booking)],
+  ];
+};
+
+const intro = (booking) =>
+  booking.payment.status === "paid"
+    ? "Your payment was successful and your booking has been confirmed!"
+    : "Your booking has been confirmed! Please pay the driver at pickup.";
+
+const nextStep = (booking) =>
+  booking.bookingType === "immediate"
+    ? "Our driver will contact you shortly for immediate pickup! 🚗"
+    : "Our driver will contact you closer to the scheduled pickup time. 🚗";
+
+const v1 = {
+  name: "booking.confirmation",
+  version: 1,
+
+  subject: ({ booking }) => `Booking Confirmed: ${booking.bookingCode}`,
+
+  html: ({ booking, user }) =>
+    renderLayout({
+      title: `Booking Confirmed - ${EMAIL_BRANDING.name}`,
+      heading: "🎉 Booking Confirmed!",
+      preheader: `Booking ${booking.bookingCode} is confirmed`,
+      body: html`
+        <p>Dear <strong>${user.name || user.email}</strong>,</p>
+        <p>${intro(booking)}</p>
+        ${detailsTable(rows(booking))}
+        <p style="margin-top:20px;">${nextStep(booking)}</p>
+        <p>Thank you for choosing <strong>${EMAIL_BRANDING.name}</strong>!</p>`,
+    }),
+
+  text: ({ booking, user }) =>
+    renderTextLayout({
+      heading: "Booking Confirmed!",
+      body: `Dear ${user.name || user.email},\n\n${intro(booking)}\n\n${detailsText(rows(booking))}\n\n${nextStep(booking)}`,
+    }),
+
+  short: ({ booking }) =>
+    `${EMAIL_BRANDING.name}: booking ${booking.bookingCode} confirmed. ${vehicleLabel(booking.vehicle)}, pickup ${formatDateTime(booking.startDate)} from ${booking.origin}. ${booking.payment.status === "paid" ? `Paid ${formatMoney(booking.payment.amount)}` : `Pay ${formatMoney(booking.payment.amount)} at pickup`}.`,
+};
+
+const invoiceNote = (invoice) => `Your tax invoice ${invoice.number} is attached to this email.`;
+
+const v2 = {
+  ...v1,
+  version: 2,
+
+  html: ({ booking, user, invoice }) =>
+    renderLayout({
+      title: `Booking Confirmed - ${EMAIL_BRANDING.name}`,
+      heading: "🎉 Booking Confirmed!",
+      preheader: `Booking ${booking.bookingCode} is confirmed`,
+      body: html`
+        <p>Dear <strong>${user.name || user.email}</strong>,</p>
+        <p>${intro(booking)}</p>
+        ${detailsTable(rows(booking))}
+        ${invoice && html`<p style="margin-top:20px;">${invoiceNote(invoice)}</p>`}
+        <p style="margin-top:20px;">${nextStep(booking)}</p>
+        <p>Thank you for choosing <strong>${EMAIL_BRANDING.name}</strong>!</p>`,
+    }),
+
+  text: ({ booking, user, invoice }) =>
+    renderTextLayout({
+      heading: "Booking Confirmed!",
+      body: [
+        `Dear ${user.name || user.email},`,
+        intro(booking),
+        detailsText(rows(booking)),
+        invoice && invoiceNote(invoice),
+        nextStep(booking),
+      ]
+        .filter(Boolean)
+        .join("\n\n"),
+    }),
+
+  // Rendered when the email is sent, not stored with the message
+  loadAttachments: async ({ booking, invoice }) => {
+    if (!invoice) return [];
+    const attachment = await invoiceAttachment(booking._id);
+    return attachment ? [attachment] : [];
+  },
+};
+
+export default [v1, v2];
@@ -0,0 +1,44 @@
+// services/email/templates/booking-driver-assigned.js
+import { EMAIL_BRANDING } from "../../../config/email.js";
+import { html, detailsTable, detailsText, formatDateTime } from "../html.js";
+import { renderLayout, renderTextLayout } from "../layout.js";
+import { vehicleLabel } from "./shared.js";
+
+// Customer notice that a driver was assigned. data: { booking, user, driver: { name, mobile } }
+
+const rows = (booking, driver) => [
+  ["Booking Code", booking.bookingCode],
+  ["Driver", driver.name],
+  ["Driver Mobile", driver.mobile],
+  ["Vehicle", `${vehicleLabel(booking.vehicle)}${booking.vehicle?.licensePlate ? ` - ${booking.vehicle.licensePlate}` : ""}`],
+  ["Pickup Time", formatDateTime(booking.startDate)],
+  ["Pickup", booking.origin],
+];
+
+export default {
+  name: "booking.driver-assigned",
+  version: 1,
+
+  subject: ({ booking }) => `Driver Assigned: ${booking.bookingCode}`,
+
+  html: ({ booking, user, driver }) =>
+    renderLayout({
+      title: `Driver Assigned - ${EMAIL_BRANDING.name}`,
+      heading: "🚗 Your driver is assigned",
+      preheader: `${driver.name} will pick you up`,
+      body: html`
+        <p>Hi <b>${user.name || user.email}</b>,</p>
+        <p><b>${driver.name}</b> will be your driver for booking ${booking.bookingCode}.</p>
+        ${detailsTable(rows(booking, driver))}
+        <p style="margin-top:20px;">Your driver will call you before pickup.</p>`,
+    }),
+
+  text: ({ booking, user, driver }) =>
+    renderTextLayout({
+      heading: "Your driver is assigned",
+      body: `Hi ${user.name || user.email},\n\n${driver.name} will be your driver for booking ${booking.bookingCode}.\n\n${detailsText(rows(booking, driver))}`,
+    }),
+
+  short: ({ booking, driver }) =>
+    `${EMAIL_BRANDING.name}: ${driver.name} (${driver.mobile}) is your driver for ${booking.bookingCode}, pickup ${formatDateTime(booking.startDate)}${booking.vehicle?.licensePlate ? `, vehicle ${booking.vehicle.licensePlate}` : ""}.`,
+};
@@ -0,0 +1,51 @@
+// services/email/templates/booking-pickup-reminder-admin.js
+import { EMAIL_BRANDING } from "../../../config/email.js";
+import { html, detailsTable, detailsText, formatDateTime, callout } from "../html.js";
+import { renderLayout, renderTextLayout } from "../layout.js";
+import { customerRows, vehicleLabel, driverLabel, pickupCalendarAttachment } from "./shared.js";
+
+// Admin heads-up for an upcoming pickup. data: { booking, user, driver | null, reminder: { kind, label } }
+
+const rows = (booking, user, driver) => [
+  ["Booking Code", booking.bookingCode],
+  ["Status", booking.bookingStatus],
+  ["Pickup Time", formatDateTime(booking.startDate)],
+  ["Pickup", booking.origin],
+  ["Destination", booking.destination],
+  ["Vehicle", `${vehicleLabel(booking.vehicle)}${booking.vehicle?.licensePlate ? ` - ${booking.vehicle.licensePlate}` : ""}`],
+  ["Driver", driverLabel(driver)],
+  ...customerRows(user).map(([label, value]) => [`Customer ${label}`, value]),
+];
+
+const NO_DRIVER = "No driver is assigned yet. Assign one before the pickup.";
+
+export default {
+  name: "booking.pickup-reminder-admin",
+  version: 1,
+  fromName: `${EMAIL_BRANDING.name} Booking System`,
+
+  subject: ({ booking, driver, reminder }) =>
+    `${driver ? "🗓️" : "⚠️"} Pickup in ${reminder.label} - ${booking.bookingCode}${driver ? "" : " (no driver)"}`,
+
+  html: ({ booking, user, driver, reminder }) =>
+    renderLayout({
+      title: "Upcoming Pickup",
+      heading: `🗓️ Pickup in ${reminder.label}`,
+      headerBackground: EMAIL_BRANDING.colors.primary,
+      body: html`
+        ${!driver && callout(html`<strong>⚠️ ${NO_DRIVER}</strong>`)}
+        ${detailsTable(rows(booking, user, driver))}`,
+      footerNote: `This is an automated notification from ${EMAIL_BRANDING.name} Booking System`,
+    }),
+
+  text: ({ booking, user, driver, reminder }) =>
+    renderTextLayout({
+      heading: `Pickup in ${reminder.label}`,
+      body: `${driver ? "" : `${NO_DRIVER}\n\n`}${detailsText(rows(booking, user, driver))}`,
+    }),
+
+  attachments: ({ booking, driver }) => [pickupCalendarAttachment(booking, { driver })],
+
+  short: ({ booking, driver, reminder }) =>
+    `${booking.bookingCode} picks up in ${reminder.label} (${formatDateTime(booking.startDate)}) at ${booking.origin}. ${driver ? `Driver ${driverLabel(driver)}.` : NO_DRIVER}`,
+};
@@ -0,0 +1,89 @@
+// services/email/templates/booking-pickup-reminder.js
+import { EMAIL_BRANDING } from "../../../config/email.js";
+import { html, detailsTable, detailsText, formatDateTime } from "../html.js";
+import { renderLayout, renderTextLayout } from "../layout.js";
+import { vehicleLabel, driverLabel, pickupCalendarAttachment } from "./shared.js";
+
+// Reminder ahead of a scheduled pickup.
+// v1 data: { booking, user }
+// v2 data: { booking, user, driver: { name, mobile } | null, reminder: { kind, label } } — adds
+//          driver and vehicle details and the calendar file
+
+const rows = (booking) => [
+  ["Booking Code", booking.bookingCode],
+  ["Pickup Time", formatDateTime(booking.startDate)],
+  ["Pickup", booking.origin],
+  ["Destination", booking.destination],
+  ["Vehicle", vehicleLabel(booking.vehicle)],
+];
+
+const CLOSING = "Please be ready at the pickup point a few minutes early.";
+
+const v1 = {
+  name: "booking.pickup-reminder",
+  version: 1,
+
+  subject: ({ booking }) => `Pickup Reminder: ${booking.bookingCode}`,
+
+  html: ({ booking, user }) =>
+    renderLayout({
+      title: `Pickup Reminder - ${EMAIL_BRANDING.name}`,
+      heading: EMAIL_BRANDING.name,
+      subheading: "⏰ Your ride is coming up",
+      preheader: `Pickup at ${formatDateTime(booking.startDate)}`,
+      body: html`
+        <p>Hi <b>${user.name || user.email}</b>,</p>
+        <p>This is a reminder of your upcoming pickup.</p>
+        ${detailsTable(rows(booking))}
+        <p style="margin-top:20px;">${CLOSING}</p>`,
+    }),
+
+  text: ({ booking, user }) =>
+    renderTextLayout({
+      heading: "Your ride is coming up",
+      body: `Hi ${user.name || user.email},\n\nThis is a reminder of your upcoming pickup.\n\n${detailsText(rows(booking))}\n\n${CLOSING}`,
+    }),
+};
+
+const rowsV2 = (booking, driver) => [
+  ["Booking Code", booking.bookingCode],
+  ["Pickup Time", formatDateTime(booking.startDate)],
+  ["Pickup", booking.origin],
+  ["Destination", booking.destination],
+  ["Vehicle", vehicleLabel(booking.vehicle)],
+  booking.vehicle?.licensePlate && ["Number Plate", booking.vehicle.licensePlate],
+  ["Driver", driverLabel(driver)],
+].filter(Boolean);
+
+const v2 = {
+  name: "booking.pickup-reminder",
+  version: 2,
+
+  subject: ({ booking, reminder }) => `Pickup in ${reminder.label}: ${booking.bookingCode}`,
+
+  html: ({ booking, user, driver, reminder }) =>
+    renderLayout({
+      title: `Pickup Reminder - ${EMAIL_BRANDING.name}`,
+      heading: EMAIL_BRANDING.name,
+      subheading: `⏰ Your ride is in ${reminder.label}`,
+      preheader: `Pickup at ${formatDateTime(booking.startDate)}`,
+      body: html`
+        <p>Hi <b>${user.name || user.email}</b>,</p>
+        <p>Your pickup is in about <b>${reminder.label}</b>.</p>
+        ${detailsTable(rowsV2(booking, driver))}
+        <p style="margin-top:20px;">${CLOSING} The attached calendar file adds the trip to your calendar.</p>`,
+    }),
+
+  text: ({ booking, user, driver, reminder }) =>
+    renderTextLayout({
+      heading: `Your ride is in ${reminder.label}`,
+      body: `Hi ${user.name || user.email},\n\nYour pickup is in about ${reminder.label}.\n\n${detailsText(rowsV2(booking, driver))}\n\n${CLOSING}`,
+    }),
+
+  short: ({ booking, driver, reminder }) =>
+    `${EMAIL_BRANDING.name}: pickup in ${reminder.label} (${formatDateTime(booking.startDate)}) at ${booking.origin}. ${driver ? `Driver ${driverLabel(driver)}` : "Driver details will follow"}${booking.vehicle?.licensePlate ? `, vehicle ${booking.vehicle.licensePlate}` : ""}. Booking ${booking.bookingCode}.`,
+
+  attachments: ({ booking, driver }) => [pickupCalendarAttachment(booking, { driver })],
+};
+
+export default [v1, v2];
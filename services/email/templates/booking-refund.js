@@ -0,0 +1,50 @@
+// services/email/templates/booking-refund.js
+import { EMAIL_BRANDING } from "../../../config/email.js";
+import { html, detailsTable, detailsText } from "../html.js";
+import { renderLayout, renderTextLayout } from "../layout.js";
+import { vehicleLabel, refundAmount } from "./shared.js";
+
+// Customer notice of a refund. data: { booking, user, refund } (refund amount in paise)
+
+const isPartial = (booking, refund) => refund.amount / 100 < booking.payment.amount;
+
+const intro = (booking, refund) => {
+  const partial = isPartial(booking, refund);
+  return booking.bookingStatus === "Cancelled"
+    ? `Your booking ${booking.bookingCode} has been cancelled and ${partial ? "a partial refund" : "the refund amount"} has been credited to your original payment method.`
+    : `${partial ? "A partial refund" : "A refund"} for your booking ${booking.bookingCode} has been credited to your original payment method.`;
+};
+
+const rows = (booking, refund) => [
+  ["Booking Code", booking.bookingCode],
+  ["Vehicle", vehicleLabel(booking.vehicle)],
+  ["Refund Amount", refundAmount(refund)],
+  ["Refund Transaction ID", refund.id],
+];
+
+export default {
+  name: "booking.refund",
+  version: 1,
+
+  subject: ({ booking }) => `Refund Successful: ${booking.bookingCode}`,
+
+  html: ({ booking, user, refund }) =>
+    renderLayout({
+      title: `Refund Successful - ${EMAIL_BRANDING.name}`,
+      heading: "💰 Refund Successful!",
+      body: html`
+        <p>Hi <b>${user.name || user.email}</b>,</p>
+        <p>${intro(booking, refund)}</p>
+        ${detailsTable(rows(booking, refund))}
+        <p style="margin-top:20px;">Thank you for choosing <b>${EMAIL_BRANDING.name}</b>. We hope to serve you again soon!</p>`,
+    }),
+
+  text: ({ booking, user, refund }) =>
+    renderTextLayout({
+      heading: "Refund Successful",
+      body: `Hi ${user.name || user.email},\n\n${intro(booking, refund)}\n\n${detailsText(rows(booking, refund))}`,
+    }),
+
+  short: ({ booking, refund }) =>
+    `${EMAIL_BRANDING.name}: refund of ${refundAmount(refund)} for booking ${booking.bookingCode} has been credited to your original payment method. Ref ${refund.id}.`,
+};
@@ -0,0 +1,63 @@
+// services/email/templates/driver-license-expiry.js
+import { EMAIL_BRANDING } from "../../../config/email.js";
+import { html, formatDate } from "../html.js";
+import { renderLayout, renderTextLayout } from "../layout.js";
+
+// Admin digest of driver licenses expired or expiring soon. data: { drivers, now }
+
+const counts = (drivers, now) => {
+  const expired = drivers.filter((d) => new Date(d.licenseExpiry) <= now).length;
+  return { expired, expiringSoon: drivers.length - expired };
+};
+
+const CELL = "border:1px solid #dee2e6;";
+
+export default {
+  name: "drivers.license-expiry",
+  version: 1,
+  fromName: `${EMAIL_BRANDING.name} Booking System`,
+
+  subject: ({ drivers, now }) => {
+    const { expired, expiringSoon } = counts(drivers, now);
+    return `🪪 Driver licenses: ${expired} expired, ${expiringSoon} expiring soon`;
+  },
+
+  html: ({ drivers, now }) =>
+    renderLayout({
+      title: "Driver License Expiry",
+      heading: "🪪 Driver License Expiry",
+      subheading: `${EMAIL_BRANDING.name} Admin Dashboard`,
+      body: html`
+        <p>These drivers need their license renewed:</p>
+        <table width="100%" cellpadding="8" cellspacing="0" style="border-collapse:collapse;">
+          <tr style="background-color:#e9ecef;">
+            <th style="${CELL}">Driver</th>
+            <th style="${CELL}">Mobile</th>
+            <th style="${CELL}">License</th>
+            <th style="${CELL}">Expires</th>
+            <th style="${CELL}">Status</th>
+          </tr>
+          ${drivers.map((d) => html`
+          <tr>
+            <td style="${CELL}">${d.name}</td>
+            <td style="${CELL}">${d.mobile}</td>
+            <td style="${CELL}">${d.licenseNumber}</td>
+            <td style="${CELL} color:${new Date(d.licenseExpiry) <= now ? "#dc3545" : "#856404"};">${formatDate(d.licenseExpiry)}</td>
+            <td style="${CELL}">${d.status}</td>
+          </tr>`)}
+        </table>`,
+    }),
+
+  text: ({ drivers, now }) =>
+    renderTextLayout({
+      heading: "Driver license expiry",
+      body: `These drivers need their license renewed:\n\n${drivers
+        .map((d) => `- ${d.name} (${d.mobile}), license ${d.licenseNumber}: ${new Date(d.licenseExpiry) <= now ? "expired" : "expires"} ${formatDate(d.licenseExpiry)} [${d.status}]`)
+        .join("\n")}`,
+    }),
+
+  short: ({ drivers, now }) => {
+    const { expired, expiringSoon } = counts(drivers, now);
+    return `${expired} driver license(s) expired and ${expiringSoon} expiring within 30 days: ${drivers.map((d) => d.name).join(", ")}.`;
+  },
+};
@@ -0,0 +1,50 @@
+// services/email/templates/driver-pickup-reminder.js
+import { EMAIL_BRANDING } from "../../../config/email.js";
+import { html, detailsTable, detailsText, formatDateTime } from "../html.js";
+import { renderLayout, renderTextLayout } from "../layout.js";
+import { vehicleLabel, pickupCalendarAttachment } from "./shared.js";
+
+// Upcoming trip reminder for the assigned driver.
+// data: { booking, user, driver: { name, mobile }, reminder: { kind, label } }
+
+const rows = (booking, user) => [
+  ["Booking Code", booking.bookingCode],
+  ["Pickup Time", formatDateTime(booking.startDate)],
+  ["Pickup", booking.origin],
+  ["Destination", booking.destination],
+  ["Round Trip", booking.isRoundTrip ? "Yes" : "No"],
+  ["Vehicle", `${vehicleLabel(booking.vehicle)}${booking.vehicle?.licensePlate ? ` - ${booking.vehicle.licensePlate}` : ""}`],
+  ["Customer", user.name || "N/A"],
+  ["Customer Mobile", user.mobile || "Not provided"],
+];
+
+export default {
+  name: "driver.pickup-reminder",
+  version: 1,
+  fromName: `${EMAIL_BRANDING.name} Dispatch`,
+
+  subject: ({ booking, reminder }) => `Trip in ${reminder.label}: ${booking.bookingCode}`,
+
+  html: ({ booking, user, driver, reminder }) =>
+    renderLayout({
+      title: `Upcoming Trip - ${EMAIL_BRANDING.name}`,
+      heading: `🧭 Trip in ${reminder.label}`,
+      preheader: `${booking.origin} at ${formatDateTime(booking.startDate)}`,
+      body: html`
+        <p>Hi <b>${driver.name}</b>,</p>
+        <p>Your next trip starts in about <b>${reminder.label}</b>.</p>
+        ${detailsTable(rows(booking, user))}
+        <p style="margin-top:20px;">Please call the customer before pickup and mark the trip en route in the app when you leave.</p>`,
+    }),
+
+  text: ({ booking, user, driver, reminder }) =>
+    renderTextLayout({
+      heading: `Trip in ${reminder.label}`,
+      body: `Hi ${driver.name},\n\nYour next trip starts in about ${reminder.label}.\n\n${detailsText(rows(booking, user))}`,
+    }),
+
+  short: ({ booking, user, reminder }) =>
+    `${EMAIL_BRANDING.name} trip ${booking.bookingCode} in ${reminder.label}: pickup ${formatDateTime(booking.startDate)} at ${booking.origin} → ${booking.destination}. Customer ${user.name || ""} ${user.mobile || ""}`.trim(),
+
+  attachments: ({ booking, driver }) => [pickupCalendarAttachment(booking, { driver })],
+};
@@ -0,0 +1,47 @@
+// services/email/templates/driver-trip-assigned.js
+import { EMAIL_BRANDING } from "../../../config/email.js";
+import { html, detailsTable, detailsText, formatDateTime } from "../html.js";
+import { renderLayout, renderTextLayout } from "../layout.js";
+import { vehicleLabel } from "./shared.js";
+
+// Trip sheet for the assigned driver. data: { booking, user, driver: { name } }
+
+const rows = (booking, user) => [
+  ["Booking Code", booking.bookingCode],
+  ["Pickup Time", formatDateTime(booking.startDate)],
+  ["Pickup", booking.origin],
+  ["Destination", booking.destination],
+  ["Round Trip", booking.isRoundTrip ? "Yes" : "No"],
+  ["Vehicle", vehicleLabel(booking.vehicle)],
+  ["Customer", user.name || "N/A"],
+  ["Customer Mobile", user.mobile || "Not provided"],
+];
+
+export default {
+  name: "driver.trip-assigned",
+  version: 1,
+  fromName: `${EMAIL_BRANDING.name} Dispatch`,
+
+  subject: ({ booking }) => `New Trip: ${booking.bookingCode} at ${formatDateTime(booking.startDate)}`,
+
+  html: ({ booking, user, driver }) =>
+    renderLayout({
+      title: `New Trip - ${EMAIL_BRANDING.name}`,
+      heading: "🧭 New trip assigned",
+      preheader: `${booking.origin} → ${booking.destination}`,
+      body: html`
+        <p>Hi <b>${driver.name}</b>,</p>
+        <p>You have been assigned a new trip.</p>
+        ${detailsTable(rows(booking, user))}
+        <p style="margin-top:20px;">Please call the customer before pickup and update the trip status in the app.</p>`,
+    }),
+
+  text: ({ booking, user, driver }) =>
+    renderTextLayout({
+      heading: "New trip assigned",
+      body: `Hi ${driver.name},\n\nYou have been assigned a new trip.\n\n${detailsText(rows(booking, user))}`,
+    }),
+
+  short: ({ booking, user }) =>
+    `${EMAIL_BRANDING.name} trip ${booking.bookingCode}: pickup ${formatDateTime(booking.startDate)} at ${booking.origin} → ${booking.destination}. Customer ${user.name || ""} ${user.mobile || ""}`.trim(),
+};
@@ -0,0 +1,62 @@
+// services/email/templates/index.js
+import authOtp from "./auth-otp.js";
+import bookingConfirmation from "./booking-confirmation.js";
+import bookingAdminAlert from "./booking-admin-alert.js";
+import bookingRefund from "./booking-refund.js";
+import bookingCancelled from "./booking-cancelled.js";
+import bookingCancelledAdmin from "./booking-cancelled-admin.js";
+import bookingPickupReminder from "./booking-pickup-reminder.js";
+import driverLicenseExpiry from "./driver-license-expiry.js";
+import bookingPickupReminderAdmin from "./booking-pickup-reminder-admin.js";
+import bookingDriverAssigned from "./booking-driver-assigned.js";
+import driverTripAssigned from "./driver-trip-assigned.js";
+import driverPickupReminder from "./driver-pickup-reminder.js";
+
+/**
+ * Template registry: name -> { version -> template }.
+ *
+ * A template is { name, version, subject(data), html(data), text(data), fromName?, short?, attachments? }.
+ * short(data) is the one-paragraph SMS / WhatsApp version of the message; templates
+ * of events that can go out on those channels (config/notifications.js) need it.
+ * attachments(data) returns nodemailer attachments built from the data (e.g. .ics);
+ * loadAttachments(data) is the async version for files that need I/O (the invoice PDF)
+ * and only runs when the email is sent.
+ * A module may export several versions of a template as an array.
+ * To change an email, add the next version next to the old one: sends use the
+ * latest version unless one is pinned, so older versions stay renderable.
+ */
+const registry = new Map();
+
+export const registerTemplate = (template) => {
+  if (!registry.has(template.name)) registry.set(template.name, new Map());
+  registry.get(template.name).set(template.version, template);
+};
+
+// Latest version unless `version` is given; null when unknown
+export const getTemplate = (name, version) => {
+  const versions = registry.get(name);
+  if (!versions) return null;
+  if (version !== undefined) return versions.get(Number(version)) || null;
+  return versions.get(Math.max(...versions.keys()));
+};
+
+export const listTemplates = () =>
+  [...registry.entries()].map(([name, versions]) => ({
+    name,
+    versions: [...versions.keys()].sort((a, b) => a - b),
+  }));
+
+[
+  authOtp,
+  bookingConfirmation,
+  bookingAdminAlert,
+  bookingRefund,
+  bookingCancelled,
+  bookingCancelledAdmin,
+  bookingPickupReminder,
+  bookingPickupReminderAdmin,
+  driverLicenseExpiry,
+  bookingDriverAssigned,
+  driverTripAssigned,
+  driverPickupReminder,
+].flat().forEach(registerTemplate);
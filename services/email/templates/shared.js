@@ -0,0 +1,56 @@
+// services/email/templates/shared.js
+import { EMAIL_BRANDING } from "../../../config/email.js";
+import { DEFAULT_AVAILABILITY_RULES } from "../../../config/availability.js";
+import { formatDateTime, formatMoney } from "../html.js";
+import { buildIcsEvent } from "../ics.js";
+
+// Row sets reused by the booking templates (see detailsTable / detailsText)
+
+export const customerRows = (user) => [
+  ["Name", user.name || "N/A"],
+  ["Email", user.email],
+  ["Phone", user.mobile || "Not provided"],
+];
+
+export const vehicleLabel = (vehicle) =>
+  vehicle ? `${vehicle.name || "N/A"}${vehicle.brand ? ` (${vehicle.brand})` : ""}` : "N/A";
+
+export const tripRows = (booking) => [
+  ["Vehicle", vehicleLabel(booking.vehicle)],
+  ["Origin", booking.origin],
+  ["Destination", booking.destination],
+  ["Start", formatDateTime(booking.startDate)],
+  ["End", formatDateTime(booking.endDate)],
+];
+
+export const paymentReference = (booking) => booking.payment?.providerPaymentId || "Cash on pickup";
+
+export const refundAmount = (refund) => formatMoney(refund.amount / 100); // provider refunds are in paise
+
+export const driverLabel = (driver) => (driver ? `${driver.name}${driver.mobile ? ` (${driver.mobile})` : ""}` : "Will be assigned soon");
+
+// "Add to calendar" file for the pickup
+export const pickupCalendarAttachment = (booking, { driver } = {}) => {
+  const start = new Date(booking.startDate);
+  const end = booking.endDate
+    ? new Date(booking.endDate)
+    : new Date(start.getTime() + DEFAULT_AVAILABILITY_RULES.defaultTripMinutes * 60 * 1000);
+
+  return {
+    filename: `${booking.bookingCode}.ics`,
+    contentType: "text/calendar; charset=utf-8; method=PUBLISH",
+    content: buildIcsEvent({
+      uid: `${booking.bookingCode}@${EMAIL_BRANDING.name.toLowerCase()}`,
+      start,
+      end,
+      summary: `${EMAIL_BRANDING.name} pickup - ${booking.bookingCode}`,
+      location: booking.origin,
+      description: [
+        `Booking ${booking.bookingCode}: ${booking.origin} → ${booking.destination}`,
+        `Vehicle: ${vehicleLabel(booking.vehicle)}${booking.vehicle?.licensePlate ? ` - ${booking.vehicle.licensePlate}` : ""}`,
+        `Driver: ${driverLabel(driver)}`,
+      ].join("\n"),
+      alarmMinutes: 30,
+    }),
+  };
+};
@@ -0,0 +1,97 @@
+// services/email/transports.js
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import nodemailer from "nodemailer";
+
+/**
+ * Mail transports. All expose nodemailer's sendMail(message) -> info.
+ *
+ *   smtp     SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS,
+ *            or Gmail with EMAIL_USER / EMAIL_PASS when SMTP_HOST is not set
+ *   file     writes each message as an .eml file to EMAIL_OUTBOX_DIR (local dev, tests)
+ *   console  logs recipient, subject and the plain-text body
+ *
+ * Production (NODE_ENV=production) only sends through SMTP: the other transports
+ * would leave OTPs and password reset links in files or logs.
+ */
+
+export const createSmtpTransport = () => {
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: {
+        user: process.env.SMTP_USER || process.env.EMAIL_USER,
+        pass: process.env.SMTP_PASS || process.env.EMAIL_PASS,
+      },
+      pool: true,
+    });
+  }
+
+  return nodemailer.createTransport({
+    service: "gmail",
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+    pool: true,
+    maxConnections: 5,
+    maxMessages: 100,
+    tls: { rejectUnauthorized: true },
+  });
+};
+
+export const createFileTransport = ({ dir = process.env.EMAIL_OUTBOX_DIR || path.join(os.tmpdir(), "rideinbls-emails") } = {}) => {
+  const stream = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+
+  return {
+    sendMail: async (message) => {
+      const info = await stream.sendMail(message);
+      await fs.mkdir(dir, { recursive: true });
+
+      const slug = String(message.subject || "email").replace(/[^a-z0-9]+/gi, "-").slice(0, 60);
+      const file = path.join(dir, `${Date.now()}-${slug}.eml`);
+      await fs.writeFile(file, info.message);
+
+      return { ...info, file };
+    },
+  };
+};
+
+export const createConsoleTransport = () => {
+  const json = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    sendMail: async (message) => {
+      const info = await json.sendMail(message);
+      console.log(`📧 [email] to=${message.to} subject="${message.subject}"\n${message.text || ""}\n`);
+      return info;
+    },
+  };
+};
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+const isSmtpConfigured = () =>
+  Boolean(process.env.SMTP_HOST || (process.env.EMAIL_USER && process.env.EMAIL_PASS));
+
+// EMAIL_TRANSPORT picks one; without it, SMTP when credentials exist, else console
+export const createTransportFromEnv = () => {
+  const name = process.env.EMAIL_TRANSPORT || (isSmtpConfigured() ? "smtp" : "console");
+  const create = TRANSPORTS[name];
+  if (!create) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}" (use ${Object.keys(TRANSPORTS).join(", ")})`);
+  }
+  if (process.env.NODE_ENV === "production" && (name !== "smtp" || !isSmtpConfigured())) {
+    throw new Error(
+      "Email is not configured: production requires SMTP (SMTP_HOST / SMTP_USER / SMTP_PASS, or EMAIL_USER / EMAIL_PASS)"
+    );
+  }
+  return create();
+};
@@ -0,0 +1,146 @@
+// services/invoices/document.js
+import { GST_STATE_CODES } from "../../config/invoices.js";
+import { html, raw, formatDate, formatDateTime } from "../email/html.js";
+
+// Printable HTML of an invoice, receipt or credit note (rendered to PDF by services/pdf.js)
+
+const TITLES = {
+  invoice: "Tax Invoice",
+  receipt: "Payment Receipt",
+  "credit-note": "Credit Note",
+};
+
+const money = (amount) =>
+  `₹${Number(amount || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const stateLabel = (code) => (code ? `${GST_STATE_CODES[code] || "Unknown"} (${code})` : null);
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 11px; color: #222; margin: 0; }
+  .document { page-break-after: always; }
+  .document:last-child { page-break-after: auto; }
+  header { display: flex; justify-content: space-between; border-bottom: 2px solid #000; padding-bottom: 8px; margin-bottom: 12px; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  h2 { font-size: 12px; margin: 0 0 4px; text-transform: uppercase; color: #555; }
+  .meta td { padding: 1px 8px 1px 0; }
+  .parties { display: flex; gap: 16px; margin-bottom: 12px; }
+  .parties > div { flex: 1; border: 1px solid #ddd; padding: 8px; }
+  table.lines { width: 100%; border-collapse: collapse; margin-bottom: 12px; }
+  table.lines th, table.lines td { border: 1px solid #ddd; padding: 5px 6px; text-align: left; }
+  table.lines th { background: #f2f2f2; }
+  .num { text-align: right !important; white-space: nowrap; }
+  .total td { font-weight: bold; background: #f9f9f9; }
+  .paid { border: 1px solid #28a745; color: #28a745; padding: 8px; margin-bottom: 12px; font-weight: bold; }
+  footer { color: #777; font-size: 9px; border-top: 1px solid #ddd; padding-top: 6px; }
+`;
+
+const party = (title, p) => html`
+  <div>
+    <h2>${title}</h2>
+    <strong>${p.companyName || p.name}</strong><br />
+    ${p.companyName && p.name && html`Attn: ${p.name}<br />`}
+    ${p.address && html`${p.address}<br />`}
+    ${p.stateCode && html`State: ${stateLabel(p.stateCode)}<br />`}
+    ${p.gstin && html`GSTIN: <strong>${p.gstin}</strong><br />`}
+    ${p.pan && html`PAN: ${p.pan}<br />`}
+    ${p.email && html`${p.email}<br />`}
+    ${p.phone && html`${p.phone}`}
+  </div>
+`;
+
+const lineRow = (line) => html`
+  <tr>
+    <td>${line.label}${line.quantity != null && line.unit !== "%" ? html` (${line.quantity} ${line.unit || ""})` : ""}</td>
+    <td class="num">${line.rate != null && line.unit !== "%" ? money(line.rate) : ""}</td>
+    <td class="num">${money(line.amount)}</td>
+  </tr>
+`;
+
+const amountsTable = (doc) => html`
+  <table class="lines">
+    <thead>
+      <tr><th>Description (SAC ${doc.sacCode})</th><th class="num">Rate</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>
+      ${doc.items.map(lineRow)}
+      <tr><td colspan="2" class="num">Taxable value</td><td class="num">${money(doc.subtotal)}</td></tr>
+      ${doc.taxes.map(
+        (tax) => html`<tr><td colspan="2" class="num">${tax.label}${tax.rate != null ? ` @ ${tax.rate}%` : ""}</td><td class="num">${money(tax.amount)}</td></tr>`
+      )}
+      ${doc.roundOff ? html`<tr><td colspan="2" class="num">Round off</td><td class="num">${money(doc.roundOff)}</td></tr>` : ""}
+      <tr class="total"><td colspan="2" class="num">${doc.type === "credit-note" ? "Total credit" : "Total"}</td><td class="num">${money(doc.total)}</td></tr>
+      ${doc.tds?.amount
+        ? html`<tr><td colspan="2" class="num">Less TDS @ ${doc.tds.rate}%</td><td class="num">-${money(doc.tds.amount)}</td></tr>
+            <tr class="total"><td colspan="2" class="num">${doc.type === "credit-note" ? "Refunded" : "Net payable"}</td><td class="num">${money(doc.total - doc.tds.amount)}</td></tr>`
+        : ""}
+    </tbody>
+  </table>
+`;
+
+const documentBody = (doc, as) => {
+  const kind = as === "receipt" && doc.type === "invoice" ? "receipt" : doc.type;
+  const meta = [
+    [kind === "receipt" ? "Receipt for invoice" : `${TITLES[kind]} No.`, doc.number],
+    ["Date", formatDate(doc.issuedAt)],
+    doc.type === "credit-note" && ["Against invoice", doc.invoiceNumber],
+    ["Booking", doc.bookingCode],
+    ["Place of supply", stateLabel(doc.placeOfSupply)],
+  ].filter(Boolean);
+
+  return html`
+    <section class="document">
+      <header>
+        <div>
+          <h1>${TITLES[kind]}</h1>
+          <strong>${doc.supplier.name}</strong>
+        </div>
+        <table class="meta">
+          ${meta.map(([label, value]) => html`<tr><td>${label}</td><td><strong>${value}</strong></td></tr>`)}
+        </table>
+      </header>
+
+      <div class="parties">
+        ${party("Supplier", doc.supplier)}
+        ${party(doc.type === "credit-note" ? "Credit to" : "Billed to", doc.customer)}
+      </div>
+
+      <p>
+        <strong>${doc.description}</strong>: ${doc.trip.origin} → ${doc.trip.destination},
+        ${formatDateTime(doc.trip.startDate)}${doc.trip.vehicle && html`, ${doc.trip.vehicle}`}
+      </p>
+
+      ${kind === "receipt" && html`<div class="paid">Received ${money(doc.total - (doc.tds?.amount || 0))} with thanks.</div>`}
+      ${amountsTable(doc)}
+
+      ${doc.type === "credit-note"
+        ? html`<p>Refund reference: ${doc.refundRef}${doc.reason && html` (${doc.reason})`}</p>`
+        : html`<p>
+            Payment: ${doc.payment.method || doc.payment.provider}${doc.payment.reference && html`, reference ${doc.payment.reference}`}${doc.payment.paidAt && html`, ${formatDateTime(doc.payment.paidAt)}`}
+          </p>`}
+
+      <footer>
+        ${doc.supplier.gstin ? "Tax is not payable on reverse charge basis." : "Supplier not registered under GST."}
+        This is a computer generated document and needs no signature.
+      </footer>
+    </section>
+  `;
+};
+
+/**
+ * Complete HTML document with one page per entry.
+ * @param {object[]} docs  Invoice documents (credit notes with `invoiceNumber` set)
+ * @param {object} [options]
+ * @param {"invoice"|"receipt"} [options.as]  render invoices as payment receipts
+ */
+export const renderDocumentsHtml = (docs, { as } = {}) =>
+  html`<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <style>${raw(STYLES)}</style>
+  </head>
+  <body>
+    ${docs.map((doc) => documentBody(doc, as))}
+  </body>
+</html>`.toString();
@@ -0,0 +1,359 @@
+// services/invoices/index.js
+import Invoice from "../../models/Invoice.js";
+import Counter from "../../models/Counter.js";
+import BookingPayment from "../../models/BookingPayment.js";
+import LedgerEntry from "../../models/LedgerEntry.js";
+import { INVOICE_SETTINGS, getSupplier } from "../../config/invoices.js";
+import { computeTaxes, splitInclusiveTax } from "../tax.js";
+import { timeZoneOffset } from "../timeZone.js";
+import { renderPdf } from "../pdf.js";
+import { renderDocumentsHtml } from "./document.js";
+
+/**
+ * Tax invoices, receipts and credit notes.
+ *
+ *   const invoice = await issueInvoice(bookingId);         // numbered once, then returned as is
+ *   const documents = await getBookingDocuments(bookingId); // invoice + credit notes
+ *   const pdf = await renderDocumentPdf(invoice, { as: "receipt" });
+ *
+ * A booking is invoiced once it is paid, with the fare breakdown it was booked
+ * at; every succeeded refund in the ledger gets a credit note against the
+ * invoice. Numbers come from a counter per series and financial year
+ * (INV/26-27/00001). A document is stored without a number first and only the
+ * call that stored it takes a number, so concurrent calls leave no gaps.
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// "2026-27" for any date from 1 April 2026 to 31 March 2027 (local time)
+export const financialYear = (date = new Date()) => {
+  const local = new Date(date.getTime() + timeZoneOffset(date, INVOICE_SETTINGS.timeZone));
+  const year = local.getUTCMonth() + 1 >= INVOICE_SETTINGS.financialYearStartMonth
+    ? local.getUTCFullYear()
+    : local.getUTCFullYear() - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, "0")}`;
+};
+
+const nextNumber = async (prefix, fy) => {
+  const seq = await Counter.next(`${prefix}:${fy}`);
+  return `${prefix}/${fy.slice(2)}/${String(seq).padStart(INVOICE_SETTINGS.sequenceDigits, "0")}`;
+};
+
+// Duplicate key on the per-booking / per-refund indexes: someone else issued it first
+const isDuplicate = (err) => err?.code === 11000 && !err.keyPattern?.number;
+
+// How long a document stored without a number is left to the call that stored it
+const NUMBERING_LEASE_MS = 30 * 1000;
+
+// Documents that have been numbered (the others are still being issued)
+export const issuedOnly = (filter = {}) => ({ ...filter, number: { $type: "string" } });
+
+/**
+ * Issue a document once and number it. The document is claimed first: stored
+ * without a number, the per-booking / per-refund index letting one call win.
+ * Only the winner takes a number from the counter. A claim left unnumbered
+ * (the process died) is taken over once its lease has run out.
+ *
+ * @param {object} params
+ * @param {object} params.filter       finds the document by its unique key
+ * @param {object|null} params.existing the stored document, if any
+ * @param {object} params.fields       the new document (when none is stored)
+ * @param {string} params.prefix       number series
+ * @returns {Promise<object|null>} the numbered document, null while another call numbers it
+ */
+const issueNumbered = async ({ filter, existing, fields, prefix }) => {
+  if (existing?.number) return existing;
+
+  const issuedAt = new Date();
+  const claim = {
+    issuedAt,
+    financialYear: financialYear(issuedAt),
+    numberingUntil: new Date(issuedAt.getTime() + NUMBERING_LEASE_MS),
+  };
+  let claimed = null;
+  try {
+    claimed = existing
+      ? await Invoice.findOneAndUpdate(
+          { _id: existing._id, number: null, numberingUntil: { $lte: issuedAt } },
+          { $set: claim },
+          { new: true }
+        ).lean()
+      : (await Invoice.create({ ...fields, ...claim })).toObject();
+  } catch (err) {
+    if (!isDuplicate(err)) throw err;
+  }
+
+  if (!claimed) {
+    const current = await Invoice.findOne(filter).lean();
+    return current?.number ? current : null;
+  }
+
+  return Invoice.findOneAndUpdate(
+    { _id: claimed._id, number: null },
+    { $set: { number: await nextNumber(prefix, claimed.financialYear) }, $unset: { numberingUntil: 1 } },
+    { new: true }
+  ).lean();
+};
+
+export const isInvoiceable = (booking) => booking.payment?.status === "paid";
+
+const customerParty = (user) => ({
+  name: user?.name,
+  companyName: user?.billing?.companyName,
+  gstin: user?.billing?.gstin,
+  address: user?.billing?.address,
+  stateCode: user?.billing?.stateCode,
+  email: user?.email,
+  phone: user?.mobile ? String(user.mobile) : undefined,
+});
+
+const vehicleLabel = (vehicle) =>
+  vehicle?.name
+    ? `${vehicle.brand ? `${vehicle.brand} ` : ""}${vehicle.name}${vehicle.licensePlate ? ` (${vehicle.licensePlate})` : ""}`
+    : undefined;
+
+/**
+ * Invoice amounts of a booking: its fare breakdown, or for bookings made before
+ * fares were itemised the amount paid with GST taken out at the vehicle type's rate.
+ * The invoice total is what was paid plus any TDS the customer deducted; a
+ * difference from the fare is shown as round off.
+ * `tax` is the fare's tax treatment (category, place of supply), worked out
+ * again for fares priced before it was stored.
+ */
+const invoiceAmounts = (booking) => {
+  const paid = booking.payment.amount;
+  const fare = booking.fareBreakdown;
+  const context = { vehicleType: booking.vehicle?.type, customer: booking.user };
+
+  if (fare?.items?.length) {
+    const tds = fare.tds?.amount > 0 ? { rate: fare.tds.rate, amount: fare.tds.amount } : null;
+    const total = round2(paid + (tds?.amount || 0));
+    return {
+      tax: fare.tax?.placeOfSupply ? fare.tax : computeTaxes({ subtotal: fare.subtotal, ...context }).tax,
+      items: fare.items,
+      subtotal: fare.subtotal,
+      taxes: fare.taxes,
+      taxTotal: fare.taxTotal,
+      roundOff: round2(total - fare.total),
+      total,
+      tds,
+    };
+  }
+
+  const { subtotal, taxes, taxTotal, tax } = splitInclusiveTax(paid, context);
+  return {
+    tax,
+    items: [{ code: "fare", label: tax.description, amount: subtotal }],
+    subtotal,
+    taxes,
+    taxTotal,
+    roundOff: 0,
+    total: paid,
+    tds: null,
+  };
+};
+
+// A new invoice of a booking, or { status, error } when it cannot be invoiced
+const invoiceFields = async (bookingId) => {
+  const booking = await BookingPayment.findById(bookingId).populate("user").populate("vehicle");
+  if (!booking) {
+    return { status: 404, error: "Booking not found" };
+  }
+  if (!isInvoiceable(booking)) {
+    return { status: 409, error: "An invoice is issued once the booking is paid" };
+  }
+
+  const supplier = getSupplier();
+  const customer = customerParty(booking.user);
+  const { tax, ...amounts } = invoiceAmounts(booking);
+
+  return {
+    type: "invoice",
+    booking: booking._id,
+    bookingCode: booking.bookingCode,
+    user: booking.user?._id || null,
+    supplier,
+    customer,
+    placeOfSupply: tax.placeOfSupply,
+    supplyType: tax.supplyType,
+    sacCode: tax.sacCode,
+    description: tax.description,
+    trip: {
+      origin: booking.origin,
+      destination: booking.destination,
+      startDate: booking.startDate,
+      endDate: booking.endDate,
+      vehicle: vehicleLabel(booking.vehicle),
+    },
+    ...amounts,
+    currency: booking.payment.currency,
+    payment: {
+      provider: booking.payment.provider,
+      method: booking.payment.paymentMethod,
+      reference: booking.payment.providerPaymentId,
+      orderId: booking.payment.orderId,
+      paidAt: booking.payment.metadata?.collectedAt || booking.lifecycle?.confirmedAt || booking.createdAt,
+    },
+  };
+};
+
+/**
+ * The booking's invoice, issued (and numbered) on first call.
+ * @returns {Promise<{ invoice?: object, status?: number, error?: string }>}
+ */
+export const issueInvoice = async (bookingId) => {
+  const filter = { booking: bookingId, type: "invoice" };
+  const existing = await Invoice.findOne(filter).lean();
+  if (existing?.number) return { invoice: existing };
+
+  const fields = existing ? null : await invoiceFields(bookingId);
+  if (fields?.error) return fields;
+
+  const invoice = await issueNumbered({ filter, existing, fields, prefix: INVOICE_SETTINGS.invoicePrefix });
+  return invoice ? { invoice } : { status: 409, error: "The invoice is being issued, try again shortly" };
+};
+
+/**
+ * Credit note for a refund: the invoice's tax lines (and TDS) scaled to the
+ * refunded share of what was paid, with the taxable value taking the rounding
+ * so the total less TDS is the refund exactly.
+ */
+const creditNoteAmounts = (invoice, amount) => {
+  const invoiceTds = invoice.tds?.amount || 0;
+  const ratio = Math.min(amount / (invoice.total - invoiceTds), 1);
+  const tds = invoiceTds ? { rate: invoice.tds.rate, amount: round2(invoiceTds * ratio) } : null;
+  const taxes = invoice.taxes.map((tax) => ({ ...tax, amount: round2(tax.amount * ratio) }));
+  const taxTotal = round2(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+  const total = round2(amount + (tds?.amount || 0));
+  const subtotal = round2(total - taxTotal);
+
+  return {
+    items: [{ code: "refund", label: `Refund against invoice ${invoice.number}`, amount: subtotal }],
+    subtotal,
+    taxes,
+    taxTotal,
+    roundOff: 0,
+    total,
+    tds,
+  };
+};
+
+/**
+ * Issue credit notes for the booking's succeeded refunds that have none yet.
+ * @returns {Promise<object[]>} credit notes issued by this call
+ */
+export const issueCreditNotes = async (bookingId) => {
+  const refunds = await LedgerEntry.find({ booking: bookingId, type: "refund", status: "succeeded" })
+    .sort({ occurredAt: 1 })
+    .lean();
+  if (!refunds.length) return [];
+
+  const refundRef = (refund) => refund.providerRef || refund._id.toString();
+  const creditNotes = await Invoice.find({ booking: bookingId, type: "credit-note" }).select("refundRef number").lean();
+  const stored = new Map(creditNotes.map((doc) => [doc.refundRef, doc]));
+  const pending = refunds.filter((refund) => !stored.get(refundRef(refund))?.number);
+  if (!pending.length) return [];
+
+  const { invoice } = await issueInvoice(bookingId);
+  if (!invoice) return [];
+
+  const issued = [];
+  for (const refund of pending) {
+    const creditNote = await issueNumbered({
+      filter: { refundRef: refundRef(refund) },
+      existing: stored.get(refundRef(refund)) || null,
+      prefix: INVOICE_SETTINGS.creditNotePrefix,
+      fields: {
+        ...creditNoteAmounts(invoice, refund.amount),
+        type: "credit-note",
+        booking: invoice.booking,
+        bookingCode: invoice.bookingCode,
+        user: invoice.user,
+        invoice: invoice._id,
+        refundRef: refundRef(refund),
+        reason: refund.reason,
+        supplier: invoice.supplier,
+        customer: invoice.customer,
+        placeOfSupply: invoice.placeOfSupply,
+        supplyType: invoice.supplyType,
+        sacCode: invoice.sacCode,
+        description: invoice.description,
+        trip: invoice.trip,
+        currency: invoice.currency,
+      },
+    });
+    if (creditNote) issued.push(creditNote);
+  }
+  return issued;
+};
+
+/**
+ * Invoice and credit notes of a booking, issuing whatever is due. Oldest first.
+ * @returns {Promise<{ documents?: object[], status?: number, error?: string }>}
+ */
+export const getBookingDocuments = async (bookingId) => {
+  const result = await issueInvoice(bookingId);
+  if (result.error) return result;
+
+  await issueCreditNotes(bookingId);
+  const documents = await Invoice.find(issuedOnly({ booking: bookingId })).sort({ issuedAt: 1 }).lean();
+  return { documents: withInvoiceNumbers(documents, [result.invoice]) };
+};
+
+// Credit notes print the number of the invoice they reduce
+const withInvoiceNumbers = (documents, invoices = []) => {
+  const numbers = new Map(
+    [...invoices, ...documents].filter((doc) => doc.type === "invoice").map((doc) => [doc._id.toString(), doc.number])
+  );
+  return documents.map((doc) =>
+    doc.type === "credit-note" ? { ...doc, invoiceNumber: numbers.get(doc.invoice?.toString()) } : doc
+  );
+};
+
+/**
+ * Documents issued in a date range (inclusive of `from`, exclusive of `to`), oldest first.
+ * @param {object} filter  { from, to, type?, limit? }
+ */
+export const listDocuments = async ({ from, to, type, limit = INVOICE_SETTINGS.bulkExportLimit, skip = 0 }) => {
+  const filter = issuedOnly({ issuedAt: { $gte: from, $lt: to } });
+  if (type) filter.type = type;
+
+  const documents = await Invoice.find(filter).sort({ issuedAt: 1, number: 1 }).skip(skip).limit(limit).lean();
+  const invoiceIds = documents.filter((doc) => doc.type === "credit-note").map((doc) => doc.invoice);
+  const invoices = invoiceIds.length
+    ? await Invoice.find({ _id: { $in: invoiceIds } }).select("type number").lean()
+    : [];
+
+  return withInvoiceNumbers(documents, invoices);
+};
+
+export const documentFileName = (doc, { as } = {}) =>
+  `${as === "receipt" ? "receipt" : doc.type}-${doc.number.replace(/\//g, "-")}.pdf`;
+
+/**
+ * PDF of one or more documents (one per page).
+ * @param {object|object[]} docs
+ * @param {object} [options]  { as: "receipt" } renders invoices as payment receipts
+ * @returns {Promise<Buffer>}
+ */
+export const renderDocumentPdf = (docs, { as } = {}) =>
+  renderPdf(renderDocumentsHtml([].concat(docs), { as }));
+
+/**
+ * The booking's invoice as a nodemailer attachment, or null when it cannot be
+ * issued or rendered (the email goes out without it; the invoice stays downloadable).
+ */
+export const invoiceAttachment = async (bookingId) => {
+  try {
+    const { invoice } = await issueInvoice(bookingId);
+    if (!invoice) return null;
+    return {
+      filename: documentFileName(invoice),
+      content: await renderDocumentPdf(invoice),
+      contentType: "application/pdf",
+    };
+  } catch (err) {
+    console.error(`Invoice attachment for booking ${bookingId} failed:`, err.message);
+    return null;
+  }
+};
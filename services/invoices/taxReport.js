@@ -0,0 +1,122 @@
+// services/invoices/taxReport.js
+import Invoice from "../../models/Invoice.js";
+import { INVOICE_SETTINGS } from "../../config/invoices.js";
+import { issuedOnly } from "./index.js";
+import { timeZoneOffset } from "../timeZone.js";
+
+/**
+ * Monthly GST / TDS summary for filing, from the invoices and credit notes
+ * issued (the tax lines are the ones the booking was priced with). Months are
+ * calendar months in INVOICE_SETTINGS.timeZone; credit notes reduce the month
+ * they are issued in. B2B are customers with a GSTIN, B2C everyone else.
+ */
+
+const MAX_MONTHS = 24;
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+// "gst": single GST line on documents issued before tax was split into CGST/SGST/IGST
+const TAX_CODES = ["cgst", "sgst", "igst", "gst"];
+const FIELDS = ["count", "taxableValue", ...TAX_CODES, "taxTotal", "total", "tds"];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Local midnight on the 1st of a month (monthIndex may run past 11)
+const monthStart = (year, monthIndex) => {
+  const utc = new Date(Date.UTC(year, monthIndex, 1));
+  return new Date(utc.getTime() - timeZoneOffset(utc, INVOICE_SETTINGS.timeZone));
+};
+
+const currentMonth = () => {
+  const now = new Date();
+  return new Date(now.getTime() + timeZoneOffset(now, INVOICE_SETTINGS.timeZone)).toISOString().slice(0, 7);
+};
+
+/**
+ * Months from `fromValue` to `toValue` inclusive ("YYYY-MM", default: the current month).
+ * @returns {{ from: Date, to: Date, months: string[] } | { error: string }}  to is exclusive
+ */
+export const parseMonthRange = (fromValue, toValue) => {
+  const fromMonth = String(fromValue || toValue || currentMonth());
+  const toMonth = String(toValue || fromMonth);
+  const start = MONTH_PATTERN.exec(fromMonth);
+  const end = MONTH_PATTERN.exec(toMonth);
+  if (!start || !end) {
+    return { error: "from and to must be months (YYYY-MM)" };
+  }
+
+  const first = Number(start[1]) * 12 + Number(start[2]) - 1;
+  const last = Number(end[1]) * 12 + Number(end[2]) - 1;
+  if (last < first) {
+    return { error: "'to' must not be before 'from'" };
+  }
+  if (last - first + 1 > MAX_MONTHS) {
+    return { error: `At most ${MAX_MONTHS} months per report` };
+  }
+
+  const months = [];
+  for (let m = first; m <= last; m++) {
+    months.push(`${Math.floor(m / 12)}-${String((m % 12) + 1).padStart(2, "0")}`);
+  }
+  return {
+    from: monthStart(Math.floor(first / 12), first % 12),
+    to: monthStart(Math.floor(last / 12), (last % 12) + 1),
+    months,
+  };
+};
+
+const taxAmount = (code) => ({
+  $sum: { $map: { input: { $filter: { input: "$taxes", cond: { $eq: ["$$this.code", code] } } }, in: "$$this.amount" } },
+});
+
+const emptySums = () => Object.fromEntries(FIELDS.map((field) => [field, 0]));
+
+const addSums = (target, sums, sign = 1) => {
+  for (const field of FIELDS) {
+    target[field] = field === "count" ? target[field] + (sums[field] || 0) : round2(target[field] + sign * (sums[field] || 0));
+  }
+  return target;
+};
+
+/**
+ * @param {object} range  from parseMonthRange
+ * @returns {Promise<{ from, to, months: object[], totals: object }>} per month: invoices,
+ *   creditNotes, net (invoices less credit notes), b2b and b2c (net); each with
+ *   count, taxableValue, cgst, sgst, igst, gst, taxTotal, total and tds
+ */
+export const getMonthlyTaxReport = async ({ from, to, months }) => {
+  const rows = await Invoice.aggregate([
+    { $match: issuedOnly({ issuedAt: { $gte: from, $lt: to } }) },
+    {
+      $group: {
+        _id: {
+          month: { $dateToString: { format: "%Y-%m", date: "$issuedAt", timezone: INVOICE_SETTINGS.timeZone } },
+          type: "$type",
+          registered: { $gt: [{ $ifNull: ["$customer.gstin", null] }, null] },
+        },
+        count: { $sum: 1 },
+        taxableValue: { $sum: "$subtotal" },
+        ...Object.fromEntries(TAX_CODES.map((code) => [code, { $sum: taxAmount(code) }])),
+        taxTotal: { $sum: "$taxTotal" },
+        total: { $sum: "$total" },
+        tds: { $sum: { $ifNull: ["$tds.amount", 0] } },
+      },
+    },
+  ]);
+
+  const sections = () => ({ invoices: emptySums(), creditNotes: emptySums(), net: emptySums(), b2b: emptySums(), b2c: emptySums() });
+  const byMonth = new Map(months.map((month) => [month, { month, ...sections() }]));
+  const totals = sections();
+
+  for (const { _id, ...sums } of rows) {
+    const month = byMonth.get(_id.month);
+    if (!month) continue;
+    const sign = _id.type === "credit-note" ? -1 : 1;
+    for (const target of [month, totals]) {
+      addSums(target[_id.type === "credit-note" ? "creditNotes" : "invoices"], sums);
+      addSums(target.net, sums, sign);
+      addSums(target[_id.registered ? "b2b" : "b2c"], sums, sign);
+    }
+  }
+
+  return { from, to, months: [...byMonth.values()], totals };
+};
@@ -0,0 +1,113 @@
+// services/jobs/cron.js
+import { timeZoneOffset } from "../timeZone.js";
+
+/**
+ * Five-field cron expressions: minute hour day-of-month month day-of-week.
+ *
+ * Each field takes *, a value, a range (1-5), a step (*\/15, 8-18/2) or a comma
+ * list of those. Day-of-week is 0-7 with 0 and 7 both Sunday. As in classic cron,
+ * when both day fields are restricted a day matching either one runs the job.
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 },
+];
+
+const MINUTE = 60 * 1000;
+
+// Enough to find the next run of any valid expression (Feb 29 included)
+const MAX_STEPS = 5000;
+
+const parseField = (text, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${part}" in ${name}`);
+    }
+
+    let from = min;
+    let to = max;
+    if (range !== "*") {
+      const [start, end] = range.split("-").map(Number);
+      from = start;
+      to = end === undefined ? (stepText === undefined ? start : max) : end;
+    }
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < min || to > max || from > to) {
+      throw new Error(`Invalid ${name} "${part}" (allowed ${min}-${max})`);
+    }
+
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+
+  return values;
+};
+
+/**
+ * Parse an expression into sets of allowed values.
+ * Throws on anything malformed, so schedules can be validated up front.
+ */
+export const parseCron = (expression) => {
+  const parts = String(expression || "").trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth: parts[2] === "*",
+    anyDayOfWeek: parts[4] === "*",
+  };
+};
+
+const dayMatches = (cron, date) => {
+  const domMatch = cron.dayOfMonth.has(date.getUTCDate());
+  const dowMatch = cron.dayOfWeek.has(date.getUTCDay());
+  if (cron.anyDayOfMonth) return dowMatch;
+  if (cron.anyDayOfWeek) return domMatch;
+  return domMatch || dowMatch;
+};
+
+/**
+ * First time strictly after `after` matching the expression, read as wall-clock
+ * time in `timeZone`. The zone offset is taken at `after`, which is exact for
+ * zones without daylight saving (such as Asia/Kolkata).
+ */
+export const nextCronDate = (expression, after = new Date(), timeZone = "UTC") => {
+  const cron = typeof expression === "string" ? parseCron(expression) : expression;
+  const offset = timeZoneOffset(after, timeZone);
+
+  // Local wall-clock time held in a UTC date, starting at the next whole minute
+  const t = new Date(Math.floor((after.getTime() + offset) / MINUTE) * MINUTE + MINUTE);
+
+  for (let step = 0; step < MAX_STEPS; step++) {
+    if (!cron.month.has(t.getUTCMonth() + 1)) {
+      t.setUTCMonth(t.getUTCMonth() + 1, 1);
+      t.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, t)) {
+      t.setUTCDate(t.getUTCDate() + 1);
+      t.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(t.getUTCHours())) {
+      t.setUTCHours(t.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(t.getUTCMinutes())) {
+      t.setUTCMinutes(t.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return new Date(t.getTime() - offset);
+    }
+  }
+
+  throw new Error(`Cron expression "${expression}" never matches`);
+};
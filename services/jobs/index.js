@@ -0,0 +1,174 @@
+// services/jobs/index.js
+import BookingPayment from "../../models/BookingPayment.js";
+import Vehicle from "../../models/Vehicle.js";
+import VehicleHold from "../../models/VehicleHold.js";
+import Driver from "../../models/Driver.js";
+import { defineJob } from "./scheduler.js";
+import { ACTIVE_STATUSES } from "../bookingLifecycle.js";
+import { sendPickupReminders } from "../bookingEmails.js";
+import { REMINDER_STATUSES } from "../reminderSchedule.js";
+import { notifyStaff, processOutbox } from "../notifications/index.js";
+import { runReconciliation } from "../reconciliation.js";
+
+// Background jobs of the app. Each handler returns a summary stored on its JobRun.
+
+const HOUR = 60 * 60 * 1000;
+
+// Checkout holds past expiresAt. Bookings are only created once the payment is
+// verified, so an order nobody paid for is left behind as an active hold. A payment
+// that still arrives later is booked if the slot is free, else refundLostOrder refunds it.
+defineJob({
+  name: "expire-unpaid-orders",
+  description: "Mark checkout holds whose payment window ran out as expired",
+  schedule: "*/5 * * * *",
+  handler: async () => {
+    const holds = await VehicleHold.updateMany(
+      { status: "active", expiresAt: { $lte: new Date() } },
+      { status: "expired" }
+    );
+
+    return { holdsExpired: holds.modifiedCount };
+  },
+});
+
+// Immediate bookings flag the vehicle as booked; give it back once no trip holds it
+defineJob({
+  name: "release-finished-vehicles",
+  description: "Free vehicles still marked booked after their trip window has ended",
+  schedule: "*/15 * * * *",
+  handler: async () => {
+    const now = new Date();
+    const vehicles = await Vehicle.find({ isBooked: true }).select("_id");
+    let released = 0;
+
+    for (const vehicle of vehicles) {
+      const holding = await BookingPayment.exists({
+        vehicle: vehicle._id,
+        bookingStatus: { $in: ACTIVE_STATUSES },
+        startDate: { $lte: now },
+        $or: [
+          { bookingStatus: { $in: ["EnRoute", "InProgress"] } },
+          { blockedUntil: { $gt: now } },
+          { blockedUntil: null, endDate: { $gt: now } },
+        ],
+      });
+      if (holding) continue;
+
+      await Vehicle.updateOne(
+        { _id: vehicle._id, isBooked: true },
+        { isAvailable: true, available: true, isBooked: false, bookedBy: null, bookedByName: null }
+      );
+      released++;
+    }
+
+    return { checked: vehicles.length, released };
+  },
+});
+
+// Pickup reminders due per booking.reminders (offsets in config/notifications.js)
+defineJob({
+  name: "pickup-reminders",
+  description: "Remind riders, drivers and admins of upcoming pickups (24h and 1h before by default)",
+  schedule: "*/5 * * * *",
+  handler: async () => {
+    const now = new Date();
+    const bookings = await BookingPayment.find({
+      bookingStatus: { $in: REMINDER_STATUSES },
+      reminders: { $elemMatch: { status: "scheduled", dueAt: { $lte: now } } },
+    })
+      .populate("user", "name email mobile notificationPreferences")
+      .populate("vehicle", "name brand type licensePlate")
+      .populate("driver", "name email mobile");
+
+    let sent = 0;
+    let skipped = 0;
+    for (const booking of bookings) {
+      const due = booking.reminders.filter((r) => r.status === "scheduled" && r.dueAt <= now);
+
+      for (const reminder of due) {
+        // Missed while the scheduler was down and the pickup has passed: drop it
+        const stale = booking.startDate <= now;
+
+        // Claim first so a retry never sends twice
+        const claimed = await BookingPayment.updateOne(
+          {
+            _id: booking._id,
+            reminders: { $elemMatch: { kind: reminder.kind, status: "scheduled", dueAt: reminder.dueAt } },
+          },
+          stale
+            ? { $set: { "reminders.$.status": "cancelled", "reminders.$.cancelledAt": now } }
+            : { $set: { "reminders.$.status": "sent", "reminders.$.sentAt": now } }
+        );
+        if (!claimed.modifiedCount) continue;
+
+        if (stale) {
+          skipped++;
+        } else {
+          sent += await sendPickupReminders(booking, reminder);
+        }
+      }
+    }
+
+    return { bookings: bookings.length, sent, skipped };
+  },
+});
+
+// Daily digest of driver licenses expired or expiring within 30 days
+defineJob({
+  name: "driver-license-expiry",
+  description: "Alert admins about driver licenses expired or expiring within 30 days",
+  schedule: "0 9 * * *",
+  handler: async () => {
+    const now = new Date();
+    const drivers = await Driver.find({
+      status: { $ne: "Inactive" },
+      licenseExpiry: { $lte: new Date(now.getTime() + 30 * 24 * HOUR) },
+    })
+      .select("name mobile licenseNumber licenseExpiry status")
+      .sort({ licenseExpiry: 1 })
+      .lean();
+
+    const expired = drivers.filter((d) => d.licenseExpiry <= now);
+    if (!drivers.length) {
+      return { expired: 0, expiringSoon: 0 };
+    }
+
+    await notifyStaff("drivers.license-expiry", { data: { drivers, now } });
+
+    return { expired: expired.length, expiringSoon: drivers.length - expired.length };
+  },
+});
+
+// Gateway reconciliation over the last 48 hours
+defineJob({
+  name: "payment-reconciliation",
+  description: "Reconcile gateway payments, refunds and disputes of the last 48 hours",
+  schedule: "0 */6 * * *",
+  timeoutMs: 30 * 60 * 1000,
+  handler: async () => {
+    const run = await runReconciliation({ from: new Date(Date.now() - 48 * HOUR) });
+    if (run.status === "failed") {
+      throw new Error(`Reconciliation run ${run._id} failed: ${run.error}`);
+    }
+    return { reconciliationRun: run._id, ...run.summary };
+  },
+});
+
+// Notification outbox: retries of failed messages and anything the immediate send missed
+defineJob({
+  name: "notification-outbox",
+  description: "Deliver queued notifications and retry failed ones",
+  schedule: "* * * * *",
+  timeoutMs: 5 * 60 * 1000,
+  handler: () => processOutbox({ limit: 500 }),
+});
+
+export {
+  startScheduler,
+  stopScheduler,
+  runDueJobs,
+  triggerJob,
+  listJobs,
+  setJobEnabled,
+  getJobDefinition,
+} from "./scheduler.js";
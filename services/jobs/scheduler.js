@@ -0,0 +1,291 @@
+// services/jobs/scheduler.js
+import os from "os";
+import ScheduledJob from "../../models/ScheduledJob.js";
+import JobRun from "../../models/JobRun.js";
+import { parseCron, nextCronDate } from "./cron.js";
+
+/**
+ * Background job runner backed by MongoDB.
+ *
+ * Every instance polls the ScheduledJob collection; a due job is claimed with an
+ * atomic lock (lockedBy / lockedUntil) so only one instance runs it; the lock is
+ * renewed until the handler settles, even past its timeout. A failed run
+ * is retried with exponential backoff (retryDelayMs, 2x, 4x...) up to maxRetries,
+ * after which the job waits for its next scheduled time. Every execution is kept
+ * as a JobRun.
+ */
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const JOB_DEFAULTS = {
+  timeZone: "Asia/Kolkata",
+  timeoutMs: 10 * 60 * 1000, // also how long a lock lasts without renewal (instance died)
+  maxRetries: 3,
+  retryDelayMs: 60 * 1000,
+};
+
+const jobs = new Map();
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Register a job.
+ *
+ * @param {object} definition
+ * @param {string} definition.name
+ * @param {string} definition.description
+ * @param {string} definition.schedule       cron expression (see ./cron.js)
+ * @param {Function} definition.handler      async ({ run, trigger }) => summary stored on the run
+ * @param {string} [definition.timeZone="Asia/Kolkata"]
+ * @param {number} [definition.timeoutMs]
+ * @param {number} [definition.maxRetries]
+ * @param {number} [definition.retryDelayMs]
+ */
+export const defineJob = (definition) => {
+  parseCron(definition.schedule); // a bad expression fails at startup, not at 3am
+  jobs.set(definition.name, { ...JOB_DEFAULTS, ...definition });
+};
+
+export const getJobDefinition = (name) => jobs.get(name);
+
+const nextScheduledRun = (job, after = new Date()) => nextCronDate(job.schedule, after, job.timeZone);
+
+// Create the job documents; a changed schedule reschedules the job
+const syncJobs = async () => {
+  for (const job of jobs.values()) {
+    const state = await ScheduledJob.findOne({ name: job.name });
+
+    if (!state) {
+      await ScheduledJob.create({
+        name: job.name,
+        description: job.description,
+        schedule: job.schedule,
+        timeZone: job.timeZone,
+        nextRunAt: nextScheduledRun(job),
+      }).catch((err) => {
+        if (err.code !== 11000) throw err; // another instance created it first
+      });
+      continue;
+    }
+
+    if (state.schedule !== job.schedule || state.timeZone !== job.timeZone) {
+      state.nextRunAt = nextScheduledRun(job);
+      state.retryCount = 0;
+    }
+    state.schedule = job.schedule;
+    state.timeZone = job.timeZone;
+    state.description = job.description;
+    await state.save();
+  }
+};
+
+// Claim the job for this instance. `due` only claims it when its run time has come.
+const acquireLock = (job, { due }) => {
+  const now = new Date();
+  const filter = {
+    name: job.name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+  };
+  if (due) {
+    Object.assign(filter, { enabled: true, nextRunAt: { $lte: now } });
+  }
+
+  return ScheduledJob.findOneAndUpdate(
+    filter,
+    { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + job.timeoutMs), lastRunAt: now },
+    { new: true }
+  );
+};
+
+// Push the lock forward while the handler runs
+const renewLock = (job) =>
+  ScheduledJob.updateOne(
+    { name: job.name, lockedBy: INSTANCE_ID },
+    { lockedUntil: new Date(Date.now() + job.timeoutMs) }
+  );
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${Math.round(ms / 1000)}s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Run the handler for a claimed job, record the run and release the lock.
+// A run that times out is recorded as failed, but the lock is only released once
+// its handler settles, so no other instance starts the job while it still runs.
+const execute = async (job, state, run) => {
+  const startedAt = Date.now();
+  const isManual = run.trigger === "manual";
+  const update = { lockedBy: null, lockedUntil: null };
+
+  const handling = Promise.resolve().then(() => job.handler({ run, trigger: run.trigger }));
+  const renewal = setInterval(() => {
+    renewLock(job).catch((err) => console.error(`Job ${job.name} lock renewal error:`, err.message));
+  }, job.timeoutMs / 2);
+  renewal.unref();
+
+  try {
+    const result = await withTimeout(handling, job.timeoutMs);
+    run.status = "succeeded";
+    run.result = result;
+
+    Object.assign(update, { lastStatus: "succeeded", lastError: null });
+    if (!isManual) {
+      Object.assign(update, { retryCount: 0, nextRunAt: nextScheduledRun(job) });
+    }
+  } catch (err) {
+    console.error(`Job ${job.name} failed:`, err);
+    run.status = "failed";
+    run.error = err.message;
+
+    Object.assign(update, { lastStatus: "failed", lastError: err.message });
+    // Manual runs are one-off: they neither retry nor move the schedule
+    if (!isManual && state.retryCount < job.maxRetries) {
+      run.nextRetryAt = new Date(Date.now() + job.retryDelayMs * 2 ** state.retryCount);
+      Object.assign(update, { retryCount: state.retryCount + 1, nextRunAt: run.nextRetryAt });
+    } else if (!isManual) {
+      Object.assign(update, { retryCount: 0, nextRunAt: nextScheduledRun(job) });
+    }
+  }
+
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - startedAt;
+  try {
+    await run.save();
+    await handling.catch(() => {}); // already reported
+  } finally {
+    clearInterval(renewal);
+  }
+
+  await ScheduledJob.updateOne(
+    { name: job.name, lockedBy: INSTANCE_ID },
+    { ...update, lastFinishedAt: run.finishedAt, lastDurationMs: run.durationMs }
+  );
+  return run;
+};
+
+// Claim and start every due job (each runs in the background under its own lock)
+export const runDueJobs = async () => {
+  if (polling) return;
+  polling = true;
+
+  try {
+    const due = await ScheduledJob.find({
+      name: { $in: [...jobs.keys()] },
+      enabled: true,
+      nextRunAt: { $lte: new Date() },
+    })
+      .select("name")
+      .lean();
+
+    for (const { name } of due) {
+      const job = jobs.get(name);
+      const state = await acquireLock(job, { due: true });
+      if (!state) continue; // another instance got it
+
+      const run = await JobRun.create({
+        job: name,
+        trigger: state.retryCount > 0 ? "retry" : "schedule",
+        attempt: state.retryCount + 1,
+        instance: INSTANCE_ID,
+      });
+      execute(job, state, run).catch((err) => console.error(`Job ${name} bookkeeping error:`, err));
+    }
+  } catch (err) {
+    console.error("Job scheduler poll error:", err);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Run a job now, outside its schedule. Resolves to { run } once it has started
+ * (the run finishes in the background) or { status, error }.
+ */
+export const triggerJob = async (name, { triggeredBy = null } = {}) => {
+  const job = jobs.get(name);
+  if (!job) {
+    return { status: 404, error: "Job not found" };
+  }
+
+  const state = await acquireLock(job, { due: false });
+  if (!state) {
+    return { status: 409, error: "Job is already running" };
+  }
+
+  const run = await JobRun.create({
+    job: name,
+    trigger: "manual",
+    instance: INSTANCE_ID,
+    triggeredBy,
+  });
+  execute(job, state, run).catch((err) => console.error(`Job ${name} bookkeeping error:`, err));
+
+  return { run };
+};
+
+// Registered jobs with their schedule / lock state and latest run
+export const listJobs = async () => {
+  const [states, lastRuns] = await Promise.all([
+    ScheduledJob.find({ name: { $in: [...jobs.keys()] } }).lean(),
+    JobRun.aggregate([
+      { $sort: { startedAt: -1 } },
+      { $group: { _id: "$job", run: { $first: "$$ROOT" } } },
+    ]),
+  ]);
+  const now = new Date();
+
+  return [...jobs.values()].map((job) => {
+    const state = states.find((s) => s.name === job.name) || {};
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      timeZone: job.timeZone,
+      maxRetries: job.maxRetries,
+      enabled: state.enabled ?? true,
+      running: Boolean(state.lockedUntil && state.lockedUntil > now),
+      lockedBy: state.lockedUntil > now ? state.lockedBy : null,
+      nextRunAt: state.nextRunAt,
+      retryCount: state.retryCount || 0,
+      lastRunAt: state.lastRunAt,
+      lastStatus: state.lastStatus,
+      lastError: state.lastError,
+      lastDurationMs: state.lastDurationMs,
+      lastRun: lastRuns.find((r) => r._id === job.name)?.run || null,
+    };
+  });
+};
+
+// Pause / resume a job. Resuming schedules it from now.
+export const setJobEnabled = async (name, enabled) => {
+  const job = jobs.get(name);
+  if (!job) return null;
+
+  return ScheduledJob.findOneAndUpdate(
+    { name },
+    { enabled, ...(enabled && { nextRunAt: nextScheduledRun(job), retryCount: 0 }) },
+    { new: true }
+  );
+};
+
+/**
+ * Start polling for due jobs. Not for serverless deployments: set JOBS_ENABLED=false
+ * there and run the jobs from a long-lived instance.
+ */
+export const startScheduler = async ({ pollMs = (Number(process.env.JOBS_POLL_SECONDS) || 30) * 1000 } = {}) => {
+  if (pollTimer) return;
+
+  await syncJobs();
+  pollTimer = setInterval(runDueJobs, pollMs);
+  pollTimer.unref();
+  console.log(`⏱️  Job scheduler started (${jobs.size} jobs, polling every ${pollMs / 1000}s)`);
+  runDueJobs();
+};
+
+export const stopScheduler = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
@@ -0,0 +1,160 @@
+// services/ledger.js
+import mongoose from "mongoose";
+import LedgerEntry from "../models/LedgerEntry.js";
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const DIRECTION_BY_TYPE = { charge: "in", refund: "out", payout: "out" };
+
+/**
+ * Write a ledger entry. Entries with a gateway reference are upserted on
+ * (provider, type, providerRef) so the same gateway object is never booked twice;
+ * a later call only moves its status along (pending -> succeeded / failed).
+ */
+export const recordEntry = async (entry, { session } = {}) => {
+  const direction = entry.direction || DIRECTION_BY_TYPE[entry.type];
+  const doc = { ...entry, direction, amount: round2(entry.amount) };
+
+  if (!doc.providerRef) {
+    const [created] = await LedgerEntry.create([doc], { session });
+    return created;
+  }
+
+  const { status = "succeeded", failureReason, ...rest } = doc;
+  // A pending update never moves a settled entry back
+  const update = status === "pending"
+    ? { $setOnInsert: { ...rest, status } }
+    : { $setOnInsert: rest, $set: { status, ...(failureReason && { failureReason }) } };
+
+  return LedgerEntry.findOneAndUpdate(
+    { provider: doc.provider, type: doc.type, providerRef: doc.providerRef },
+    update,
+    { upsert: true, new: true, session }
+  );
+};
+
+// Customer payment captured for a booking (booking.payment holds the gateway details)
+export const recordCharge = (booking, { session } = {}) =>
+  recordEntry(
+    {
+      booking: booking._id,
+      user: booking.user?._id || booking.user,
+      type: "charge",
+      amount: booking.payment.amount,
+      currency: booking.payment.currency,
+      provider: booking.payment.provider,
+      providerRef: booking.payment.providerPaymentId,
+      orderId: booking.payment.orderId,
+      paymentMethod: booking.payment.paymentMethod,
+      occurredAt: booking.createdAt || new Date(),
+    },
+    { session }
+  );
+
+/**
+ * Gateway refund for a booking. `refund` is the gateway refund entity
+ * (amount in paise, status created / pending / processed / failed).
+ */
+export const recordRefund = (booking, refund, { reason, createdBy } = {}) => {
+  const status = refund.status === "processed" ? "succeeded" : refund.status === "failed" ? "failed" : "pending";
+
+  return recordEntry({
+    booking: booking._id,
+    user: booking.user?._id || booking.user,
+    type: "refund",
+    amount: refund.amount / 100,
+    currency: refund.currency || booking.payment.currency,
+    status,
+    provider: booking.payment.provider,
+    providerRef: refund.id,
+    orderId: booking.payment.orderId,
+    reason: reason || refund.notes?.reason,
+    failureReason: status === "failed" ? refund.error_description || "Refund failed" : undefined,
+    createdBy,
+    occurredAt: refund.created_at ? new Date(refund.created_at * 1000) : new Date(),
+  });
+};
+
+// Manual correction. Positive amount = customer owes / paid more, negative = we owe the customer.
+export const recordAdjustment = ({ booking, amount, reason, createdBy, currency = "INR" }) =>
+  recordEntry({
+    booking: booking._id,
+    user: booking.user?._id || booking.user,
+    type: "adjustment",
+    direction: amount >= 0 ? "in" : "out",
+    amount: Math.abs(amount),
+    currency,
+    reason,
+    createdBy,
+  });
+
+// Money paid out for a booking (driver / vehicle owner share)
+export const recordPayout = ({ booking, amount, payee, reference, reason, createdBy, currency = "INR" }) =>
+  recordEntry({
+    booking: booking._id,
+    type: "payout",
+    amount,
+    currency,
+    payee,
+    provider: "manual",
+    providerRef: reference,
+    reason,
+    createdBy,
+  });
+
+/**
+ * Balance of a booking derived from its succeeded ledger entries.
+ *
+ * netPaid is what the customer has effectively paid us (charges - refunds +/- adjustments);
+ * payouts are tracked separately and only affect netRevenue.
+ */
+export const getBookingBalance = async (bookingId) => {
+  const rows = await LedgerEntry.aggregate([
+    { $match: { booking: new mongoose.Types.ObjectId(String(bookingId)) } },
+    {
+      $group: {
+        _id: { type: "$type", direction: "$direction", status: "$status" },
+        total: { $sum: "$amount" },
+        currency: { $first: "$currency" },
+      },
+    },
+  ]);
+
+  const sum = (type, { direction, status = "succeeded" } = {}) =>
+    round2(
+      rows
+        .filter((r) => r._id.type === type && r._id.status === status && (!direction || r._id.direction === direction))
+        .reduce((total, r) => total + r.total, 0)
+    );
+
+  const charged = sum("charge");
+  const refunded = sum("refund");
+  const adjustments = round2(sum("adjustment", { direction: "in" }) - sum("adjustment", { direction: "out" }));
+  const payouts = sum("payout");
+  const pendingRefunds = sum("refund", { status: "pending" });
+  const netPaid = round2(charged - refunded + adjustments);
+
+  return {
+    currency: rows[0]?.currency || "INR",
+    charged,
+    refunded,
+    pendingRefunds,
+    adjustments,
+    payouts,
+    netPaid,
+    netRevenue: round2(netPaid - payouts),
+    refundable: Math.max(0, round2(netPaid - pendingRefunds)),
+  };
+};
+
+export const getBookingLedger = async (bookingId) => {
+  const [entries, balance] = await Promise.all([
+    LedgerEntry.find({ booking: bookingId })
+      .populate("createdBy", "name email")
+      .populate("payee", "name email")
+      .sort({ occurredAt: 1, createdAt: 1 })
+      .lean(),
+    getBookingBalance(bookingId),
+  ]);
+  return { entries, balance };
+};
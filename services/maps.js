@@ -0,0 +1,62 @@
+// services/maps.js
+import axios from "axios";
+
+/**
+ * Driving distance between two places (Google Distance Matrix).
+ * Resolves to { route } on success or { status, error, details, message } on failure,
+ * so callers can pass the failure straight through to the client.
+ */
+export const getRouteDistance = async (source, destination) => {
+  const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
+  if (!GOOGLE_MAPS_API_KEY) {
+    return { status: 500, error: "Service configuration error" };
+  }
+
+  const distanceRes = await axios.get(
+    "https://maps.googleapis.com/maps/api/distancematrix/json",
+    {
+      params: {
+        origins: source.trim(),
+        destinations: destination.trim(),
+        units: "metric",
+        key: GOOGLE_MAPS_API_KEY,
+        mode: "driving",
+        region: "in" // ✅ restrict calculations towards India
+      },
+      timeout: 15000,
+    }
+  );
+
+  if (distanceRes.data.status !== "OK") {
+    return {
+      status: 400,
+      error: "Google Distance Matrix API error",
+      details: distanceRes.data.status,
+      message: distanceRes.data.error_message || "Unknown error"
+    };
+  }
+
+  const element = distanceRes?.data?.rows?.[0]?.elements?.[0];
+  if (!element || element.status !== "OK") {
+    return {
+      status: 400,
+      error: "Could not calculate route",
+      details: element?.status || "No data"
+    };
+  }
+
+  const durationInSeconds = element.duration?.value || 0;
+
+  return {
+    route: {
+      source: source.trim(),
+      destination: destination.trim(),
+      distanceKm: parseFloat((element.distance.value / 1000).toFixed(2)),
+      distanceMeters: element.distance.value,
+      distanceText: element.distance?.text || "",
+      durationText: element.duration?.text || "",
+      durationSeconds: durationInSeconds,
+      durationMinutes: Math.round(durationInSeconds / 60),
+    },
+  };
+};
@@ -0,0 +1,61 @@
+// services/notifications/channels.js
+import { DEFAULT_COUNTRY_CODE } from "../../config/notifications.js";
+import { sendEmail } from "../email/index.js";
+import { getTemplate } from "../email/templates/index.js";
+import { getMessagingProvider } from "./providers/index.js";
+
+/**
+ * Delivery channels:
+ *
+ *   address(recipient)   where to reach a user / driver on it, or null
+ *   isAvailable()        false when the deployment has no provider for it
+ *   send({ template, version, to, data }) -> { messageId }
+ *
+ * Errors with `permanent: true` (no provider, bad number...) skip the retries
+ * and go straight to the next channel.
+ */
+
+export const permanentError = (message) => Object.assign(new Error(message), { permanent: true });
+
+// "9876543210" / "+91 98765 43210" / 919876543210 -> "+919876543210"
+export const toE164 = (mobile) => {
+  if (mobile === undefined || mobile === null || mobile === "") return null;
+  const value = String(mobile).trim();
+  const digits = value.replace(/\D/g, "");
+
+  if (value.startsWith("+") && digits.length >= 10) return `+${digits}`;
+  if (digits.length === 10) return `+${DEFAULT_COUNTRY_CODE}${digits}`;
+  if (digits.length === 10 + DEFAULT_COUNTRY_CODE.length && digits.startsWith(DEFAULT_COUNTRY_CODE)) return `+${digits}`;
+  return null;
+};
+
+// SMS / WhatsApp text of a template
+export const renderShortMessage = (name, data = {}, { version } = {}) => {
+  const template = getTemplate(name, version);
+  if (!template?.short) {
+    throw permanentError(`Template "${name}" has no SMS / WhatsApp text`);
+  }
+  return template.short(data);
+};
+
+const messagingChannel = (channel) => ({
+  address: (recipient) => toE164(recipient.mobile),
+  isAvailable: () => Boolean(getMessagingProvider(channel)),
+  send: async ({ template, version, to, data }) => {
+    const provider = getMessagingProvider(channel);
+    if (!provider) {
+      throw permanentError(`No ${channel} provider configured`);
+    }
+    return provider.send({ channel, to, body: renderShortMessage(template, data, { version }) });
+  },
+});
+
+export const CHANNELS = {
+  email: {
+    address: (recipient) => recipient.email || null,
+    isAvailable: () => true,
+    send: ({ template, version, to, data }) => sendEmail(template, { to, data, version }),
+  },
+  sms: messagingChannel("sms"),
+  whatsapp: messagingChannel("whatsapp"),
+};
@@ -0,0 +1,162 @@
+// services/notifications/inbox.js
+import mongoose from "mongoose";
+import InAppNotification from "../../models/InAppNotification.js";
+import { ROLE_PERMISSIONS } from "../../config/permissions.js";
+import { getTemplate } from "../email/templates/index.js";
+import { publishEvent } from "../realtime.js";
+
+/**
+ * In-app inbox.
+ *
+ *   await addToInbox({ event, data, user: user._id, booking, level });
+ *   await addToInbox({ event, data, permission: PERMISSIONS.BOOKINGS_READ, level });
+ *
+ * Items are written by notify() / notifyStaff() next to the outbox message, so
+ * the inbox is fed by the same events as email and SMS, and pushed to open
+ * sessions (services/realtime.js) as "notification" events. A user sees their own
+ * items plus the staff items of every permission their role has (the admin
+ * activity feed); "*" roles see all staff items.
+ */
+
+export const INBOX_SCOPES = ["all", "personal", "staff"];
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Store an inbox item for `user` (personal) or `permission` (staff).
+ * A second add with the same `key` is ignored.
+ *
+ * @returns {Promise<object|null>} the item, or null for a duplicate key
+ */
+export const addToInbox = async ({ event, data = {}, level = "info", user = null, permission = null, booking = null, key }) => {
+  const template = getTemplate(event);
+  if (!template) {
+    throw new Error(`Unknown template "${event}"`);
+  }
+
+  let item;
+  try {
+    item = await InAppNotification.create({
+      user,
+      permission,
+      event,
+      level,
+      title: template.subject(data),
+      body: template.short ? template.short(data) : "",
+      booking,
+      bookingCode: data.booking?.bookingCode,
+      key,
+    });
+  } catch (err) {
+    if (err.code === 11000 && key) return null;
+    throw err;
+  }
+
+  // ✅ Bell badges of open sessions update live
+  const { readBy, ...view } = item.toObject();
+  publishEvent({ type: "notification", data: { ...view, read: false }, booking, users: [user], permission }).catch((err) =>
+    console.error(`Live update for notification ${event} failed:`, err.message)
+  );
+
+  return item;
+};
+
+// Everything `user` may see in the given scope
+export const visibilityFilter = (user, scope = "all") => {
+  const granted = ROLE_PERMISSIONS[user.role] || [];
+  const personal = { user: user._id };
+  const staff = granted.includes("*")
+    ? { user: null, permission: { $ne: null } }
+    : { user: null, permission: { $in: granted } };
+
+  if (scope === "personal") return personal;
+  if (scope === "staff") return staff;
+  return { $or: [personal, staff] };
+};
+
+// Not read by `user`: readAt for personal items, readBy for staff items
+const unreadFilter = (user) => ({
+  $or: [
+    { user: user._id, readAt: null },
+    { user: null, readBy: { $ne: user._id } },
+  ],
+});
+
+// API shape: `read` for the requesting user instead of readAt / readBy
+const toView = (user) => (item) => {
+  const { readBy = [], ...rest } = item;
+  return {
+    ...rest,
+    read: item.user ? Boolean(item.readAt) : readBy.some((id) => id.equals(user._id)),
+  };
+};
+
+/**
+ * Newest first.
+ * @param {object} options  { page, limit, unreadOnly, scope, since }
+ */
+export const listInbox = async (user, { page = 1, limit = 20, unreadOnly = false, scope = "all", since } = {}) => {
+  limit = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const filter = { $and: [visibilityFilter(user, scope)] };
+  if (unreadOnly) filter.$and.push(unreadFilter(user));
+  if (since) filter.$and.push({ createdAt: { $gt: since } });
+
+  const [items, total, unread] = await Promise.all([
+    InAppNotification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    InAppNotification.countDocuments(filter),
+    unreadCount(user),
+  ]);
+
+  return {
+    notifications: items.map(toView(user)),
+    unread,
+    pagination: { page, limit, totalPages: Math.ceil(total / limit), total },
+  };
+};
+
+export const unreadCount = (user, scope = "all") =>
+  InAppNotification.countDocuments({ $and: [visibilityFilter(user, scope), unreadFilter(user)] });
+
+/**
+ * Mark one item read for `user`.
+ * @returns {Promise<{ notification?: object, status?: number, error?: string }>}
+ */
+export const markRead = async (user, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { status: 400, error: "Invalid notification ID" };
+  }
+
+  const item = await InAppNotification.findOne({ _id: id, ...visibilityFilter(user) }).lean();
+  if (!item) {
+    return { status: 404, error: "Notification not found" };
+  }
+
+  const update = item.user ? { $set: { readAt: item.readAt || new Date() } } : { $addToSet: { readBy: user._id } };
+  const updated = await InAppNotification.findByIdAndUpdate(id, update, { new: true }).lean();
+  return { notification: toView(user)(updated) };
+};
+
+/**
+ * Mark everything `user` can see in `scope` as read.
+ * @returns {Promise<number>} items marked
+ */
+export const markAllRead = async (user, scope = "all") => {
+  const visible = visibilityFilter(user, scope);
+  const [personal, staff] = await Promise.all([
+    scope === "staff"
+      ? { modifiedCount: 0 }
+      : InAppNotification.updateMany({ user: user._id, readAt: null }, { $set: { readAt: new Date() } }),
+    scope === "personal"
+      ? { modifiedCount: 0 }
+      : InAppNotification.updateMany(
+          { $and: [visible, { user: null, readBy: { $ne: user._id } }] },
+          { $addToSet: { readBy: user._id } }
+        ),
+  ]);
+
+  return personal.modifiedCount + staff.modifiedCount;
+};
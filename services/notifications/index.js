@@ -0,0 +1,405 @@
+// services/notifications/index.js
+import Notification from "../../models/Notification.js";
+import User from "../../models/User.js";
+import { NOTIFICATION_EVENTS, STAFF_EVENTS, DEFAULT_NOTIFICATION_PREFERENCES } from "../../config/notifications.js";
+import { CHANNELS } from "./channels.js";
+import { addToInbox } from "./inbox.js";
+
+/**
+ * Notification outbox.
+ *
+ *   await notify("booking.confirmation", { recipient: user, data, booking: booking._id });
+ *   await enqueueEmail("booking.admin-alert", { to: process.env.ADMIN_EMAIL, data });
+ *
+ * notify() picks the channels for a customer / driver event (resolveChannels)
+ * and adds the event to the recipient's in-app inbox; notifyStaff() emails the
+ * admin mailbox and posts to the staff activity feed. enqueueEmail() is for
+ * any other fixed email recipient.
+ * Both only store the message; delivery happens right after in the
+ * background and, for retries, from the notification-outbox job. Each attempt
+ * claims the message atomically (status "sending" + lockedUntil), so several
+ * instances can drain the outbox without sending a message twice. A crashed
+ * attempt is picked up again once its lock expires.
+ */
+
+export const OUTBOX_SETTINGS = {
+  maxAttempts: 6,
+  attemptsBeforeFallback: 3, // when another channel can take over
+  retryDelayMs: 60 * 1000, // 1m, 2m, 4m, 8m, 16m
+  maxRetryDelayMs: 60 * 60 * 1000,
+  lockMs: 2 * 60 * 1000,
+  keepSentDays: 90,
+  batchSize: 50,
+};
+
+// Summary fields for API responses (without the data snapshot)
+export const NOTIFICATION_SUMMARY_FIELDS =
+  "channel template templateVersion to booking status attempts maxAttempts nextAttemptAt lastError sentAt fallback fallbackTo resendOf requestedBy createdAt";
+
+export const retryDelay = (attempt) =>
+  Math.min(OUTBOX_SETTINGS.retryDelayMs * 2 ** (attempt - 1), OUTBOX_SETTINGS.maxRetryDelayMs);
+
+// Plain snapshot of a mongoose document (populated paths included)
+export const snapshot = (value) => (value?.toObject ? value.toObject() : value);
+
+/**
+ * Channels to try for an event, in order: [{ channel, to }].
+ *
+ * Starts from the event's order in config/notifications.js, moves the
+ * recipient's preferred channel first, drops channels they switched off (a
+ * required event keeps email) and channels they cannot be reached on or the
+ * deployment cannot deliver.
+ *
+ * @param {string} event
+ * @param {object} recipient  user / driver: { email, mobile, notificationPreferences? }
+ */
+export const resolveChannels = (event, recipient) => {
+  const config = NOTIFICATION_EVENTS[event] || { channels: ["email"] };
+  const preferences = recipient.notificationPreferences || {};
+  const enabled = (channel) =>
+    preferences.channels?.[channel] ?? DEFAULT_NOTIFICATION_PREFERENCES.channels[channel];
+
+  let order = [...config.channels];
+  if (preferences.preferred && order.includes(preferences.preferred)) {
+    order = [preferences.preferred, ...order.filter((channel) => channel !== preferences.preferred)];
+  }
+
+  order = order.filter(enabled);
+  if (config.required && !order.includes("email")) {
+    order.push("email");
+  }
+
+  return order
+    .filter((channel) => CHANNELS[channel].isAvailable())
+    .map((channel) => ({ channel, to: CHANNELS[channel].address(recipient) }))
+    .filter((target) => target.to);
+};
+
+/**
+ * Store a message for delivery.
+ *
+ * With a `key`, a second enqueue of the same key returns the existing message
+ * instead of sending again (e.g. /verify and the webhook both confirming a booking).
+ *
+ * @returns {Promise<object>} the Notification document
+ */
+export const enqueueNotification = async ({
+  channel = "email",
+  template,
+  to,
+  data = {},
+  version,
+  booking = null,
+  user = null,
+  key,
+  fallback = [],
+  maxAttempts,
+  resendOf,
+  requestedBy,
+}) => {
+  if (!to) {
+    throw new Error(`No recipient for notification "${template}"`);
+  }
+
+  let notification;
+  try {
+    notification = await Notification.create({
+      channel,
+      template,
+      templateVersion: version,
+      to,
+      data,
+      booking,
+      user,
+      key,
+      fallback,
+      maxAttempts: maxAttempts || OUTBOX_SETTINGS.maxAttempts,
+      resendOf,
+      requestedBy,
+    });
+  } catch (err) {
+    if (err.code === 11000 && key) {
+      return Notification.findOne({ key });
+    }
+    throw err;
+  }
+
+  kickOutbox();
+  return notification;
+};
+
+export const enqueueEmail = (template, options) => enqueueNotification({ ...options, channel: "email", template });
+
+// Account that owns a recipient's inbox; drivers log in with the email of their Driver record
+const inboxOwner = async (event, recipient, user) => {
+  if (user) return user;
+  if (NOTIFICATION_EVENTS[event]?.audience !== "driver") return recipient._id || null;
+  if (!recipient.email) return null;
+  const account = await User.findOne({ email: recipient.email }).select("_id").lean();
+  return account?._id || null;
+};
+
+// Inbox items are a side channel: a failure is logged and never blocks the message
+const postToInbox = async (item) => {
+  try {
+    await addToInbox(item);
+  } catch (err) {
+    console.error(`In-app notification ${item.event} failed:`, err.message);
+  }
+};
+
+/**
+ * Queue an event for a user or driver on their best channel, with the rest as
+ * fallback, and add it to their in-app inbox.
+ * @returns {Promise<object|null>} the Notification, or null when they cannot be reached
+ */
+export const notify = async (event, { recipient, data, booking = null, user = null, key }) => {
+  const config = NOTIFICATION_EVENTS[event] || {};
+  if (config.inApp !== false) {
+    const owner = await inboxOwner(event, recipient, user);
+    if (owner) {
+      await postToInbox({ event, data, level: config.level, user: owner, booking, key: key && `${key}:inbox` });
+    }
+  }
+
+  const [target, ...fallback] = resolveChannels(event, recipient);
+  if (!target) {
+    console.warn(`No channel to reach ${recipient.email || recipient._id} for ${event}`);
+    return null;
+  }
+
+  return enqueueNotification({
+    ...target,
+    template: event,
+    data,
+    booking,
+    user,
+    key,
+    fallback,
+    maxAttempts: fallback.length ? OUTBOX_SETTINGS.attemptsBeforeFallback : undefined,
+  });
+};
+
+/**
+ * Staff event (STAFF_EVENTS): email to ADMIN_EMAIL when set, plus an item in the
+ * activity feed of everyone whose role has the event's permission.
+ * @returns {Promise<object|null>} the Notification, or null without ADMIN_EMAIL
+ */
+export const notifyStaff = async (event, { data, booking = null, key }) => {
+  const config = STAFF_EVENTS[event];
+  if (!config) {
+    throw new Error(`Unknown staff event "${event}"`);
+  }
+
+  await postToInbox({ event, data, level: config.level, permission: config.permission, booking, key: key && `${key}:inbox` });
+
+  if (!process.env.ADMIN_EMAIL) return null;
+  return enqueueEmail(event, { to: process.env.ADMIN_EMAIL, data, booking, key });
+};
+
+/**
+ * Send an event right away, trying its channels in order until one delivers.
+ * For messages the caller waits on (OTPs); everything else goes through notify().
+ *
+ * @returns {Promise<{ success: boolean, channel?: string, messageId?: string, error?: string }>}
+ */
+export const sendNotificationNow = async (event, { recipient, data }) => {
+  const targets = resolveChannels(event, recipient);
+  let lastError = "No channel available";
+
+  for (const { channel, to } of targets) {
+    try {
+      const result = await CHANNELS[channel].send({ template: event, to, data });
+      return { success: true, channel, messageId: result?.messageId };
+    } catch (err) {
+      console.error(`${event} via ${channel} failed:`, err.message);
+      lastError = err.message;
+    }
+  }
+
+  return { success: false, error: lastError };
+};
+
+// Claim the next due message (or one whose sending attempt stalled)
+const claimNext = (now) =>
+  Notification.findOneAndUpdate(
+    {
+      $or: [
+        { status: { $in: ["queued", "failed"] }, nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: { status: "sending", lockedUntil: new Date(now.getTime() + OUTBOX_SETTINGS.lockMs) },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+
+// Dead message with channels left: queue the next one
+const fallBack = async (notification) => {
+  const [next, ...rest] = notification.fallback;
+  const replacement = await enqueueNotification({
+    ...next,
+    template: notification.template,
+    version: notification.templateVersion,
+    data: notification.data,
+    booking: notification.booking,
+    user: notification.user,
+    key: notification.key && `${notification.key}:${next.channel}`,
+    fallback: rest,
+    maxAttempts: rest.length ? OUTBOX_SETTINGS.attemptsBeforeFallback : undefined,
+  });
+
+  await Notification.updateOne({ _id: notification._id }, { $set: { fallbackTo: replacement._id } });
+};
+
+// Filter for the message while this attempt still holds its claim; once the lock
+// ran out another attempt may have taken it over and records the outcome instead
+const claimedBy = (notification) => ({
+  _id: notification._id,
+  status: "sending",
+  lockedUntil: notification.lockedUntil,
+});
+
+const deliver = async (notification) => {
+  const channel = CHANNELS[notification.channel];
+
+  try {
+    if (!channel) throw new Error(`Unknown channel "${notification.channel}"`);
+    const result = await channel.send({
+      template: notification.template,
+      version: notification.templateVersion,
+      to: notification.to,
+      data: notification.data,
+    });
+
+    const { matchedCount } = await Notification.updateOne(
+      claimedBy(notification),
+      {
+        $set: {
+          status: "sent",
+          sentAt: new Date(),
+          messageId: result?.messageId,
+          purgeAt: new Date(Date.now() + OUTBOX_SETTINGS.keepSentDays * 24 * 60 * 60 * 1000),
+        },
+        $unset: { lockedUntil: 1, lastError: 1 },
+      }
+    );
+    if (!matchedCount) {
+      console.warn(`⚠️ ${notification.template} -> ${notification.to} sent after its claim ran out`);
+    }
+    return "sent";
+  } catch (err) {
+    const dead = err.permanent || notification.attempts >= notification.maxAttempts;
+    const update = {
+      $set: {
+        status: dead ? "dead" : "failed",
+        lastError: err.message,
+      },
+      $unset: { lockedUntil: 1 },
+      $push: { failures: { attempt: notification.attempts, at: new Date(), message: err.message } },
+    };
+    if (!dead) {
+      update.$set.nextAttemptAt = new Date(Date.now() + retryDelay(notification.attempts));
+    }
+
+    const { matchedCount } = await Notification.updateOne(claimedBy(notification), update);
+    if (!matchedCount) {
+      console.error(`⚠️ ${notification.template} -> ${notification.to} failed after its claim ran out:`, err.message);
+      return "failed";
+    }
+
+    if (dead && notification.fallback?.length) {
+      console.error(`⚠️ ${notification.template} via ${notification.channel} failed, falling back to ${notification.fallback[0].channel}:`, err.message);
+      await fallBack(notification);
+    } else {
+      console.error(
+        `${dead ? "☠️ Notification dead-lettered" : "⚠️ Notification failed, will retry"}: ${notification.template} -> ${notification.to}:`,
+        err.message
+      );
+    }
+    return dead ? "dead" : "failed";
+  }
+};
+
+/**
+ * Deliver due messages, one at a time.
+ * @returns {Promise<{ sent: number, failed: number, dead: number }>}
+ */
+export const processOutbox = async ({ limit = OUTBOX_SETTINGS.batchSize } = {}) => {
+  const summary = { sent: 0, failed: 0, dead: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const notification = await claimNext(new Date());
+    if (!notification) break;
+    summary[await deliver(notification)] += 1;
+  }
+
+  return summary;
+};
+
+let draining = null;
+let drainAgain = false;
+
+// Deliver new messages without waiting for the next job run
+export const kickOutbox = () => {
+  if (draining) {
+    drainAgain = true;
+    return;
+  }
+
+  draining = processOutbox()
+    .catch((err) => console.error("Notification outbox error:", err))
+    .finally(() => {
+      draining = null;
+      if (drainAgain) {
+        drainAgain = false;
+        kickOutbox();
+      }
+    });
+};
+
+/**
+ * Queue a copy of a message (any status) as a new notification.
+ * @returns {Promise<{ notification?: object, status?: number, error?: string }>}
+ */
+export const resendNotification = async (id, { requestedBy } = {}) => {
+  const original = await Notification.findById(id).lean();
+  if (!original) {
+    return { status: 404, error: "Notification not found" };
+  }
+  if (original.status === "queued" || original.status === "sending") {
+    return { status: 409, error: "Notification is still being delivered" };
+  }
+
+  const notification = await enqueueNotification({
+    channel: original.channel,
+    template: original.template,
+    to: original.to,
+    data: original.data,
+    version: original.templateVersion,
+    booking: original.booking,
+    user: original.user,
+    resendOf: original._id,
+    requestedBy,
+  });
+
+  return { notification };
+};
+
+// Drop undelivered messages of a booking, e.g. its reminders once it is cancelled
+export const cancelPendingNotifications = async (bookingId, { templates }) => {
+  const result = await Notification.updateMany(
+    { booking: bookingId, template: { $in: templates }, status: { $in: ["queued", "failed"] } },
+    { $set: { status: "cancelled", fallback: [] }, $unset: { lockedUntil: 1 } }
+  );
+  return result.modifiedCount;
+};
+
+// Delivery status of every message sent for a booking, newest first
+export const getBookingNotifications = (bookingId) =>
+  Notification.find({ booking: bookingId })
+    .select(NOTIFICATION_SUMMARY_FIELDS)
+    .sort({ createdAt: -1 })
+    .lean();
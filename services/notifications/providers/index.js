@@ -0,0 +1,58 @@
+// services/notifications/providers/index.js
+import { createTwilioProvider } from "./twilio.js";
+import { createStubProvider } from "./stub.js";
+
+/**
+ * SMS / WhatsApp providers behind one interface:
+ *
+ *   name
+ *   channels                      channels it can deliver ("sms", "whatsapp")
+ *   send({ channel, to, body })   -> { messageId }; to is E.164 ("+919876543210").
+ *                                 Errors with `permanent: true` are not retried.
+ *
+ * SMS_PROVIDER and WHATSAPP_PROVIDER pick the provider per channel; a channel
+ * without one is simply unavailable. "stub" is refused in production.
+ */
+
+const factories = {
+  twilio: createTwilioProvider,
+  stub: createStubProvider,
+};
+
+const instances = new Map();
+
+const stubAllowed = () =>
+  process.env.NODE_ENV !== "production" || process.env.ALLOW_STUB_MESSAGING === "true";
+
+const ENV_BY_CHANNEL = { sms: "SMS_PROVIDER", whatsapp: "WHATSAPP_PROVIDER" };
+
+const getProviderByName = (name) => {
+  const key = String(name).toLowerCase();
+  if (!factories[key]) return null;
+  if (key === "stub" && !stubAllowed()) return null;
+
+  if (!instances.has(key)) {
+    instances.set(key, factories[key]());
+  }
+  return instances.get(key);
+};
+
+// Provider delivering `channel`, or null when the channel is not configured
+export const getMessagingProvider = (channel) => {
+  const name = process.env[ENV_BY_CHANNEL[channel]];
+  if (!name) return null;
+
+  try {
+    const provider = getProviderByName(name);
+    return provider?.channels.includes(channel) ? provider : null;
+  } catch (err) {
+    console.error(`Messaging provider "${name}" for ${channel} is misconfigured:`, err.message);
+    return null;
+  }
+};
+
+// Swap in a provider implementation (tests, other vendors)
+export const setMessagingProvider = (name, provider) => {
+  factories[name] = () => provider;
+  instances.set(name, provider);
+};
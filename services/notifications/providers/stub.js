@@ -0,0 +1,31 @@
+// services/notifications/providers/stub.js
+import crypto from "crypto";
+
+/**
+ * Messaging provider that sends nothing: messages are kept in memory (latest
+ * 100) and logged. For local development and tests.
+ *
+ * A recipient ending in "0000" fails, to exercise retries and channel fallback.
+ */
+export const createStubProvider = () => {
+  const messages = [];
+
+  return {
+    name: "stub",
+    channels: ["sms", "whatsapp"],
+    messages,
+
+    send: async ({ channel, to, body }) => {
+      if (String(to).endsWith("0000")) {
+        throw new Error(`Stub ${channel} delivery to ${to} failed`);
+      }
+
+      const message = { id: `stub_${crypto.randomBytes(8).toString("hex")}`, channel, to, body, at: new Date() };
+      messages.push(message);
+      if (messages.length > 100) messages.shift();
+
+      console.log(`📱 [${channel}] to=${to}\n${body}\n`);
+      return { messageId: message.id };
+    },
+  };
+};
@@ -0,0 +1,54 @@
+// services/notifications/providers/twilio.js
+
+/**
+ * Twilio Programmable Messaging for SMS and WhatsApp.
+ *
+ *   TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN
+ *   TWILIO_SMS_FROM        sender number or messaging service SID (MG...)
+ *   TWILIO_WHATSAPP_FROM   WhatsApp-enabled sender number
+ */
+export const createTwilioProvider = () => {
+  const sid = process.env.TWILIO_ACCOUNT_SID;
+  const token = process.env.TWILIO_AUTH_TOKEN;
+  if (!sid || !token) {
+    throw new Error("TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN are required");
+  }
+
+  const from = {
+    sms: process.env.TWILIO_SMS_FROM,
+    whatsapp: process.env.TWILIO_WHATSAPP_FROM && `whatsapp:${process.env.TWILIO_WHATSAPP_FROM}`,
+  };
+
+  return {
+    name: "twilio",
+    channels: ["sms", "whatsapp"].filter((channel) => from[channel]),
+
+    send: async ({ channel, to, body }) => {
+      const params = new URLSearchParams({
+        To: channel === "whatsapp" ? `whatsapp:${to}` : to,
+        Body: body,
+      });
+      if (from[channel].startsWith("MG")) params.set("MessagingServiceSid", from[channel]);
+      else params.set("From", from[channel]);
+
+      const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`, {
+        method: "POST",
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${sid}:${token}`).toString("base64")}`,
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: params,
+      });
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        const error = new Error(`Twilio ${response.status}: ${result.message || response.statusText}`);
+        // Bad numbers, unverified senders... retrying will not help
+        error.permanent = response.status >= 400 && response.status < 500 && response.status !== 429;
+        throw error;
+      }
+
+      return { messageId: result.sid };
+    },
+  };
+};
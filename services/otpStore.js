@@ -0,0 +1,139 @@
+// services/otpStore.js
+import crypto from "crypto";
+import Otp from "../models/Otp.js";
+
+/**
+ * OTP store adapters.
+ *
+ * Every adapter exposes the same async interface:
+ *   set(email, record)         -> create or replace the challenge for an email
+ *   get(email)                 -> record or null (expired records are never returned)
+ *   claimAttempt(email, max)   -> counts one verification attempt and returns the record,
+ *                                 or null when there is none or `max` attempts were made;
+ *                                 atomic, so parallel guesses cannot exceed the limit
+ *   delete(email)              -> remove the challenge
+ *
+ * A record looks like { otpHash, type, userData, userId, attempts, expiresAt }.
+ * Plain OTP values never reach the store; use hashOTP / compareOTP.
+ */
+
+const getOtpSecret = () => process.env.OTP_SECRET || process.env.JWT_SECRET || "";
+
+export const hashOTP = (email, otp) =>
+  crypto
+    .createHmac("sha256", getOtpSecret())
+    .update(`${email}:${otp}`)
+    .digest("hex");
+
+export const compareOTP = (email, otp, otpHash) => {
+  if (!otp || !otpHash) return false;
+  const a = Buffer.from(hashOTP(email, String(otp)), "hex");
+  const b = Buffer.from(otpHash, "hex");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// -------------------- MongoDB adapter --------------------
+export const createMongoOtpStore = () => {
+  const toRecord = (doc) =>
+    doc
+      ? {
+          otpHash: doc.otpHash,
+          type: doc.type,
+          userData: doc.userData || null,
+          userId: doc.userId || null,
+          attempts: doc.attempts,
+          expiresAt: doc.expiresAt,
+        }
+      : null;
+
+  return {
+    async set(email, record) {
+      await Otp.findOneAndUpdate(
+        { email },
+        {
+          email,
+          otpHash: record.otpHash,
+          type: record.type,
+          userData: record.userData || null,
+          userId: record.userId || null,
+          attempts: record.attempts || 0,
+          expiresAt: record.expiresAt,
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    },
+
+    async get(email) {
+      // The TTL monitor only sweeps once a minute, so filter on expiry as well
+      const doc = await Otp.findOne({ email, expiresAt: { $gt: new Date() } }).lean();
+      return toRecord(doc);
+    },
+
+    async claimAttempt(email, maxAttempts) {
+      const doc = await Otp.findOneAndUpdate(
+        { email, attempts: { $lt: maxAttempts }, expiresAt: { $gt: new Date() } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+      ).lean();
+      return toRecord(doc);
+    },
+
+    async delete(email) {
+      await Otp.deleteOne({ email });
+    },
+  };
+};
+
+// -------------------- In-memory adapter (tests / local dev) --------------------
+export const createMemoryOtpStore = () => {
+  const records = new Map();
+
+  const getLive = (email) => {
+    const record = records.get(email);
+    if (!record) return null;
+    if (Date.now() > new Date(record.expiresAt).getTime()) {
+      records.delete(email);
+      return null;
+    }
+    return record;
+  };
+
+  return {
+    async set(email, record) {
+      records.set(email, { attempts: 0, userData: null, userId: null, ...record });
+    },
+
+    async get(email) {
+      const record = getLive(email);
+      return record ? { ...record } : null;
+    },
+
+    async claimAttempt(email, maxAttempts) {
+      const record = getLive(email);
+      if (!record || record.attempts >= maxAttempts) return null;
+      record.attempts++;
+      return { ...record };
+    },
+
+    async delete(email) {
+      records.delete(email);
+    },
+  };
+};
+
+// -------------------- Default store --------------------
+const createDefaultStore = () =>
+  process.env.OTP_STORE === "memory" ? createMemoryOtpStore() : createMongoOtpStore();
+
+let otpStore = null;
+
+// Created lazily so .env has been loaded before OTP_STORE is read
+export const getOtpStore = () => {
+  if (!otpStore) otpStore = createDefaultStore();
+  return otpStore;
+};
+
+// Swap the adapter (e.g. an in-memory store in tests)
+export const setOtpStore = (store) => {
+  otpStore = store;
+};
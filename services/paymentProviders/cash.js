@@ -0,0 +1,40 @@
+// services/paymentProviders/cash.js
+import crypto from "crypto";
+
+// Pay on pickup: the booking is confirmed straight away and the driver collects the fare.
+// Nothing goes through a gateway, so there is no checkout, verification or webhook.
+export const createCashProvider = () => ({
+  name: "cash",
+  label: "Pay cash on pickup",
+  collectsOnPickup: true,
+  supportsWebhooks: false,
+
+  createOrder: async ({ amount, currency, notes }) => ({
+    order: {
+      id: `cash_order_${crypto.randomBytes(8).toString("hex")}`,
+      amount,
+      currency,
+      notes,
+      status: "created",
+    },
+    checkout: null,
+  }),
+
+  fetchOrder: async () => null,
+
+  verifyPayment: async () => ({ status: 400, error: "Cash bookings are paid to the driver at pickup" }),
+
+  // Cash is handed back in person; the refund is recorded as done
+  refund: async ({ paymentId, amount, notes }) => ({
+    id: `cash_refund_${crypto.randomBytes(8).toString("hex")}`,
+    entity: "refund",
+    payment_id: paymentId,
+    amount,
+    currency: "INR",
+    status: "processed",
+    notes,
+    created_at: Math.floor(Date.now() / 1000),
+  }),
+
+  parseWebhook: () => ({ status: 404, error: "Cash payments have no webhooks" }),
+});
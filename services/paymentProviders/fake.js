@@ -0,0 +1,92 @@
+// services/paymentProviders/fake.js
+import crypto from "crypto";
+
+const id = (prefix) => `${prefix}_${crypto.randomBytes(8).toString("hex")}`;
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * In-memory gateway for local development and manual testing.
+ * Orders and payments mirror Razorpay's entity shape so the rest of the code
+ * cannot tell the difference. State is lost on restart.
+ *
+ * Verify with { orderId } (add outcome: "failed" to simulate a declined payment).
+ * Webhooks are accepted unsigned as { event, payload }.
+ */
+export const createFakeProvider = () => {
+  const orders = new Map();
+  const payments = new Map();
+
+  return {
+    name: "fake",
+    label: "Test payment (no real money)",
+    collectsOnPickup: false,
+    supportsWebhooks: true,
+
+    createOrder: async ({ amount, currency, receipt, notes }) => {
+      const order = {
+        id: id("fake_order"),
+        entity: "order",
+        amount,
+        amount_paid: 0,
+        currency,
+        receipt,
+        notes,
+        status: "created",
+        created_at: now(),
+      };
+      orders.set(order.id, order);
+      return { order, checkout: { orderId: order.id, test: true } };
+    },
+
+    fetchOrder: async (orderId) => orders.get(orderId) || null,
+
+    verifyPayment: async ({ orderId, outcome }) => {
+      const order = orders.get(orderId);
+      if (!order) {
+        return { status: 404, error: "Order not found" };
+      }
+      if (outcome === "failed") {
+        return { status: 402, error: "Payment declined (simulated)" };
+      }
+
+      const payment = {
+        id: id("fake_pay"),
+        entity: "payment",
+        order_id: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        method: "upi",
+        status: "captured",
+        amount_refunded: 0,
+        created_at: now(),
+      };
+      payments.set(payment.id, payment);
+      Object.assign(order, { status: "paid", amount_paid: order.amount });
+
+      return { orderId: order.id, paymentId: payment.id, method: payment.method };
+    },
+
+    refund: async ({ paymentId, amount, notes }) => {
+      const payment = payments.get(paymentId);
+      if (payment) payment.amount_refunded += amount;
+      return {
+        id: id("fake_rfnd"),
+        entity: "refund",
+        payment_id: paymentId,
+        amount,
+        currency: payment?.currency || "INR",
+        status: "processed",
+        notes,
+        created_at: now(),
+      };
+    },
+
+    parseWebhook: (req) => {
+      const { event, payload } = req.body || {};
+      if (!event || !payload) {
+        return { status: 400, error: "Webhook body must be { event, payload }" };
+      }
+      return { eventId: req.headers["x-fake-event-id"] || id("fake_evt"), event, payload };
+    },
+  };
+};
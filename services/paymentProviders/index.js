@@ -0,0 +1,81 @@
+// services/paymentProviders/index.js
+import { createRazorpayProvider } from "./razorpay.js";
+import { createCashProvider } from "./cash.js";
+import { createFakeProvider } from "./fake.js";
+
+/**
+ * Payment providers behind one interface:
+ *
+ *   name, label
+ *   collectsOnPickup        true when no online payment happens (booking confirmed unpaid)
+ *   supportsWebhooks
+ *   createOrder({ amount, currency, receipt, notes }) -> { order, checkout }
+ *   fetchOrder(orderId)     -> order | null
+ *   verifyPayment(body)     -> { orderId, paymentId, method } | { status, error }
+ *   refund({ paymentId, amount, notes }) -> refund
+ *   parseWebhook(req)       -> { eventId, event, payload } | { status, error }
+ *
+ * Amounts are in the smallest currency unit and orders, payments and refunds use
+ * Razorpay's entity shape (id, amount, currency, notes, status...), which is what
+ * bookings, the ledger and webhook handling are written against.
+ *
+ * PAYMENT_PROVIDER picks the deployment default and PAYMENT_PROVIDERS (comma separated)
+ * which ones customers may choose per booking. "fake" accepts unsigned webhooks and
+ * confirms payments without money changing hands, so it is only available when
+ * ALLOW_FAKE_PAYMENTS=true (and listed in PAYMENT_PROVIDERS).
+ */
+
+const factories = {
+  razorpay: createRazorpayProvider,
+  cash: createCashProvider,
+  fake: createFakeProvider,
+};
+
+const instances = new Map();
+
+const fakeAllowed = () => process.env.ALLOW_FAKE_PAYMENTS === "true";
+
+export const getDefaultProviderName = () => process.env.PAYMENT_PROVIDER || "razorpay";
+
+export const getEnabledProviderNames = () => {
+  const configured = (process.env.PAYMENT_PROVIDERS || getDefaultProviderName())
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => factories[name] && (name !== "fake" || fakeAllowed()));
+  return [...new Set(configured)];
+};
+
+/**
+ * Provider by name (default provider when name is empty).
+ * Any known provider can be looked up so existing bookings keep working;
+ * use isProviderEnabled() before starting new payments with it.
+ */
+export const getPaymentProvider = (name = getDefaultProviderName()) => {
+  const key = String(name).toLowerCase();
+  if (!factories[key]) return null;
+  if (key === "fake" && !fakeAllowed()) return null;
+
+  if (!instances.has(key)) {
+    instances.set(key, factories[key]());
+  }
+  return instances.get(key);
+};
+
+export const isProviderEnabled = (name) => getEnabledProviderNames().includes(String(name).toLowerCase());
+
+export const listPaymentProviders = () =>
+  getEnabledProviderNames().map((name) => {
+    const provider = getPaymentProvider(name);
+    return {
+      name,
+      label: provider.label,
+      collectsOnPickup: provider.collectsOnPickup,
+      default: name === getDefaultProviderName(),
+    };
+  });
+
+// Swap in a provider implementation (tests, custom gateways)
+export const setPaymentProvider = (name, provider) => {
+  factories[name] = () => provider;
+  instances.set(name, provider);
+};
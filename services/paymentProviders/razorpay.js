@@ -0,0 +1,82 @@
+// services/paymentProviders/razorpay.js
+import crypto from "crypto";
+import { getRazorpay } from "../razorpayClient.js";
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const hmac = (secret, data) => crypto.createHmac("sha256", secret).update(data).digest("hex");
+
+export const createRazorpayProvider = (client) => {
+  const razorpay = () => client || getRazorpay();
+
+  return {
+    name: "razorpay",
+    label: "Pay online (cards, UPI, netbanking)",
+    collectsOnPickup: false,
+    supportsWebhooks: true,
+
+    createOrder: async ({ amount, currency, receipt, notes }) => {
+      const order = await razorpay().orders.create({ amount, currency, receipt, notes });
+      return {
+        order,
+        checkout: { key: process.env.RAZORPAY_KEY_ID, orderId: order.id },
+      };
+    },
+
+    fetchOrder: (orderId) => razorpay().orders.fetch(orderId),
+
+    // Checkout handler fields: razorpay_order_id, razorpay_payment_id, razorpay_signature
+    verifyPayment: async (body) => {
+      const orderId = body.razorpay_order_id || body.orderId;
+      const paymentId = body.razorpay_payment_id || body.paymentId;
+      const signature = body.razorpay_signature || body.signature;
+
+      if (!orderId || !paymentId || !signature) {
+        return { status: 400, error: "Missing payment details" };
+      }
+      if (!safeEqual(hmac(process.env.RAZORPAY_KEY_SECRET, `${orderId}|${paymentId}`), signature)) {
+        return { status: 400, error: "Invalid payment signature" };
+      }
+
+      // The method (card, upi...) is not part of the checkout response
+      const payment = await razorpay()
+        .payments.fetch(paymentId)
+        .catch((err) => {
+          console.error(`Razorpay payment ${paymentId} could not be fetched:`, err.message);
+          return null;
+        });
+      return { orderId, paymentId, method: payment?.method };
+    },
+
+    refund: ({ paymentId, amount, notes }) =>
+      razorpay().payments.refund(paymentId, { amount, speed: "normal", notes }),
+
+    parseWebhook: (req) => {
+      const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+      if (!secret) {
+        console.error("Webhook received but RAZORPAY_WEBHOOK_SECRET is not set");
+        return { status: 500, error: "Webhook not configured" };
+      }
+
+      const signature = req.headers["x-razorpay-signature"];
+      if (!signature || !req.rawBody) {
+        return { status: 400, error: "Missing webhook signature" };
+      }
+      if (!safeEqual(hmac(secret, req.rawBody), signature)) {
+        return { status: 400, error: "Invalid webhook signature" };
+      }
+
+      return {
+        eventId:
+          req.headers["x-razorpay-event-id"] ||
+          crypto.createHash("sha256").update(req.rawBody).digest("hex"),
+        event: req.body.event,
+        payload: req.body.payload,
+      };
+    },
+  };
+};
@@ -0,0 +1,92 @@
+// services/pdf.js
+
+/**
+ * HTML -> PDF with headless Chrome (puppeteer).
+ *
+ * One browser is shared by all renders and closed after a minute without work,
+ * so a burst of invoice downloads does not pay the Chrome start-up each time and
+ * an idle server does not keep Chrome around. Renders run one at a time: each
+ * page takes tens of MB and the API runs on small instances.
+ *
+ * PUPPETEER_NO_SANDBOX=true is needed when the server runs as root in a container.
+ */
+
+const IDLE_CLOSE_MS = 60 * 1000;
+const RENDER_TIMEOUT_MS = 30 * 1000;
+
+let browserPromise = null;
+let idleTimer = null;
+let queue = Promise.resolve();
+
+const getBrowser = () => {
+  if (!browserPromise) {
+    browserPromise = import("puppeteer")
+      .then(({ default: puppeteer }) =>
+        puppeteer.launch({
+          headless: true,
+          args: process.env.PUPPETEER_NO_SANDBOX === "true" ? ["--no-sandbox", "--disable-setuid-sandbox"] : [],
+        })
+      )
+      .then((browser) => {
+        browser.on("disconnected", () => {
+          browserPromise = null;
+        });
+        return browser;
+      })
+      .catch((err) => {
+        browserPromise = null;
+        throw err;
+      });
+  }
+  return browserPromise;
+};
+
+const scheduleClose = () => {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(() => closeBrowser().catch(() => {}), IDLE_CLOSE_MS);
+  idleTimer.unref();
+};
+
+export const closeBrowser = async () => {
+  clearTimeout(idleTimer);
+  const pending = browserPromise;
+  browserPromise = null;
+  if (pending) await (await pending).close();
+};
+
+const render = async (html, options) => {
+  const browser = await getBrowser();
+  const page = await browser.newPage();
+
+  try {
+    page.setDefaultTimeout(RENDER_TIMEOUT_MS);
+    // Documents are self-contained: nothing is fetched from the network
+    await page.setRequestInterception(true);
+    page.on("request", (request) => (request.url().startsWith("data:") ? request.continue() : request.abort()));
+
+    await page.setContent(html, { waitUntil: "load" });
+    return Buffer.from(
+      await page.pdf({
+        format: "A4",
+        printBackground: true,
+        margin: { top: "12mm", bottom: "12mm", left: "10mm", right: "10mm" },
+        ...options,
+      })
+    );
+  } finally {
+    await page.close().catch(() => {});
+    scheduleClose();
+  }
+};
+
+/**
+ * Render a complete HTML document to a PDF.
+ * @param {string} html
+ * @param {object} [options]  puppeteer page.pdf() options
+ * @returns {Promise<Buffer>}
+ */
+export const renderPdf = (html, options = {}) => {
+  const result = queue.then(() => render(html, options));
+  queue = result.catch(() => {});
+  return result;
+};
@@ -0,0 +1,144 @@
+// services/pricing.js
+import { getPricingRules } from "../config/pricing.js";
+import { computeTaxes } from "./tax.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const getLocalHour = (date, timeZone) =>
+  parseInt(
+    new Intl.DateTimeFormat("en-GB", { hour: "2-digit", hourCycle: "h23", timeZone }).format(date),
+    10
+  );
+
+const isNightPickup = (date, night) => {
+  const hour = getLocalHour(date, night.timeZone);
+  return night.startHour > night.endHour
+    ? hour >= night.startHour || hour < night.endHour // window crosses midnight
+    : hour >= night.startHour && hour < night.endHour;
+};
+
+const item = (code, label, amount, extra = {}) => ({ code, label, ...extra, amount: round2(amount) });
+
+/**
+ * Itemised fare for a trip with a given vehicle (see config/pricing.js for the rules).
+ *
+ * Trip input: { vehicle, distanceKm, durationSeconds, startDate, endDate, isRoundTrip, waitingMinutes }
+ * - distanceKm / durationSeconds are one-way route estimates
+ * - startDate / endDate is the booked window for scheduled trips (endDate null = immediate);
+ *   only scheduled trips are billed by the hour
+ *
+ * - customer (optional) is the booking user: its billing details decide the place
+ *   of supply (CGST/SGST or IGST) and any TDS it deducts (see services/tax.js)
+ *
+ * Returns { fare } or { error } when the vehicle cannot be priced. The fare has
+ * items (charges before tax), subtotal, taxes, taxTotal, total, tax (category,
+ * place of supply), tds and payable (total less TDS, the amount charged).
+ */
+export const calculateFare = ({
+  vehicle,
+  distanceKm,
+  durationSeconds = 0,
+  startDate = null,
+  endDate = null,
+  isRoundTrip = false,
+  waitingMinutes = 0,
+  customer = null,
+  rules = getPricingRules(vehicle.type),
+}) => {
+  const perKmRate = vehicle.pricePerKM > 0 ? vehicle.pricePerKM : rules.defaultPerKmRate;
+  const perHourRate = vehicle.pricePerHour > 0 ? vehicle.pricePerHour : rules.defaultPerHourRate;
+
+  if (!perKmRate && !perHourRate) {
+    return { error: "Vehicle has no price configured" };
+  }
+
+  const pickupAt = startDate ? new Date(startDate) : new Date();
+  const tripHours = endDate
+    ? (new Date(endDate) - pickupAt) / HOUR_MS
+    : (durationSeconds * (isRoundTrip ? 2 : 1)) / 3600;
+  const billedHours = Math.max(1, Math.ceil(tripHours * 4) / 4); // quarter-hour steps
+
+  const items = [];
+
+  if (rules.baseFare > 0) {
+    items.push(item("base_fare", "Base fare", rules.baseFare));
+  }
+
+  // Distance and time components
+  const distanceCharge = distanceKm * perKmRate;
+  const returnCharge = isRoundTrip ? distanceCharge * (rules.roundTripMultiplier - 1) : 0;
+  // Hourly billing only applies to a booked window (scheduled trips)
+  const timeCharge = perHourRate && endDate ? billedHours * perHourRate : 0;
+
+  const billDistance = perKmRate && (rules.timeBilling === "sum" || distanceCharge + returnCharge >= timeCharge);
+  const billTime = timeCharge > 0 && (rules.timeBilling === "sum" || !billDistance);
+
+  let pricingModel = "per-kilometer";
+  if (billDistance) {
+    items.push(item("distance", "Distance charge", distanceCharge, { quantity: distanceKm, unit: "km", rate: perKmRate }));
+    if (returnCharge > 0) {
+      items.push(item("round_trip", "Return journey", returnCharge, { rate: rules.roundTripMultiplier, unit: "x" }));
+    }
+  }
+  if (billTime) {
+    items.push(item("time", "Time charge", timeCharge, { quantity: billedHours, unit: "hour", rate: perHourRate }));
+    pricingModel = billDistance ? "per-kilometer+hourly" : "hourly";
+  }
+
+  // Night surcharge on the trip charges
+  if (rules.night.surchargePercent > 0 && isNightPickup(pickupAt, rules.night)) {
+    const tripCharges = items.reduce((sum, i) => sum + i.amount, 0);
+    items.push(item("night_charge", "Night charge", (tripCharges * rules.night.surchargePercent) / 100, {
+      rate: rules.night.surchargePercent,
+      unit: "%",
+    }));
+  }
+
+  // Waiting time beyond the free allowance
+  const chargeableWaiting = Math.max(0, Math.ceil(waitingMinutes || 0) - rules.waiting.freeMinutes);
+  if (chargeableWaiting > 0 && rules.waiting.ratePerMinute > 0) {
+    items.push(item("waiting", "Waiting charge", chargeableWaiting * rules.waiting.ratePerMinute, {
+      quantity: chargeableWaiting,
+      unit: "minute",
+      rate: rules.waiting.ratePerMinute,
+    }));
+  }
+
+  // Driver allowance for outstation trips
+  if (distanceKm > rules.outstation.thresholdKm && rules.outstation.driverAllowancePerDay > 0) {
+    const days = Math.max(1, Math.ceil(tripHours / 24));
+    items.push(item("driver_allowance", "Driver allowance", days * rules.outstation.driverAllowancePerDay, {
+      quantity: days,
+      unit: "day",
+      rate: rules.outstation.driverAllowancePerDay,
+    }));
+  }
+
+  // Minimum fare
+  let subtotal = items.reduce((sum, i) => sum + i.amount, 0);
+  if (subtotal < rules.minimumFare) {
+    items.push(item("minimum_fare", "Minimum fare adjustment", rules.minimumFare - subtotal));
+    subtotal = rules.minimumFare;
+  }
+  subtotal = round2(subtotal);
+
+  // Tax
+  const { taxes, taxTotal, total, tax, tds, payable } = computeTaxes({ subtotal, vehicleType: vehicle.type, customer });
+
+  return {
+    fare: {
+      pricingModel,
+      items,
+      subtotal,
+      taxes,
+      taxTotal,
+      total,
+      tax,
+      tds,
+      payable,
+      currency: "INR",
+    },
+  };
+};
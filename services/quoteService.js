@@ -0,0 +1,182 @@
+// services/quoteService.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+import FareQuote from "../models/FareQuote.js";
+import { getRouteDistance } from "./maps.js";
+import { calculateFare } from "./pricing.js";
+
+/**
+ * Fare quotes.
+ *
+ * The price for a trip is computed here, stored with an HMAC signature and a short
+ * expiry, and create-order charges exactly the quoted amount. Any edit to a stored
+ * quote (amount, route, dates...) breaks the signature and the quote is rejected.
+ */
+
+const getQuoteTtlMs = () => (parseInt(process.env.QUOTE_TTL_MINUTES) || 15) * 60 * 1000;
+const getQuoteSecret = () => process.env.QUOTE_SECRET || process.env.JWT_SECRET || "";
+
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+
+// Fields covered by the signature, in a fixed order
+const signQuote = (quote) => {
+  const payload = JSON.stringify([
+    quote._id.toString(),
+    quote.user.toString(),
+    quote.vehicle.toString(),
+    quote.origin,
+    quote.destination,
+    quote.distance.km,
+    quote.bookingType,
+    toIso(quote.startDate),
+    toIso(quote.endDate),
+    Boolean(quote.isRoundTrip),
+    quote.waitingMinutes || 0,
+    (quote.fare.items || []).map((item) => [item.code, item.amount]),
+    (quote.fare.taxes || []).map((tax) => [tax.code, tax.amount]),
+    quote.amount,
+    quote.currency,
+    toIso(quote.expiresAt),
+  ]);
+
+  return crypto.createHmac("sha256", getQuoteSecret()).update(payload).digest("hex");
+};
+
+const isSignatureValid = (quote) => {
+  const expected = Buffer.from(signQuote(quote), "hex");
+  const actual = Buffer.from(quote.signature || "", "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const isBlank = (value) =>
+  !value || (typeof value === "string" && (value.trim() === "" || value === "null" || value === "undefined"));
+
+/**
+ * Turn the optional start/end dates from the client into a booking window.
+ * Both empty = immediate booking starting now.
+ */
+export const parseBookingWindow = (startDate, endDate) => {
+  const hasStartDate = !isBlank(startDate);
+  const hasEndDate = !isBlank(endDate);
+
+  if (!hasStartDate && !hasEndDate) {
+    return { startDate: new Date(), endDate: null, bookingType: "immediate" };
+  }
+
+  if (hasStartDate && hasEndDate) {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return { error: "Invalid date format" };
+    }
+
+    if (end <= start) {
+      return { error: "End time must be after start time" };
+    }
+
+    return { startDate: start, endDate: end, bookingType: "scheduled" };
+  }
+
+  return { error: "Please provide both start and end dates or leave both empty for immediate booking" };
+};
+
+/**
+ * Price a trip for a vehicle and store the signed quote.
+ * Resolves to { quote } or { status, error, ... }.
+ */
+export const createQuote = async ({
+  user,
+  vehicle,
+  origin,
+  destination,
+  startDate,
+  endDate,
+  isRoundTrip,
+  waitingMinutes = 0,
+}) => {
+  const window = parseBookingWindow(startDate, endDate);
+  if (window.error) return { status: 400, error: window.error };
+
+  const { route, status, ...routeError } = await getRouteDistance(origin, destination);
+  if (!route) return { status, ...routeError };
+
+  const { fare, error } = calculateFare({
+    vehicle,
+    distanceKm: route.distanceKm,
+    durationSeconds: route.durationSeconds,
+    startDate: window.startDate,
+    endDate: window.endDate,
+    isRoundTrip: Boolean(isRoundTrip),
+    waitingMinutes,
+    customer: user,
+  });
+  if (error) return { status: 400, error };
+
+  const quote = new FareQuote({
+    _id: new mongoose.Types.ObjectId(),
+    user: user._id,
+    vehicle: vehicle._id,
+    origin: route.source,
+    destination: route.destination,
+    distance: { km: route.distanceKm, meters: route.distanceMeters, text: route.distanceText },
+    duration: { seconds: route.durationSeconds, text: route.durationText },
+    bookingType: window.bookingType,
+    startDate: window.bookingType === "scheduled" ? window.startDate : null,
+    endDate: window.endDate,
+    isRoundTrip: Boolean(isRoundTrip),
+    waitingMinutes,
+    fare,
+    amount: fare.payable, // less any TDS the customer deducts
+    currency: fare.currency,
+    expiresAt: new Date(Date.now() + getQuoteTtlMs()),
+  });
+  quote.purgeAt = new Date(quote.expiresAt.getTime() + 24 * 60 * 60 * 1000);
+  quote.signature = signQuote(quote);
+
+  await quote.save();
+  return { quote };
+};
+
+/**
+ * Validate a quote for the given user and reserve it for one payment order.
+ * Resolves to { quote } or { status, code, error }.
+ */
+export const claimQuote = async (quoteId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(quoteId)) {
+    return { status: 400, code: "QUOTE_INVALID", error: "Invalid quote ID" };
+  }
+
+  const quote = await FareQuote.findOne({ _id: quoteId, user: userId });
+  if (!quote) {
+    return { status: 404, code: "QUOTE_NOT_FOUND", error: "Quote not found" };
+  }
+
+  if (!isSignatureValid(quote)) {
+    console.error(`Fare quote ${quoteId} failed signature check`);
+    return { status: 400, code: "QUOTE_TAMPERED", error: "Quote is invalid. Please request a new quote." };
+  }
+
+  if (quote.expiresAt <= new Date()) {
+    return { status: 400, code: "QUOTE_EXPIRED", error: "Quote has expired. Please request a new quote." };
+  }
+
+  const claimed = await FareQuote.findOneAndUpdate(
+    { _id: quote._id, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) {
+    return { status: 409, code: "QUOTE_ALREADY_USED", error: "Quote has already been used. Please request a new quote." };
+  }
+
+  return { quote: claimed };
+};
+
+// Link the payment order to the quote and keep it permanently
+export const attachOrderToQuote = (quoteId, orderId) =>
+  FareQuote.updateOne({ _id: quoteId }, { orderId, $unset: { purgeAt: 1 } });
+
+// Undo claimQuote when the payment order could not be created
+export const releaseQuote = (quoteId) =>
+  FareQuote.updateOne({ _id: quoteId, orderId: null }, { usedAt: null });
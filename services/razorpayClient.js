@@ -0,0 +1,69 @@
+// services/razorpayClient.js
+import Razorpay from "razorpay";
+
+const PAGE_SIZE = 100;
+const MAX_PAGES = 50;
+
+let razorpay = null;
+
+// Created lazily so .env has been loaded before the keys are read
+export const getRazorpay = () => {
+  if (!razorpay) {
+    razorpay = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET,
+    });
+  }
+  return razorpay;
+};
+
+const toUnixSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+// Walk a Razorpay collection page by page
+const fetchAll = async (fetchPage) => {
+  const items = [];
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const { items: pageItems = [] } = await fetchPage(page * PAGE_SIZE);
+    items.push(...pageItems);
+    if (pageItems.length < PAGE_SIZE) break;
+  }
+  return items;
+};
+
+/**
+ * Read-only view of the gateway used by the reconciliation job.
+ * Tests pass an object with the same methods instead.
+ */
+export const createRazorpayGatewayClient = (client = getRazorpay()) => ({
+  listOrders: ({ from, to }) =>
+    fetchAll((skip) =>
+      client.orders.all({ from: toUnixSeconds(from), to: toUnixSeconds(to), count: PAGE_SIZE, skip })
+    ),
+
+  listPayments: ({ from, to }) =>
+    fetchAll((skip) =>
+      client.payments.all({ from: toUnixSeconds(from), to: toUnixSeconds(to), count: PAGE_SIZE, skip })
+    ),
+
+  listRefunds: ({ from, to }) =>
+    fetchAll((skip) =>
+      client.refunds.all({ from: toUnixSeconds(from), to: toUnixSeconds(to), count: PAGE_SIZE, skip })
+    ),
+
+  // The disputes API has no date filter; newest come first
+  listDisputes: async ({ from, to }) => {
+    const disputes = await fetchAll((skip) => client.disputes.all({ count: PAGE_SIZE, skip }));
+    const fromSecs = toUnixSeconds(from);
+    const toSecs = toUnixSeconds(to);
+    return disputes.filter((d) => d.created_at >= fromSecs && d.created_at <= toSecs);
+  },
+
+  fetchOrder: (orderId) => client.orders.fetch(orderId),
+
+  fetchOrderPayments: async (orderId) => {
+    const { items = [] } = await client.orders.fetchPayments(orderId);
+    return items;
+  },
+
+  fetchPayment: (paymentId) => client.payments.fetch(paymentId),
+});
@@ -0,0 +1,272 @@
+// services/realtime.js
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
+import mongoose from "mongoose";
+import StreamEvent from "../models/StreamEvent.js";
+import Driver from "../models/Driver.js";
+import User from "../models/User.js";
+import { PERMISSIONS, ROLE_PERMISSIONS, hasPermission } from "../config/permissions.js";
+
+/**
+ * Live updates for riders, drivers and staff (GET /api/stream).
+ *
+ *   await publishEvent({ type: "booking.status", data, booking: booking._id, users: [rider], permission });
+ *   const unsubscribe = subscribe(req.user, (event) => ..., { booking });
+ *
+ * publishEvent() stores the event (models/StreamEvent.js) and hands it to the
+ * sessions of this instance right away. Sessions on other instances get it from
+ * a poll of the collection that runs while this instance has subscribers, and a
+ * client that reconnects replays what it missed with replayEvents().
+ *
+ * Booking events are published by the BookingPayment save hook
+ * (publishBookingUpdate), driver positions by POST /api/drivers/me/location and
+ * in-app notifications by services/notifications/inbox.js.
+ */
+
+export const STREAM_SETTINGS = {
+  pollMs: 2000, // events of other instances
+  // Each poll re-reads this much: ids are made by the instance that stores the event,
+  // so one can be stored after a higher id was polled (insert latency, clock skew)
+  pollOverlapMs: 10 * 1000,
+  heartbeatMs: 25 * 1000, // keeps proxies from closing idle streams
+  retryMs: 5000, // reconnect delay suggested to EventSource
+  replayLimit: 500, // beyond that the client is told to reload instead
+};
+
+// Staff who see every booking's live updates
+export const STREAM_STAFF_PERMISSION = PERMISSIONS.BOOKINGS_READ;
+
+// Trips whose driver position is shared with the rider
+export const LOCATION_SHARING_STATUSES = ["EnRoute", "InProgress"];
+
+const INSTANCE_ID = randomUUID();
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open stream
+
+export const canSee = (user, event) =>
+  (event.users || []).some((id) => id.toString() === user._id.toString()) ||
+  Boolean(event.permission && hasPermission(user.role, event.permission));
+
+// Stored event -> what a stream sends: { id, type, data }
+export const toStreamMessage = (event) => ({
+  id: event._id.toString(),
+  type: event.type,
+  data: { ...event.data, booking: event.booking, at: event.createdAt },
+});
+
+/**
+ * Store an event and push it to the live sessions that may see it.
+ * @returns {Promise<object>} the stored event
+ */
+export const publishEvent = async ({ type, data = {}, booking = null, users = [], permission = null }) => {
+  const event = await StreamEvent.create({
+    type,
+    data,
+    booking,
+    users: users.filter(Boolean),
+    permission,
+    source: INSTANCE_ID,
+  });
+
+  const plain = event.toObject();
+  bus.emit("event", plain);
+  return plain;
+};
+
+/**
+ * Remembers the ids of the events it is given, so an event that arrives twice is
+ * handled once. Events are not compared by id order: those of other instances can
+ * arrive after one with a higher id. Ids older than twice the poll overlap are forgotten.
+ * @returns {Function} (event) => true the first time an event is seen
+ */
+export const recentEventFilter = () => {
+  const seen = new Map(); // id -> creation time of the id, oldest first
+
+  return (event) => {
+    const id = event._id.toString();
+    if (seen.has(id)) return false;
+
+    const cutoff = Date.now() - 2 * STREAM_SETTINGS.pollOverlapMs;
+    for (const [oldId, createdAt] of seen) {
+      if (createdAt >= cutoff) break;
+      seen.delete(oldId);
+    }
+    seen.set(id, new mongoose.Types.ObjectId(id).getTimestamp().getTime());
+    return true;
+  };
+};
+
+/* ---------- Events of other instances ---------- */
+
+let poller = null;
+let pollingSince = 0;
+let isNewPolledEvent = null;
+
+// Reads the last pollOverlapMs each time; events already emitted are skipped
+const pollOtherInstances = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  const since = Math.max(pollingSince, Date.now() - STREAM_SETTINGS.pollOverlapMs);
+  let range = { $gte: mongoose.Types.ObjectId.createFromTime(Math.floor(since / 1000)) };
+
+  for (;;) {
+    const events = await StreamEvent.find({ _id: range, source: { $ne: INSTANCE_ID } })
+      .sort({ _id: 1 })
+      .limit(STREAM_SETTINGS.replayLimit)
+      .lean();
+
+    for (const event of events) {
+      if (isNewPolledEvent?.(event)) bus.emit("event", event);
+    }
+    if (events.length < STREAM_SETTINGS.replayLimit) return;
+    range = { $gt: events[events.length - 1]._id };
+  }
+};
+
+const startPolling = () => {
+  if (poller) return;
+  pollingSince = Date.now();
+  isNewPolledEvent = recentEventFilter();
+  poller = setInterval(() => {
+    pollOtherInstances().catch((err) => console.error("Stream poll error:", err.message));
+  }, STREAM_SETTINGS.pollMs);
+  poller.unref();
+};
+
+const stopPolling = () => {
+  clearInterval(poller);
+  poller = null;
+  isNewPolledEvent = null;
+};
+
+/**
+ * Call `listener(event)` for every new event `user` may see, optionally only
+ * those of one booking.
+ * @returns {Function} unsubscribe
+ */
+export const subscribe = (user, listener, { booking } = {}) => {
+  const handler = (event) => {
+    if (booking && event.booking?.toString() !== booking) return;
+    if (canSee(user, event)) listener(event);
+  };
+
+  bus.on("event", handler);
+  startPolling();
+
+  return () => {
+    bus.off("event", handler);
+    if (bus.listenerCount("event") === 0) stopPolling();
+  };
+};
+
+/**
+ * Events after `lastEventId` that `user` may see, oldest first.
+ * `complete` is false when more were missed than STREAM_SETTINGS.replayLimit.
+ *
+ * @returns {Promise<{ events: object[], complete: boolean }>}
+ */
+export const replayEvents = async (user, lastEventId, { booking } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(lastEventId)) {
+    return { events: [], complete: false };
+  }
+
+  const granted = ROLE_PERMISSIONS[user.role] || [];
+  const visible = [{ users: user._id }];
+  if (granted.length) {
+    visible.push({ permission: granted.includes("*") ? { $ne: null } : { $in: granted } });
+  }
+
+  const filter = { _id: { $gt: lastEventId }, $or: visible };
+  if (booking) filter.booking = booking;
+
+  const events = await StreamEvent.find(filter)
+    .sort({ _id: 1 })
+    .limit(STREAM_SETTINGS.replayLimit + 1)
+    .lean();
+
+  return {
+    events: events.slice(0, STREAM_SETTINGS.replayLimit),
+    complete: events.length <= STREAM_SETTINGS.replayLimit,
+  };
+};
+
+/* ---------- Booking and driver events ---------- */
+
+// User account of a driver (drivers log in with the email of their Driver record)
+const driverAccount = async (driver) => {
+  if (!driver?.email) return null;
+  const account = await User.findOne({ email: driver.email }).select("_id").lean();
+  return account?._id || null;
+};
+
+/**
+ * Publish what changed in a saved booking: status, driver assignment, refund.
+ * Goes to the rider, the assigned driver and staff.
+ *
+ * @param {object} booking  BookingPayment document
+ * @param {object} changes  { statusFrom?, driver?: boolean, refund?: boolean }
+ */
+export const publishBookingUpdate = async (booking, changes) => {
+  const driver = booking.driver
+    ? booking.driver.email
+      ? booking.driver
+      : await Driver.findById(booking.driver).select("name mobile email").lean()
+    : null;
+
+  const target = {
+    booking: booking._id,
+    users: [booking.user?._id || booking.user, await driverAccount(driver)],
+    permission: STREAM_STAFF_PERMISSION,
+  };
+  const base = { bookingId: booking._id, bookingCode: booking.bookingCode, status: booking.bookingStatus };
+
+  if (changes.statusFrom !== undefined) {
+    await publishEvent({ ...target, type: "booking.status", data: { ...base, from: changes.statusFrom } });
+  }
+  if (changes.driver && driver) {
+    await publishEvent({
+      ...target,
+      type: "booking.driver-assigned",
+      data: { ...base, driver: { name: driver.name, mobile: driver.mobile } },
+    });
+  }
+  if (changes.refund) {
+    await publishEvent({
+      ...target,
+      type: "booking.refund",
+      data: {
+        ...base,
+        refundStatus: booking.payment.refundStatus,
+        refundedAmount: booking.payment.refundedAmount,
+        refundFailureReason: booking.payment.refundFailureReason,
+      },
+    });
+  }
+};
+
+/**
+ * Publish a driver's position to the riders of their trips in progress
+ * (LOCATION_SHARING_STATUSES) and to staff.
+ *
+ * @param {object} driver    Driver document
+ * @param {object} location  { lat, lng, heading?, speed?, at }
+ * @param {object[]} trips   the driver's bookings in those statuses
+ * @returns {Promise<number>} events published
+ */
+export const publishDriverLocation = async (driver, location, trips) => {
+  const account = await driverAccount(driver);
+
+  await Promise.all(
+    trips.map((trip) =>
+      publishEvent({
+        type: "driver.location",
+        booking: trip._id,
+        users: [trip.user, account],
+        permission: STREAM_STAFF_PERMISSION,
+        data: { bookingId: trip._id, bookingCode: trip.bookingCode, driverId: driver._id, ...location },
+      })
+    )
+  );
+
+  return trips.length;
+};
@@ -0,0 +1,233 @@
+// services/reconciliation.js
+import BookingPayment from "../models/BookingPayment.js";
+import ReconciliationRun from "../models/ReconciliationRun.js";
+import User from "../models/User.js";
+import { createRazorpayGatewayClient } from "./razorpayClient.js";
+import { createBookingFromOrder, applyRefundUpdate, isBookingConflict, refundLostOrder } from "./bookingService.js";
+
+/**
+ * Payment reconciliation against the gateway.
+ *
+ * Compares gateway orders, payments, refunds and disputes in a time window with our
+ * BookingPayment records and stores a ReconciliationRun with every mismatch found.
+ *
+ * Safe cases are healed automatically when autoHeal is on:
+ *   - paid order without a booking       -> booking is created like /verify does
+ *                                           (refunded when the slot is gone)
+ *   - refund finished at the gateway     -> booking refund fields are updated
+ * Everything else (amount differences, uncaptured payments, disputes) is only flagged.
+ */
+
+const DEFAULT_WINDOW_HOURS = 48;
+// The gateway client reconciles Razorpay; bookings of other providers are never matched
+const PROVIDER = "razorpay";
+
+const toRupees = (paise) => paise / 100;
+
+// Booking updates used to heal mismatches (replaced in tests, like the gateway)
+const BOOKING_ACTIONS = { createBookingFromOrder, applyRefundUpdate, refundLostOrder };
+
+export const runReconciliation = async ({
+  gateway = createRazorpayGatewayClient(),
+  actions = BOOKING_ACTIONS,
+  from,
+  to = new Date(),
+  autoHeal = true,
+  triggeredBy = null,
+} = {}) => {
+  const windowTo = new Date(to);
+  const windowFrom = from ? new Date(from) : new Date(windowTo.getTime() - DEFAULT_WINDOW_HOURS * 60 * 60 * 1000);
+
+  const run = await ReconciliationRun.create({
+    window: { from: windowFrom, to: windowTo },
+    autoHeal,
+    triggeredBy,
+  });
+
+  const mismatches = [];
+  const flag = (mismatch) => {
+    mismatches.push(mismatch);
+    return mismatch;
+  };
+
+  try {
+    const window = { from: windowFrom, to: windowTo };
+    const [orders, payments, refunds, disputes] = await Promise.all([
+      gateway.listOrders(window),
+      gateway.listPayments(window),
+      gateway.listRefunds(window),
+      gateway.listDisputes(window),
+    ]);
+
+    // -------------------- Paid orders without a booking --------------------
+    for (const order of orders) {
+      if (order.status !== "paid" || !order.notes?.bookingCode) continue;
+
+      const exists = await BookingPayment.exists({ "payment.provider": PROVIDER, "payment.orderId": order.id });
+      if (exists) continue;
+
+      const orderPayments = await gateway.fetchOrderPayments(order.id);
+      const captured = orderPayments.find((p) => p.status === "captured");
+      if (!captured) continue; // refunded already, nothing to book
+
+      const mismatch = flag({
+        type: "PAID_WITHOUT_BOOKING",
+        severity: "critical",
+        orderId: order.id,
+        paymentId: captured.id,
+        bookingCode: order.notes.bookingCode,
+        details: `Order paid (₹${toRupees(order.amount_paid || order.amount)}) but no booking exists`,
+      });
+
+      if (!autoHeal) continue;
+
+      try {
+        const user = await User.findById(order.notes.userId).select("-password");
+        if (!user) throw new Error("Order user not found");
+
+        const { booking } = await actions.createBookingFromOrder({
+          order,
+          paymentId: captured.id,
+          user,
+          paymentMethod: captured.method,
+        });
+        Object.assign(mismatch, { healed: true, healAction: "booking_created", booking: booking._id });
+      } catch (err) {
+        if (!isBookingConflict(err)) {
+          mismatch.healError = err.message;
+          continue;
+        }
+
+        try {
+          const refund = await actions.refundLostOrder({ order, paymentId: captured.id, reason: err.message });
+          Object.assign(mismatch, { healed: true, healAction: "refunded_lost_slot", refundId: refund?.id });
+        } catch (refundErr) {
+          mismatch.healError = `${err.message} - automatic refund failed: ${refundErr.message}`;
+        }
+      }
+    }
+
+    // -------------------- Paid bookings vs gateway payments --------------------
+    const paymentsById = new Map(payments.map((p) => [p.id, p]));
+    const paidBookings = await BookingPayment.find({
+      "payment.provider": PROVIDER,
+      paymentStatus: "Paid",
+      createdAt: { $gte: windowFrom, $lte: windowTo },
+    });
+
+    for (const booking of paidBookings) {
+      const paymentId = booking.payment.providerPaymentId;
+      const gatewayPayment = paymentsById.get(paymentId) ||
+        (await gateway.fetchPayment(paymentId).catch(() => null));
+      const ref = { orderId: booking.payment.orderId, paymentId, bookingCode: booking.bookingCode, booking: booking._id };
+
+      if (!gatewayPayment) {
+        flag({ ...ref, type: "PAYMENT_NOT_CAPTURED", severity: "critical", details: "Payment not found at gateway" });
+        continue;
+      }
+
+      if (!["captured", "refunded"].includes(gatewayPayment.status)) {
+        flag({
+          ...ref,
+          type: "PAYMENT_NOT_CAPTURED",
+          severity: "critical",
+          details: `Gateway payment status is "${gatewayPayment.status}"`,
+        });
+      }
+
+      if (toRupees(gatewayPayment.amount) !== booking.payment.amount) {
+        flag({
+          ...ref,
+          type: "AMOUNT_MISMATCH",
+          severity: "critical",
+          details: `Gateway ₹${toRupees(gatewayPayment.amount)} vs booking ₹${booking.payment.amount}`,
+        });
+      }
+
+      if (gatewayPayment.amount_refunded > 0 && !booking.payment.isRefunded) {
+        const mismatch = flag({
+          ...ref,
+          type: "BOOKING_PAID_BUT_REFUNDED",
+          severity: "warning",
+          details: `₹${toRupees(gatewayPayment.amount_refunded)} refunded at gateway, booking still marked Paid`,
+        });
+
+        const refund = refunds.find((r) => r.payment_id === paymentId && r.status === "processed");
+        if (autoHeal && refund) {
+          await actions.applyRefundUpdate(booking, refund);
+          Object.assign(mismatch, { healed: true, healAction: "refund_recorded", refundId: refund.id });
+        }
+      }
+    }
+
+    // -------------------- Refund status --------------------
+    for (const refund of refunds) {
+      if (!["processed", "failed"].includes(refund.status)) continue;
+
+      const booking = await BookingPayment.findOne({
+        "payment.provider": PROVIDER,
+        "payment.providerPaymentId": refund.payment_id,
+      });
+      if (!booking) continue;
+
+      const expected = refund.status === "processed" ? "processed" : "failed";
+      const alreadyFlagged = mismatches.some((m) => m.refundId === refund.id);
+      if (booking.payment.refundStatus === expected || alreadyFlagged) continue;
+
+      const mismatch = flag({
+        type: "REFUND_STATUS_MISMATCH",
+        severity: "warning",
+        orderId: booking.payment.orderId,
+        paymentId: refund.payment_id,
+        refundId: refund.id,
+        bookingCode: booking.bookingCode,
+        booking: booking._id,
+        details: `Gateway refund is "${refund.status}", booking has "${booking.payment.refundStatus || "none"}"`,
+      });
+
+      if (autoHeal) {
+        await actions.applyRefundUpdate(booking, refund);
+        Object.assign(mismatch, { healed: true, healAction: `refund_${expected}` });
+      }
+    }
+
+    // -------------------- Disputes --------------------
+    for (const dispute of disputes) {
+      const booking = await BookingPayment.findOne({ "payment.provider": PROVIDER, "payment.providerPaymentId": dispute.payment_id })
+        .select("bookingCode payment.orderId")
+        .lean();
+
+      flag({
+        type: "PAYMENT_DISPUTED",
+        severity: "critical",
+        paymentId: dispute.payment_id,
+        disputeId: dispute.id,
+        orderId: booking?.payment?.orderId,
+        bookingCode: booking?.bookingCode,
+        booking: booking?._id,
+        details: `Dispute "${dispute.reason_code || "unknown"}" for ₹${toRupees(dispute.amount)} (${dispute.status})`,
+      });
+    }
+
+    run.status = "completed";
+    run.summary = {
+      ordersChecked: orders.length,
+      paymentsChecked: payments.length,
+      refundsChecked: refunds.length,
+      disputesChecked: disputes.length,
+      bookingsChecked: paidBookings.length,
+      mismatches: mismatches.length,
+      healed: mismatches.filter((m) => m.healed).length,
+    };
+  } catch (err) {
+    console.error("Reconciliation error:", err);
+    run.status = "failed";
+    run.error = err.message;
+  }
+
+  run.mismatches = mismatches;
+  run.finishedAt = new Date();
+  await run.save();
+
+  return run;
+};
@@ -0,0 +1,112 @@
+// services/reminderSchedule.js
+import { PICKUP_REMINDERS } from "../config/notifications.js";
+
+/**
+ * Pickup reminder schedule kept on the booking (booking.reminders):
+ *
+ *   { kind: "24h", dueAt, status: "scheduled" | "sent" | "cancelled", sentAt, cancelledAt }
+ *
+ * syncReminderSchedule() runs whenever a booking is saved with a new pickup time
+ * or status (BookingPayment pre-save hook): a moved pickup moves the pending
+ * reminders (and re-arms ones already sent for the old time), a booking that is
+ * no longer upcoming has its pending reminders cancelled. The pickup-reminders
+ * job sends what is due. No model imports here, so the model can use it.
+ */
+
+// Statuses that still get reminders
+export const REMINDER_STATUSES = ["Confirmed", "DriverAssigned"];
+
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60 };
+
+// "24h" -> 1440; null when not understood
+export const parseOffset = (value) => {
+  const match = /^(\d+)\s*([mhd])$/i.exec(String(value).trim());
+  return match ? Number(match[1]) * UNIT_MINUTES[match[2].toLowerCase()] : null;
+};
+
+// 1440 -> "24 hours", 90 -> "90 minutes"
+export const formatOffset = (minutes) => {
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? "" : "s"}`;
+  }
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+};
+
+/**
+ * Configured reminders, largest offset first.
+ * @returns {{ kind: string, offsetMinutes: number, audiences: string[] }[]}
+ */
+export const getPickupReminders = () => {
+  const override = process.env.PICKUP_REMINDER_OFFSETS;
+  if (!override) return PICKUP_REMINDERS;
+
+  return override
+    .split(",")
+    .map((kind) => kind.trim().toLowerCase())
+    .filter((kind) => parseOffset(kind))
+    .map((kind) => ({
+      kind,
+      offsetMinutes: parseOffset(kind),
+      audiences: PICKUP_REMINDERS.find((r) => r.kind === kind)?.audiences || ["rider", "driver"],
+    }))
+    .sort((a, b) => b.offsetMinutes - a.offsetMinutes);
+};
+
+const plain = (entry) => (entry.toObject ? entry.toObject() : { ...entry });
+
+const cancelled = (entry, now) => {
+  if (!entry.dueAt) return { ...plain(entry), status: "sent" }; // sent before the schedule existed
+  return entry.status === "scheduled" ? { ...plain(entry), status: "cancelled", cancelledAt: now } : plain(entry);
+};
+
+/**
+ * Bring booking.reminders in line with its pickup time and status.
+ * @returns {boolean} true when the schedule changed
+ */
+export const syncReminderSchedule = (booking, now = new Date()) => {
+  const upcoming =
+    REMINDER_STATUSES.includes(booking.bookingStatus) && booking.startDate && new Date(booking.startDate) > now;
+  const existing = new Map((booking.reminders || []).map((entry) => [entry.kind, entry]));
+  const next = [];
+
+  for (const { kind, offsetMinutes } of getPickupReminders()) {
+    const entry = existing.get(kind);
+    existing.delete(kind);
+
+    if (!upcoming) {
+      if (entry) next.push(cancelled(entry, now));
+      continue;
+    }
+
+    const dueAt = new Date(new Date(booking.startDate).getTime() - offsetMinutes * 60 * 1000);
+
+    // Sent before the schedule existed (no dueAt): keep it as sent
+    if (entry && !entry.dueAt) {
+      next.push({ ...plain(entry), status: "sent" });
+      continue;
+    }
+
+    if (entry && entry.dueAt.getTime() === dueAt.getTime()) {
+      next.push(plain(entry));
+      continue;
+    }
+
+    if (dueAt > now) {
+      next.push({ kind, dueAt, status: "scheduled" });
+    } else if (entry) {
+      next.push(cancelled(entry, now)); // moved too close to the pickup for this one
+    }
+  }
+
+  // Kinds no longer configured
+  for (const entry of existing.values()) {
+    next.push(cancelled(entry, now));
+  }
+
+  const changed = JSON.stringify(next) !== JSON.stringify((booking.reminders || []).map(plain));
+  if (changed) {
+    booking.reminders = next;
+  }
+  return changed;
+};
@@ -0,0 +1,94 @@
+// services/tax.js
+import { getServiceCategory } from "../config/tax.js";
+import { getSupplier } from "../config/invoices.js";
+
+/**
+ * GST and TDS on fares (rules in config/tax.js).
+ *
+ * GST is charged at the rate of the vehicle's service category. A registered
+ * customer (with a GSTIN) is supplied in the state of its GSTIN, anyone else
+ * where the trip is supplied from, i.e. the supplier's state. Supplies within
+ * the supplier's state pay CGST and SGST at half the rate each, supplies to
+ * another state pay IGST.
+ *
+ * Corporate clients with a TDS rate deduct it from the taxable value and pay
+ * the rest: `total` is the value of the supply, `payable` is what is charged.
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const taxLine = (code, label, rate, taxableValue) => ({
+  code,
+  label,
+  rate,
+  unit: "%",
+  amount: round2((taxableValue * rate) / 100),
+});
+
+// GST state code of the place of supply
+export const placeOfSupply = (customer, supplier = getSupplier()) =>
+  customer?.billing?.gstin ? customer.billing.gstin.slice(0, 2) : supplier.stateCode;
+
+const gstLines = (taxableValue, gstPercent, supplyType) => {
+  if (!(gstPercent > 0)) return [];
+  if (supplyType === "inter-state") return [taxLine("igst", "IGST", gstPercent, taxableValue)];
+  return [
+    taxLine("cgst", "CGST", gstPercent / 2, taxableValue),
+    taxLine("sgst", "SGST", gstPercent / 2, taxableValue),
+  ];
+};
+
+/**
+ * Taxes on a taxable value.
+ * @param {object} input  { subtotal, vehicleType, customer } (customer: User with billing, or null)
+ * @returns {{ taxes: object[], taxTotal: number, total: number, tax: object, tds: object|null, payable: number }}
+ */
+export const computeTaxes = ({ subtotal, vehicleType, customer = null }) => {
+  const supplier = getSupplier();
+  const category = getServiceCategory(vehicleType);
+  const pos = placeOfSupply(customer, supplier);
+  const supplyType = pos === supplier.stateCode ? "intra-state" : "inter-state";
+
+  const taxes = gstLines(subtotal, category.gstPercent, supplyType);
+  const taxTotal = round2(taxes.reduce((sum, t) => sum + t.amount, 0));
+  const total = round2(subtotal + taxTotal);
+
+  const tdsPercent = customer?.billing?.tdsPercent || 0;
+  const tds = tdsPercent > 0 ? { rate: tdsPercent, amount: round2((subtotal * tdsPercent) / 100) } : null;
+
+  return {
+    taxes,
+    taxTotal,
+    total,
+    tax: {
+      serviceCategory: category.code,
+      sacCode: category.sacCode,
+      description: category.label,
+      gstPercent: category.gstPercent,
+      placeOfSupply: pos,
+      supplyType,
+      customerGstin: customer?.billing?.gstin || null,
+    },
+    tds,
+    payable: round2(total - (tds?.amount || 0)),
+  };
+};
+
+/**
+ * Split an amount that already includes GST into taxable value and tax lines
+ * (bookings priced before fares were itemised). No TDS: it was not deducted.
+ */
+export const splitInclusiveTax = (amount, { vehicleType, customer = null }) => {
+  const { gstPercent } = getServiceCategory(vehicleType);
+  const subtotal = round2(amount / (1 + gstPercent / 100));
+  const { taxes, tax } = computeTaxes({ subtotal, vehicleType, customer });
+
+  // The last line takes the rounding so the lines add up to the amount
+  const taxTotal = round2(amount - subtotal);
+  if (taxes.length) {
+    const others = taxes.slice(0, -1).reduce((sum, t) => sum + t.amount, 0);
+    taxes[taxes.length - 1].amount = round2(taxTotal - others);
+  }
+
+  return { subtotal, taxes, taxTotal, tax };
+};
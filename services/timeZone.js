@@ -0,0 +1,31 @@
+// services/timeZone.js
+
+// Wall-clock helpers for a named time zone (the app runs on UTC servers but
+// days, schedules and reports follow local time, Asia/Kolkata by default)
+
+// Milliseconds `timeZone` is ahead of UTC at `date`
+export const timeZoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, Number(p.value)])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Local midnight (as a Date) of the day `date` falls on in `timeZone`
+export const startOfDay = (date, timeZone) => {
+  const offset = timeZoneOffset(date, timeZone);
+  const local = new Date(date.getTime() + offset);
+  return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) - offset);
+};
@@ -0,0 +1,143 @@
+// services/tokenService.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Session from "../models/Session.js";
+
+/**
+ * Access / refresh token handling.
+ *
+ * - Access tokens are short-lived JWTs carrying the session id (`sid`).
+ * - Refresh tokens look like `<sessionId>.<secret>`; only a hash of the secret is stored.
+ * - Every refresh rotates the secret. Presenting an old secret revokes the session
+ *   (the token was most likely copied).
+ */
+
+// Read lazily: routes load .env after their imports are evaluated
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || "15m";
+const getRefreshTokenTtlMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const generateSecret = () => crypto.randomBytes(48).toString("hex");
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { _id: user._id, email: user.email, role: user.role, name: user.name, sid: sessionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: getAccessTokenTtl() }
+  );
+
+const getDeviceInfo = (req) => ({
+  deviceName: req.body?.deviceName ? String(req.body.deviceName).trim().slice(0, 100) : undefined,
+  userAgent: req.headers["user-agent"],
+  ip: req.ip,
+});
+
+const buildTokenResponse = (user, session, secret) => ({
+  token: signAccessToken(user, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  tokenType: "Bearer",
+  expiresIn: getAccessTokenTtl(),
+  refreshTokenExpiresAt: session.expiresAt,
+  sessionId: session._id,
+});
+
+/**
+ * Start a new session for a user and return the token pair
+ */
+export const issueTokens = async (user, req) => {
+  const secret = generateSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    ...getDeviceInfo(req),
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+  });
+
+  return buildTokenResponse(user, session, secret);
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Returns { error } when the token is unknown, expired, revoked or reused.
+ * `loadUser(userId)` must resolve to the user document (or null).
+ */
+export const rotateRefreshToken = async (refreshToken, req, loadUser) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+    return { error: "Invalid refresh token" };
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    return { error: "Session expired or revoked. Please login again." };
+  }
+
+  const user = await loadUser(session.user);
+  if (!user) {
+    return { error: "User not found or account has been deleted" };
+  }
+
+  // Swap the secret only if it is still the one presented: of two refreshes with
+  // the same token exactly one wins, the other counts as reuse
+  const newSecret = generateSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashSecret(secret), revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { refreshTokenHash: hashSecret(newSecret), lastUsedAt: new Date(), ...getDeviceInfo(req) } },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "refresh_token_reuse" }
+    );
+    return { error: "Refresh token has already been used. Please login again." };
+  }
+
+  return { user, tokens: buildTokenResponse(user, rotated, newSecret) };
+};
+
+export const listActiveSessions = (userId) =>
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select("-refreshTokenHash")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+/**
+ * Revoke a single session. Returns the session or null if it does not belong to the user.
+ */
+export const revokeSession = (userId, sessionId, reason = "logout") =>
+  Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  ).select("-refreshTokenHash");
+
+/**
+ * Revoke every active session of a user (optionally keeping one)
+ */
+export const revokeAllSessions = async (userId, reason = "logout_all", exceptSessionId = null) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+/**
+ * Used by authMiddleware: is the session behind an access token still valid?
+ */
+export const isSessionActive = async (userId, sessionId) => {
+  if (!sessionId || !/^[a-f0-9]{24}$/i.test(sessionId)) return false;
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("_id")
+    .lean();
+  return Boolean(session);
+};
@@ -0,0 +1,102 @@
+// services/vehicleHolds.js
+import VehicleHold from "../models/VehicleHold.js";
+import { getAvailabilityRules } from "../config/availability.js";
+import { findConflicts } from "./availability.js";
+
+const MINUTE = 60 * 1000;
+
+// Abandoned holds are kept this long after expiry for support queries
+const HOLD_RETENTION_MS = 7 * 24 * 60 * MINUTE;
+
+/**
+ * Reserve a trip window while the customer pays.
+ *
+ * The hold is written first and then checked against the other active holds:
+ * when two checkouts race for the same slot both see each other and only the
+ * older hold (smallest _id) stays, so at most one customer can pay for it.
+ *
+ * @param {object} params
+ * @param {object} params.vehicle      Vehicle document (type picks the rules)
+ * @param {object} params.user
+ * @param {object} params.quote        claimed FareQuote
+ * @param {{ start: Date, end: Date }} params.window  from getTripWindow()
+ * @param {string} params.bookingCode
+ * @param {string} params.provider
+ * @returns {Promise<{ hold } | { status, code, error }>}
+ */
+export const placeHold = async ({ vehicle, user, quote, window, bookingCode, provider }) => {
+  const rules = getAvailabilityRules(vehicle.type);
+  const expiresAt = new Date(Date.now() + rules.checkoutHoldMinutes * MINUTE);
+
+  const hold = await VehicleHold.create({
+    vehicle: vehicle._id,
+    user: user._id,
+    quote: quote?._id,
+    bookingCode,
+    provider,
+    startDate: window.start,
+    blockedUntil: window.end,
+    expiresAt,
+    purgeAt: new Date(expiresAt.getTime() + HOLD_RETENTION_MS),
+  });
+
+  const { holds } = await findConflicts(vehicle._id, window, { vehicleType: vehicle.type, excludeHoldCode: bookingCode });
+  if (holds.some((other) => other._id.toString() < hold._id.toString())) {
+    await VehicleHold.deleteOne({ _id: hold._id });
+    return {
+      status: 409,
+      code: "VEHICLE_HELD",
+      error: "Another customer is booking this vehicle for the selected time. Please try again in a few minutes",
+    };
+  }
+
+  return { hold };
+};
+
+export const attachOrderToHold = (bookingCode, orderId) =>
+  VehicleHold.updateOne({ bookingCode }, { orderId });
+
+// Give the slot back when the payment order could not be created
+export const releaseHold = (bookingCode) =>
+  VehicleHold.updateOne({ bookingCode, status: "active" }, { status: "released" });
+
+// Mark the hold as turned into a booking (inside the booking transaction)
+export const convertHold = (bookingCode, bookingId, { session } = {}) =>
+  VehicleHold.updateOne(
+    { bookingCode },
+    { status: "converted", booking: bookingId, convertedAt: new Date(), $unset: { purgeAt: 1 } },
+    { session }
+  );
+
+/**
+ * Take ownership of refunding a paid order whose slot was lost.
+ * Only the first caller (verify, webhook or reconciliation) gets the hold back;
+ * later callers get null unless that refund failed. The hold is recreated if it
+ * was already purged.
+ */
+export const claimLostHold = async (order, reason) => {
+  const { bookingCode, vehicleId, userId, startDate } = order.notes || {};
+
+  try {
+    return await VehicleHold.findOneAndUpdate(
+      { bookingCode, $or: [{ status: { $ne: "lost" } }, { "refund.error": { $ne: null } }] },
+      {
+        status: "lost",
+        lostReason: reason,
+        orderId: order.id,
+        $unset: { purgeAt: 1, refund: 1 },
+        $setOnInsert: {
+          vehicle: vehicleId,
+          user: userId,
+          startDate: startDate ? new Date(startDate) : new Date(),
+          blockedUntil: new Date(),
+          expiresAt: new Date(),
+        },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    if (err.code === 11000) return null; // already claimed by another caller
+    throw err;
+  }
+};
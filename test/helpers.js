@@ -0,0 +1,135 @@
+// test/helpers.js
+import { once } from "events";
+import express from "express";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+
+/**
+ * Shared test setup. Nothing here talks to MongoDB: model methods the code
+ * under test calls are replaced with node:test mocks.
+ */
+
+process.env.JWT_SECRET ||= "test-secret";
+
+export const objectId = () => new mongoose.Types.ObjectId();
+
+// Express app with the given routers mounted, listening on a free port
+export const startApp = async (mounts) => {
+  const app = express();
+  app.use(express.json());
+  for (const [path, router] of mounts) app.use(path, router);
+
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url: base,
+    request: async (method, path, { token, body } = {}) => {
+      const res = await fetch(`${base}${path}`, {
+        method,
+        headers: {
+          "content-type": "application/json",
+          ...(token && { authorization: `Bearer ${token}` }),
+        },
+        body: body && method !== "GET" ? JSON.stringify(body) : undefined,
+      });
+      return { status: res.status, body: await res.json().catch(() => null) };
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+export const makeUser = (role = "user", fields = {}) =>
+  new User({ name: `Test ${role}`, email: `${role}-${objectId()}@example.com`, password: "x", role, ...fields });
+
+/**
+ * Access token for a user with `role` whose lookups in authMiddleware (user,
+ * session) are mocked to succeed. User.findById also finds the `others`.
+ * Mocks are restored with mock.restoreAll().
+ */
+export const signInAs = (mock, role, { others = [], ...fields } = {}) => {
+  const user = makeUser(role, fields);
+  const sessionId = objectId();
+  const users = [user, ...others];
+
+  mock.method(User, "findById", (id) => queryResult(users.find((u) => u._id.equals(id)) || null));
+  mock.method(Session, "findOne", () => ({ select: () => ({ lean: async () => ({ _id: sessionId }) }) }));
+
+  const token = jwt.sign({ _id: user._id, role, sid: sessionId.toString() }, process.env.JWT_SECRET);
+  return { user, token, sessionId };
+};
+
+// Every route of an express router as { method, path } with path parameters filled in
+export const listRoutes = (router) =>
+  router.stack
+    .filter((layer) => layer.route)
+    .flatMap((layer) =>
+      Object.keys(layer.route.methods).map((method) => ({
+        method: method.toUpperCase(),
+        path: layer.route.path.replace(/:\w+/g, () => objectId().toString()),
+      }))
+    );
+
+/* ---------------- In-memory model queries ---------------- */
+
+const isPlainCondition = (value) =>
+  value !== null && typeof value === "object" && !(value instanceof Date) && !mongoose.isValidObjectId(value);
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value === "object" && mongoose.isValidObjectId(value)) return value.toString();
+  return value;
+};
+
+const getPath = (doc, path) => path.split(".").reduce((value, key) => value?.[key], doc);
+
+const matchesCondition = (value, condition) => {
+  if (condition === null) return value === null || value === undefined;
+  if (!isPlainCondition(condition)) return comparable(value) === comparable(condition);
+
+  return Object.entries(condition).every(([op, arg]) => {
+    const present = value !== null && value !== undefined;
+    switch (op) {
+      case "$lt": return present && comparable(value) < comparable(arg);
+      case "$lte": return present && comparable(value) <= comparable(arg);
+      case "$gt": return present && comparable(value) > comparable(arg);
+      case "$gte": return present && comparable(value) >= comparable(arg);
+      case "$in": return arg.some((item) => matchesCondition(value, item));
+      case "$nin": return !arg.some((item) => matchesCondition(value, item));
+      case "$ne": return !matchesCondition(value, arg);
+      case "$exists": return present === arg;
+      default: throw new Error(`Unsupported query operator ${op}`);
+    }
+  });
+};
+
+// Does a plain document match a MongoDB filter (the operators the services use)
+export const matchesQuery = (doc, query = {}) =>
+  Object.entries(query).every(([key, condition]) => {
+    if (key === "$or") return condition.some((part) => matchesQuery(doc, part));
+    if (key === "$and") return condition.every((part) => matchesQuery(doc, part));
+    return matchesCondition(getPath(doc, key), condition);
+  });
+
+// Chainable stand-in for a mongoose query resolving to `value`
+export const queryResult = (value) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    session: () => query,
+    skip: () => query,
+    limit: () => query,
+    populate: () => query,
+    lean: async () => value,
+    exec: async () => value,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return query;
+};
+
+// Model.find over an in-memory collection; returns the mock (calls are recorded)
+export const mockFind = (mock, Model, docs) =>
+  mock.method(Model, "find", (filter) => queryResult(docs.filter((doc) => matchesQuery(doc, filter))));
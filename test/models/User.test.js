@@ -0,0 +1,46 @@
+// test/models/User.test.js
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { makeUser, matchesQuery, queryResult } from "../helpers.js";
+import User from "../../models/User.js";
+
+describe("User#checkBlocked", () => {
+  afterEach(() => mock.restoreAll());
+
+  const expiredBlock = () =>
+    makeUser("user", { isActive: false, blockReason: "Abuse", blockedUntil: new Date(Date.now() - 1000) });
+
+  // The stored account: what updateOne and findById see
+  const mockStored = (stored) => {
+    mock.method(User, "updateOne", async (filter, update) => {
+      if (!matchesQuery(stored, filter)) return { matchedCount: 0 };
+      Object.assign(stored, update);
+      return { matchedCount: 1 };
+    });
+    mock.method(User, "findById", () => queryResult(stored));
+  };
+
+  it("lifts a temporary block once it has expired", async () => {
+    const user = expiredBlock();
+    const stored = { _id: user._id, isActive: false, blockedUntil: user.blockedUntil };
+    mockStored(stored);
+
+    assert.equal(await user.checkBlocked(), false);
+    assert.equal(user.isActive, true);
+    assert.equal(stored.isActive, true);
+  });
+
+  it("keeps a block placed after the expired one was loaded", async () => {
+    const user = expiredBlock();
+    // blocked again, permanently, since the user was loaded
+    const stored = { _id: user._id, isActive: false, blockedUntil: null };
+    mockStored(stored);
+
+    assert.equal(await user.checkBlocked(), true);
+    assert.equal(stored.isActive, false);
+  });
+
+  it("treats an active account as not blocked", async () => {
+    assert.equal(await makeUser("user").checkBlocked(), false);
+  });
+});
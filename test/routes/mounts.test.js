@@ -0,0 +1,46 @@
+// test/routes/mounts.test.js
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { startApp, signInAs, queryResult } from "../helpers.js";
+import Driver from "../../models/Driver.js";
+import { authMiddleware } from "../../middleware/auth.js";
+import { API_ROUTES } from "../../routes/index.js";
+
+// The routers mounted as server.js mounts them, so one router cannot shadow another
+describe("API mount order", () => {
+  let app;
+
+  before(async () => {
+    app = await startApp(API_ROUTES);
+  });
+
+  after(() => app.close());
+
+  afterEach(() => mock.restoreAll());
+
+  it("reaches the driver list at GET /api/drivers", async () => {
+    const { token } = signInAs(mock, "admin");
+    mock.method(Driver, "find", () => queryResult([]));
+    mock.method(Driver, "countDocuments", async () => 0);
+
+    const { status, body } = await app.request("GET", "/api/drivers", { token });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.drivers, []);
+  });
+
+  it("reaches every authenticated GET / of an /api/<name> mount", async () => {
+    const roots = API_ROUTES.filter(([path]) => path !== "/api").flatMap(([path, router]) =>
+      router.stack
+        .filter((layer) => layer.route?.path === "/" && layer.route.methods.get)
+        .filter((layer) => layer.route.stack.some((handler) => handler.handle === authMiddleware))
+        .map(() => path)
+    );
+    assert.ok(roots.includes("/api/drivers"));
+
+    for (const path of roots) {
+      const { status } = await app.request("GET", path);
+      assert.equal(status, 401, `GET ${path}`);
+    }
+  });
+});
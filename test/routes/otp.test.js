@@ -0,0 +1,78 @@
+// test/routes/otp.test.js
+import { describe, it, before, after, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { startApp, makeUser, queryResult } from "../helpers.js";
+import User from "../../models/User.js";
+import Session from "../../models/Session.js";
+import userRoutes from "../../routes/userRoutes.js";
+import { createMemoryOtpStore, setOtpStore, hashOTP } from "../../services/otpStore.js";
+
+const EMAIL = "rider@example.com";
+
+describe("POST /api/auth/login/verify", () => {
+  let app;
+  let store;
+  let user;
+
+  before(async () => {
+    app = await startApp([["/api/auth", userRoutes]]);
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    setOtpStore(null);
+    await app.close();
+  });
+
+  beforeEach(async () => {
+    mock.restoreAll();
+    user = makeUser("user", { email: EMAIL });
+    store = createMemoryOtpStore();
+    setOtpStore(store);
+    await store.set(EMAIL, {
+      otpHash: hashOTP(EMAIL, "123456"),
+      type: "login",
+      userId: user._id,
+      expiresAt: new Date(Date.now() + 60 * 1000),
+    });
+
+    mock.method(User, "findById", () => queryResult(user));
+    mock.method(User, "findByIdAndUpdate", async () => user);
+    mock.method(user, "save", async () => user);
+    mock.method(Session, "create", async (fields) => ({ _id: user._id, ...fields }));
+  });
+
+  const verify = (otp) => app.request("POST", "/api/auth/login/verify", { body: { email: EMAIL, otp } });
+
+  it("logs in with the right code", async () => {
+    const res = await verify("123456");
+    assert.equal(res.status, 200);
+    assert.ok(res.body.token || res.body.data?.token);
+    assert.equal(await store.get(EMAIL), null);
+  });
+
+  it("accepts the right code on the last attempt", async () => {
+    assert.equal((await verify("000000")).body.message, "Invalid OTP");
+    assert.equal((await verify("000001")).body.message, "Invalid OTP");
+    assert.equal((await verify("123456")).status, 200);
+  });
+
+  it("locks the code after three wrong guesses", async () => {
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await verify("000000")).body.message, "Invalid OTP");
+    }
+    const res = await verify("123456");
+    assert.equal(res.status, 400);
+    assert.match(res.body.message, /Too many failed attempts/);
+    assert.equal(await store.get(EMAIL), null);
+  });
+
+  it("counts parallel guesses against the same limit", async () => {
+    const results = await Promise.all(Array.from({ length: 10 }, () => verify("000000")));
+    const messages = results.map((res) => res.body.message);
+
+    assert.equal(messages.filter((m) => m === "Invalid OTP").length, 3);
+    assert.ok(messages.every((m) => m === "Invalid OTP" || /Too many failed attempts|No OTP found/.test(m)));
+    assert.equal((await verify("123456")).status, 400);
+  });
+});
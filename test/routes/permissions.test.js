@@ -0,0 +1,214 @@
+// test/routes/permissions.test.js
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { startApp, signInAs, listRoutes, makeUser, objectId, queryResult } from "../helpers.js";
+import User from "../../models/User.js";
+import Session from "../../models/Session.js";
+import adminRoutes from "../../routes/admin.js";
+import driverRoutes from "../../routes/driverRoutes.js";
+import { requireRole, requirePermission } from "../../middleware/auth.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+
+// Runs a guard on a fake request and reports what it did
+const runGuard = (guard, user) => {
+  let status = null;
+  let nextCalled = false;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json() {
+      return this;
+    },
+  };
+  guard({ user }, res, () => {
+    nextCalled = true;
+  });
+  return { status, nextCalled };
+};
+
+describe("requireRole", () => {
+  it("lets listed roles through", () => {
+    assert.deepEqual(runGuard(requireRole("admin", "manager"), { role: "manager" }), { status: null, nextCalled: true });
+  });
+
+  it("returns 403 for other roles", () => {
+    assert.deepEqual(runGuard(requireRole("admin"), { role: "user" }), { status: 403, nextCalled: false });
+  });
+
+  it("returns 401 without a user", () => {
+    assert.deepEqual(runGuard(requireRole("admin"), undefined), { status: 401, nextCalled: false });
+  });
+});
+
+describe("requirePermission", () => {
+  it("lets a role with every permission through", () => {
+    const guard = requirePermission(PERMISSIONS.USERS_READ, PERMISSIONS.USERS_BLOCK);
+    assert.equal(runGuard(guard, { role: "moderator" }).nextCalled, true);
+  });
+
+  it("grants everything to admin", () => {
+    assert.equal(runGuard(requirePermission(PERMISSIONS.JOBS_MANAGE), { role: "admin" }).nextCalled, true);
+  });
+
+  it("returns 403 when any permission is missing", () => {
+    const guard = requirePermission(PERMISSIONS.USERS_READ, PERMISSIONS.USERS_DELETE);
+    assert.deepEqual(runGuard(guard, { role: "moderator" }), { status: 403, nextCalled: false });
+  });
+
+  it("returns 403 for unknown roles", () => {
+    assert.equal(runGuard(requirePermission(PERMISSIONS.USERS_READ), { role: "guest" }).status, 403);
+  });
+});
+
+describe("route guards", () => {
+  let app;
+
+  before(async () => {
+    app = await startApp([
+      ["/api/admin", adminRoutes],
+      ["/api/drivers", driverRoutes],
+    ]);
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await app.close();
+  });
+
+  const cases = [
+    ["/api/admin", listRoutes(adminRoutes)],
+    ["/api/drivers", listRoutes(driverRoutes)],
+  ];
+
+  for (const [prefix, routes] of cases) {
+    it(`${prefix}: every route returns 403 for a plain user`, async () => {
+      const { token } = signInAs(mock, "user");
+      for (const { method, path } of routes) {
+        const res = await app.request(method, `${prefix}${path}`, { token, body: {} });
+        assert.equal(res.status, 403, `${method} ${prefix}${path} returned ${res.status}`);
+        assert.equal(res.body.success, false);
+      }
+    });
+
+    it(`${prefix}: every route returns 401 without a token`, async () => {
+      for (const { method, path } of routes) {
+        const res = await app.request(method, `${prefix}${path}`, { body: {} });
+        assert.equal(res.status, 401, `${method} ${prefix}${path} returned ${res.status}`);
+      }
+    });
+  }
+
+  it("a driver cannot reach admin routes", async () => {
+    const { token } = signInAs(mock, "driver");
+    const res = await app.request("GET", "/api/admin/users", { token });
+    assert.equal(res.status, 403);
+    assert.deepEqual(res.body.missingPermissions, [PERMISSIONS.USERS_READ]);
+  });
+
+  it("a moderator cannot delete users", async () => {
+    const { token, user } = signInAs(mock, "moderator");
+    const res = await app.request("DELETE", `/api/admin/users/${user._id}`, { token });
+    assert.equal(res.status, 403);
+  });
+
+  it("a plain user cannot read drivers", async () => {
+    const { token } = signInAs(mock, "user");
+    const res = await app.request("GET", "/api/drivers", { token });
+    assert.equal(res.status, 403);
+    assert.deepEqual(res.body.missingPermissions, [PERMISSIONS.DRIVERS_READ]);
+  });
+});
+
+describe("PATCH /api/admin/users/:id/block", () => {
+  let app;
+
+  before(async () => {
+    app = await startApp([["/api/admin", adminRoutes]]);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  after(async () => {
+    await app.close();
+  });
+
+  const block = async (callerRole, targetRole) => {
+    const target = makeUser(targetRole);
+    const { token } = signInAs(mock, callerRole, { others: [target] });
+    const update = mock.method(User, "findByIdAndUpdate", () => queryResult({ _id: target._id, isActive: false }));
+    mock.method(Session, "updateMany", async () => ({ modifiedCount: 2 }));
+
+    const res = await app.request("PATCH", `/api/admin/users/${target._id}/block`, { token, body: { reason: "Abuse" } });
+    return { res, updated: update.mock.callCount() > 0 };
+  };
+
+  for (const [caller, target] of [["moderator", "admin"], ["moderator", "manager"], ["moderator", "moderator"], ["manager", "admin"], ["admin", "admin"]]) {
+    it(`a ${caller} cannot block a ${target}`, async () => {
+      const { res, updated } = await block(caller, target);
+      assert.equal(res.status, 403);
+      assert.equal(updated, false);
+    });
+  }
+
+  for (const [caller, target] of [["moderator", "user"], ["moderator", "driver"], ["admin", "manager"]]) {
+    it(`a ${caller} can block a ${target}`, async () => {
+      const { res, updated } = await block(caller, target);
+      assert.equal(res.status, 200);
+      assert.equal(updated, true);
+      assert.equal(res.body.revokedSessions, 2);
+    });
+  }
+
+  it("returns 404 for an unknown user", async () => {
+    const { token } = signInAs(mock, "moderator");
+    const res = await app.request("PATCH", `/api/admin/users/${objectId()}/block`, { token, body: { reason: "Abuse" } });
+    assert.equal(res.status, 404);
+  });
+});
+
+describe("PATCH /api/admin/users/:id/unblock", () => {
+  let app;
+
+  before(async () => {
+    app = await startApp([["/api/admin", adminRoutes]]);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  after(async () => {
+    await app.close();
+  });
+
+  const unblock = async (callerRole, targetRole) => {
+    const target = makeUser(targetRole, { isActive: false });
+    const { token } = signInAs(mock, callerRole, { others: [target] });
+    const update = mock.method(User, "findByIdAndUpdate", () => queryResult({ _id: target._id, isActive: true }));
+
+    const res = await app.request("PATCH", `/api/admin/users/${target._id}/unblock`, { token });
+    return { res, updated: update.mock.callCount() > 0 };
+  };
+
+  for (const [caller, target] of [["moderator", "admin"], ["moderator", "manager"], ["moderator", "moderator"], ["manager", "admin"]]) {
+    it(`a ${caller} cannot unblock a ${target}`, async () => {
+      const { res, updated } = await unblock(caller, target);
+      assert.equal(res.status, 403);
+      assert.equal(updated, false);
+    });
+  }
+
+  for (const [caller, target] of [["moderator", "user"], ["admin", "manager"]]) {
+    it(`a ${caller} can unblock a ${target}`, async () => {
+      const { res, updated } = await unblock(caller, target);
+      assert.equal(res.status, 200);
+      assert.equal(updated, true);
+    });
+  }
+
+  it("returns 404 for an unknown user", async () => {
+    const { token } = signInAs(mock, "moderator");
+    const res = await app.request("PATCH", `/api/admin/users/${objectId()}/unblock`, { token });
+    assert.equal(res.status, 404);
+  });
+});
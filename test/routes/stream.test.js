@@ -0,0 +1,90 @@
+// test/routes/stream.test.js
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import { startApp, signInAs } from "../helpers.js";
+import Session from "../../models/Session.js";
+import streamRoutes from "../../routes/streamRoutes.js";
+import { STREAM_SETTINGS } from "../../services/realtime.js";
+
+// Reads the stream until it ends or `done(text)` is true, then disconnects
+const readStream = async (url, token, done = () => false) => {
+  const controller = new AbortController();
+  const res = await fetch(`${url}/api/stream?token=${token}`, { signal: controller.signal });
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+
+  for (;;) {
+    const { value, done: ended } = await reader.read();
+    if (ended) return { status: res.status, text, ended: true };
+    text += decoder.decode(value, { stream: true });
+    if (done(text)) {
+      controller.abort();
+      return { status: res.status, text, ended: false };
+    }
+  }
+};
+
+const revokeSession = () =>
+  mock.method(Session, "findOne", () => ({ select: () => ({ lean: async () => null }) }));
+
+describe("GET /api/stream", () => {
+  let app;
+  const heartbeatMs = STREAM_SETTINGS.heartbeatMs;
+
+  before(async () => {
+    STREAM_SETTINGS.heartbeatMs = 20;
+    app = await startApp([["/api/stream", streamRoutes]]);
+  });
+
+  after(async () => {
+    STREAM_SETTINGS.heartbeatMs = heartbeatMs;
+    await app.close();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("keeps an authorised stream open with heartbeats", async () => {
+    const { token } = signInAs(mock, "user");
+    const { status, text, ended } = await readStream(app.url, token, (t) => t.split(": ping").length > 3);
+
+    assert.equal(status, 200);
+    assert.equal(ended, false);
+    assert.match(text, /event: ready/);
+  });
+
+  it("ends the stream when the session is revoked", async () => {
+    const { token } = signInAs(mock, "user");
+    const { text, ended } = await readStream(app.url, token, (t) => {
+      if (t.includes("event: ready")) revokeSession();
+      return false;
+    });
+
+    assert.equal(ended, true);
+    assert.match(text, /event: end\ndata: .*logged out or revoked/);
+  });
+
+  it("ends the stream when the account is blocked", async () => {
+    const { user, token } = signInAs(mock, "user");
+    const { text, ended } = await readStream(app.url, token, (t) => {
+      if (t.includes("event: ready")) user.isActive = false;
+      return false;
+    });
+
+    assert.equal(ended, true);
+    assert.match(text, /event: end\ndata: .*blocked/);
+  });
+
+  it("ends the stream when the access token expires", async () => {
+    const { user, sessionId } = signInAs(mock, "user");
+    // exp counts from the whole second the token was signed in: 2s leaves at least 1s to connect
+    const token = jwt.sign({ _id: user._id, role: "user", sid: sessionId.toString() }, process.env.JWT_SECRET, {
+      expiresIn: 2,
+    });
+    const { text, ended } = await readStream(app.url, token);
+
+    assert.equal(ended, true);
+    assert.match(text, /event: end\ndata: .*expired/);
+  });
+});
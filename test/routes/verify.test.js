@@ -0,0 +1,52 @@
+// test/routes/verify.test.js
+import { describe, it, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { startApp, signInAs } from "../helpers.js";
+import paymentRoutes from "../../routes/paymentRoutes.js";
+
+describe("POST /api/payments/verify", () => {
+  let app;
+  let saved;
+
+  before(async () => {
+    app = await startApp([["/api/payments", paymentRoutes]]);
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    saved = { providers: process.env.PAYMENT_PROVIDERS, fake: process.env.ALLOW_FAKE_PAYMENTS };
+    process.env.PAYMENT_PROVIDERS = "razorpay";
+    delete process.env.ALLOW_FAKE_PAYMENTS;
+  });
+
+  afterEach(() => {
+    for (const [key, value] of [["PAYMENT_PROVIDERS", saved.providers], ["ALLOW_FAKE_PAYMENTS", saved.fake]]) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    mock.restoreAll();
+  });
+
+  for (const provider of ["cash", "fake", "paypal"]) {
+    it(`rejects ${provider}, which is not enabled`, async () => {
+      const { token } = signInAs(mock, "user");
+      const res = await app.request("POST", "/api/payments/verify", {
+        token,
+        body: { provider, orderId: "order_1", paymentId: "pay_1" },
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, "Payment provider not available");
+      assert.deepEqual(res.body.data.providers, ["razorpay"]);
+    });
+  }
+
+  it("checks razorpay payments, the default, against the signature", async () => {
+    const { token } = signInAs(mock, "user");
+    const res = await app.request("POST", "/api/payments/verify", { token, body: { razorpay_order_id: "order_1" } });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Missing payment details");
+  });
+});
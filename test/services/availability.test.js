@@ -0,0 +1,257 @@
+// test/services/availability.test.js
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { objectId, mockFind } from "../helpers.js";
+import BookingPayment from "../../models/BookingPayment.js";
+import VehicleHold from "../../models/VehicleHold.js";
+import MaintenanceBlock from "../../models/MaintenanceBlock.js";
+import { getTripWindow, windowsOverlap, findConflicts, checkAvailability } from "../../services/availability.js";
+import { DEFAULT_AVAILABILITY_RULES } from "../../config/availability.js";
+
+const NOW = new Date("2026-10-19T06:00:00Z");
+const MINUTE = 60 * 1000;
+const at = (minutesFromNow) => new Date(NOW.getTime() + minutesFromNow * MINUTE);
+const window = (startMinutes, endMinutes) => ({ start: at(startMinutes), end: at(endMinutes) });
+
+const { bufferMinutes: BUFFER, defaultTripMinutes, tripMarginMinutes } = DEFAULT_AVAILABILITY_RULES;
+
+describe("getTripWindow", () => {
+  beforeEach(() => mock.timers.enable({ apis: ["Date"], now: NOW }));
+  afterEach(() => mock.timers.reset());
+
+  it("uses the booked window when there is an end date", () => {
+    const trip = getTripWindow({ startDate: at(60), endDate: at(180), durationSeconds: 600 });
+    assert.deepEqual(trip, { start: at(60), end: at(180), estimated: false });
+  });
+
+  it("estimates a trip without an end date from the route plus the margin", () => {
+    const trip = getTripWindow({ startDate: at(60), endDate: null, durationSeconds: 45 * 60 });
+    assert.deepEqual(trip, { start: at(60), end: at(60 + 45 + tripMarginMinutes), estimated: true });
+  });
+
+  it("counts both legs of a round trip", () => {
+    const trip = getTripWindow({ startDate: at(0), durationSeconds: 45 * 60, isRoundTrip: true });
+    assert.deepEqual(trip.end, at(90 + tripMarginMinutes));
+  });
+
+  it("rounds partial minutes of the estimate up", () => {
+    const trip = getTripWindow({ startDate: at(0), durationSeconds: 61 });
+    assert.deepEqual(trip.end, at(2 + tripMarginMinutes));
+  });
+
+  it("falls back to the default trip length without an estimate", () => {
+    assert.deepEqual(getTripWindow({ startDate: at(0) }).end, at(defaultTripMinutes));
+    assert.deepEqual(getTripWindow({ startDate: at(0), durationSeconds: 0 }).end, at(defaultTripMinutes));
+  });
+
+  it("uses the vehicle type's default trip length", () => {
+    assert.deepEqual(getTripWindow({ startDate: at(0), vehicleType: "Truck" }).end, at(240));
+  });
+
+  it("starts an immediate pickup now", () => {
+    const trip = getTripWindow({ startDate: null, endDate: null, durationSeconds: 600 });
+    assert.deepEqual(trip.start, NOW);
+    assert.deepEqual(trip.end, at(10 + tripMarginMinutes));
+  });
+});
+
+describe("windowsOverlap", () => {
+  it("treats windows as half-open: back-to-back trips do not overlap", () => {
+    assert.equal(windowsOverlap(window(0, 60), window(60, 120)), false);
+    assert.equal(windowsOverlap(window(60, 120), window(0, 60)), false);
+  });
+
+  it("keeps the buffer between back-to-back trips", () => {
+    assert.equal(windowsOverlap(window(0, 60), window(60, 120), 30), true);
+    assert.equal(windowsOverlap(window(0, 60), window(89, 120), 30), true);
+    assert.equal(windowsOverlap(window(0, 60), window(90, 120), 30), false);
+    assert.equal(windowsOverlap(window(90, 120), window(0, 60), 30), false);
+  });
+
+  it("detects containment and partial overlap", () => {
+    assert.equal(windowsOverlap(window(0, 120), window(30, 60)), true);
+    assert.equal(windowsOverlap(window(0, 60), window(59, 120)), true);
+  });
+
+  it("accepts date strings", () => {
+    const a = { start: at(0).toISOString(), end: at(60).toISOString() };
+    assert.equal(windowsOverlap(a, window(30, 90)), true);
+  });
+});
+
+describe("findConflicts", () => {
+  const vehicle = objectId();
+  let bookings;
+  let holds;
+  let maintenance;
+
+  const booking = (fields) => ({
+    _id: objectId(),
+    vehicle,
+    bookingCode: `BK${bookings.length + 1}`,
+    bookingStatus: "Confirmed",
+    endDate: null,
+    blockedUntil: null,
+    ...fields,
+  });
+  const hold = (fields) => ({
+    _id: objectId(),
+    vehicle,
+    bookingCode: `HOLD${holds.length + 1}`,
+    status: "active",
+    expiresAt: at(15),
+    ...fields,
+  });
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ["Date"], now: NOW });
+    bookings = [];
+    holds = [];
+    maintenance = [];
+    mockFind(mock, BookingPayment, bookings);
+    mockFind(mock, VehicleHold, holds);
+    mockFind(mock, MaintenanceBlock, maintenance);
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  const codes = (conflicts) => ({
+    bookings: conflicts.bookings.map((b) => b.bookingCode),
+    holds: conflicts.holds.map((h) => h.bookingCode),
+    maintenance: conflicts.maintenance.length,
+  });
+
+  describe("back-to-back trips", () => {
+    beforeEach(() => {
+      bookings.push(booking({ startDate: at(60), endDate: at(180), blockedUntil: at(180) }));
+    });
+
+    it("allows a trip starting exactly one buffer after the previous one ends", async () => {
+      const conflicts = await findConflicts(vehicle, window(180 + BUFFER, 300));
+      assert.deepEqual(codes(conflicts).bookings, []);
+    });
+
+    it("rejects a trip starting inside the buffer", async () => {
+      const conflicts = await findConflicts(vehicle, window(180 + BUFFER - 1, 300));
+      assert.deepEqual(codes(conflicts).bookings, ["BK1"]);
+    });
+
+    it("rejects a trip ending inside the buffer before the next one", async () => {
+      assert.deepEqual(codes(await findConflicts(vehicle, window(0, 60 - BUFFER + 1))).bookings, ["BK1"]);
+      assert.deepEqual(codes(await findConflicts(vehicle, window(0, 60 - BUFFER))).bookings, []);
+    });
+
+    it("uses the vehicle type's buffer", async () => {
+      // bikes keep 10 minutes, trucks 60
+      assert.deepEqual(codes(await findConflicts(vehicle, window(190, 300), { vehicleType: "bike" })).bookings, []);
+      assert.deepEqual(codes(await findConflicts(vehicle, window(230, 300), { vehicleType: "truck" })).bookings, ["BK1"]);
+    });
+
+    it("lets the caller override the buffer", async () => {
+      assert.deepEqual(codes(await findConflicts(vehicle, window(180, 300), { bufferMinutes: 0 })).bookings, []);
+    });
+
+    it("ignores cancelled and completed bookings", async () => {
+      bookings[0].bookingStatus = "Cancelled";
+      bookings.push(booking({ startDate: at(60), endDate: at(180), blockedUntil: at(180), bookingStatus: "Completed" }));
+      assert.deepEqual(codes(await findConflicts(vehicle, window(90, 120))).bookings, []);
+    });
+
+    it("ignores the booking being re-checked", async () => {
+      const conflicts = await findConflicts(vehicle, window(90, 120), { excludeBookingId: bookings[0]._id });
+      assert.deepEqual(codes(conflicts).bookings, []);
+    });
+
+    it("ignores other vehicles", async () => {
+      assert.deepEqual(codes(await findConflicts(objectId(), window(90, 120))).bookings, []);
+    });
+  });
+
+  describe("trips without an end date", () => {
+    it("holds an immediate booking until its estimated end", async () => {
+      bookings.push(booking({ bookingType: "immediate", startDate: at(0), endDate: null, blockedUntil: at(75) }));
+      assert.deepEqual(codes(await findConflicts(vehicle, window(75 + BUFFER - 1, 200))).bookings, ["BK1"]);
+      assert.deepEqual(codes(await findConflicts(vehicle, window(75 + BUFFER, 200))).bookings, []);
+    });
+
+    it("holds an old booking without end date or blockedUntil for the default trip length", async () => {
+      bookings.push(booking({ startDate: at(60), endDate: null, blockedUntil: null }));
+      const end = 60 + defaultTripMinutes;
+      assert.deepEqual(codes(await findConflicts(vehicle, window(end + BUFFER - 1, 400))).bookings, ["BK1"]);
+      assert.deepEqual(codes(await findConflicts(vehicle, window(end + BUFFER, 400))).bookings, []);
+    });
+
+    it("keeps a trip under way blocking past its estimate for a pickup now", async () => {
+      bookings.push(booking({ startDate: at(-300), blockedUntil: at(-120), bookingStatus: "InProgress" }));
+      const trip = getTripWindow({ startDate: null, durationSeconds: 600 });
+      assert.deepEqual(codes(await findConflicts(vehicle, trip)).bookings, ["BK1"]);
+    });
+
+    it("does not let a trip under way block tomorrow", async () => {
+      bookings.push(booking({ startDate: at(-300), blockedUntil: at(-120), bookingStatus: "InProgress" }));
+      assert.deepEqual(codes(await findConflicts(vehicle, window(24 * 60, 25 * 60))).bookings, []);
+    });
+  });
+
+  describe("maintenance blocks", () => {
+    beforeEach(() => {
+      maintenance.push({ _id: objectId(), vehicle, startDate: at(120), endDate: at(240), reason: "Service" });
+    });
+
+    it("blocks an overlapping trip", async () => {
+      assert.equal(codes(await findConflicts(vehicle, window(200, 300))).maintenance, 1);
+    });
+
+    it("keeps no buffer around maintenance", async () => {
+      assert.equal(codes(await findConflicts(vehicle, window(240, 300))).maintenance, 0);
+      assert.equal(codes(await findConflicts(vehicle, window(0, 120))).maintenance, 0);
+    });
+
+    it("is reported before booking conflicts", async () => {
+      bookings.push(booking({ startDate: at(200), endDate: at(260), blockedUntil: at(260) }));
+      const result = await checkAvailability(vehicle, window(200, 300));
+      assert.equal(result.available, false);
+      assert.match(result.reason, /maintenance/);
+      assert.equal(result.conflicts.bookings.length, 1);
+    });
+  });
+
+  describe("checkout holds", () => {
+    it("blocks the window while the hold is active", async () => {
+      holds.push(hold({ startDate: at(60), blockedUntil: at(180) }));
+      const result = await checkAvailability(vehicle, window(100, 200));
+      assert.equal(result.available, false);
+      assert.deepEqual(codes(result.conflicts).holds, ["HOLD1"]);
+    });
+
+    it("stops blocking at the moment the hold expires", async () => {
+      holds.push(hold({ startDate: at(60), blockedUntil: at(180), expiresAt: NOW }));
+      assert.deepEqual(await checkAvailability(vehicle, window(100, 200)), { available: true, window: window(100, 200) });
+    });
+
+    it("still blocks one millisecond before expiry", async () => {
+      holds.push(hold({ startDate: at(60), blockedUntil: at(180), expiresAt: new Date(NOW.getTime() + 1) }));
+      assert.deepEqual(codes(await findConflicts(vehicle, window(100, 200))).holds, ["HOLD1"]);
+    });
+
+    it("applies the buffer to holds like bookings", async () => {
+      holds.push(hold({ startDate: at(60), blockedUntil: at(180) }));
+      assert.deepEqual(codes(await findConflicts(vehicle, window(180 + BUFFER - 1, 300))).holds, ["HOLD1"]);
+      assert.deepEqual(codes(await findConflicts(vehicle, window(180 + BUFFER, 300))).holds, []);
+    });
+
+    it("ignores released holds and the caller's own hold", async () => {
+      holds.push(hold({ startDate: at(60), blockedUntil: at(180), status: "released" }));
+      holds.push(hold({ startDate: at(60), blockedUntil: at(180) }));
+      assert.deepEqual(codes(await findConflicts(vehicle, window(100, 200), { excludeHoldCode: "HOLD2" })).holds, []);
+    });
+  });
+
+  it("reports a free vehicle", async () => {
+    bookings.push(booking({ startDate: at(600), endDate: at(700), blockedUntil: at(700) }));
+    assert.deepEqual(await checkAvailability(vehicle, window(60, 120)), { available: true, window: window(60, 120) });
+  });
+});
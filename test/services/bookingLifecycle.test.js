@@ -0,0 +1,42 @@
+// test/services/bookingLifecycle.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { objectId } from "../helpers.js";
+import Vehicle from "../../models/Vehicle.js";
+import { releaseVehicle } from "../../services/bookingLifecycle.js";
+
+describe("releaseVehicle", () => {
+  const bookedVehicle = (userId) => {
+    const vehicle = new Vehicle({
+      name: "Dzire",
+      brand: "Maruti",
+      type: "sedan",
+      isAvailable: false,
+      available: false,
+      isBooked: true,
+      bookedBy: userId,
+      bookedByName: "Customer",
+    });
+    vehicle.save = async () => vehicle;
+    return vehicle;
+  };
+
+  it("makes the vehicle available again under both flags", async () => {
+    const user = objectId();
+    const vehicle = bookedVehicle(user);
+
+    assert.equal(await releaseVehicle({ vehicle, user }), true);
+    assert.equal(vehicle.isAvailable, true);
+    assert.equal(vehicle.available, true);
+    assert.equal(vehicle.isBooked, false);
+    assert.equal(vehicle.bookedBy, null);
+  });
+
+  it("leaves a vehicle booked by someone else alone", async () => {
+    const vehicle = bookedVehicle(objectId());
+
+    assert.equal(await releaseVehicle({ vehicle, user: objectId() }), false);
+    assert.equal(vehicle.available, false);
+    assert.equal(vehicle.isBooked, true);
+  });
+});
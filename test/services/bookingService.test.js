@@ -0,0 +1,206 @@
+// test/services/bookingService.test.js
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { objectId, makeUser, matchesQuery } from "../helpers.js";
+import BookingPayment from "../../models/BookingPayment.js";
+import LedgerEntry from "../../models/LedgerEntry.js";
+import Vehicle from "../../models/Vehicle.js";
+import { setPaymentProvider } from "../../services/paymentProviders/index.js";
+import { cancelBooking, refundBooking, isBookingConflict } from "../../services/bookingService.js";
+
+const admin = makeUser("admin");
+
+// LedgerEntry writes and the balance aggregation over an in-memory ledger
+const mockLedger = (mock, entries) => {
+  mock.method(LedgerEntry, "findOneAndUpdate", async (filter, update) => {
+    const entry = { ...update.$setOnInsert, ...update.$set };
+    entries.push(entry);
+    return entry;
+  });
+  mock.method(LedgerEntry, "aggregate", async () => {
+    const groups = new Map();
+    for (const { type, direction, status = "succeeded", amount, currency } of entries) {
+      const key = `${type}:${direction}:${status}`;
+      const group = groups.get(key) || { _id: { type, direction, status }, total: 0, currency };
+      group.total += amount;
+      groups.set(key, group);
+    }
+    return [...groups.values()];
+  });
+};
+
+const chargeOf = (amount) => ({ type: "charge", direction: "in", status: "succeeded", amount, currency: "INR" });
+
+describe("cancelBooking", () => {
+  let stored;
+  let provider;
+
+  // A separately loaded copy of the stored booking, as each request has its own
+  const loadBooking = () =>
+    new BookingPayment({
+      _id: stored._id,
+      vehicle: objectId(),
+      user: objectId(),
+      bookingCode: "BK1",
+      totalPrice: 500,
+      bookingStatus: stored.bookingStatus,
+      paymentStatus: "Paid",
+      payment: { provider: "razorpay", orderId: "order_1", providerPaymentId: "pay_1", amount: 500, status: "paid" },
+    });
+
+  beforeEach(() => {
+    stored = { _id: objectId(), bookingStatus: "Confirmed" };
+    provider = {
+      refund: mock.fn(async ({ amount }) => {
+        await new Promise((resolve) => setImmediate(resolve));
+        return { id: `rfnd_${provider.refund.mock.callCount()}`, amount, status: "pending" };
+      }),
+    };
+    setPaymentProvider("razorpay", provider);
+
+    mock.method(BookingPayment, "findOneAndUpdate", async (filter, update) => {
+      await new Promise((resolve) => setImmediate(resolve));
+      if (!matchesQuery(stored, filter)) return null;
+      Object.assign(stored, update.$set);
+      return { _id: stored._id };
+    });
+    mock.method(BookingPayment, "updateOne", async (filter, update) => {
+      if (matchesQuery(stored, filter)) Object.assign(stored, update.$set);
+      return {};
+    });
+    mock.method(BookingPayment.prototype, "save", async function () {
+      return this;
+    });
+    mockLedger(mock, [chargeOf(500)]);
+    mock.method(Vehicle, "findById", async () => null);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("refunds and cancels the booking", async () => {
+    const booking = loadBooking();
+    const refund = await cancelBooking(booking, { cancelledBy: admin, reason: "Plans changed", refundAmount: 200 });
+
+    assert.equal(refund.amount, 20000);
+    assert.equal(provider.refund.mock.callCount(), 1);
+    assert.equal(booking.bookingStatus, "Cancelled");
+    assert.equal(booking.cancellation.refundAmount, 200);
+    assert.equal(stored.bookingStatus, "Cancelled");
+  });
+
+  it("refunds only once when two cancels race", async () => {
+    const results = await Promise.allSettled([
+      cancelBooking(loadBooking(), { cancelledBy: admin, reason: "First", refundAmount: 200 }),
+      cancelBooking(loadBooking(), { cancelledBy: admin, reason: "Second", refundAmount: 200 }),
+    ]);
+
+    assert.equal(provider.refund.mock.callCount(), 1);
+    assert.equal(results.filter((r) => r.status === "fulfilled").length, 1);
+    const rejected = results.find((r) => r.status === "rejected");
+    assert.ok(isBookingConflict(rejected.reason));
+  });
+
+  it("hands the status back when the refund fails", async () => {
+    provider.refund = mock.fn(async () => {
+      throw new Error("Gateway unavailable");
+    });
+    const booking = loadBooking();
+
+    await assert.rejects(
+      cancelBooking(booking, { cancelledBy: admin, reason: "Plans changed", refundAmount: 200 }),
+      /Gateway unavailable/
+    );
+    assert.equal(stored.bookingStatus, "Confirmed");
+    assert.equal(booking.bookingStatus, "Confirmed");
+
+    // and can be cancelled again
+    provider.refund = mock.fn(async ({ amount }) => ({ id: "rfnd_retry", amount, status: "pending" }));
+    await cancelBooking(loadBooking(), { cancelledBy: admin, reason: "Plans changed", refundAmount: 200 });
+    assert.equal(stored.bookingStatus, "Cancelled");
+  });
+
+  it("does not cancel a booking that already moved on", async () => {
+    const booking = loadBooking();
+    stored.bookingStatus = "Cancelled";
+
+    await assert.rejects(cancelBooking(booking, { cancelledBy: admin, reason: "Late", refundAmount: 200 }), isBookingConflict);
+    assert.equal(provider.refund.mock.callCount(), 0);
+  });
+});
+
+describe("refundBooking", () => {
+  let stored;
+  let ledger;
+  let provider;
+
+  const loadBooking = () =>
+    new BookingPayment({
+      _id: stored._id,
+      vehicle: objectId(),
+      user: objectId(),
+      bookingCode: "BK2",
+      totalPrice: 500,
+      bookingStatus: "Completed",
+      paymentStatus: "Paid",
+      payment: { provider: "razorpay", orderId: "order_2", providerPaymentId: "pay_2", amount: 500, status: "paid" },
+    });
+
+  beforeEach(() => {
+    stored = { _id: objectId(), payment: {} };
+    ledger = [chargeOf(500)];
+    provider = {
+      refund: mock.fn(async ({ amount }) => {
+        await new Promise((resolve) => setImmediate(resolve));
+        return { id: `rfnd_${provider.refund.mock.callCount()}`, amount, status: "pending" };
+      }),
+    };
+    setPaymentProvider("razorpay", provider);
+
+    // Only the refund lock is stored: payment.refundLockedUntil
+    mock.method(BookingPayment, "findOneAndUpdate", async (filter, update) => {
+      await new Promise((resolve) => setImmediate(resolve));
+      if (!matchesQuery(stored, filter)) return null;
+      stored.payment.refundLockedUntil = update.$set["payment.refundLockedUntil"];
+      return { _id: stored._id };
+    });
+    mock.method(BookingPayment, "updateOne", async (filter) => {
+      if (matchesQuery(stored, filter)) delete stored.payment.refundLockedUntil;
+      return {};
+    });
+    mockLedger(mock, ledger);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("refunds at most what was paid when two refunds race", async () => {
+    const results = await Promise.allSettled([
+      refundBooking(loadBooking(), { amount: 400, reason: "Goodwill", createdBy: admin, kind: "goodwill" }),
+      refundBooking(loadBooking(), { amount: 400, reason: "Goodwill", createdBy: admin, kind: "goodwill" }),
+    ]);
+
+    assert.equal(provider.refund.mock.callCount(), 1);
+    assert.equal(results.filter((r) => r.status === "fulfilled").length, 1);
+    assert.ok(isBookingConflict(results.find((r) => r.status === "rejected").reason));
+    assert.equal(stored.payment.refundLockedUntil, undefined);
+  });
+
+  it("checks later refunds against the ledger", async () => {
+    await refundBooking(loadBooking(), { amount: 400, reason: "Partial", createdBy: admin, kind: "partial" });
+
+    await assert.rejects(
+      refundBooking(loadBooking(), { amount: 200, reason: "Partial", createdBy: admin, kind: "partial" }),
+      /at most 100/
+    );
+    await refundBooking(loadBooking(), { amount: 100, reason: "Rest", createdBy: admin, kind: "partial" });
+    assert.equal(provider.refund.mock.callCount(), 2);
+  });
+
+  it("releases the lock when the gateway fails", async () => {
+    provider.refund = mock.fn(async () => {
+      throw new Error("Gateway unavailable");
+    });
+
+    await assert.rejects(refundBooking(loadBooking(), { amount: 100, reason: "Partial", createdBy: admin }), /Gateway/);
+    assert.equal(stored.payment.refundLockedUntil, undefined);
+  });
+});
@@ -0,0 +1,53 @@
+// test/services/emailTransports.test.js
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTransportFromEnv } from "../../services/email/transports.js";
+
+const EMAIL_ENV = ["NODE_ENV", "EMAIL_TRANSPORT", "SMTP_HOST", "SMTP_USER", "SMTP_PASS", "EMAIL_USER", "EMAIL_PASS"];
+
+describe("createTransportFromEnv", () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(EMAIL_ENV.map((key) => [key, process.env[key]]));
+    for (const key of EMAIL_ENV) delete process.env[key];
+  });
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it("falls back to the console outside production", () => {
+    const transport = createTransportFromEnv();
+    assert.equal(typeof transport.sendMail, "function");
+    assert.equal(transport.transporter, undefined); // not a nodemailer SMTP transport
+  });
+
+  it("refuses to start in production without SMTP", () => {
+    process.env.NODE_ENV = "production";
+    assert.throws(() => createTransportFromEnv(), /production requires SMTP/);
+
+    process.env.EMAIL_USER = "mailer@example.com"; // no password
+    assert.throws(() => createTransportFromEnv(), /production requires SMTP/);
+  });
+
+  it("refuses console and file transports in production", () => {
+    process.env.NODE_ENV = "production";
+    process.env.SMTP_HOST = "smtp.example.com";
+    for (const name of ["console", "file"]) {
+      process.env.EMAIL_TRANSPORT = name;
+      assert.throws(() => createTransportFromEnv(), /production requires SMTP/);
+    }
+  });
+
+  it("uses SMTP in production when it is configured", () => {
+    process.env.NODE_ENV = "production";
+    process.env.SMTP_HOST = "smtp.example.com";
+    const transport = createTransportFromEnv();
+    assert.equal(transport.transporter.name, "SMTP (pool)");
+    transport.close();
+  });
+});
@@ -0,0 +1,138 @@
+// test/services/invoices.test.js
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { objectId, matchesQuery, mockFind, queryResult } from "../helpers.js";
+import BookingPayment from "../../models/BookingPayment.js";
+import Counter from "../../models/Counter.js";
+import Invoice from "../../models/Invoice.js";
+import LedgerEntry from "../../models/LedgerEntry.js";
+import { issueInvoice, issueCreditNotes, financialYear } from "../../services/invoices/index.js";
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("invoice numbering", () => {
+  let invoices;
+  let refunds;
+  let booking;
+  const fy = financialYear().slice(2);
+
+  // Unique indexes of models/Invoice.js: one invoice per booking, one credit note per refund
+  const duplicateOf = (fields) =>
+    invoices.find(
+      (doc) =>
+        (fields.type === "invoice" && doc.type === "invoice" && doc.booking.equals(fields.booking)) ||
+        (fields.refundRef && doc.refundRef === fields.refundRef)
+    );
+
+  beforeEach(() => {
+    invoices = [];
+    refunds = [];
+    booking = {
+      _id: objectId(),
+      bookingCode: "BK1",
+      payment: { status: "paid", amount: 1050, currency: "INR", provider: "razorpay", providerPaymentId: "pay_1" },
+      user: { _id: objectId(), name: "Customer", email: "customer@example.com" },
+      vehicle: { type: "sedan", name: "Dzire" },
+      createdAt: new Date(),
+    };
+
+    let seq = 0;
+    mock.method(Counter, "next", async () => {
+      await tick();
+      return ++seq;
+    });
+    mock.method(BookingPayment, "findById", () => queryResult(booking));
+    mock.method(Invoice, "findOne", (filter) => {
+      const doc = invoices.find((d) => matchesQuery(d, filter));
+      return queryResult(doc ? { ...doc } : null);
+    });
+    mock.method(Invoice, "create", async (fields) => {
+      await tick();
+      if (duplicateOf(fields)) {
+        throw Object.assign(new Error("E11000 duplicate key"), { code: 11000, keyPattern: { booking: 1 } });
+      }
+      const doc = { _id: objectId(), number: null, ...fields };
+      invoices.push(doc);
+      return { toObject: () => ({ ...doc }) };
+    });
+    mock.method(Invoice, "findOneAndUpdate", (filter, update) => ({
+      lean: async () => {
+        await tick();
+        const doc = invoices.find((d) => matchesQuery(d, filter));
+        if (!doc) return null;
+        Object.assign(doc, update.$set);
+        for (const key of Object.keys(update.$unset || {})) delete doc[key];
+        return { ...doc };
+      },
+    }));
+    mockFind(mock, Invoice, invoices);
+    mockFind(mock, LedgerEntry, refunds);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const draft = (fields) => {
+    const doc = {
+      _id: objectId(),
+      type: "invoice",
+      booking: booking._id,
+      number: null,
+      financialYear: financialYear(),
+      issuedAt: new Date(),
+      total: 1050,
+      taxes: [],
+      ...fields,
+    };
+    invoices.push(doc);
+    return doc;
+  };
+
+  it("takes one number when the same invoice is issued concurrently", async () => {
+    const results = await Promise.all([issueInvoice(booking._id), issueInvoice(booking._id)]);
+
+    assert.equal(Counter.next.mock.callCount(), 1);
+    assert.equal(invoices.length, 1);
+    assert.equal(invoices[0].number, `INV/${fy}/00001`);
+    assert.equal(invoices[0].numberingUntil, undefined);
+    for (const result of results) {
+      assert.ok(result.invoice?.number === `INV/${fy}/00001` || result.status === 409);
+    }
+
+    const { invoice } = await issueInvoice(booking._id);
+    assert.equal(invoice.number, `INV/${fy}/00001`);
+    assert.equal(Counter.next.mock.callCount(), 1);
+  });
+
+  it("leaves an invoice being numbered to the call that claimed it", async () => {
+    draft({ numberingUntil: new Date(Date.now() + 10000) });
+
+    const result = await issueInvoice(booking._id);
+
+    assert.equal(result.status, 409);
+    assert.equal(Counter.next.mock.callCount(), 0);
+  });
+
+  it("numbers an invoice whose claim has run out", async () => {
+    const doc = draft({ numberingUntil: new Date(Date.now() - 1000) });
+
+    const { invoice } = await issueInvoice(booking._id);
+
+    assert.ok(invoice._id.equals(doc._id));
+    assert.equal(invoice.number, `INV/${fy}/00001`);
+    assert.equal(Counter.next.mock.callCount(), 1);
+  });
+
+  it("takes one number per refund when credit notes are issued concurrently", async () => {
+    draft({ number: `INV/${fy}/00007` });
+    refunds.push(
+      { _id: objectId(), booking: booking._id, type: "refund", status: "succeeded", amount: 100, providerRef: "rfnd_1" },
+      { _id: objectId(), booking: booking._id, type: "refund", status: "succeeded", amount: 50, providerRef: "rfnd_2" }
+    );
+
+    await Promise.all([issueCreditNotes(booking._id), issueCreditNotes(booking._id)]);
+
+    const creditNotes = invoices.filter((doc) => doc.type === "credit-note");
+    assert.equal(Counter.next.mock.callCount(), 2);
+    assert.deepEqual(creditNotes.map((doc) => doc.number).sort(), [`CN/${fy}/00001`, `CN/${fy}/00002`]);
+  });
+});
@@ -0,0 +1,84 @@
+// test/services/notifications.test.js
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { objectId, matchesQuery } from "../helpers.js";
+import Notification from "../../models/Notification.js";
+import { CHANNELS } from "../../services/notifications/channels.js";
+import { processOutbox, OUTBOX_SETTINGS } from "../../services/notifications/index.js";
+
+describe("processOutbox", () => {
+  let stored;
+
+  // Another worker claims the message once the lock of the first attempt ran out
+  const takeOver = () => {
+    stored.status = "sending";
+    stored.lockedUntil = new Date(Date.now() + OUTBOX_SETTINGS.lockMs + 1000);
+    stored.attempts += 1;
+  };
+
+  beforeEach(() => {
+    stored = {
+      _id: objectId(),
+      channel: "email",
+      template: "booking.confirmation",
+      to: "customer@example.com",
+      data: {},
+      status: "queued",
+      attempts: 0,
+      maxAttempts: 6,
+      nextAttemptAt: new Date(Date.now() - 1000),
+      fallback: [],
+    };
+
+    mock.method(Notification, "findOneAndUpdate", async (filter, update) => {
+      if (!matchesQuery(stored, filter)) return null;
+      Object.assign(stored, update.$set);
+      stored.attempts += update.$inc.attempts;
+      return { ...stored };
+    });
+    mock.method(Notification, "updateOne", async (filter, update) => {
+      if (!matchesQuery(stored, filter)) return { matchedCount: 0 };
+      Object.assign(stored, update.$set);
+      for (const key of Object.keys(update.$unset || {})) delete stored[key];
+      return { matchedCount: 1 };
+    });
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("marks the message sent", async () => {
+    mock.method(CHANNELS.email, "send", async () => ({ messageId: "msg_1" }));
+
+    assert.deepEqual(await processOutbox({ limit: 1 }), { sent: 1, failed: 0, dead: 0 });
+    assert.equal(stored.status, "sent");
+    assert.equal(stored.messageId, "msg_1");
+    assert.equal(stored.lockedUntil, undefined);
+  });
+
+  it("leaves a message taken over by another attempt to that attempt", async () => {
+    mock.method(CHANNELS.email, "send", async () => {
+      takeOver();
+      return { messageId: "msg_late" };
+    });
+
+    await processOutbox({ limit: 1 });
+
+    assert.equal(stored.status, "sending");
+    assert.equal(stored.messageId, undefined);
+    assert.ok(stored.lockedUntil);
+  });
+
+  it("does not record a failure over an attempt that took the message over", async () => {
+    mock.method(CHANNELS.email, "send", async () => {
+      takeOver();
+      throw new Error("SMTP timeout");
+    });
+
+    await processOutbox({ limit: 1 });
+
+    assert.equal(stored.status, "sending");
+    assert.equal(stored.lastError, undefined);
+  });
+});
@@ -0,0 +1,98 @@
+// test/services/otpStore.test.js
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { queryResult } from "../helpers.js";
+import Otp from "../../models/Otp.js";
+import { createMemoryOtpStore, createMongoOtpStore, hashOTP, compareOTP } from "../../services/otpStore.js";
+
+const EMAIL = "rider@example.com";
+const record = (fields = {}) => ({
+  otpHash: hashOTP(EMAIL, "123456"),
+  type: "login",
+  expiresAt: new Date(Date.now() + 60 * 1000),
+  ...fields,
+});
+
+describe("hashOTP / compareOTP", () => {
+  it("matches the code for the same email only", () => {
+    const otpHash = hashOTP(EMAIL, "123456");
+    assert.equal(compareOTP(EMAIL, "123456", otpHash), true);
+    assert.equal(compareOTP(EMAIL, 123456, otpHash), true);
+    assert.equal(compareOTP(EMAIL, "654321", otpHash), false);
+    assert.equal(compareOTP("other@example.com", "123456", otpHash), false);
+  });
+
+  it("rejects missing values", () => {
+    assert.equal(compareOTP(EMAIL, "", hashOTP(EMAIL, "")), false);
+    assert.equal(compareOTP(EMAIL, "123456", null), false);
+  });
+});
+
+describe("memory OTP store", () => {
+  let store;
+
+  beforeEach(async () => {
+    store = createMemoryOtpStore();
+    await store.set(EMAIL, record());
+  });
+
+  it("returns stored records with defaults", async () => {
+    const stored = await store.get(EMAIL);
+    assert.equal(stored.otpHash, hashOTP(EMAIL, "123456"));
+    assert.equal(stored.attempts, 0);
+    assert.equal(stored.userData, null);
+    assert.equal(await store.get("nobody@example.com"), null);
+  });
+
+  it("counts attempts up to the limit", async () => {
+    assert.equal((await store.claimAttempt(EMAIL, 3)).attempts, 1);
+    assert.equal((await store.claimAttempt(EMAIL, 3)).attempts, 2);
+    assert.equal((await store.claimAttempt(EMAIL, 3)).attempts, 3);
+    assert.equal(await store.claimAttempt(EMAIL, 3), null);
+    assert.equal((await store.get(EMAIL)).attempts, 3);
+  });
+
+  it("never lets parallel claims past the limit", async () => {
+    const claims = await Promise.all(Array.from({ length: 10 }, () => store.claimAttempt(EMAIL, 3)));
+    assert.equal(claims.filter(Boolean).length, 3);
+    assert.equal((await store.get(EMAIL)).attempts, 3);
+  });
+
+  it("does not return or count expired records", async () => {
+    await store.set(EMAIL, record({ expiresAt: new Date(Date.now() - 1) }));
+    assert.equal(await store.get(EMAIL), null);
+    assert.equal(await store.claimAttempt(EMAIL, 3), null);
+  });
+
+  it("starts a new challenge with fresh attempts", async () => {
+    await store.claimAttempt(EMAIL, 3);
+    await store.set(EMAIL, record());
+    assert.equal((await store.get(EMAIL)).attempts, 0);
+  });
+
+  it("deletes records", async () => {
+    await store.delete(EMAIL);
+    assert.equal(await store.get(EMAIL), null);
+  });
+});
+
+describe("MongoDB OTP store", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("claims attempts with a single conditional update", async () => {
+    const update = mock.method(Otp, "findOneAndUpdate", () => queryResult({ ...record(), attempts: 1 }));
+    const claimed = await createMongoOtpStore().claimAttempt(EMAIL, 3);
+
+    assert.equal(claimed.attempts, 1);
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.equal(filter.email, EMAIL);
+    assert.deepEqual(filter.attempts, { $lt: 3 });
+    assert.ok(filter.expiresAt.$gt instanceof Date);
+    assert.deepEqual(change, { $inc: { attempts: 1 } });
+  });
+
+  it("returns null when the limit is reached", async () => {
+    mock.method(Otp, "findOneAndUpdate", () => queryResult(null));
+    assert.equal(await createMongoOtpStore().claimAttempt(EMAIL, 3), null);
+  });
+});
@@ -0,0 +1,52 @@
+// test/services/razorpayProvider.test.js
+import { describe, it, before, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { createRazorpayProvider } from "../../services/paymentProviders/razorpay.js";
+
+const sign = (orderId, paymentId) =>
+  crypto.createHmac("sha256", process.env.RAZORPAY_KEY_SECRET).update(`${orderId}|${paymentId}`).digest("hex");
+
+describe("razorpay verifyPayment", () => {
+  before(() => {
+    process.env.RAZORPAY_KEY_SECRET ||= "test-razorpay-secret";
+  });
+
+  const checkout = (orderId = "order_1", paymentId = "pay_1") => ({
+    razorpay_order_id: orderId,
+    razorpay_payment_id: paymentId,
+    razorpay_signature: sign(orderId, paymentId),
+  });
+
+  it("returns the payment method of a signed payment", async () => {
+    const fetch = mock.fn(async (id) => ({ id, method: "upi", status: "captured" }));
+    const provider = createRazorpayProvider({ payments: { fetch } });
+
+    const verified = await provider.verifyPayment(checkout());
+
+    assert.deepEqual(verified, { orderId: "order_1", paymentId: "pay_1", method: "upi" });
+    assert.deepEqual(fetch.mock.calls[0].arguments, ["pay_1"]);
+  });
+
+  it("still verifies when the payment cannot be fetched", async () => {
+    const fetch = async () => {
+      throw new Error("timeout");
+    };
+    const provider = createRazorpayProvider({ payments: { fetch } });
+
+    const verified = await provider.verifyPayment(checkout());
+
+    assert.equal(verified.paymentId, "pay_1");
+    assert.equal(verified.method, undefined);
+  });
+
+  it("rejects a bad signature without calling the gateway", async () => {
+    const fetch = mock.fn();
+    const provider = createRazorpayProvider({ payments: { fetch } });
+
+    const verified = await provider.verifyPayment({ ...checkout(), razorpay_signature: "0".repeat(64) });
+
+    assert.equal(verified.status, 400);
+    assert.equal(fetch.mock.callCount(), 0);
+  });
+});
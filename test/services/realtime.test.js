@@ -0,0 +1,36 @@
+// test/services/realtime.test.js
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { STREAM_SETTINGS, recentEventFilter } from "../../services/realtime.js";
+
+const eventAt = (ms) => ({ _id: mongoose.Types.ObjectId.createFromTime(Math.floor(ms / 1000)) });
+
+describe("recentEventFilter", () => {
+  afterEach(() => mock.timers.reset());
+
+  it("passes events that arrive out of id order once each", () => {
+    const now = Date.now();
+    const isNew = recentEventFilter();
+    const later = eventAt(now);
+    const earlier = eventAt(now - 3000);
+
+    assert.equal(isNew(later), true);
+    assert.equal(isNew(earlier), true);
+    assert.equal(isNew(later), false);
+    assert.equal(isNew({ _id: earlier._id.toString() }), false);
+  });
+
+  it("forgets ids older than twice the poll overlap", () => {
+    const now = Date.now();
+    mock.timers.enable({ apis: ["Date"], now });
+    const isNew = recentEventFilter();
+    const event = eventAt(now);
+
+    isNew(event);
+    mock.timers.tick(2 * STREAM_SETTINGS.pollOverlapMs + 2000);
+    isNew(eventAt(Date.now()));
+
+    assert.equal(isNew(event), true);
+  });
+});
@@ -0,0 +1,226 @@
+// test/services/reconciliation.test.js
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { objectId, matchesQuery, mockFind, queryResult } from "../helpers.js";
+import BookingPayment from "../../models/BookingPayment.js";
+import ReconciliationRun from "../../models/ReconciliationRun.js";
+import User from "../../models/User.js";
+import { runReconciliation } from "../../services/reconciliation.js";
+
+const FROM = new Date("2026-10-17T00:00:00Z");
+const TO = new Date("2026-10-19T00:00:00Z");
+const CREATED = new Date("2026-10-18T10:00:00Z");
+
+// Gateway client returning the given entities (amounts in paise, Razorpay shape)
+const mockGateway = ({ orders = [], payments = [], refunds = [], disputes = [], orderPayments = {} } = {}) => ({
+  listOrders: async () => orders,
+  listPayments: async () => payments,
+  listRefunds: async () => refunds,
+  listDisputes: async () => disputes,
+  fetchOrderPayments: async (orderId) => orderPayments[orderId] || [],
+  fetchPayment: async (paymentId) => payments.find((p) => p.id === paymentId) || null,
+});
+
+describe("runReconciliation", () => {
+  let bookings;
+  let user;
+  let actions;
+
+  const paidBooking = (fields = {}) => ({
+    _id: objectId(),
+    bookingCode: `BK${bookings.length + 1}`,
+    paymentStatus: "Paid",
+    createdAt: CREATED,
+    ...fields,
+    payment: {
+      provider: "razorpay",
+      orderId: `order_${bookings.length + 1}`,
+      providerPaymentId: `pay_${bookings.length + 1}`,
+      amount: 500,
+      status: "paid",
+      isRefunded: false,
+      ...fields.payment,
+    },
+  });
+
+  const run = (gateway, options = {}) => runReconciliation({ gateway, actions, from: FROM, to: TO, ...options });
+
+  beforeEach(() => {
+    bookings = [];
+    user = new User({ name: "Customer", email: "customer@example.com", password: "x" });
+    actions = {
+      createBookingFromOrder: mock.fn(async ({ order }) => ({ booking: { _id: objectId(), bookingCode: order.notes.bookingCode } })),
+      applyRefundUpdate: mock.fn(async () => true),
+      refundLostOrder: mock.fn(async () => ({ id: "rfnd_lost" })),
+    };
+
+    mock.method(ReconciliationRun, "create", async (fields) => ({ ...fields, save: async () => {} }));
+    mock.method(BookingPayment, "exists", async (filter) => bookings.some((b) => matchesQuery(b, filter)));
+    mock.method(BookingPayment, "findOne", (filter) => queryResult(bookings.find((b) => matchesQuery(b, filter)) || null));
+    mockFind(mock, BookingPayment, bookings);
+    mock.method(User, "findById", () => ({ select: async () => user }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const types = (result) => result.mismatches.map((m) => m.type);
+
+  it("finds nothing when the gateway and bookings agree", async () => {
+    bookings.push(paidBooking());
+    const result = await run(mockGateway({ payments: [{ id: "pay_1", status: "captured", amount: 50000, amount_refunded: 0 }] }));
+    assert.equal(result.status, "completed");
+    assert.deepEqual(result.mismatches, []);
+    assert.equal(result.summary.bookingsChecked, 1);
+  });
+
+  describe("PAID_WITHOUT_BOOKING", () => {
+    const order = {
+      id: "order_9",
+      status: "paid",
+      amount: 50000,
+      amount_paid: 50000,
+      notes: { bookingCode: "BK9", userId: "u1", vehicleId: "v1" },
+    };
+    const gateway = () =>
+      mockGateway({ orders: [order], orderPayments: { order_9: [{ id: "pay_9", status: "captured", method: "upi" }] } });
+
+    it("creates the missing booking", async () => {
+      const result = await run(gateway());
+
+      assert.deepEqual(types(result), ["PAID_WITHOUT_BOOKING"]);
+      const [mismatch] = result.mismatches;
+      assert.equal(mismatch.severity, "critical");
+      assert.equal(mismatch.healed, true);
+      assert.equal(mismatch.healAction, "booking_created");
+      assert.equal(actions.createBookingFromOrder.mock.callCount(), 1);
+      const [{ arguments: [params] }] = actions.createBookingFromOrder.mock.calls;
+      assert.equal(params.order, order);
+      assert.equal(params.paymentId, "pay_9");
+      assert.equal(params.user, user);
+      assert.equal(result.summary.healed, 1);
+    });
+
+    it("refunds the payment when the slot is gone", async () => {
+      actions.createBookingFromOrder = mock.fn(async () => {
+        throw Object.assign(new Error("Vehicle has been booked by someone else"), { code: "BOOKING_CONFLICT" });
+      });
+      const [mismatch] = (await run(gateway())).mismatches;
+      assert.equal(mismatch.healAction, "refunded_lost_slot");
+      assert.equal(mismatch.refundId, "rfnd_lost");
+      assert.equal(actions.refundLostOrder.mock.calls[0].arguments[0].paymentId, "pay_9");
+    });
+
+    it("only flags when autoHeal is off", async () => {
+      const [mismatch] = (await run(gateway(), { autoHeal: false })).mismatches;
+      assert.equal(mismatch.healed, undefined);
+      assert.equal(actions.createBookingFromOrder.mock.callCount(), 0);
+    });
+
+    it("leaves orders that have a booking alone", async () => {
+      bookings.push(paidBooking({ payment: { orderId: "order_9", providerPaymentId: "pay_9" } }));
+      const result = await run(gateway());
+      assert.ok(!types(result).includes("PAID_WITHOUT_BOOKING"));
+    });
+
+    it("does not treat another provider's booking as the order's booking", async () => {
+      bookings.push(paidBooking({ payment: { provider: "fake", orderId: "order_9" } }));
+      assert.deepEqual(types(await run(gateway())), ["PAID_WITHOUT_BOOKING"]);
+    });
+  });
+
+  it("flags AMOUNT_MISMATCH without healing it", async () => {
+    bookings.push(paidBooking());
+    const result = await run(mockGateway({ payments: [{ id: "pay_1", status: "captured", amount: 45000, amount_refunded: 0 }] }));
+
+    assert.deepEqual(types(result), ["AMOUNT_MISMATCH"]);
+    assert.match(result.mismatches[0].details, /450 vs booking ₹500/);
+    assert.equal(result.mismatches[0].healed, undefined);
+    assert.equal(actions.applyRefundUpdate.mock.callCount(), 0);
+  });
+
+  it("records a gateway refund on a booking still marked paid (BOOKING_PAID_BUT_REFUNDED)", async () => {
+    bookings.push(paidBooking());
+    const refund = { id: "rfnd_1", payment_id: "pay_1", amount: 50000, status: "processed" };
+    const result = await run(mockGateway({
+      payments: [{ id: "pay_1", status: "refunded", amount: 50000, amount_refunded: 50000 }],
+      refunds: [refund],
+    }));
+
+    // The refund loop does not flag the same refund a second time
+    assert.deepEqual(types(result), ["BOOKING_PAID_BUT_REFUNDED"]);
+    assert.equal(result.mismatches[0].healAction, "refund_recorded");
+    assert.equal(actions.applyRefundUpdate.mock.callCount(), 1);
+    assert.deepEqual(actions.applyRefundUpdate.mock.calls[0].arguments, [bookings[0], refund]);
+  });
+
+  describe("REFUND_STATUS_MISMATCH", () => {
+    it("updates a booking whose refund finished at the gateway", async () => {
+      bookings.push(paidBooking({ payment: { isRefunded: true, refundStatus: "pending" }, paymentStatus: "Refunded" }));
+      const refund = { id: "rfnd_1", payment_id: "pay_1", amount: 50000, status: "processed" };
+      const result = await run(mockGateway({ refunds: [refund] }));
+
+      assert.deepEqual(types(result), ["REFUND_STATUS_MISMATCH"]);
+      assert.equal(result.mismatches[0].healAction, "refund_processed");
+      assert.deepEqual(actions.applyRefundUpdate.mock.calls[0].arguments, [bookings[0], refund]);
+    });
+
+    it("records failed refunds", async () => {
+      bookings.push(paidBooking({ payment: { isRefunded: true, refundStatus: "pending" }, paymentStatus: "Refunded" }));
+      const result = await run(mockGateway({ refunds: [{ id: "rfnd_1", payment_id: "pay_1", amount: 50000, status: "failed" }] }));
+      assert.equal(result.mismatches[0].healAction, "refund_failed");
+    });
+
+    it("skips refunds the booking already reflects and pending ones", async () => {
+      bookings.push(paidBooking({ payment: { isRefunded: true, refundStatus: "processed" }, paymentStatus: "Refunded" }));
+      const result = await run(mockGateway({
+        refunds: [
+          { id: "rfnd_1", payment_id: "pay_1", amount: 50000, status: "processed" },
+          { id: "rfnd_2", payment_id: "pay_1", amount: 100, status: "pending" },
+        ],
+      }));
+      assert.deepEqual(result.mismatches, []);
+    });
+
+    it("ignores refunds of another provider's payment", async () => {
+      bookings.push(paidBooking({ payment: { provider: "fake", refundStatus: "pending" }, paymentStatus: "Refunded" }));
+      const result = await run(mockGateway({ refunds: [{ id: "rfnd_1", payment_id: "pay_1", amount: 50000, status: "processed" }] }));
+      assert.deepEqual(result.mismatches, []);
+      assert.equal(actions.applyRefundUpdate.mock.callCount(), 0);
+    });
+  });
+
+  describe("PAYMENT_DISPUTED", () => {
+    const dispute = { id: "disp_1", payment_id: "pay_1", amount: 50000, reason_code: "fraudulent", status: "open" };
+
+    it("flags disputes with the booking they concern", async () => {
+      bookings.push(paidBooking());
+      const result = await run(mockGateway({
+        payments: [{ id: "pay_1", status: "captured", amount: 50000, amount_refunded: 0 }],
+        disputes: [dispute],
+      }));
+
+      assert.deepEqual(types(result), ["PAYMENT_DISPUTED"]);
+      const [mismatch] = result.mismatches;
+      assert.equal(mismatch.severity, "critical");
+      assert.equal(mismatch.bookingCode, "BK1");
+      assert.equal(mismatch.orderId, "order_1");
+      assert.equal(mismatch.healed, undefined);
+    });
+
+    it("flags disputes without a booking", async () => {
+      const [mismatch] = (await run(mockGateway({ disputes: [dispute] }))).mismatches;
+      assert.equal(mismatch.type, "PAYMENT_DISPUTED");
+      assert.equal(mismatch.bookingCode, undefined);
+    });
+  });
+
+  it("marks the run failed when the gateway cannot be read", async () => {
+    const gateway = mockGateway();
+    gateway.listPayments = async () => {
+      throw new Error("Gateway unavailable");
+    };
+    const result = await run(gateway);
+    assert.equal(result.status, "failed");
+    assert.equal(result.error, "Gateway unavailable");
+  });
+});
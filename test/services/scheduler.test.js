@@ -0,0 +1,79 @@
+// test/services/scheduler.test.js
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import ScheduledJob from "../../models/ScheduledJob.js";
+import JobRun from "../../models/JobRun.js";
+import { defineJob, triggerJob } from "../../services/jobs/scheduler.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("job locks", () => {
+  let lockUpdates;
+  let run;
+
+  beforeEach(() => {
+    lockUpdates = [];
+    run = null;
+    mock.method(ScheduledJob, "findOneAndUpdate", async () => ({ retryCount: 0 }));
+    mock.method(ScheduledJob, "updateOne", async (filter, update) => {
+      lockUpdates.push({ at: Date.now(), update });
+      return {};
+    });
+    mock.method(JobRun, "create", async (fields) => {
+      run = { ...fields, save: async () => {} };
+      return run;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const released = () => lockUpdates.find(({ update }) => update.lockedBy === null);
+
+  const waitForRelease = async () => {
+    for (let i = 0; i < 100 && !released(); i++) await sleep(10);
+    return released();
+  };
+
+  it("holds the lock until a timed-out handler settles", async () => {
+    let handlerDoneAt = null;
+    defineJob({
+      name: "test-slow-job",
+      description: "Outlives its timeout",
+      schedule: "0 * * * *",
+      timeoutMs: 40,
+      handler: async () => {
+        await sleep(200);
+        handlerDoneAt = Date.now();
+      },
+    });
+
+    assert.ok((await triggerJob("test-slow-job")).run);
+    const release = await waitForRelease();
+
+    assert.ok(handlerDoneAt, "handler finished");
+    assert.ok(release.at >= handlerDoneAt, "lock released after the handler finished");
+    assert.equal(run.status, "failed");
+    assert.match(run.error, /Timed out/);
+
+    // renewed while the handler ran past its timeout
+    const renewals = lockUpdates.filter(({ update }) => update.lockedUntil && update.lockedBy === undefined);
+    assert.ok(renewals.length >= 2);
+  });
+
+  it("releases the lock as soon as the handler finishes in time", async () => {
+    defineJob({
+      name: "test-quick-job",
+      description: "Finishes in time",
+      schedule: "0 * * * *",
+      timeoutMs: 1000,
+      handler: async () => ({ processed: 1 }),
+    });
+
+    await triggerJob("test-quick-job");
+    await waitForRelease();
+
+    assert.equal(run.status, "succeeded");
+    assert.deepEqual(run.result, { processed: 1 });
+    assert.equal(lockUpdates.length, 1);
+  });
+});
@@ -0,0 +1,94 @@
+// test/services/tokenService.test.js
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { objectId, matchesQuery, makeUser } from "../helpers.js";
+import Session from "../../models/Session.js";
+import { rotateRefreshToken } from "../../services/tokenService.js";
+
+const hash = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+const req = { headers: { "user-agent": "test" }, ip: "127.0.0.1", body: {} };
+
+describe("rotateRefreshToken", () => {
+  let stored;
+  let user;
+  const loadUser = async () => user;
+
+  // One session document updated like MongoDB would: each update is applied atomically
+  beforeEach(() => {
+    user = makeUser();
+    stored = {
+      _id: objectId(),
+      user: user._id,
+      refreshTokenHash: hash("secret-1"),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      revokedAt: null,
+    };
+
+    mock.method(Session, "findById", async () => new Session({ ...stored }));
+    mock.method(Session, "findOneAndUpdate", async (filter, update) => {
+      // Let concurrent callers interleave between the read and the write
+      await new Promise((resolve) => setImmediate(resolve));
+      if (!matchesQuery(stored, filter)) return null;
+      Object.assign(stored, update.$set);
+      return new Session({ ...stored });
+    });
+    mock.method(Session, "updateOne", async (filter, update) => {
+      if (matchesQuery(stored, filter)) Object.assign(stored, update);
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("rotates the secret", async () => {
+    const result = await rotateRefreshToken(`${stored._id}.secret-1`, req, loadUser);
+
+    assert.equal(result.user, user);
+    const [sessionId, secret] = result.tokens.refreshToken.split(".");
+    assert.equal(sessionId, stored._id.toString());
+    assert.equal(stored.refreshTokenHash, hash(secret));
+    assert.equal(stored.revokedAt, null);
+  });
+
+  it("revokes the session when an old secret is presented", async () => {
+    const first = await rotateRefreshToken(`${stored._id}.secret-1`, req, loadUser);
+    assert.ok(first.tokens);
+
+    const reused = await rotateRefreshToken(`${stored._id}.secret-1`, req, loadUser);
+    assert.match(reused.error, /already been used/);
+    assert.equal(stored.revokedReason, "refresh_token_reuse");
+    assert.ok(stored.revokedAt instanceof Date);
+  });
+
+  it("lets only one of two concurrent refreshes with the same token succeed", async () => {
+    const results = await Promise.all([
+      rotateRefreshToken(`${stored._id}.secret-1`, req, loadUser),
+      rotateRefreshToken(`${stored._id}.secret-1`, req, loadUser),
+    ]);
+
+    assert.equal(results.filter((r) => r.tokens).length, 1);
+    assert.equal(results.filter((r) => r.error).length, 1);
+    // The reuse revokes the session, so the winner's new token is dead too
+    assert.equal(stored.revokedReason, "refresh_token_reuse");
+  });
+
+  it("rejects malformed tokens", async () => {
+    assert.equal((await rotateRefreshToken("nonsense", req, loadUser)).error, "Invalid refresh token");
+    assert.equal((await rotateRefreshToken(undefined, req, loadUser)).error, "Invalid refresh token");
+  });
+
+  it("rejects revoked sessions without touching them", async () => {
+    stored.revokedAt = new Date();
+    const result = await rotateRefreshToken(`${stored._id}.secret-1`, req, loadUser);
+    assert.match(result.error, /expired or revoked/);
+    assert.equal(Session.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it("rejects sessions of deleted users", async () => {
+    user = null;
+    const result = await rotateRefreshToken(`${stored._id}.secret-1`, req, loadUser);
+    assert.match(result.error, /User not found/);
+    assert.equal(stored.refreshTokenHash, hash("secret-1"));
+  });
+});